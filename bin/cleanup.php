@@ -0,0 +1,60 @@
+#!/usr/bin/env php
+<?php
+declare(strict_types=1);
+
+/**
+ * Cleanup CLI Tool
+ *
+ * Removes expired sessions and autosaves, and attachments that were uploaded
+ * but never sent with a request (with their files). Run it from cron, e.g.
+ * every hour:
+ *
+ *   0 * * * * cd /var/www/html && php bin/cleanup.php
+ *
+ * Usage:
+ *   php bin/cleanup.php
+ */
+
+require __DIR__ . '/../vendor/autoload.php';
+
+use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\FileUploadService;
+
+// Check if .env file exists
+$envPath = __DIR__ . '/..';
+$envFile = $envPath . '/.env';
+
+if (!file_exists($envFile)) {
+    echo "Error: .env file not found\n";
+    echo "Please create a .env file first:\n";
+    echo "  cp .env.example .env\n";
+    echo "  # Then edit .env with your configuration\n";
+    exit(1);
+}
+
+// Load environment variables
+$dotenv = Dotenv\Dotenv::createImmutable($envPath);
+$dotenv->load();
+
+if (in_array($argv[1] ?? null, ['--help', '-h'], true)) {
+    echo "Usage: php bin/cleanup.php\n";
+    echo "Removes expired sessions, autosaves and abandoned uploads.\n";
+    exit(0);
+}
+
+try {
+    // The same services as config/dependencies.php
+    $dbService = new DatabaseService($_ENV['DB_PATH'] ?? './data/helpdesk.db');
+    $fileUploadService = new FileUploadService(
+        __DIR__ . '/../uploads',
+        (int)($_ENV['UPLOAD_MAX_SIZE'] ?? 10485760),
+        explode(',', $_ENV['UPLOAD_ALLOWED_TYPES'] ?? 'pdf,doc,docx,txt,png,jpg,jpeg,gif')
+    );
+
+    $removed = $dbService->cleanupExpired($fileUploadService);
+
+    echo "Removed expired sessions and autosaves, and {$removed} abandoned upload(s)\n";
+} catch (Exception $e) {
+    echo "Error: " . $e->getMessage() . "\n";
+    exit(1);
+}
@@ -0,0 +1,143 @@
+#!/usr/bin/env php
+<?php
+declare(strict_types=1);
+
+/**
+ * Signed Prefill Link CLI Tool
+ *
+ * Creates links to a request form with values filled in that the requester
+ * cannot change, e.g. for recurring requests handed out by IT.
+ *
+ * Usage:
+ *   php bin/prefill-link.php <request_type> <field>=<value> [...] [--expires=<days>] [--base-url=<url>]
+ */
+
+require __DIR__ . '/../vendor/autoload.php';
+
+use HelpdeskForm\Services\ConfigService;
+use HelpdeskForm\Services\PrefillService;
+use HelpdeskForm\Services\ValidationService;
+
+// Check if .env file exists
+$envPath = __DIR__ . '/..';
+$envFile = $envPath . '/.env';
+
+if (!file_exists($envFile)) {
+    echo "Error: .env file not found\n";
+    echo "Please create a .env file first:\n";
+    echo "  cp .env.example .env\n";
+    echo "  # Then edit .env with your configuration\n";
+    exit(1);
+}
+
+// Load environment variables
+$dotenv = Dotenv\Dotenv::createImmutable($envPath);
+$dotenv->load();
+
+// Initialize services
+$configService = new ConfigService(__DIR__ . '/../config/form_fields.yaml');
+$prefillService = new PrefillService(
+    new ValidationService($configService->getValidationRules()),
+    $_ENV['PREFILL_SECRET'] ?? ''
+);
+
+$requestType = $argv[1] ?? null;
+
+if (!$requestType || $requestType === '--help') {
+    showHelp();
+    exit(1);
+}
+
+try {
+    if (!$prefillService->canSign()) {
+        throw new RuntimeException('PREFILL_SECRET is not set in .env');
+    }
+
+    if (!in_array($requestType, $configService->getRequestTypes(), true)) {
+        throw new RuntimeException("Unknown request type: {$requestType}");
+    }
+
+    [$values, $options] = parseArguments(array_slice($argv, 2));
+
+    // Only values the form accepts end up in the link
+    $fields = $configService->getFormFields($requestType);
+    $accepted = $prefillService->filter($fields, $values);
+
+    foreach (array_diff(array_keys($values), array_keys($accepted)) as $name) {
+        echo "Warning: ignored {$name} (unknown field, file field or invalid value)\n";
+    }
+
+    if (empty($accepted)) {
+        throw new RuntimeException('No valid field values given');
+    }
+
+    $expiresAt = null;
+    if (isset($options['expires'])) {
+        $days = (int) $options['expires'];
+        if ($days <= 0) {
+            throw new RuntimeException('--expires must be a number of days');
+        }
+        $expiresAt = time() + $days * 86400;
+    }
+
+    $token = $prefillService->createToken($requestType, $accepted, $expiresAt);
+    $baseUrl = rtrim($options['base-url'] ?? '', '/');
+
+    echo "{$baseUrl}/form/" . rawurlencode($requestType) . '?prefill=' . $token . "\n";
+    if ($expiresAt !== null) {
+        echo "Valid until " . date('Y-m-d H:i', $expiresAt) . "\n";
+    }
+} catch (Exception $e) {
+    echo "Error: " . $e->getMessage() . "\n";
+    exit(1);
+}
+
+function showHelp(): void
+{
+    echo <<<HELP
+Signed Prefill Link CLI Tool
+
+Usage:
+  php bin/prefill-link.php <request_type> <field>=<value> [...] [options]
+
+Values:
+  field=value                          Value of a text, date, select or textarea field
+  field[]=value                        One checked option of a checkbox group (repeat)
+
+Options:
+  --expires=<days>                     Stop filling in the form after this many days
+  --base-url=<url>                     Portal URL to put in front of the link
+
+Examples:
+  php bin/prefill-link.php access_request system_name=SAP "access_type=Read Only" --expires=30
+  php bin/prefill-link.php onboarding "equipment_required[]=Laptop" "equipment_required[]=Monitor" --base-url=https://helpdesk.example.com
+
+HELP;
+}
+
+/**
+ * Split the arguments into field values and --options
+ */
+function parseArguments(array $arguments): array
+{
+    $values = [];
+    $options = [];
+
+    foreach ($arguments as $argument) {
+        if (!str_contains($argument, '=')) {
+            throw new RuntimeException("Expected field=value or --option=value, got: {$argument}");
+        }
+
+        [$name, $value] = explode('=', $argument, 2);
+
+        if (str_starts_with($name, '--')) {
+            $options[substr($name, 2)] = $value;
+        } elseif (str_ends_with($name, '[]')) {
+            $values[substr($name, 0, -2)][] = $value;
+        } else {
+            $values[$name] = $value;
+        }
+    }
+
+    return [$values, $options];
+}
@@ -14,6 +14,14 @@ use HelpdeskForm\Services\LdapService;
 use HelpdeskForm\Services\LocalAuthService;
 use HelpdeskForm\Services\FreeScoutService;
 use HelpdeskForm\Services\FileUploadService;
+use HelpdeskForm\Services\ValidationService;
+use HelpdeskForm\Services\MarkdownService;
+use HelpdeskForm\Services\PrefillService;
+use HelpdeskForm\Services\KnowledgeBaseService;
+use HelpdeskForm\Services\DuplicateTicketService;
+use HelpdeskForm\Services\DirectoryService;
+use HelpdeskForm\Services\ComputedFieldService;
+use HelpdeskForm\Services\SubmissionSummaryService;
 use HelpdeskForm\Controllers\FormController;
 use HelpdeskForm\Controllers\AuthController;
 use HelpdeskForm\Controllers\ApiController;
@@ -64,13 +72,14 @@ return function (ContainerBuilder $containerBuilder) {
                 'portal_name' => $_ENV['PORTAL_NAME'] ?? 'Support Portal',
                 'app_version' => $_ENV['APP_VERSION'] ?? '1.0.0'
             ]);
+            $environment->addGlobal('default_locale', $_ENV['APP_LOCALE'] ?? 'nl');
             
             return $twig;
         },
         
         // Configuration Service
         ConfigService::class => function (ContainerInterface $c) {
-            return new ConfigService(__DIR__ . '/../config/form_fields.yaml');
+            return new ConfigService(__DIR__ . '/../config/form_fields.yaml', $c->get(Logger::class));
         },
         
         // Database Service
@@ -120,6 +129,7 @@ return function (ContainerBuilder $containerBuilder) {
                 $_ENV['FREESCOUT_API_URL'],
                 $_ENV['FREESCOUT_API_KEY'],
                 $c->get(Logger::class),
+                $c->get(MarkdownService::class),
                 $mappings,
                 $fieldDefinitions,
                 $mailboxId
@@ -135,6 +145,53 @@ return function (ContainerBuilder $containerBuilder) {
             );
         },
         
+        // Validation Service
+        ValidationService::class => function (ContainerInterface $c) {
+            return new ValidationService($c->get(ConfigService::class)->getValidationRules());
+        },
+        
+        // Markdown to HTML for ticket bodies and replies
+        MarkdownService::class => function (ContainerInterface $c) {
+            return new MarkdownService();
+        },
+        
+        // Pre-filled forms from links and earlier requests
+        PrefillService::class => function (ContainerInterface $c) {
+            return new PrefillService($c->get(ValidationService::class), $_ENV['PREFILL_SECRET'] ?? '');
+        },
+        
+        // Knowledge-base articles suggested on the forms
+        KnowledgeBaseService::class => function (ContainerInterface $c) {
+            return new KnowledgeBaseService(($_ENV['KNOWLEDGE_BASE_PATH'] ?? '') ?: __DIR__ . '/knowledge_base.json');
+        },
+        
+        // Possible duplicates among the user's open tickets
+        DuplicateTicketService::class => function (ContainerInterface $c) {
+            return new DuplicateTicketService($c->get(ConfigService::class)->getSettings()['duplicate_check'] ?? []);
+        },
+        
+        // Values of computed fields, computed again on submit
+        ComputedFieldService::class => function (ContainerInterface $c) {
+            return new ComputedFieldService();
+        },
+        
+        // Answers of a request by section, for the success page and downloads
+        SubmissionSummaryService::class => function (ContainerInterface $c) {
+            return new SubmissionSummaryService();
+        },
+        
+        // Colleagues for autocomplete fields: LDAP, or the local accounts
+        DirectoryService::class => function (ContainerInterface $c) {
+            return new DirectoryService(
+                $c->get(LdapService::class),
+                $c->get(LocalAuthService::class),
+                $c->get(Logger::class),
+                ($_ENV['ENABLE_LDAP_AUTH'] ?? 'true') === 'true',
+                10,
+                __DIR__ . '/../tmp/ldap_unavailable'
+            );
+        },
+        
         // Controllers
         FormController::class => function (ContainerInterface $c) {
             return new FormController(
@@ -143,6 +200,12 @@ return function (ContainerBuilder $containerBuilder) {
                 $c->get(DatabaseService::class),
                 $c->get(FreeScoutService::class),
                 $c->get(FileUploadService::class),
+                $c->get(ValidationService::class),
+                $c->get(MarkdownService::class),
+                $c->get(PrefillService::class),
+                $c->get(DuplicateTicketService::class),
+                $c->get(ComputedFieldService::class),
+                $c->get(SubmissionSummaryService::class),
                 $c->get(Logger::class)
             );
         },
@@ -162,6 +225,9 @@ return function (ContainerBuilder $containerBuilder) {
                 $c->get(ConfigService::class),
                 $c->get(DatabaseService::class),
                 $c->get(FreeScoutService::class),
+                $c->get(ValidationService::class),
+                $c->get(KnowledgeBaseService::class),
+                $c->get(DirectoryService::class),
                 $c->get(Logger::class)
             );
         }
@@ -18,23 +18,47 @@ return function (App $app) {
     $app->post('/auth/logout', [AuthController::class, 'logout'])->setName('auth.logout');
     $app->get('/auth/logout', [AuthController::class, 'logout'])->setName('auth.logout.get');
     
+    // Request form of the embeddable widget; it checks the session itself
+    $app->get('/widget', [FormController::class, 'showWidget'])->setName('widget');
+    
     // Main routes (with auth middleware)
     $app->get('/', [FormController::class, 'index'])->setName('home')->add(AuthMiddleware::class);
     // Success route MUST be before /form/{type} to avoid conflicts
     $app->get('/form/success/{uuid}', [FormController::class, 'showSuccess'])->setName('form.success')->add(AuthMiddleware::class);
+    $app->get('/form/success/{uuid}/summary.{format:json|html}', [FormController::class, 'exportSummary'])->setName('form.summary')->add(AuthMiddleware::class);
     $app->get('/form/{type}', [FormController::class, 'showForm'])->setName('form.show')->add(AuthMiddleware::class);
     $app->post('/form/{type}', [FormController::class, 'submitForm'])->setName('form.submit')->add(AuthMiddleware::class);
     
     // API routes (with auth middleware)
+    $app->get('/api/types', [ApiController::class, 'getRequestTypes'])->setName('api.types')->add(AuthMiddleware::class);
     $app->get('/api/fields/{type}', [ApiController::class, 'getFormFields'])->setName('api.fields')->add(AuthMiddleware::class);
     $app->post('/api/upload', [FormController::class, 'uploadFile'])->setName('api.upload')->add(AuthMiddleware::class);
+    $app->get('/api/upload/{id}', [FormController::class, 'uploadStatus'])->setName('api.upload.status')->add(AuthMiddleware::class);
+    $app->delete('/api/upload/{id}', [FormController::class, 'cancelUpload'])->setName('api.upload.cancel')->add(AuthMiddleware::class);
     $app->post('/api/autosave', [FormController::class, 'autosave'])->setName('api.autosave')->add(AuthMiddleware::class);
     $app->get('/api/autosave/{type}', [FormController::class, 'getAutosave'])->setName('api.autosave.get')->add(AuthMiddleware::class);
+    $app->get('/api/drafts', [FormController::class, 'listDrafts'])->setName('api.drafts')->add(AuthMiddleware::class);
+    $app->post('/api/drafts', [FormController::class, 'createDraft'])->setName('api.drafts.create')->add(AuthMiddleware::class);
+    $app->get('/api/drafts/{id}', [FormController::class, 'getDraft'])->setName('api.drafts.get')->add(AuthMiddleware::class);
+    $app->post('/api/drafts/{id}/duplicate', [FormController::class, 'duplicateDraft'])->setName('api.drafts.duplicate')->add(AuthMiddleware::class);
+    $app->delete('/api/drafts/{id}', [FormController::class, 'deleteDraft'])->setName('api.drafts.delete')->add(AuthMiddleware::class);
+    $app->get('/api/knowledge-base', [ApiController::class, 'getKnowledgeBase'])->setName('api.kb')->add(AuthMiddleware::class);
+    $app->post('/api/knowledge-base/{id}/solved', [ApiController::class, 'markArticleSolved'])->setName('api.kb.solved')->add(AuthMiddleware::class);
+    $app->get('/api/directory', [ApiController::class, 'searchDirectory'])->setName('api.directory')->add(AuthMiddleware::class);
     $app->post('/api/validate', [ApiController::class, 'validateForm'])->setName('api.validate')->add(AuthMiddleware::class);
+    $app->get('/api/session', [AuthController::class, 'sessionStatus'])->setName('api.session')->add(AuthMiddleware::class);
+    $app->post('/api/session/keepalive', [AuthController::class, 'keepAlive'])->setName('api.session.keepalive')->add(AuthMiddleware::class);
     
     // Ticket status (with auth middleware)
     $app->get('/ticket/{id}', [FormController::class, 'showTicket'])->setName('ticket.show')->add(AuthMiddleware::class);
     $app->post('/ticket/{id}/reply', [FormController::class, 'addReply'])->setName('ticket.reply')->add(AuthMiddleware::class);
+    $app->get('/api/tickets/duplicates', [FormController::class, 'findDuplicateTickets'])->setName('api.tickets.duplicates')->add(AuthMiddleware::class);
+    $app->get('/api/tickets/{id}/threads', [FormController::class, 'getTicketThreads'])->setName('api.tickets.threads')->add(AuthMiddleware::class);
+    
+    // CORS preflight; CorsMiddleware adds the headers
+    $app->options('/{routes:.+}', function ($request, $response) {
+        return $response;
+    })->setName('cors.preflight');
     
     // Health check (no auth required)
     $app->get('/health', function ($request, $response) {
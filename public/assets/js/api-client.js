@@ -0,0 +1,307 @@
+// HTTP client for the Support Portal API
+'use strict';
+
+// Wraps fetch for calls to the portal's own endpoints:
+// - adds the X-Requested-With and X-CSRF-Token headers
+// - aborts requests after a timeout, or when the caller's signal or a newer
+//   request with the same key cancels them
+// - retries idempotent requests (and requests marked retry: true) with backoff
+//   after network errors, timeouts and 502/503/504 responses
+// - parses JSON, accepts empty responses and rejects HTML pages with an error
+// - rejects with errors carrying a `type`: network, timeout, cancelled, auth,
+//   validation, client or server
+// - on 401 asks the registered reauthenticator (the login dialog of
+//   SessionWatchdog) to log in again and then repeats the request; without one,
+//   or when the user cancels, it runs the unauthorized handlers (e.g. saving the
+//   draft) and sends the user to the login page, returning here afterwards
+//
+// Pages without a CSRF token of their own (the widget's frame) keep it in
+// csrfToken instead of the page's meta tag and form fields.
+const ApiClient = {
+    csrfToken: null, // Set (even to '') to keep the token off the page
+    timeout: 15000,
+    retries: 2,
+    retryDelay: 500,
+    idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryStatuses: [502, 503, 504],
+    unauthorizedHandlers: [],
+    reauthenticator: null, // () => promise that resolves once logged in again
+    reauthentication: null, // Running reauthentication, shared by all waiting requests
+    activeRequests: {}, // key => AbortController of the latest request
+    clientOptions: ['timeout', 'retries', 'retry', 'key', 'handleAuth', 'signal'], // not passed to fetch
+    redirectingToLogin: false,
+
+    // Send a request. Options are those of fetch plus timeout, retries, key
+    // (cancel the previous request with the same key), retry (force retries
+    // for a non-idempotent call) and handleAuth (false to get the auth error
+    // instead of the login redirect). A plain object body is sent as JSON.
+    request: function(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const canRetry = options.retry !== undefined ? options.retry : this.idempotentMethods.includes(method);
+        const maxAttempts = canRetry ? 1 + (options.retries !== undefined ? options.retries : this.retries) : 1;
+
+        const attempt = (number) => this.send(url, method, options).catch(error => {
+            const retryable = error.type === 'network' || error.type === 'timeout' ||
+                (error.type === 'server' && this.retryStatuses.includes(error.status));
+
+            if (!retryable || number >= maxAttempts) {
+                throw error;
+            }
+
+            const delay = this.retryDelay * Math.pow(2, number - 1);
+            return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(number + 1));
+        });
+
+        return attempt(1).catch(error => {
+            if (error.type === 'auth' && options.handleAuth !== false) {
+                return this.handleUnauthorized().then(() => this.request(url, options));
+            }
+            throw error;
+        });
+    },
+
+    get: function(url, options = {}) {
+        return this.request(url, { ...options, method: 'GET' });
+    },
+
+    post: function(url, body, options = {}) {
+        return this.request(url, { ...options, method: 'POST', body: body });
+    },
+
+    delete: function(url, options = {}) {
+        return this.request(url, { ...options, method: 'DELETE' });
+    },
+
+    // Cancel the running request with this key, if any
+    cancel: function(key) {
+        const controller = this.activeRequests[key];
+        if (controller) {
+            controller.reason = 'cancelled';
+            controller.abort();
+            delete this.activeRequests[key];
+        }
+    },
+
+    // One attempt: fetch with timeout and cancellation, then parse the response
+    send: function(url, method, options) {
+        const controller = new AbortController();
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const timer = timeout > 0 ? setTimeout(() => {
+            controller.reason = 'timeout';
+            controller.abort();
+        }, timeout) : null;
+
+        if (options.key) {
+            this.cancel(options.key);
+            this.activeRequests[options.key] = controller;
+        }
+
+        const onCallerAbort = () => {
+            controller.reason = 'cancelled';
+            controller.abort();
+        };
+        if (options.signal) {
+            if (options.signal.aborted) {
+                onCallerAbort();
+            } else {
+                options.signal.addEventListener('abort', onCallerAbort, { once: true });
+            }
+        }
+
+        const fetchOptions = { ...options };
+        this.clientOptions.forEach(name => delete fetchOptions[name]);
+
+        return fetch(url, {
+            credentials: 'same-origin',
+            ...fetchOptions,
+            method: method,
+            headers: this.buildHeaders(method, options),
+            body: this.buildBody(options.body),
+            signal: controller.signal
+        })
+            .catch(error => {
+                if (controller.signal.aborted) {
+                    throw controller.reason === 'timeout' ?
+                        this.createError('timeout', I18n.t('api.timeout')) :
+                        this.createError('cancelled', I18n.t('api.cancelled'));
+                }
+                throw this.createError('network', I18n.t('api.network'), { cause: error });
+            })
+            .then(response => this.parseResponse(response))
+            .finally(() => {
+                clearTimeout(timer);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', onCallerAbort);
+                }
+                if (options.key && this.activeRequests[options.key] === controller) {
+                    delete this.activeRequests[options.key];
+                }
+            });
+    },
+
+    buildHeaders: function(method, options) {
+        const headers = { 'X-Requested-With': 'XMLHttpRequest', Accept: 'application/json' };
+
+        if (options.body !== undefined && !(options.body instanceof FormData) && !(options.body instanceof Blob)) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const token = this.getCsrfToken();
+        if (token && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+            headers['X-CSRF-Token'] = token;
+        }
+
+        return { ...headers, ...(options.headers || {}) };
+    },
+
+    buildBody: function(body) {
+        // Forms carry the token in a field; use the current one (it changes on login)
+        if (body instanceof FormData && body.has('csrf_token') && this.getCsrfToken()) {
+            body.set('csrf_token', this.getCsrfToken());
+        }
+
+        if (body === undefined || body === null || typeof body === 'string' || body instanceof FormData || body instanceof Blob) {
+            return body;
+        }
+        return JSON.stringify(body);
+    },
+
+    // The token rendered into the page (meta tag, or a form's hidden field)
+    getCsrfToken: function() {
+        if (this.csrfToken !== null) {
+            return this.csrfToken || null;
+        }
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.content) {
+            return meta.content;
+        }
+
+        const input = document.querySelector('input[name="csrf_token"]');
+        return input ? input.value : null;
+    },
+
+    // Resolve with the JSON data (null for an empty body) or reject with a typed error
+    parseResponse: function(response) {
+        return response.text().then(text => {
+            let data = null;
+
+            // A session that expired on the way is redirected to the login page
+            if (response.redirected && response.url && new URL(response.url).pathname.startsWith('/auth/login')) {
+                throw this.createError('auth', I18n.t('api.auth'), { status: 401 });
+            }
+
+            if (text.trim() !== '') {
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    // HTML error pages and other non-JSON bodies
+                    data = null;
+                }
+
+                if (data === null && response.ok) {
+                    throw this.createError('server', I18n.t('api.invalid_response'), { status: response.status });
+                }
+            }
+
+            if (response.ok) {
+                return data;
+            }
+
+            const message = (data && data.error) || I18n.t('api.http_error', { status: response.status });
+            const details = { status: response.status, data: data, errors: (data && data.errors) || {} };
+
+            if (response.status === 401) {
+                throw this.createError('auth', message, details);
+            }
+            if (response.status === 400 || response.status === 422) {
+                throw this.createError('validation', message, details);
+            }
+            throw this.createError(response.status >= 500 ? 'server' : 'client', message, details);
+        });
+    },
+
+    // Errors are plain Error objects with name ApiError and a type
+    createError: function(type, message, details = {}) {
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.type = type;
+        error.status = details.status || null;
+        error.data = details.data || null;
+        error.errors = details.errors || {};
+        if (details.cause) {
+            error.cause = details.cause;
+        }
+        return error;
+    },
+
+    isApiError: function(error) {
+        return Boolean(error) && error.name === 'ApiError';
+    },
+
+    // Run when a request finds the session gone, before leaving the page
+    onUnauthorized: function(handler) {
+        this.unauthorizedHandlers.push(handler);
+    },
+
+    setReauthenticator: function(reauthenticator) {
+        this.reauthenticator = reauthenticator;
+    },
+
+    // Log in again without leaving the page when possible. Resolves once the
+    // session is back; otherwise the login page takes over.
+    handleUnauthorized: function() {
+        if (!this.reauthenticator) {
+            return this.redirectToLogin();
+        }
+
+        if (!this.reauthentication) {
+            this.reauthentication = Promise.resolve()
+                .then(() => this.reauthenticator())
+                .finally(() => {
+                    this.reauthentication = null;
+                });
+        }
+
+        return this.reauthentication.catch(() => this.redirectToLogin());
+    },
+
+    // Update the CSRF token everywhere on the page after logging in again
+    setCsrfToken: function(token) {
+        if (this.csrfToken !== null) {
+            this.csrfToken = token;
+            return;
+        }
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta) {
+            meta.content = token;
+        }
+        document.querySelectorAll('input[name="csrf_token"]').forEach(input => {
+            input.value = token;
+        });
+    },
+
+    // Let pages save their work, then go to the login page and come back here.
+    // The returned promise never settles: the page is being left.
+    redirectToLogin: function() {
+        if (!this.redirectingToLogin) {
+            this.redirectingToLogin = true;
+
+            this.unauthorizedHandlers.forEach(handler => {
+                try {
+                    handler();
+                } catch (e) {
+                    console.error('Unauthorized handler failed:', e);
+                }
+            });
+
+            HelpDesk.Auth.redirectToLogin(window.location.pathname + window.location.search + window.location.hash);
+        }
+
+        return new Promise(() => {});
+    }
+};
+
+// Export for global use
+window.ApiClient = ApiClient;
@@ -5,6 +5,16 @@
 let autosaveTimer;
 let formValidationTimer;
 
+// Markup that may be inserted as it is: built by Utils.html, which escapes
+// the values it is given, or marked as trusted with Utils.trustedHtml
+function SafeHtml(markup) {
+    this.markup = markup;
+}
+
+SafeHtml.prototype.toString = function() {
+    return this.markup;
+};
+
 // Utility functions
 const Utils = {
     // Show loading overlay
@@ -17,12 +27,13 @@ const Utils = {
         document.getElementById('loadingOverlay').classList.add('d-none');
     },
 
-    // Show toast notification
-    showToast: function(message, type = 'info', duration = 5000) {
+    // Show toast notification, optionally with an action button ({ label, handler }).
+    // The message is text; markup only shows as such when made with Utils.html.
+    showToast: function(message, type = 'info', duration = 5000, action = null) {
         const toastContainer = document.querySelector('.toast-container');
         const toastId = 'toast-' + Date.now();
         
-        const toastHTML = `
+        this.insertHtml(toastContainer, 'beforeend', Utils.html`
             <div id="${toastId}" class="toast toast-${type}" role="alert" aria-live="assertive" aria-atomic="true">
                 <div class="toast-header">
                     <i class="bi bi-${this.getToastIcon(type)} me-2"></i>
@@ -31,14 +42,23 @@ const Utils = {
                 </div>
                 <div class="toast-body">
                     ${message}
+                    ${action && Utils.html`<div class="mt-2"><button type="button" class="btn btn-sm btn-light toast-action"></button></div>`}
                 </div>
             </div>
-        `;
-        
-        toastContainer.insertAdjacentHTML('beforeend', toastHTML);
+        `);
         
         const toastElement = document.getElementById(toastId);
         const toast = new bootstrap.Toast(toastElement, { delay: duration });
+        
+        if (action) {
+            const actionBtn = toastElement.querySelector('.toast-action');
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.hide();
+                action.handler();
+            });
+        }
+        
         toast.show();
         
         // Remove toast element after it's hidden
@@ -58,22 +78,84 @@ const Utils = {
     },
 
     getToastTitle: function(type) {
-        const titles = {
-            success: 'Success',
-            error: 'Error',
-            warning: 'Warning',
-            info: 'Information'
-        };
-        return titles[type] || 'Notification';
+        const key = `toast.title.${type}`;
+        return I18n.has(key) ? I18n.t(key) : I18n.t('toast.title.default');
+    },
+
+    // Read a message to screen-reader users through the polite live region
+    announce: function(message) {
+        const region = document.getElementById('liveAnnouncer');
+        if (!region) return;
+
+        // Clear first so that repeating the same message is announced again
+        clearTimeout(this.announceTimer);
+        region.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
     },
 
-    // Format file size
+    // Format file size in the current locale (e.g. "1.5 MB" / "1,5 MB")
     formatFileSize: function(bytes) {
-        if (bytes === 0) return '0 Bytes';
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1) : 0;
+        const value = bytes / Math.pow(k, i);
+
+        try {
+            return I18n.formatNumber(value, { style: 'unit', unit: units[i], unitDisplay: 'short', maximumFractionDigits: 2 });
+        } catch (e) {
+            // Browsers without unit formatting
+            return `${I18n.formatNumber(value, { maximumFractionDigits: 2 })} ${['B', 'KB', 'MB', 'GB'][i]}`;
+        }
+    },
+
+    // Format a date in the current locale
+    formatDate: function(value, options) {
+        return I18n.formatDate(value, options);
+    },
+
+    // Escape text for use in HTML, e.g. user input in a toast message
+    escapeHtml: function(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    },
+
+    // Markup from a template literal in which every value is escaped:
+    //   Utils.html`<span title="${title}">${text}</span>`
+    // Values made with Utils.html or Utils.trustedHtml are kept as markup, lists
+    // are joined, and null, undefined and false leave nothing.
+    html: function(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, index) =>
+            markup + Utils.toHtml(values[index - 1]) + string));
+    },
+
+    // Mark markup as safe to insert as it is. Only for markup that holds no
+    // text from users, files or the server.
+    trustedHtml: function(markup) {
+        return new SafeHtml(String(markup ?? ''));
+    },
+
+    // A value as markup: escaped, unless it was made with html or trustedHtml
+    toHtml: function(value) {
+        if (value instanceof SafeHtml) {
+            return value.markup;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Utils.toHtml(item)).join('');
+        }
+        return value === null || value === undefined || value === false ? '' : Utils.escapeHtml(value);
+    },
+
+    // Replace the content of an element; strings are shown as text
+    setHtml: function(element, content) {
+        element.innerHTML = this.toHtml(content);
+    },
+
+    // Insert markup at a position (see insertAdjacentHTML); strings are shown as text
+    insertHtml: function(element, position, content) {
+        element.insertAdjacentHTML(position, this.toHtml(content));
     },
 
     // Debounce function
@@ -93,30 +175,14 @@ const Utils = {
         };
     },
 
-    // API request helper
-    apiRequest: async function(url, options = {}) {
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        };
-
-        const config = { ...defaultOptions, ...options };
-        
-        try {
-            const response = await fetch(url, config);
-            const data = await response.json();
-            
-            if (!response.ok) {
-                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    // API request helper; see ApiClient for the options and error types
+    apiRequest: function(url, options = {}) {
+        return ApiClient.request(url, options).catch(error => {
+            if (error.type !== 'cancelled') {
+                console.error('API request failed:', error);
             }
-            
-            return data;
-        } catch (error) {
-            console.error('API request failed:', error);
             throw error;
-        }
+        });
     }
 };
 
@@ -127,9 +193,201 @@ const Auth = {
         return document.body.dataset.authenticated === 'true';
     },
 
-    // Redirect to login
-    redirectToLogin: function() {
-        window.location.href = '/auth/login';
+    // Redirect to login, optionally coming back to a page of this site afterwards
+    redirectToLogin: function(returnUrl) {
+        const query = returnUrl ? `?redirect=${encodeURIComponent(returnUrl)}` : '';
+        window.location.href = `/auth/login${query}`;
+    }
+};
+
+// Session expiry: warns before the session ends, extends it on request and,
+// once it has ended, logs the user in again in a dialog so the page (and any
+// form in progress) stays as it is
+const SessionWatchdog = {
+    warnBefore: 5 * 60 * 1000, // Show the warning this long before expiry
+    expiresAt: null, // Expiry as a local timestamp
+    warningTimer: null,
+    expiryTimer: null,
+    countdownTimer: null,
+    pendingLogin: null, // { resolve, reject } of the open login dialog
+
+    // Ask the server how long the session lasts and start watching
+    start: function() {
+        if (!Auth.isAuthenticated() || !document.getElementById('sessionLoginModal')) return;
+
+        ApiClient.setReauthenticator(() => this.requestLogin());
+        this.setupDialogs();
+
+        ApiClient.get('/api/session', { handleAuth: false })
+            .then(data => this.schedule(data ? data.expires_in : null))
+            .catch(error => {
+                if (error.type === 'auth') {
+                    this.expire();
+                }
+            });
+    },
+
+    setupDialogs: function() {
+        const keepAliveBtn = document.getElementById('sessionKeepAlive');
+        if (keepAliveBtn) {
+            keepAliveBtn.addEventListener('click', () => this.keepAlive());
+        }
+
+        const loginForm = document.getElementById('sessionLoginForm');
+        loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(loginForm);
+        });
+
+        // Closing the login dialog without logging in gives up
+        document.getElementById('sessionLoginModal').addEventListener('hidden.bs.modal', () => {
+            if (this.pendingLogin) {
+                this.pendingLogin.reject(new Error('Login cancelled'));
+                this.pendingLogin = null;
+            }
+        });
+
+        document.getElementById('sessionWarningModal').addEventListener('hidden.bs.modal', () => {
+            clearInterval(this.countdownTimer);
+        });
+    },
+
+    // Plan the warning and the expiry; null means the session does not expire
+    schedule: function(expiresIn) {
+        clearTimeout(this.warningTimer);
+        clearTimeout(this.expiryTimer);
+
+        if (expiresIn === null || expiresIn === undefined) {
+            this.expiresAt = null;
+            return;
+        }
+
+        this.expiresAt = Date.now() + expiresIn * 1000;
+        this.warningTimer = setTimeout(() => this.showWarning(), Math.max(0, this.expiresAt - Date.now() - this.warnBefore));
+        this.expiryTimer = setTimeout(() => this.expire(), Math.max(0, this.expiresAt - Date.now()));
+    },
+
+    // Show the warning with a countdown to the expiry
+    showWarning: function() {
+        const modal = document.getElementById('sessionWarningModal');
+        const text = document.getElementById('sessionWarningText');
+
+        const update = () => {
+            const seconds = Math.max(0, Math.round((this.expiresAt - Date.now()) / 1000));
+            const minutes = Math.floor(seconds / 60);
+            text.textContent = I18n.t('session.expires_in', {
+                time: `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+            });
+        };
+
+        update();
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = setInterval(update, 1000);
+
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+        Utils.announce(text.textContent);
+    },
+
+    // Extend the session ("stay signed in")
+    keepAlive: function() {
+        const button = document.getElementById('sessionKeepAlive');
+        button.disabled = true;
+
+        ApiClient.post('/api/session/keepalive', {}, { handleAuth: false })
+            .then(data => {
+                this.schedule(data ? data.expires_in : null);
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('sessionWarningModal')).hide();
+                Utils.showToast(I18n.t('session.extended'), 'success');
+            })
+            .catch(error => {
+                if (error.type === 'auth') {
+                    this.expire();
+                } else {
+                    Utils.showToast(error.message, 'error');
+                }
+            })
+            .finally(() => {
+                button.disabled = false;
+            });
+    },
+
+    // The session has ended: ask for the password right away
+    expire: function() {
+        this.schedule(null);
+
+        const askForLogin = () => {
+            this.requestLogin().catch(() => {
+                // The next request asks again
+            });
+        };
+
+        // Bootstrap shows one dialog at a time
+        const warning = document.getElementById('sessionWarningModal');
+        if (warning.classList.contains('show')) {
+            warning.addEventListener('hidden.bs.modal', askForLogin, { once: true });
+            bootstrap.Modal.getOrCreateInstance(warning).hide();
+        } else {
+            askForLogin();
+        }
+    },
+
+    // Open the login dialog; resolves once logged in again
+    requestLogin: function() {
+        if (!this.pendingLogin) {
+            const loginPromise = new Promise((resolve, reject) => {
+                this.pendingLogin = { resolve, reject };
+            });
+            this.pendingLogin.promise = loginPromise;
+
+            const modal = document.getElementById('sessionLoginModal');
+            const error = document.getElementById('sessionLoginError');
+            error.classList.add('d-none');
+            modal.querySelector('input[name="password"]').value = '';
+
+            modal.addEventListener('shown.bs.modal', () => {
+                modal.querySelector('input[name="password"]').focus();
+            }, { once: true });
+            bootstrap.Modal.getOrCreateInstance(modal).show();
+        }
+
+        return this.pendingLogin.promise;
+    },
+
+    // Log in with the dialog's form; the new session gets a new CSRF token
+    login: function(form) {
+        const error = document.getElementById('sessionLoginError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        error.classList.add('d-none');
+
+        ApiClient.post('/auth/login', new FormData(form), { handleAuth: false })
+            .then(data => {
+                // Someone else logged in: this page belongs to the previous user
+                if (data.email !== document.body.dataset.userEmail) {
+                    window.location.reload();
+                    return;
+                }
+
+                ApiClient.setCsrfToken(data.csrf_token);
+                this.schedule(data.expires_in);
+
+                const pending = this.pendingLogin;
+                this.pendingLogin = null;
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('sessionLoginModal')).hide();
+                Utils.showToast(I18n.t('session.restored'), 'success');
+
+                if (pending) {
+                    pending.resolve();
+                }
+            })
+            .catch(err => {
+                const key = `session.login_error.${err.data && err.data.error}`;
+                error.textContent = I18n.has(key) ? I18n.t(key) : err.message;
+                error.classList.remove('d-none');
+            })
+            .finally(() => {
+                submitBtn.disabled = false;
+            });
     }
 };
 
@@ -137,7 +395,15 @@ const Auth = {
 const FormValidator = {
     // Validate entire form
     validateForm: function(formElement) {
-        const fields = formElement.querySelectorAll('[required]');
+        // Required fields plus fields with YAML rules, once per name (checkbox
+        // groups); rows of repeatable groups that were left empty are skipped
+        const seen = new Set();
+        const fields = Array.from(formElement.querySelectorAll('input, select, textarea')).filter(field => {
+            const name = this.getFieldName(field);
+            if (seen.has(name) || !(field.hasAttribute('required') || this.hasRules(name))) return false;
+            seen.add(name);
+            return !this.isInEmptyRow(field);
+        });
         let isValid = true;
         const errors = [];
 
@@ -152,19 +418,60 @@ const FormValidator = {
             }
         });
 
+        // Repeatable groups as a whole: required and the number of rows
+        formElement.querySelectorAll('.field-group[data-group]').forEach(group => {
+            const groupValid = this.validateGroup(group);
+            if (!groupValid.isValid) {
+                isValid = false;
+                errors.push({
+                    field: group.dataset.group,
+                    message: groupValid.message
+                });
+            }
+        });
+
         return { isValid, errors };
     },
 
+    // Validate the rows of a repeatable group (the element with data-group)
+    validateGroup: function(group) {
+        const name = group.dataset.group;
+        if (!this.hasRules(name)) {
+            return { isValid: true };
+        }
+
+        const result = ValidationEngine.validate(name);
+        if (!result.isValid) {
+            this.setFieldError(group, result.message);
+            return { isValid: false, message: result.message };
+        }
+
+        this.clearFieldValidation(group);
+        return { isValid: true };
+    },
+
+    // Whether a field is in a row of a repeatable group with nothing filled in
+    isInEmptyRow: function(field) {
+        const row = field.closest('[data-group-row]');
+        return Boolean(row) && typeof window.GroupField !== 'undefined' && GroupField.isRowEmpty(row);
+    },
+
     // Validate individual field
     validateField: function(field) {
+        // Fields defined in form_fields.yaml use the shared rule engine
+        if (this.hasRules(this.getFieldName(field))) {
+            return this.validateWithRules(field);
+        }
+
         const value = field.value.trim();
         const type = field.type;
         const required = field.hasAttribute('required');
         
         // Check if required field is empty
         if (required && !value) {
-            this.setFieldError(field, 'This field is required');
-            return { isValid: false, message: 'This field is required' };
+            const message = I18n.t('validation.required');
+            this.setFieldError(field, message);
+            return { isValid: false, message: message };
         }
 
         // Type-specific validation
@@ -172,14 +479,16 @@ const FormValidator = {
             switch (type) {
                 case 'email':
                     if (!this.isValidEmail(value)) {
-                        this.setFieldError(field, 'Please enter a valid email address');
-                        return { isValid: false, message: 'Invalid email format' };
+                        const message = I18n.t('validation.email');
+                        this.setFieldError(field, message);
+                        return { isValid: false, message: message };
                     }
                     break;
                 case 'date':
                     if (!this.isValidDate(value)) {
-                        this.setFieldError(field, 'Please enter a valid date');
-                        return { isValid: false, message: 'Invalid date format' };
+                        const message = I18n.t('validation.date');
+                        this.setFieldError(field, message);
+                        return { isValid: false, message: message };
                     }
                     break;
             }
@@ -187,8 +496,9 @@ const FormValidator = {
             // Length validation
             const maxLength = field.getAttribute('maxlength');
             if (maxLength && value.length > parseInt(maxLength)) {
-                this.setFieldError(field, `Maximum ${maxLength} characters allowed`);
-                return { isValid: false, message: `Exceeds maximum length of ${maxLength}` };
+                const message = I18n.t('validation.max_length', { max: maxLength });
+                this.setFieldError(field, message);
+                return { isValid: false, message: message };
             }
         }
 
@@ -196,6 +506,41 @@ const FormValidator = {
         return { isValid: true };
     },
 
+    // Validate a field with ValidationEngine; rules it cannot evaluate are
+    // checked by the server in the background
+    validateWithRules: function(field) {
+        const name = this.getFieldName(field);
+        const result = ValidationEngine.validate(name);
+
+        if (!result.isValid) {
+            this.setFieldError(field, result.message);
+            return { isValid: false, message: result.message };
+        }
+
+        if (result.needsRemote) {
+            ValidationEngine.validateRemote(name)
+                .then(message => {
+                    if (message) {
+                        this.setFieldError(field, message);
+                    }
+                })
+                .catch(() => {
+                    // The server validates again on submit
+                });
+        }
+
+        this.setFieldValid(field);
+        return { isValid: true };
+    },
+
+    hasRules: function(name) {
+        return typeof window.ValidationEngine !== 'undefined' && ValidationEngine.hasField(name);
+    },
+
+    getFieldName: function(field) {
+        return (field.name || '').replace('[]', '');
+    },
+
     // Email validation
     isValidEmail: function(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -213,48 +558,100 @@ const FormValidator = {
         field.classList.add('is-invalid');
         field.classList.remove('is-valid');
         
-        const feedback = field.parentNode.querySelector('.invalid-feedback');
+        const feedback = this.getFeedbackElement(field);
         if (feedback) {
             feedback.textContent = message;
+            feedback.classList.add('d-block');
         }
+        this.setAccessibleState(field, true, feedback);
     },
 
     // Set field valid state
     setFieldValid: function(field) {
         field.classList.add('is-valid');
         field.classList.remove('is-invalid');
+        this.setAccessibleState(field, false, this.getFeedbackElement(field));
     },
 
     // Clear field validation state
     clearFieldValidation: function(field) {
         field.classList.remove('is-valid', 'is-invalid');
+        this.setAccessibleState(field, false, this.getFeedbackElement(field));
+    },
+
+    // The error message element of a field (checkbox groups and file fields
+    // share one per group)
+    getFeedbackElement: function(field) {
+        const group = field.closest('.form-group') || field.parentNode;
+        const feedback = group.querySelector('.invalid-feedback');
+
+        if (feedback && !feedback.id) {
+            feedback.id = `${field.id || this.getFieldName(field)}_error`;
+        }
+        return feedback;
+    },
+
+    // Mirror the error state in aria-invalid and aria-describedby on every
+    // input of the group, and on the drop zone that stands in for a file input
+    setAccessibleState: function(field, invalid, feedback) {
+        const inputs = field.form && field.name ?
+            Array.from(field.form.querySelectorAll(`[name="${CSS.escape(field.name)}"]`)) :
+            [field];
+
+        inputs.forEach(input => {
+            if (invalid) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+        });
+
+        if (!feedback) return;
+
+        if (!invalid) {
+            feedback.classList.remove('d-block');
+        }
+
+        const dropZone = field.type === 'file' ? field.closest('.file-drop-zone') : null;
+        inputs.concat(dropZone ? [dropZone] : []).forEach(element => {
+            this.toggleDescribedBy(element, feedback.id, invalid);
+        });
+    },
+
+    // Add or remove one id in aria-describedby, keeping the others
+    toggleDescribedBy: function(element, id, add) {
+        const ids = (element.getAttribute('aria-describedby') || '')
+            .split(/\s+/)
+            .filter(item => item && item !== id);
+
+        if (add) {
+            ids.push(id);
+        }
+
+        if (ids.length > 0) {
+            element.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
     }
 };
 
 // Progress tracking
 const ProgressTracker = {
+    lastAnnounced: null, // Progress last read out to screen readers
+
     // Update form progress
     updateProgress: function() {
         const form = document.getElementById('helpdeskForm');
         if (!form) return;
 
-        const fields = form.querySelectorAll('input, select, textarea');
         const requiredFields = form.querySelectorAll('[required]');
         
-        let totalFields = 0;
-        let completedFields = 0;
-        let requiredCompleted = 0;
-
         // Count all visible fields
-        fields.forEach(field => {
-            const fieldContainer = field.closest('.field-container');
-            if (fieldContainer && !fieldContainer.classList.contains('d-none')) {
-                totalFields++;
-                if (this.isFieldCompleted(field)) {
-                    completedFields++;
-                }
-            }
-        });
+        const counts = this.countFields(form);
+        const totalFields = counts.total;
+        const completedFields = counts.completed;
+        let requiredCompleted = 0;
 
         // Count required fields
         requiredFields.forEach(field => {
@@ -281,6 +678,13 @@ const ProgressTracker = {
         if (completedCounter) completedCounter.textContent = completedFields;
         if (totalCounter) totalCounter.textContent = totalFields;
 
+        // Announce when a field gets completed or emptied, not on page load
+        const progressKey = `${completedFields}/${totalFields}`;
+        if (this.lastAnnounced !== null && this.lastAnnounced !== progressKey) {
+            Utils.announce(I18n.t('progress.completed', { completed: completedFields, total: totalFields }));
+        }
+        this.lastAnnounced = progressKey;
+
         // Update field progress list
         this.updateFieldProgressList();
 
@@ -288,10 +692,58 @@ const ProgressTracker = {
             total: totalFields,
             completed: completedFields,
             percentage: progressPercentage,
-            requiredCompleted: requiredCompleted
+            requiredCompleted: requiredCompleted,
+            steps: this.updateStepProgress(form)
         };
     },
 
+    // Count the fields in a container that are not hidden by a condition
+    countFields: function(container) {
+        let total = 0;
+        let completed = 0;
+
+        container.querySelectorAll('input, select, textarea').forEach(field => {
+            const fieldContainer = field.closest('.field-container');
+            if (fieldContainer && !fieldContainer.classList.contains('d-none') && !field.closest('.field-group')) {
+                total++;
+                if (this.isFieldCompleted(field)) {
+                    completed++;
+                }
+            }
+        });
+
+        // A repeatable group counts as one field, however many rows it has
+        container.querySelectorAll('.field-group').forEach(group => {
+            const fieldContainer = group.closest('.field-container');
+            if (fieldContainer && !fieldContainer.classList.contains('d-none')) {
+                total++;
+                if (this.isGroupCompleted(group)) {
+                    completed++;
+                }
+            }
+        });
+
+        return { total, completed };
+    },
+
+    // Update completion per wizard step in the step indicator
+    updateStepProgress: function(form) {
+        return Array.from(form.querySelectorAll('.form-step')).map(step => {
+            const counts = this.countFields(step);
+            const indicator = form.querySelector(`[data-step-progress="${step.dataset.step}"]`);
+
+            if (indicator) {
+                indicator.textContent = `${counts.completed}/${counts.total}`;
+            }
+            const stepItem = form.querySelector(`.wizard-step[data-step="${step.dataset.step}"]`);
+            if (stepItem) {
+                stepItem.classList.toggle('completed', counts.total > 0 && counts.completed === counts.total);
+            }
+
+            return counts;
+        });
+    },
+
     // Check if field is completed
     isFieldCompleted: function(field) {
         if (field.type === 'checkbox') {
@@ -303,6 +755,16 @@ const ProgressTracker = {
         }
     },
 
+    // A group is complete with at least one filled-in row, when every row that
+    // is not empty has its required fields filled in
+    isGroupCompleted: function(group) {
+        const rows = Array.from(group.querySelectorAll('[data-group-row]'))
+            .map(row => Array.from(row.querySelectorAll('input, select, textarea')))
+            .filter(inputs => inputs.some(input => this.isFieldCompleted(input)));
+
+        return rows.length > 0 && rows.every(inputs => inputs.every(input => !input.hasAttribute('required') || this.isFieldCompleted(input)));
+    },
+
     // Update field progress list in sidebar
     updateFieldProgressList: function() {
         const progressContainer = document.getElementById('fieldProgress');
@@ -311,13 +773,14 @@ const ProgressTracker = {
         const form = document.getElementById('helpdeskForm');
         const fieldContainers = form.querySelectorAll('.field-container:not(.d-none)');
         
-        let progressHTML = '';
+        const items = [];
         
         fieldContainers.forEach(container => {
-            const field = container.querySelector('input, select, textarea');
+            const group = container.querySelector('.field-group');
+            const field = group || container.querySelector('input, select, textarea');
             const label = container.querySelector('label');
-            const isRequired = field && field.hasAttribute('required');
-            const isCompleted = field && this.isFieldCompleted(field);
+            const isRequired = group ? container.dataset.required === 'true' : field && field.hasAttribute('required');
+            const isCompleted = group ? this.isGroupCompleted(group) : field && this.isFieldCompleted(field);
             
             if (field && label) {
                 const iconClass = isCompleted ? 'bi-check-circle-fill' : 
@@ -325,21 +788,22 @@ const ProgressTracker = {
                 const statusClass = isCompleted ? 'completed' : 
                                   isRequired ? 'required incomplete' : 'incomplete';
                 
-                progressHTML += `
+                items.push(Utils.html`
                     <div class="field-progress-item ${statusClass}">
                         <i class="bi ${iconClass} field-progress-icon"></i>
                         <span>${label.textContent.replace('*', '').trim()}</span>
                     </div>
-                `;
+                `);
             }
         });
         
-        progressContainer.innerHTML = progressHTML;
+        Utils.setHtml(progressContainer, items);
     }
 };
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
+    I18n.setLocale(I18n.detectLocale());
     console.log('Support Portal - Application initialized');
     
     // Initialize Bootstrap tooltips
@@ -369,13 +833,16 @@ document.addEventListener('DOMContentLoaded', function() {
         }, 5000);
     });
 
+    // Watch for the session running out
+    SessionWatchdog.start();
+
     // Initialize logout form handling
     const logoutForms = document.querySelectorAll('form[action="/auth/logout"]');
     logoutForms.forEach(function(form) {
         form.addEventListener('submit', function(event) {
             event.preventDefault();
             
-            if (confirm('Are you sure you want to logout?')) {
+            if (confirm(I18n.t('auth.logout_confirm'))) {
                 Utils.showLoading();
                 form.submit();
             }
@@ -387,6 +854,7 @@ document.addEventListener('DOMContentLoaded', function() {
 window.HelpDesk = {
     Utils,
     Auth,
+    SessionWatchdog,
     FormValidator,
     ProgressTracker
 };
@@ -0,0 +1,235 @@
+// Autocomplete fields for the Support Portal
+'use strict';
+
+// Suggestions for `type: autocomplete` fields (form/fields/autocomplete.html).
+// Once the user stops typing, the field's source (/api/directory for people) is
+// searched and the matches are listed under the input, an ARIA combobox with a
+// listbox. Arrow keys move through the list, Enter or a click picks a match and
+// Escape closes it. Picking a person puts one of their attributes in the field
+// (data-value, the name by default) and hands the person to onSelect, which
+// fills the fields of data-fill, e.g. the manager's email address. The value
+// stays free text: the suggestions help, they do not restrict.
+const AutocompleteField = {
+    sources: {
+        directory: '/api/directory'
+    },
+    fields: {}, // field name => { input, menu, endpoint, valueKey, fill, minChars, results, active, picked, onSelect }
+    cache: {}, // endpoint and query => results
+    delay: 300,
+
+    // Bind the input and suggestion list of a wrapper (data-autocomplete).
+    // Options: onSelect(result, fill), called after the field's own value is set.
+    setup: function(wrapper, options = {}) {
+        const input = wrapper.querySelector('input[role="combobox"]');
+        const menu = wrapper.querySelector('[role="listbox"]');
+        const endpoint = this.sources[wrapper.dataset.autocomplete];
+        if (!input || !menu || !endpoint) return false;
+
+        const name = input.name;
+        this.fields[name] = {
+            input: input,
+            menu: menu,
+            endpoint: endpoint,
+            valueKey: wrapper.dataset.value || 'name',
+            fill: this.parseFill(wrapper.dataset.fill),
+            minChars: parseInt(wrapper.dataset.minChars || '2', 10),
+            results: [],
+            active: -1,
+            picked: null, // Value of the last pick, not searched again
+            onSelect: options.onSelect
+        };
+
+        const debouncedSearch = HelpDesk.Utils.debounce(() => this.search(name), this.delay);
+        input.addEventListener('input', () => {
+            if (this.fields[name] && input.value !== this.fields[name].picked) {
+                debouncedSearch();
+            }
+        });
+        input.addEventListener('keydown', (e) => this.handleKeydown(name, e));
+        input.addEventListener('blur', () => this.close(name));
+
+        // Clicking a suggestion must not move the focus out of the input
+        menu.addEventListener('mousedown', (e) => e.preventDefault());
+        menu.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"][data-index]');
+            if (option) {
+                this.select(name, parseInt(option.dataset.index, 10));
+            }
+        });
+
+        return true;
+    },
+
+    // data-fill holds { field: attribute } as JSON
+    parseFill: function(json) {
+        try {
+            const fill = JSON.parse(json || '{}');
+            return fill && typeof fill === 'object' && !Array.isArray(fill) ? fill : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    // Look up the typed text; a newer search cancels the one still running
+    search: function(name) {
+        const field = this.fields[name];
+        if (!field) return Promise.resolve();
+
+        const query = field.input.value.trim();
+        if (query.length < field.minChars || field.input.readOnly || document.activeElement !== field.input) {
+            field.results = [];
+            this.close(name);
+            return Promise.resolve();
+        }
+
+        const url = `${field.endpoint}?q=${encodeURIComponent(query)}`;
+        if (this.cache[url]) {
+            field.results = this.cache[url];
+            this.render(name);
+            return Promise.resolve();
+        }
+
+        // Earlier suggestions stay in view until the new ones arrive
+        if (field.menu.classList.contains('d-none')) {
+            this.renderStatus(name, I18n.t('autocomplete.searching'));
+        }
+
+        return ApiClient.get(url, { key: `autocomplete-${name}`, retries: 0 }).then(response => {
+            this.cache[url] = (response && response.data) || [];
+
+            // The user typed on or left the field while the server answered
+            if (field.input.value.trim() !== query || document.activeElement !== field.input) return;
+
+            field.results = this.cache[url];
+            this.render(name);
+        }).catch(error => {
+            if (error.type === 'cancelled') return;
+
+            field.results = [];
+            this.renderStatus(name, I18n.t('autocomplete.error'));
+        });
+    },
+
+    handleKeydown: function(name, e) {
+        const field = this.fields[name];
+        const isOpen = !field.menu.classList.contains('d-none');
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.search(name);
+                    return;
+                }
+                this.move(name, e.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'Enter':
+                // Pick the highlighted person instead of submitting the form
+                if (isOpen && field.active >= 0) {
+                    e.preventDefault();
+                    this.select(name, field.active);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close(name);
+                }
+                break;
+        }
+    },
+
+    // Highlight the next (1) or previous (-1) suggestion, wrapping around
+    move: function(name, offset) {
+        const field = this.fields[name];
+        const options = Array.from(field.menu.querySelectorAll('[role="option"][data-index]'));
+        if (options.length === 0) return;
+
+        field.active = field.active < 0 && offset < 0 ?
+            options.length - 1 :
+            (field.active + offset + options.length) % options.length;
+
+        options.forEach((option, index) => {
+            const active = index === field.active;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', active ? 'true' : 'false');
+        });
+
+        const active = options[field.active];
+        field.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    },
+
+    // Put the picked person in the field and let onSelect fill the other fields;
+    // the change event then records it all as one edit
+    select: function(name, index) {
+        const field = this.fields[name];
+        const result = field.results[index];
+        if (!result) return;
+
+        field.input.value = String(result[field.valueKey] || '');
+        field.picked = field.input.value;
+        this.close(name);
+
+        if (typeof field.onSelect === 'function') {
+            field.onSelect(result, field.fill);
+        }
+
+        field.input.dispatchEvent(new Event('change', { bubbles: true }));
+        HelpDesk.Utils.announce(I18n.t('autocomplete.selected', { name: result.name || field.input.value }));
+    },
+
+    render: function(name) {
+        const field = this.fields[name];
+        if (field.results.length === 0) {
+            this.renderStatus(name, I18n.t('autocomplete.no_results'));
+            return;
+        }
+
+        const html = HelpDesk.Utils.html;
+        field.active = -1;
+        HelpDesk.Utils.setHtml(field.menu, field.results.map((result, index) => {
+            const details = [result.email, result.title, result.department].filter(Boolean).join(' · ');
+            return html`
+                <li class="list-group-item list-group-item-action" id="${name}_option_${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="fw-semibold">${result.name}</span>
+                    ${details && html`<small class="d-block text-muted">${details}</small>`}
+                </li>`;
+        }));
+
+        this.open(name);
+        HelpDesk.Utils.announce(I18n.t('autocomplete.results', { count: field.results.length }));
+    },
+
+    // A line in the list that cannot be picked: searching, nothing found, error
+    renderStatus: function(name, message) {
+        const field = this.fields[name];
+        field.active = -1;
+        HelpDesk.Utils.setHtml(field.menu, HelpDesk.Utils.html`<li class="list-group-item small text-muted" role="option" aria-disabled="true" aria-selected="false">${message}</li>`);
+        this.open(name);
+        HelpDesk.Utils.announce(message);
+    },
+
+    open: function(name) {
+        const field = this.fields[name];
+        field.input.removeAttribute('aria-activedescendant');
+        field.menu.classList.remove('d-none');
+        field.input.setAttribute('aria-expanded', 'true');
+    },
+
+    close: function(name) {
+        const field = this.fields[name];
+        if (!field) return;
+
+        field.active = -1;
+        field.menu.classList.add('d-none');
+        field.menu.innerHTML = '';
+        field.input.setAttribute('aria-expanded', 'false');
+        field.input.removeAttribute('aria-activedescendant');
+    }
+};
+
+// Export for global use
+window.AutocompleteField = AutocompleteField;
@@ -0,0 +1,106 @@
+// Computed fields for the Support Portal
+'use strict';
+
+// Values derived from other fields, configured with `computed` in
+// form_fields.yaml:
+//   matrix      a lookup table, e.g. the priority for an impact and an urgency
+//   days_until  the number of days from today to a date field
+//   template    text with {field} placeholders; a part in [brackets] is left
+//               out when one of its fields is empty
+// FormHandler computes them again whenever a field changes. Locked fields
+// (mode: lock, the default) always show the computed value; suggested ones
+// (mode: suggest) follow it until the user picks another value. The server
+// computes the same values on submit (ComputedFieldService), so keep the two
+// in step.
+const ComputedFields = {
+    placeholder: /\{([A-Za-z0-9_]+)\}/g,
+
+    // The computed fields of a form: { name, spec, mode, sources } for each
+    // field whose sources are all on the form
+    compile: function(fields) {
+        const names = new Set((fields || []).map(field => field.name));
+
+        return (fields || [])
+            .filter(field => field.computed && typeof field.computed === 'object')
+            .map(field => ({
+                name: field.name,
+                spec: field.computed,
+                mode: field.computed.mode === 'suggest' ? 'suggest' : 'lock',
+                sources: this.sources(field.computed)
+            }))
+            .filter(computed => computed.sources.length > 0 && computed.sources.every(name => names.has(name)));
+    },
+
+    // Names of the fields a computed field depends on
+    sources: function(spec) {
+        if (spec.matrix) {
+            return [spec.matrix.row, spec.matrix.column].filter(Boolean);
+        }
+        if (spec.days_until) {
+            return [String(spec.days_until)];
+        }
+        if (spec.template) {
+            return Array.from(new Set(Array.from(String(spec.template).matchAll(this.placeholder), match => match[1])));
+        }
+        return [];
+    },
+
+    // The computed value, or '' when the fields it depends on are empty.
+    // `resolve` maps a field name to its current value.
+    compute: function(spec, resolve, today = new Date()) {
+        if (spec.matrix) {
+            const row = (spec.matrix.values || {})[this.toText(resolve(spec.matrix.row))];
+            const result = row ? row[this.toText(resolve(spec.matrix.column))] : undefined;
+            return result === undefined || result === null || typeof result === 'object' ? '' : String(result);
+        }
+        if (spec.days_until) {
+            return this.daysUntil(this.toText(resolve(spec.days_until)), today);
+        }
+        if (spec.template) {
+            return this.renderTemplate(String(spec.template), resolve);
+        }
+        return '';
+    },
+
+    // Whole days from today (the user's date) to a YYYY-MM-DD date
+    daysUntil: function(date, today) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+        if (!match) return '';
+
+        const target = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        if (target.toISOString().slice(0, 10) !== date) return '';
+
+        const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+        return String(Math.round((target.getTime() - start) / 86400000));
+    },
+
+    renderTemplate: function(template, resolve) {
+        const text = template.replace(/\[([^\]]*)\]|\{([A-Za-z0-9_]+)\}/g, (match, part, name) => {
+            if (name !== undefined) {
+                return this.toText(resolve(name));
+            }
+
+            // An optional part: all of its fields or nothing
+            let complete = true;
+            const filled = part.replace(this.placeholder, (placeholder, partName) => {
+                const value = this.toText(resolve(partName));
+                complete = complete && value !== '';
+                return value;
+            });
+            return complete ? filled : '';
+        });
+
+        return text.replace(/\s+/g, ' ').trim();
+    },
+
+    // Lists (checkbox groups) as "a, b"
+    toText: function(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.toText(item)).filter(Boolean).join(', ');
+        }
+        return value === null || value === undefined || typeof value === 'object' ? '' : String(value).trim();
+    }
+};
+
+// Export for global use
+window.ComputedFields = ComputedFields;
@@ -0,0 +1,208 @@
+// Named drafts for the Support Portal
+'use strict';
+
+// Named drafts are kept on the server per user, so several requests of the same
+// type can be prepared side by side (e.g. one onboarding request per new hire).
+// This wraps the /api/drafts endpoints and renders the drafts list on the index
+// page and in the form sidebar, with restore, duplicate and delete actions.
+const DraftList = {
+    endpoint: '/api/drafts',
+    container: null,
+    drafts: [],
+    options: {},
+
+    // Render the drafts in `container` (a list element whose data-drafts holds
+    // the initial drafts). Options: requestType (only list that type),
+    // typeLabels (type => label, shown when listing all types), currentId (the
+    // draft open in the form), onRestore(draft) to open a draft without leaving
+    // the page, and onDelete(draft).
+    init: function(container, options = {}) {
+        this.container = container;
+        this.options = options;
+
+        try {
+            this.drafts = JSON.parse(container.dataset.drafts || '[]');
+        } catch (e) {
+            console.error('Failed to parse drafts:', e);
+            this.drafts = [];
+        }
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-draft-action]');
+            if (!button || !container.contains(button)) return;
+
+            const item = button.closest('[data-draft-id]');
+            const draft = this.drafts.find(candidate => candidate.id === item.dataset.draftId);
+            if (draft) {
+                this.handleAction(button.dataset.draftAction, draft, e);
+            }
+        });
+
+        this.render();
+    },
+
+    handleAction: function(action, draft, event) {
+        if (action === 'restore') {
+            // Links open the draft's form; the form page loads it in place instead
+            if (typeof this.options.onRestore === 'function') {
+                event.preventDefault();
+                this.options.onRestore(draft);
+            }
+            return;
+        }
+
+        if (action === 'duplicate') {
+            this.duplicate(draft.id, I18n.t('drafts.copy_name', { name: draft.name }))
+                .then(copy => {
+                    HelpDesk.Utils.showToast(I18n.t('drafts.duplicated', { name: copy.name }), 'success');
+                    return this.refresh();
+                })
+                .catch(error => HelpDesk.Utils.showToast(error.message, 'error'));
+            return;
+        }
+
+        if (action === 'delete') {
+            if (!confirm(I18n.t('drafts.delete_confirm', { name: draft.name }))) {
+                return;
+            }
+
+            this.remove(draft.id)
+                .then(() => {
+                    HelpDesk.Utils.showToast(I18n.t('drafts.deleted', { name: draft.name }), 'info');
+                    if (typeof this.options.onDelete === 'function') {
+                        this.options.onDelete(draft);
+                    }
+                    return this.refresh();
+                })
+                .catch(error => HelpDesk.Utils.showToast(error.message, 'error'));
+        }
+    },
+
+    // Reload the list from the server
+    refresh: function() {
+        if (!this.container) {
+            return Promise.resolve();
+        }
+
+        return this.list(this.options.requestType).then(drafts => {
+            this.drafts = drafts;
+            this.render();
+        });
+    },
+
+    // Mark the draft that is open in the form
+    setCurrent: function(draftId) {
+        this.options.currentId = draftId;
+        this.render();
+    },
+
+    render: function() {
+        if (!this.container) return;
+
+        this.container.replaceChildren(...this.drafts.map(draft => this.createItem(draft)));
+
+        const empty = document.getElementById(this.container.dataset.emptyTarget || '');
+        if (empty) {
+            empty.classList.toggle('d-none', this.drafts.length > 0);
+        }
+    },
+
+    // One list item; names are user input and only ever set as text
+    createItem: function(draft) {
+        const isCurrent = draft.id === this.options.currentId;
+        const item = document.createElement('li');
+        item.className = `list-group-item d-flex align-items-start gap-2${isCurrent ? ' list-group-item-primary' : ''}`;
+        item.dataset.draftId = draft.id;
+
+        const details = document.createElement('div');
+        details.className = 'flex-grow-1 text-break';
+
+        const link = document.createElement('a');
+        link.href = this.url(draft);
+        link.className = 'fw-semibold text-decoration-none';
+        link.dataset.draftAction = 'restore';
+        link.textContent = draft.name;
+        if (isCurrent) {
+            link.setAttribute('aria-current', 'true');
+        }
+        details.appendChild(link);
+
+        if (isCurrent) {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-primary ms-2';
+            badge.textContent = I18n.t('drafts.current');
+            details.appendChild(badge);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'small text-muted';
+        const edited = I18n.t('drafts.last_edited', { date: HelpDesk.Utils.formatDate(draft.updated_at) });
+        const typeLabel = this.options.typeLabels && this.options.typeLabels[draft.request_type];
+        meta.textContent = typeLabel ? `${typeLabel} · ${edited}` : edited;
+        details.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'btn-group btn-group-sm flex-shrink-0';
+        actions.appendChild(this.createButton('duplicate', 'bi-copy', I18n.t('drafts.duplicate', { name: draft.name })));
+        actions.appendChild(this.createButton('delete', 'bi-trash', I18n.t('drafts.delete', { name: draft.name })));
+
+        item.appendChild(details);
+        item.appendChild(actions);
+        return item;
+    },
+
+    createButton: function(action, icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-outline-${action === 'delete' ? 'danger' : 'secondary'}`;
+        button.dataset.draftAction = action;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+
+        const iconElement = document.createElement('i');
+        iconElement.className = `bi ${icon}`;
+        iconElement.setAttribute('aria-hidden', 'true');
+        button.appendChild(iconElement);
+
+        return button;
+    },
+
+    // Form URL that opens a draft
+    url: function(draft) {
+        return `/form/${encodeURIComponent(draft.request_type)}?draft=${encodeURIComponent(draft.id)}`;
+    },
+
+    // API calls
+
+    list: function(requestType) {
+        const query = requestType ? `?type=${encodeURIComponent(requestType)}` : '';
+        return ApiClient.get(`${this.endpoint}${query}`).then(data => (data && data.drafts) || []);
+    },
+
+    // Get a draft with its form data
+    get: function(draftId) {
+        return ApiClient.get(`${this.endpoint}/${encodeURIComponent(draftId)}`).then(data => data.draft);
+    },
+
+    // Save form data as a new draft; clearAutosave drops the unnamed autosave it came from
+    create: function(requestType, name, formData, options = {}) {
+        return ApiClient.post(this.endpoint, {
+            request_type: requestType,
+            name: name,
+            form_data: formData,
+            clear_autosave: Boolean(options.clearAutosave)
+        }).then(data => data.draft);
+    },
+
+    duplicate: function(draftId, name) {
+        return ApiClient.post(`${this.endpoint}/${encodeURIComponent(draftId)}/duplicate`, { name: name })
+            .then(data => data.draft);
+    },
+
+    remove: function(draftId) {
+        return ApiClient.delete(`${this.endpoint}/${encodeURIComponent(draftId)}`);
+    }
+};
+
+// Export for global use
+window.DraftList = DraftList;
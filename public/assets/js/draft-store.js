@@ -0,0 +1,124 @@
+// Local draft persistence for the Support Portal
+'use strict';
+
+// Drafts are kept in localStorage, keyed by user, request type and named draft,
+// so work survives a dropped connection or a closed tab. Each record remembers
+// when it was saved and when it was last synced to /api/autosave.
+const DraftStore = {
+    prefix: 'helpdesk:draft:',
+    ignoredKeys: ['csrf_token', 'request_type', 'draft_id', 'prefill_token'],
+
+    // Check whether localStorage can be used (private mode, disabled storage)
+    isAvailable: function() {
+        try {
+            const testKey = this.prefix + '__test__';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // Build the storage key for a user and request type, and for a named
+    // draft when given (without one it is the unnamed autosave)
+    key: function(userId, requestType, draftId = null) {
+        const key = `${this.prefix}${userId || 'anonymous'}:${requestType}`;
+        return draftId ? `${key}:${draftId}` : key;
+    },
+
+    // Load a draft record, dropping it when expired or unreadable
+    load: function(key) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            if (!raw) return null;
+
+            const record = JSON.parse(raw);
+            if (!record || typeof record.data !== 'object' || (record.expiresAt && record.expiresAt < Date.now())) {
+                this.remove(key);
+                return null;
+            }
+
+            return record;
+        } catch (e) {
+            console.error('Failed to read local draft:', e);
+            this.remove(key);
+            return null;
+        }
+    },
+
+    // Save draft data; returns the stored record or null when storage failed
+    save: function(key, data, options = {}) {
+        const now = Date.now();
+        const ttlHours = options.ttlHours || 24;
+        const record = {
+            data: data,
+            savedAt: now,
+            syncedAt: options.synced ? now : null,
+            expiresAt: now + ttlHours * 60 * 60 * 1000
+        };
+
+        try {
+            window.localStorage.setItem(key, JSON.stringify(record));
+            return record;
+        } catch (e) {
+            console.error('Failed to save local draft:', e);
+            return null;
+        }
+    },
+
+    // Mark a draft as synced, unless it changed again since that save
+    markSynced: function(key, savedAt) {
+        const record = this.load(key);
+        if (!record || record.savedAt !== savedAt) return;
+
+        record.syncedAt = Date.now();
+        try {
+            window.localStorage.setItem(key, JSON.stringify(record));
+        } catch (e) {
+            console.error('Failed to update local draft:', e);
+        }
+    },
+
+    // Check whether a draft still has changes the server has not seen
+    isUnsynced: function(record) {
+        return Boolean(record) && (!record.syncedAt || record.syncedAt < record.savedAt);
+    },
+
+    remove: function(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            // Storage unavailable; nothing to remove
+        }
+    },
+
+    // Check whether a draft contains any entered values
+    hasContent: function(data) {
+        return Object.keys(this.normalize(data)).length > 0;
+    },
+
+    // Compare two drafts, ignoring bookkeeping fields and empty values
+    isSameData: function(a, b) {
+        return JSON.stringify(this.normalize(a)) === JSON.stringify(this.normalize(b));
+    },
+
+    normalize: function(data) {
+        const normalized = {};
+
+        Object.keys(data || {}).sort().forEach(key => {
+            if (this.ignoredKeys.includes(key)) return;
+
+            const value = data[key];
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return;
+            }
+            normalized[key] = value;
+        });
+
+        return normalized;
+    }
+};
+
+// Export for global use
+window.DraftStore = DraftStore;
@@ -0,0 +1,84 @@
+// Undo/redo history for the Support Portal forms
+'use strict';
+
+// Keeps snapshots of the form state. `current` is the state after the last
+// recorded change; undo steps back to the snapshot before it and redo forward
+// again. The caller decides what a snapshot contains and when two snapshots are
+// the same (see FormHandler.captureFormState).
+const EditHistory = {
+    limit: 100,
+    current: null,
+    undoStack: [],
+    redoStack: [],
+    isEqual: (a, b) => a === b,
+    onChange: null, // Called after every change of the stacks
+
+    configure: function(options) {
+        if (options.limit) this.limit = options.limit;
+        if (options.isEqual) this.isEqual = options.isEqual;
+        if (options.onChange) this.onChange = options.onChange;
+    },
+
+    // Start over from a state, e.g. after loading another draft
+    reset: function(state) {
+        this.current = state;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    },
+
+    // Record the state after a change; returns false when nothing changed
+    record: function(state) {
+        if (this.current !== null && this.isEqual(state, this.current)) {
+            return false;
+        }
+
+        if (this.current !== null) {
+            this.undoStack.push(this.current);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        this.current = state;
+        this.redoStack = [];
+        this.notify();
+        return true;
+    },
+
+    // Step back; returns the state to apply, or null when there is nothing to undo
+    undo: function() {
+        if (!this.canUndo()) return null;
+
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        this.notify();
+        return this.current;
+    },
+
+    // Step forward again; returns the state to apply, or null
+    redo: function() {
+        if (!this.canRedo()) return null;
+
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        this.notify();
+        return this.current;
+    },
+
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+
+    notify: function() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    }
+};
+
+// Export for global use
+window.EditHistory = EditHistory;
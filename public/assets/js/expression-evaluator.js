@@ -0,0 +1,388 @@
+// Safe expression evaluator for conditional field triggers
+'use strict';
+
+// Parses and evaluates the small expression language used by the `condition`
+// of a trigger in form_fields.yaml, e.g.
+//   value == 'Laptop' || value == 'Desktop'
+//   priority == 'critical' && device_type in ['Server']
+//   value > -1
+// Expressions are never executed as script: they are tokenized, parsed into a
+// tree and walked by evaluate(), which only reads field values.
+const ExpressionEvaluator = {
+    keywords: ['in', 'not', 'contains', 'empty', 'true', 'false', 'null'],
+
+    operators: ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '-', '(', ')', '[', ']', ','],
+
+    // Compile an expression string into a reusable condition object.
+    // Throws an Error describing the problem and its position when invalid.
+    compile: function(source) {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new Error('Condition is empty');
+        }
+
+        const tokens = this.tokenize(source);
+        const parser = {
+            tokens: tokens,
+            position: 0,
+            fields: new Set()
+        };
+
+        const ast = this.parseOr(parser);
+        const next = this.peek(parser);
+        if (next.type !== 'end') {
+            throw this.syntaxError(`Unexpected ${this.describeToken(next)}`, next);
+        }
+
+        return {
+            source: source,
+            ast: ast,
+            fields: Array.from(parser.fields)
+        };
+    },
+
+    // Evaluate a compiled condition. `resolve` maps an identifier (`value` or a
+    // field name) to its current value.
+    evaluate: function(compiled, resolve) {
+        return this.isTruthy(this.evaluateNode(compiled.ast, resolve));
+    },
+
+    // Split the source into tokens
+    tokenize: function(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // String literal in single or double quotes
+            if (char === '\'' || char === '"') {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== char) {
+                    if (source[i] === '\\' && i + 1 < source.length) {
+                        i++;
+                    }
+                    value += source[i];
+                    i++;
+                }
+                if (i >= source.length) {
+                    throw this.syntaxError('Unterminated string', { position: start });
+                }
+                i++;
+                tokens.push({ type: 'string', value: value, position: start });
+                continue;
+            }
+
+            // Number literal
+            const numberMatch = /^\d+(\.\d+)?/.exec(source.slice(i));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            // Identifier or keyword
+            const identMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            if (identMatch) {
+                const word = identMatch[0];
+                const type = this.keywords.includes(word) ? 'keyword' : 'identifier';
+                tokens.push({ type: type, value: word, position: i });
+                i += word.length;
+                continue;
+            }
+
+            // Operators and punctuation (two-character operators first)
+            const operator = this.operators.find(op => source.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, position: i });
+                i += operator.length;
+                continue;
+            }
+
+            throw this.syntaxError(`Unexpected character '${char}'`, { position: i });
+        }
+
+        tokens.push({ type: 'end', value: null, position: source.length });
+        return tokens;
+    },
+
+    // or := and ('||' and)*
+    parseOr: function(parser) {
+        let left = this.parseAnd(parser);
+        while (this.match(parser, 'operator', '||')) {
+            left = { type: 'logical', op: '||', left: left, right: this.parseAnd(parser) };
+        }
+        return left;
+    },
+
+    // and := not ('&&' not)*
+    parseAnd: function(parser) {
+        let left = this.parseNot(parser);
+        while (this.match(parser, 'operator', '&&')) {
+            left = { type: 'logical', op: '&&', left: left, right: this.parseNot(parser) };
+        }
+        return left;
+    },
+
+    // not := '!' not | comparison
+    parseNot: function(parser) {
+        if (this.match(parser, 'operator', '!')) {
+            return { type: 'not', argument: this.parseNot(parser) };
+        }
+        return this.parseComparison(parser);
+    },
+
+    // comparison := operand (operator operand)?
+    parseComparison: function(parser) {
+        const left = this.parseOperand(parser);
+        const token = this.peek(parser);
+
+        if (token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+            parser.position++;
+            return { type: 'compare', op: token.value, left: left, right: this.parseOperand(parser) };
+        }
+
+        if (this.match(parser, 'keyword', 'in')) {
+            return { type: 'compare', op: 'in', left: left, right: this.parseOperand(parser) };
+        }
+
+        if (this.match(parser, 'keyword', 'not')) {
+            this.expect(parser, 'keyword', 'in');
+            return { type: 'compare', op: 'not in', left: left, right: this.parseOperand(parser) };
+        }
+
+        if (this.match(parser, 'keyword', 'contains')) {
+            return { type: 'compare', op: 'contains', left: left, right: this.parseOperand(parser) };
+        }
+
+        return left;
+    },
+
+    // operand := literal | '-' number | list | identifier | empty(expr) | '(' expr ')'
+    parseOperand: function(parser) {
+        const token = this.peek(parser);
+        parser.position++;
+
+        switch (token.type) {
+            case 'string':
+            case 'number':
+                return { type: 'literal', value: token.value };
+
+            case 'identifier':
+                parser.fields.add(token.value);
+                return { type: 'field', name: token.value };
+
+            case 'keyword':
+                if (token.value === 'true' || token.value === 'false') {
+                    return { type: 'literal', value: token.value === 'true' };
+                }
+                if (token.value === 'null') {
+                    return { type: 'literal', value: null };
+                }
+                if (token.value === 'empty') {
+                    this.expect(parser, 'operator', '(');
+                    const argument = this.parseOr(parser);
+                    this.expect(parser, 'operator', ')');
+                    return { type: 'empty', argument: argument };
+                }
+                break;
+
+            case 'operator':
+                // Negative number, e.g. value > -1
+                if (token.value === '-' && this.peek(parser).type === 'number') {
+                    const number = this.peek(parser);
+                    parser.position++;
+                    return { type: 'literal', value: -number.value };
+                }
+                if (token.value === '(') {
+                    const inner = this.parseOr(parser);
+                    this.expect(parser, 'operator', ')');
+                    return inner;
+                }
+                if (token.value === '[') {
+                    const items = [];
+                    if (!this.match(parser, 'operator', ']')) {
+                        do {
+                            items.push(this.parseOperand(parser));
+                        } while (this.match(parser, 'operator', ','));
+                        this.expect(parser, 'operator', ']');
+                    }
+                    return { type: 'list', items: items };
+                }
+                break;
+        }
+
+        throw this.syntaxError(`Unexpected ${this.describeToken(token)}`, token);
+    },
+
+    // Evaluate a single tree node
+    evaluateNode: function(node, resolve) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'list':
+                return node.items.map(item => this.evaluateNode(item, resolve));
+
+            case 'field': {
+                const value = resolve(node.name);
+                return value === undefined ? null : value;
+            }
+
+            case 'not':
+                return !this.isTruthy(this.evaluateNode(node.argument, resolve));
+
+            case 'empty':
+                return this.isEmpty(this.evaluateNode(node.argument, resolve));
+
+            case 'logical': {
+                const left = this.isTruthy(this.evaluateNode(node.left, resolve));
+                if (node.op === '&&') {
+                    return left && this.isTruthy(this.evaluateNode(node.right, resolve));
+                }
+                return left || this.isTruthy(this.evaluateNode(node.right, resolve));
+            }
+
+            case 'compare':
+                return this.compare(
+                    node.op,
+                    this.evaluateNode(node.left, resolve),
+                    this.evaluateNode(node.right, resolve)
+                );
+        }
+
+        throw new Error(`Unknown expression node: ${node.type}`);
+    },
+
+    // Apply a comparison operator. A multi-value left side (checkbox group,
+    // multi-file input) matches when any of its values matches.
+    compare: function(op, left, right) {
+        if (Array.isArray(left) && op !== 'contains') {
+            if (op === '!=' || op === 'not in') {
+                const positive = op === '!=' ? '==' : 'in';
+                return !left.some(item => this.compare(positive, item, right));
+            }
+            return left.some(item => this.compare(op, item, right));
+        }
+
+        switch (op) {
+            case '==':
+                return this.looseEquals(left, right);
+            case '!=':
+                return !this.looseEquals(left, right);
+            case '<':
+            case '<=':
+            case '>':
+            case '>=':
+                return this.compareOrdered(op, left, right);
+            case 'in':
+                return Array.isArray(right) && right.some(item => this.looseEquals(left, item));
+            case 'not in':
+                return !(Array.isArray(right) && right.some(item => this.looseEquals(left, item)));
+            case 'contains':
+                if (Array.isArray(left)) {
+                    return left.some(item => this.looseEquals(item, right));
+                }
+                if (this.isEmpty(left) || this.isEmpty(right)) {
+                    return false;
+                }
+                return String(left).toLowerCase().includes(String(right).toLowerCase());
+        }
+
+        return false;
+    },
+
+    // Equality that treats numeric strings as numbers ('5' == 5)
+    looseEquals: function(left, right) {
+        if (this.isNumeric(left) && this.isNumeric(right)) {
+            return Number(left) === Number(right);
+        }
+        return this.toText(left) === this.toText(right);
+    },
+
+    // Ordered comparison: numeric when both sides are numbers, otherwise
+    // string comparison (works for ISO dates such as 2025-01-31)
+    compareOrdered: function(op, left, right) {
+        let a;
+        let b;
+
+        if (this.isNumeric(left) && this.isNumeric(right)) {
+            a = Number(left);
+            b = Number(right);
+        } else if (!this.isEmpty(left) && !this.isEmpty(right)) {
+            a = this.toText(left);
+            b = this.toText(right);
+        } else {
+            return false;
+        }
+
+        switch (op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+        }
+        return false;
+    },
+
+    isNumeric: function(value) {
+        if (typeof value === 'number') {
+            return isFinite(value);
+        }
+        return typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value);
+    },
+
+    isEmpty: function(value) {
+        if (value === null || value === undefined) return true;
+        if (Array.isArray(value)) return value.length === 0;
+        return String(value).trim() === '';
+    },
+
+    isTruthy: function(value) {
+        return value !== false && !this.isEmpty(value);
+    },
+
+    toText: function(value) {
+        return value === null || value === undefined ? '' : String(value);
+    },
+
+    // Parser helpers
+    peek: function(parser) {
+        return parser.tokens[parser.position];
+    },
+
+    match: function(parser, type, value) {
+        const token = this.peek(parser);
+        if (token.type === type && token.value === value) {
+            parser.position++;
+            return true;
+        }
+        return false;
+    },
+
+    expect: function(parser, type, value) {
+        const token = this.peek(parser);
+        if (!this.match(parser, type, value)) {
+            throw this.syntaxError(`Expected '${value}' but found ${this.describeToken(token)}`, token);
+        }
+    },
+
+    describeToken: function(token) {
+        if (token.type === 'end') return 'end of expression';
+        if (token.type === 'string') return `string '${token.value}'`;
+        return `'${token.value}'`;
+    },
+
+    syntaxError: function(message, token) {
+        return new Error(`${message} at position ${token.position + 1}`);
+    }
+};
+
+// Export for global use
+window.ExpressionEvaluator = ExpressionEvaluator;
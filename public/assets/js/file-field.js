@@ -0,0 +1,399 @@
+// File fields for the Support Portal
+'use strict';
+
+// Drop zone, file list and size checks of a file input rendered by
+// form/fields/file.html (dropZone_<name> and fileList_<name>). Selected files
+// are listed as file items that start uploading right away (ChunkedUploader);
+// forms send the uploaded file IDs instead of the files. Used by the request
+// form and the reply form of the ticket page.
+const FileField = {
+    fields: {}, // field name => { input, dropZone, fileList, maxSize, onChange }
+
+    // Bind the drop zone of a file input. Options: maxSize in bytes and
+    // onChange(fieldName), called when files are added or removed.
+    // Returns false when the field has no drop zone.
+    setup: function(input, options = {}) {
+        const fieldName = input.name.replace('[]', '');
+        const dropZone = document.getElementById(`dropZone_${fieldName}`);
+        const fileList = document.getElementById(`fileList_${fieldName}`);
+
+        if (!dropZone || !fileList) return false;
+
+        this.fields[fieldName] = {
+            input: input,
+            dropZone: dropZone,
+            fileList: fileList,
+            maxSize: options.maxSize || this.parseSize('10MB'),
+            onChange: options.onChange || null
+        };
+
+        // Click to select files
+        dropZone.addEventListener('click', (e) => {
+            // Prevent triggering if clicking on the file input itself
+            if (e.target === input) {
+                return;
+            }
+            // Prevent event bubbling to avoid double-trigger
+            e.preventDefault();
+            e.stopPropagation();
+            input.click();
+        });
+
+        // The drop zone is a button for keyboard users: Enter or Space opens the picker
+        dropZone.addEventListener('keydown', (e) => {
+            if (e.target !== dropZone || (e.key !== 'Enter' && e.key !== ' ')) {
+                return;
+            }
+            e.preventDefault();
+            input.click();
+        });
+
+        // Drag and drop events
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+
+        dropZone.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            this.addFiles(fieldName, Array.from(e.dataTransfer.files));
+        });
+
+        // File input change
+        input.addEventListener('change', (e) => {
+            this.addFiles(fieldName, Array.from(e.target.files));
+        });
+
+        return true;
+    },
+
+    // Add files to a field after checking type and size; returns the number of files added
+    addFiles: function(fieldName, files) {
+        const field = this.fields[fieldName];
+        if (!field) return 0;
+
+        const isMultiple = field.input.hasAttribute('multiple');
+        const accept = field.input.getAttribute('accept');
+
+        // Filter valid files
+        const validFiles = files.filter(file => {
+            if (accept && accept !== '*') {
+                const acceptedTypes = accept.split(',').map(type => type.trim());
+                const fileType = file.type;
+                const fileName = file.name.toLowerCase();
+
+                return acceptedTypes.some(type => {
+                    if (type.startsWith('.')) {
+                        return fileName.endsWith(type);
+                    } else if (type.includes('/')) {
+                        return fileType === type || fileType.startsWith(type.replace('*', ''));
+                    }
+                    return false;
+                });
+            }
+            return true;
+        });
+
+        if (validFiles.length !== files.length) {
+            HelpDesk.Utils.showToast(I18n.t('files.rejected_type'), 'warning');
+        }
+
+        // Check file size limits
+        const oversizedFiles = validFiles.filter(file => file.size > field.maxSize);
+
+        if (oversizedFiles.length > 0) {
+            HelpDesk.Utils.showToast(
+                I18n.t('files.too_large', { max: HelpDesk.Utils.formatFileSize(field.maxSize) }),
+                'error'
+            );
+            return 0;
+        }
+
+        // Update file list display
+        this.updateList(fieldName, validFiles, isMultiple);
+        this.notifyChange(fieldName);
+        return validFiles.length;
+    },
+
+    // Update file list display; new files start uploading right away
+    updateList: function(fieldName, files, isMultiple) {
+        const fileList = this.fields[fieldName].fileList;
+
+        // A single-file field replaces its current file
+        if (!isMultiple) {
+            this.removeItems(fieldName);
+        }
+
+        files.forEach(file => {
+            const fileItem = this.createItem(file, fieldName);
+            fileList.appendChild(fileItem);
+            this.startUpload(fileItem);
+        });
+
+        // Show file list if there are files
+        fileList.style.display = fileList.querySelector('.file-item') ? 'block' : 'none';
+        this.syncInput(fieldName);
+    },
+
+    // Create file item element
+    createItem: function(file, fieldName) {
+        const fileItem = document.createElement('div');
+        fileItem.className = 'file-item';
+        fileItem.setAttribute('role', 'listitem');
+        fileItem.dataset.fileName = file.name;
+        fileItem.dataset.fileSize = file.size;
+        fileItem.fileObject = file;
+
+        const fileIcon = this.getIcon(file.name);
+
+        HelpDesk.Utils.setHtml(fileItem, HelpDesk.Utils.html`
+            <div class="file-info">
+                <i class="bi ${fileIcon} file-icon"></i>
+                <div class="file-details">
+                    <div class="file-name">${file.name}</div>
+                    <div class="file-size">${HelpDesk.Utils.formatFileSize(file.size)}</div>
+                    <div class="file-status"></div>
+                </div>
+            </div>
+            <button type="button" class="file-retry d-none" title="${I18n.t('upload.retry')}">
+                <i class="bi bi-arrow-clockwise"></i>
+            </button>
+            <button type="button" class="file-remove" title="${I18n.t('upload.remove')}">
+                <i class="bi bi-x-lg"></i>
+            </button>
+            <div class="progress file-progress">
+                <div class="progress-bar" role="progressbar" style="width: 0%" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100"></div>
+            </div>
+        `);
+        fileItem.querySelector('.progress-bar').setAttribute('aria-label', I18n.t('upload.progress_label', { name: file.name }));
+
+        // Retry a failed upload from where it stopped
+        fileItem.querySelector('.file-retry').addEventListener('click', () => {
+            if (fileItem.upload) {
+                ChunkedUploader.retry(fileItem.upload);
+            }
+        });
+
+        // Add remove functionality
+        const removeBtn = fileItem.querySelector('.file-remove');
+        removeBtn.addEventListener('click', () => {
+            if (fileItem.upload) {
+                ChunkedUploader.cancel(fileItem.upload);
+            }
+            fileItem.remove();
+            this.syncInput(fieldName);
+            this.notifyChange(fieldName);
+        });
+
+        return fileItem;
+    },
+
+    // Upload a file item's file and reflect progress in the item
+    startUpload: function(fileItem) {
+        fileItem.upload = ChunkedUploader.upload(fileItem.fileObject, {
+            onProgress: fraction => this.setItemState(fileItem, 'uploading', fraction),
+            onWaiting: () => this.setItemState(fileItem, 'waiting'),
+            onComplete: () => this.setItemState(fileItem, 'complete', 1),
+            onError: message => this.setItemState(fileItem, 'failed', null, message)
+        });
+    },
+
+    // Upload a file item again that was removed (which cancelled its upload)
+    // and has been brought back
+    resumeItem: function(fileItem) {
+        if (fileItem.upload && fileItem.upload.status === 'cancelled') {
+            this.startUpload(fileItem);
+        }
+    },
+
+    // Update the progress bar, status text and retry button of a file item
+    setItemState: function(fileItem, state, fraction = null, message = '') {
+        const progressBar = fileItem.querySelector('.progress-bar');
+        const status = fileItem.querySelector('.file-status');
+        const retryBtn = fileItem.querySelector('.file-retry');
+
+        // Progress is visible only; screen readers hear when an upload changes state
+        if (!fileItem.classList.contains(state)) {
+            this.announceState(fileItem, state, message);
+        }
+
+        fileItem.classList.remove('uploading', 'waiting', 'complete', 'failed');
+        fileItem.classList.add(state);
+
+        if (fraction !== null) {
+            const percent = Math.round(fraction * 100);
+            progressBar.style.width = `${percent}%`;
+            progressBar.setAttribute('aria-valuenow', percent);
+        }
+        progressBar.classList.toggle('bg-success', state === 'complete');
+        progressBar.classList.toggle('bg-danger', state === 'failed');
+
+        status.textContent = state === 'failed' && message ?
+            message :
+            I18n.t(`upload.${state}`, { percent: progressBar.getAttribute('aria-valuenow') });
+
+        retryBtn.classList.toggle('d-none', !(state === 'failed' && fileItem.upload && fileItem.upload.retryable));
+    },
+
+    announceState: function(fileItem, state, message) {
+        const name = fileItem.dataset.fileName;
+        const announcements = {
+            waiting: () => I18n.t('upload.announce_waiting', { name: name }),
+            complete: () => I18n.t('upload.announce_complete', { name: name }),
+            failed: () => I18n.t('upload.announce_failed', { name: name, message: message || I18n.t('upload.failed') })
+        };
+
+        if (announcements[state]) {
+            HelpDesk.Utils.announce(announcements[state]());
+        }
+    },
+
+    // The file items currently in a field's list
+    getItems: function(fieldName) {
+        const field = this.fields[fieldName];
+        return field ? Array.from(field.fileList.querySelectorAll('.file-item')) : [];
+    },
+
+    // Remove all file items of a field, cancelling their uploads
+    removeItems: function(fieldName) {
+        const field = this.fields[fieldName];
+        if (!field) return;
+
+        this.getItems(fieldName).forEach(item => {
+            if (item.upload) {
+                ChunkedUploader.cancel(item.upload);
+            }
+            item.remove();
+        });
+        field.fileList.style.display = 'none';
+        this.syncInput(fieldName);
+    },
+
+    // Empty a field whose uploads were sent; unlike removeItems this keeps the
+    // uploaded files on the server
+    clear: function(fieldName) {
+        const field = this.fields[fieldName];
+        if (!field) return;
+
+        this.getItems(fieldName).forEach(item => item.remove());
+        field.fileList.style.display = 'none';
+        this.syncInput(fieldName);
+        this.notifyChange(fieldName);
+    },
+
+    // Put a field's items back as they were; items that are no longer listed
+    // stop uploading unless they are in keptItems
+    restoreItems: function(fieldName, items, keptItems = new Set()) {
+        const field = this.fields[fieldName];
+        if (!field) return;
+
+        this.getItems(fieldName).forEach(item => {
+            if (!items.includes(item)) {
+                if (item.upload && !keptItems.has(item)) {
+                    ChunkedUploader.cancel(item.upload);
+                }
+                item.remove();
+            }
+        });
+
+        items.forEach(item => {
+            field.fileList.appendChild(item);
+            this.resumeItem(item);
+        });
+
+        field.fileList.style.display = items.length > 0 ? 'block' : 'none';
+        this.syncInput(fieldName);
+    },
+
+    // IDs of a field's finished uploads, to send instead of the files
+    getUploadedIds: function(fieldName) {
+        return this.getItems(fieldName)
+            .filter(item => item.upload && item.upload.fileId)
+            .map(item => item.upload.fileId);
+    },
+
+    // Count the file items in a container whose upload is still running or has failed
+    getPendingUploads: function(container) {
+        const items = Array.from(container.querySelectorAll('.file-item'));
+        return {
+            uploading: items.filter(item => item.upload && ['pending', 'uploading'].includes(item.upload.status)).length,
+            failed: items.filter(item => !item.upload || item.upload.status === 'failed').length
+        };
+    },
+
+    // Get the files currently selected for a file field
+    getSelectedFiles: function(fieldName) {
+        if (this.fields[fieldName]) {
+            return this.getItems(fieldName).map(item => item.fileObject).filter(Boolean);
+        }
+
+        const fileInput = document.querySelector(`input[type="file"][name="${fieldName}"], input[type="file"][name="${fieldName}[]"]`);
+        return fileInput ? Array.from(fileInput.files) : [];
+    },
+
+    // Update file input from display list
+    syncInput: function(fieldName) {
+        const field = this.fields[fieldName];
+        if (!field) return;
+
+        const files = this.getItems(fieldName).map(item => item.fileObject).filter(Boolean);
+
+        // Create new FileList (we can't modify the original)
+        const dataTransfer = new DataTransfer();
+        files.forEach(file => dataTransfer.items.add(file));
+        field.input.files = dataTransfer.files;
+    },
+
+    notifyChange: function(fieldName) {
+        const field = this.fields[fieldName];
+        if (field && typeof field.onChange === 'function') {
+            field.onChange(fieldName);
+        }
+    },
+
+    // Get appropriate icon for file type
+    getIcon: function(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        const iconMap = {
+            pdf: 'bi-file-earmark-pdf',
+            doc: 'bi-file-earmark-word',
+            docx: 'bi-file-earmark-word',
+            xls: 'bi-file-earmark-excel',
+            xlsx: 'bi-file-earmark-excel',
+            ppt: 'bi-file-earmark-ppt',
+            pptx: 'bi-file-earmark-ppt',
+            txt: 'bi-file-earmark-text',
+            jpg: 'bi-file-earmark-image',
+            jpeg: 'bi-file-earmark-image',
+            png: 'bi-file-earmark-image',
+            gif: 'bi-file-earmark-image',
+            zip: 'bi-file-earmark-zip',
+            rar: 'bi-file-earmark-zip'
+        };
+
+        return iconMap[extension] || 'bi-file-earmark';
+    },
+
+    // Parse file size string (e.g., "10MB" -> bytes)
+    parseSize: function(sizeStr) {
+        const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+        const match = String(sizeStr).match(/^(\d+(\.\d+)?)\s*(B|KB|MB|GB)$/i);
+
+        if (match) {
+            const value = parseFloat(match[1]);
+            const unit = match[3].toUpperCase();
+            return value * (units[unit] || 1);
+        }
+
+        return 10 * 1024 * 1024; // Default 10MB
+    }
+};
+
+// Export for global use
+window.FileField = FileField;
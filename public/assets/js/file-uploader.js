@@ -0,0 +1,249 @@
+// Chunked, resumable attachment uploads for the Support Portal
+'use strict';
+
+// Files are sent to /api/upload in fixed-size chunks as soon as they are
+// selected. A failed chunk is retried with backoff, an upload that went offline
+// waits for the connection to return, and a retried upload asks the server how
+// far it got so it continues where it stopped instead of starting over. The
+// form only submits the returned file IDs.
+const ChunkedUploader = {
+    endpoint: '/api/upload',
+    chunkSize: 1024 * 1024,
+    maxAttempts: 3,
+    retryDelay: 1000,
+
+    // Start uploading a file. Callbacks: onProgress(fraction), onWaiting(),
+    // onComplete(fileId) and onError(message). Returns the upload task.
+    upload: function(file, callbacks = {}) {
+        const task = {
+            id: this.generateId(),
+            file: file,
+            totalChunks: Math.max(1, Math.ceil(file.size / this.chunkSize)),
+            nextChunk: 0,
+            status: 'pending',
+            fileId: null,
+            error: null,
+            retryable: true,
+            xhr: null,
+            callbacks: callbacks
+        };
+
+        this.start(task);
+        return task;
+    },
+
+    // Start or resume a task; a resumed task first checks progress on the server
+    start: function(task) {
+        task.status = 'uploading';
+        task.error = null;
+        task.retryable = true;
+        this.notify(task, 'onProgress', this.getProgress(task, 0));
+
+        const ready = task.nextChunk > 0 ? this.fetchStatus(task) : Promise.resolve();
+
+        ready
+            .then(() => this.uploadChunks(task))
+            .then(() => {
+                task.status = 'complete';
+                this.notify(task, 'onProgress', 1);
+                this.notify(task, 'onComplete', task.fileId);
+            })
+            .catch(error => {
+                if (task.status === 'cancelled') return;
+
+                task.status = 'failed';
+                task.error = error.message;
+                task.retryable = !error.permanent;
+                this.notify(task, 'onError', error.message);
+            });
+    },
+
+    // Retry a failed task from where the server left off
+    retry: function(task) {
+        if (task.status === 'failed') {
+            this.start(task);
+        }
+    },
+
+    // Stop a task and let the server discard what it received
+    cancel: function(task) {
+        if (task.status === 'cancelled') return;
+
+        const started = task.nextChunk > 0 || task.fileId;
+        task.status = 'cancelled';
+
+        if (task.xhr) {
+            task.xhr.abort();
+        }
+
+        if (started) {
+            ApiClient.delete(`${this.endpoint}/${encodeURIComponent(task.id)}`).catch(() => {
+                // Abandoned uploads are also removed on the server (bin/cleanup.php)
+            });
+        }
+    },
+
+    // Ask the server how many chunks it already has
+    fetchStatus: function(task) {
+        return ApiClient.get(`${this.endpoint}/${encodeURIComponent(task.id)}`)
+            .then(data => {
+                task.nextChunk = data.received_chunks || 0;
+                if (data.status === 'complete') {
+                    task.fileId = data.file_id;
+                }
+            })
+            .catch(() => {
+                // Keep the local position; the server corrects it if needed
+            });
+    },
+
+    // Send the remaining chunks one after another
+    uploadChunks: function(task) {
+        if (task.fileId) {
+            return Promise.resolve();
+        }
+
+        return this.sendChunkWithRetry(task, 1).then(data => {
+            task.nextChunk = data.received_chunks || 0;
+
+            if (data.status === 'complete') {
+                task.fileId = data.file_id;
+                return undefined;
+            }
+            return this.uploadChunks(task);
+        });
+    },
+
+    // Send the next chunk, retrying with exponential backoff. Time spent
+    // offline does not count as a failed attempt.
+    sendChunkWithRetry: function(task, attempt) {
+        return this.sendChunk(task).catch(error => {
+            if (task.status === 'cancelled' || error.permanent) {
+                throw error;
+            }
+
+            if (!navigator.onLine) {
+                this.notify(task, 'onWaiting');
+                return this.waitForOnline().then(() => this.sendChunkWithRetry(task, attempt));
+            }
+
+            if (attempt >= this.maxAttempts) {
+                throw error;
+            }
+
+            const delay = this.retryDelay * Math.pow(2, attempt - 1);
+            return new Promise(resolve => setTimeout(resolve, delay))
+                .then(() => this.sendChunkWithRetry(task, attempt + 1));
+        });
+    },
+
+    // Upload the chunk at task.nextChunk. A 409 response means the server
+    // expects a different chunk; it resolves so the caller continues from there.
+    sendChunk: function(task) {
+        if (task.status !== 'uploading') {
+            return Promise.reject(new Error(I18n.t('upload.cancelled')));
+        }
+
+        const index = task.nextChunk;
+        const start = index * this.chunkSize;
+        const chunk = task.file.slice(start, start + this.chunkSize);
+
+        const body = new FormData();
+        body.append('upload_id', task.id);
+        body.append('chunk_index', index);
+        body.append('total_chunks', task.totalChunks);
+        body.append('file_name', task.file.name);
+        body.append('file_size', task.file.size);
+        body.append('chunk', chunk, task.file.name);
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            task.xhr = xhr;
+
+            xhr.open('POST', this.endpoint);
+            xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+            const csrfToken = ApiClient.getCsrfToken();
+            if (csrfToken) {
+                xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+            }
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable && e.total > 0) {
+                    this.notify(task, 'onProgress', this.getProgress(task, chunk.size * e.loaded / e.total));
+                }
+            });
+
+            xhr.addEventListener('load', () => {
+                task.xhr = null;
+
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    data = null;
+                }
+
+                if (data && (xhr.status === 200 || xhr.status === 409)) {
+                    resolve(data);
+                    return;
+                }
+
+                // The session expired while uploading: continue after logging in again
+                if (xhr.status === 401) {
+                    ApiClient.handleUnauthorized()
+                        .then(() => this.sendChunk(task))
+                        .then(resolve, reject);
+                    return;
+                }
+
+                const error = new Error((data && data.error) || I18n.t('upload.http_error', { status: xhr.status }));
+                error.permanent = xhr.status >= 400 && xhr.status < 500;
+                reject(error);
+            });
+
+            xhr.addEventListener('error', () => {
+                task.xhr = null;
+                reject(new Error(I18n.t('upload.network_error')));
+            });
+
+            xhr.addEventListener('abort', () => {
+                task.xhr = null;
+                reject(new Error(I18n.t('upload.cancelled')));
+            });
+
+            xhr.send(body);
+        });
+    },
+
+    // Resolve once the browser reports a connection again
+    waitForOnline: function() {
+        return new Promise(resolve => {
+            window.addEventListener('online', () => resolve(), { once: true });
+        });
+    },
+
+    // Fraction of the file uploaded, including the chunk in flight
+    getProgress: function(task, chunkLoaded) {
+        if (!task.file.size) {
+            return task.fileId ? 1 : 0;
+        }
+        return Math.min(1, (task.nextChunk * this.chunkSize + chunkLoaded) / task.file.size);
+    },
+
+    notify: function(task, name, ...args) {
+        if (task.status !== 'cancelled' && typeof task.callbacks[name] === 'function') {
+            task.callbacks[name](...args);
+        }
+    },
+
+    // Random ID for the upload, also used to resume it
+    generateId: function() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+};
+
+// Export for global use
+window.ChunkedUploader = ChunkedUploader;
@@ -6,6 +6,20 @@ const FormHandler = {
     config: null,
     autosaveTimer: null,
     isSubmitting: false, // Track submission state to prevent duplicates
+    conditionGraph: null,
+    hiddenFieldValues: {}, // Values of conditional fields while they are hidden
+    computedFields: [], // Fields computed from other fields (ComputedFields.compile)
+    computedState: {}, // Computed field name => { value, applied }
+    pendingSync: null, // Latest draft waiting to be sent to the server
+    syncInFlight: false,
+    syncRetryDelay: 0,
+    steps: [], // Wizard steps; empty for a single-page form
+    currentStep: 0,
+    announcedAutosaveState: null,
+    draftChanged: false, // Edits since the last autosave
+    listeners: [], // Document and window listeners, removed by destroy()
+    unauthorizedHandlerAdded: false,
+    checkingDuplicates: false, // Looking for similar tickets before the confirmation opens
     
     // Initialize form functionality
     init: function(config) {
@@ -14,10 +28,21 @@ const FormHandler = {
         
         this.setupFormEvents();
         this.setupFileUploads();
+        this.setupGroups();
+        this.setupAutocompleteFields();
+        this.setupMarkdownEditors();
+        this.loadAutosavedData();
         this.setupConditionalFields();
+        this.setupPrefill();
+        this.setupComputedFields();
         this.setupAutosave();
+        this.setupSessionHandling();
+        this.setupDrafts();
+        this.setupValidationRules();
         this.setupFormValidation();
-        this.loadAutosavedData();
+        this.setupWizard();
+        this.setupHistory();
+        this.setupKnowledgeBase();
         this.updateProgress();
     },
 
@@ -48,390 +73,1511 @@ const FormHandler = {
             });
         }
 
-        // Field change events for progress tracking
-        const fields = form.querySelectorAll('input, select, textarea');
-        fields.forEach(field => {
-            field.addEventListener('change', () => {
-                HelpDesk.ProgressTracker.updateProgress();
-                this.debouncedAutosave();
-            });
+        // Field change events for progress tracking, on the form so rows added
+        // to repeatable groups are included
+        form.addEventListener('change', () => {
+            HelpDesk.ProgressTracker.updateProgress();
+            this.draftChanged = true;
+            this.debouncedAutosave();
+        });
+
+        form.addEventListener('input', () => {
+            this.draftChanged = true;
+            this.debouncedAutosave();
+        });
+    },
+
+    // Rows of repeatable groups (type: group)
+    setupGroups: function() {
+        const form = document.getElementById('helpdeskForm');
+        const groups = document.querySelectorAll('#helpdeskForm [data-group]');
+        groups.forEach(element => GroupField.setup(element));
 
-            field.addEventListener('input', () => {
-                this.debouncedAutosave();
+        if (groups.length === 0) return;
+
+        // A group that was reported invalid is checked again when rows change
+        form.addEventListener('change', (e) => {
+            const group = e.target.closest('[data-group]');
+            if (group && group.classList.contains('is-invalid')) {
+                HelpDesk.FormValidator.validateGroup(group);
+                this.refreshErrorSummary();
+            }
+        });
+    },
+
+    // Suggestions for autocomplete fields; picking one fills the fields of its
+    // fill mapping (type: autocomplete)
+    setupAutocompleteFields: function() {
+        document.querySelectorAll('#helpdeskForm [data-autocomplete]').forEach(wrapper => {
+            AutocompleteField.setup(wrapper, {
+                onSelect: (result, fill) => this.fillFromSuggestion(result, fill)
             });
         });
     },
 
-    // Setup file upload functionality
+    // Fill other fields from a picked suggestion, e.g. the manager's email
+    // address; locked fields keep their value and hidden fields get it once shown
+    fillFromSuggestion: function(result, fill) {
+        Object.keys(fill).forEach(fieldName => {
+            const fieldContainer = document.querySelector(`[data-field="${fieldName}"]`);
+            if (!fieldContainer || fieldContainer.classList.contains('field-locked')) return;
+
+            const value = result[fill[fieldName]] || '';
+            if (fieldContainer.classList.contains('d-none')) {
+                this.hiddenFieldValues[fieldName] = value;
+                return;
+            }
+
+            this.setFieldValue(fieldName, value);
+            this.getFieldElements(fieldName)
+                .filter(el => el.classList.contains('is-invalid'))
+                .forEach(el => HelpDesk.FormValidator.validateField(el));
+        });
+
+        this.handleConditionalTriggers();
+        this.refreshErrorSummary();
+    },
+
+    // Setup file upload functionality (drop zones, file lists and uploads)
     setupFileUploads: function() {
-        const fileFields = document.querySelectorAll('input[type="file"]');
+        const fileFields = document.querySelectorAll('#helpdeskForm input[type="file"]');
+        const maxSize = FileField.parseSize(this.config.settings.max_file_size || '10MB');
         
         fileFields.forEach(field => {
-            const fieldName = field.name.replace('[]', '');
-            const dropZone = document.getElementById(`dropZone_${fieldName}`);
-            const fileList = document.getElementById(`fileList_${fieldName}`);
+            FileField.setup(field, {
+                maxSize: maxSize,
+                onChange: fieldName => this.handleFileFieldChange(fieldName)
+            });
+        });
+
+        if (fileFields.length > 0) {
+            this.setupClipboardPaste();
+        }
+    },
+
+    // Formatting toolbar and preview for textareas with format: markdown
+    setupMarkdownEditors: function() {
+        (this.config.fields || []).forEach(field => {
+            if (field.type !== 'textarea' || field.format !== 'markdown') return;
             
-            if (!dropZone || !fileList) return;
+            const textarea = this.getFieldElements(field.name).find(el => el.tagName === 'TEXTAREA');
+            if (textarea) {
+                MarkdownEditor.attach(textarea);
+            }
+        });
+    },
 
-            // Click to select files
-            dropZone.addEventListener('click', (e) => {
-                // Prevent triggering if clicking on the file input itself
-                if (e.target === field) {
-                    return;
+    // Accept screenshots pasted from the clipboard (Ctrl+V on the form or a focused drop zone)
+    setupClipboardPaste: function() {
+        this.listen(document, 'paste', (e) => {
+            const form = document.getElementById('helpdeskForm');
+            if (!form || !e.clipboardData) return;
+            if (e.target !== document.body && !form.contains(e.target)) return;
+
+            const images = this.getClipboardImages(e.clipboardData);
+            if (images.length === 0) return;
+
+            // Pasting text into a text field keeps working as usual
+            const isTextTarget = e.target.matches && e.target.matches('input:not([type="file"]), textarea, select, [contenteditable]');
+            if (isTextTarget && e.clipboardData.getData('text/plain')) return;
+
+            const field = this.getPasteTargetField(e.target);
+            if (!field) return;
+
+            e.preventDefault();
+
+            const fieldName = field.name.replace('[]', '');
+            const files = field.hasAttribute('multiple') ? images : images.slice(0, 1);
+            const maxSize = FileField.parseSize(this.config.settings.max_file_size || '10MB');
+
+            Promise.all(files.map((image, index) => this.preparePastedImage(image, this.getScreenshotName(index), maxSize)))
+                .then(pastedFiles => {
+                    const added = FileField.addFiles(fieldName, pastedFiles);
+                    if (added > 0) {
+                        HelpDesk.Utils.showToast(I18n.t('paste.added', { count: added }), 'success');
+                    }
+                })
+                .catch(error => {
+                    console.error('Failed to paste image:', error);
+                    HelpDesk.Utils.showToast(I18n.t('paste.failed'), 'error');
+                });
+        });
+    },
+
+    // Get the image files on the clipboard
+    getClipboardImages: function(clipboardData) {
+        return Array.from(clipboardData.items || [])
+            .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+    },
+
+    // Pick the file field a paste goes to: the focused drop zone, otherwise the
+    // first visible file field that accepts images
+    getPasteTargetField: function(target) {
+        const dropZone = target.closest ? target.closest('.file-drop-zone') : null;
+        if (dropZone) {
+            return dropZone.querySelector('input[type="file"]');
+        }
+
+        return Array.from(document.querySelectorAll('#helpdeskForm input[type="file"]')).find(field => {
+            const container = field.closest('[data-field]');
+            if (container && container.classList.contains('d-none')) return false;
+
+            const accept = field.getAttribute('accept');
+            return !accept || accept === '*' || accept.split(',').some(type => {
+                type = type.trim().toLowerCase();
+                return type === 'image/*' || type === 'image/png' || type === '.png';
+            });
+        }) || null;
+    },
+
+    // Name for a pasted image, e.g. screenshot-2025-01-31-142501.png
+    getScreenshotName: function(index) {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-` +
+            `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+        return `screenshot-${stamp}${index > 0 ? `-${index + 1}` : ''}.png`;
+    },
+
+    // Turn a pasted image into a named PNG file, downscaling it when it is larger
+    // than the upload limit (see settings.clipboard_images)
+    preparePastedImage: function(blob, name, maxSize) {
+        const options = this.config.settings.clipboard_images || {};
+        const needsResize = options.downscale !== false && blob.size > maxSize;
+
+        if (blob.type === 'image/png' && !needsResize) {
+            return Promise.resolve(new File([blob], name, { type: 'image/png' }));
+        }
+
+        return this.loadImage(blob).then(image => {
+            const maxDimension = options.max_dimension || 2560;
+            let scale = needsResize ? Math.min(1, maxDimension / Math.max(image.width, image.height)) : 1;
+
+            // Shrink step by step until the PNG fits, giving up after a few tries
+            const render = (attempt) => this.renderImageAsPng(image, scale).then(png => {
+                if (!needsResize || png.size <= maxSize || attempt >= 4) {
+                    return new File([png], name, { type: 'image/png' });
                 }
-                // Prevent event bubbling to avoid double-trigger
-                e.preventDefault();
-                e.stopPropagation();
-                field.click();
+                scale *= 0.75;
+                return render(attempt + 1);
             });
 
-            // Drag and drop events
-            dropZone.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                dropZone.classList.add('dragover');
+            return render(1);
+        });
+    },
+
+    // Decode an image blob
+    loadImage: function(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unsupported image'));
+            };
+            image.src = url;
+        });
+    },
+
+    // Draw an image at the given scale and encode it as PNG
+    renderImageAsPng: function(image, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(png => {
+                if (png) {
+                    resolve(png);
+                } else {
+                    reject(new Error('Failed to encode image'));
+                }
+            }, 'image/png');
+        });
+    },
+
+    // Selected files changed without a native change event
+    handleFileFieldChange: function(fieldName) {
+        if (this.conditionGraph && this.conditionGraph.watched.has(fieldName)) {
+            this.handleConditionalTriggers();
+        } else {
+            HelpDesk.ProgressTracker.updateProgress();
+        }
+        this.recordHistory();
+    },
+
+    // Setup conditional field logic
+    setupConditionalFields: function() {
+        const form = document.getElementById('helpdeskForm');
+        if (!form) return;
+        
+        const conditionErrors = [];
+        this.conditionGraph = this.buildConditionGraph(conditionErrors);
+        
+        if (conditionErrors.length > 0) {
+            console.error('Invalid conditional field configuration:', conditionErrors);
+            HelpDesk.Utils.showToast(
+                I18n.t('conditions.invalid', { errors: conditionErrors.join('; ') }),
+                'error',
+                15000
+            );
+        }
+        
+        // Re-evaluate whenever a field that a condition depends on changes
+        form.addEventListener('change', (e) => {
+            const fieldName = (e.target.name || '').replace('[]', '');
+            if (this.conditionGraph.watched.has(fieldName)) {
+                this.handleConditionalTriggers();
+            }
+        });
+        
+        // Initial check
+        this.handleConditionalTriggers({ initial: true });
+    },
+
+    // Build the trigger dependency graph from the field definitions
+    buildConditionGraph: function(errors) {
+        const graph = {
+            controlledBy: {}, // child field => [{ owner, trigger }]
+            watched: new Set() // fields whose changes can alter visibility
+        };
+        
+        (this.config.fields || []).forEach(field => {
+            (field.triggers || []).forEach(trigger => {
+                const compiled = this.compileCondition(field.name, trigger.condition, errors);
+                if (!compiled) return;
+                
+                graph.watched.add(field.name);
+                compiled.fields.forEach(name => {
+                    if (name !== 'value') graph.watched.add(name);
+                });
+                
+                (trigger.show_fields || []).forEach(child => {
+                    if (!graph.controlledBy[child]) {
+                        graph.controlledBy[child] = [];
+                    }
+                    graph.controlledBy[child].push({ owner: field.name, compiled: compiled });
+                });
             });
+        });
+        
+        return graph;
+    },
 
-            dropZone.addEventListener('dragleave', (e) => {
-                e.preventDefault();
-                dropZone.classList.remove('dragover');
+    // Compile a trigger condition, collecting a readable error when it is invalid
+    compileCondition: function(fieldName, condition, errors) {
+        try {
+            const compiled = ExpressionEvaluator.compile(condition);
+            const knownFields = (this.config.fields || []).map(field => field.name);
+            const unknownFields = compiled.fields.filter(name => name !== 'value' && !knownFields.includes(name));
+            
+            if (unknownFields.length > 0) {
+                throw new Error(`Unknown field ${unknownFields.map(name => `'${name}'`).join(', ')}`);
+            }
+            
+            return compiled;
+        } catch (e) {
+            errors.push(`${fieldName}: ${e.message} in condition "${condition}"`);
+            return null;
+        }
+    },
+
+    // Get all inputs belonging to a field (checkbox groups use the name[] form)
+    getFieldElements: function(fieldName) {
+        const form = document.getElementById('helpdeskForm');
+        if (!form) return [];
+        
+        return Array.from(form.querySelectorAll(`[name="${fieldName}"], [name="${fieldName}[]"]`));
+    },
+
+    // Get the current value of a field by name (arrays for multi-value fields,
+    // a list of { field: value } rows for repeatable groups)
+    getFieldValue: function(fieldName) {
+        if (GroupField.groups[fieldName]) {
+            return GroupField.getRows(fieldName);
+        }
+        
+        const elements = this.getFieldElements(fieldName);
+        if (elements.length === 0) return null;
+        
+        const first = elements[0];
+        const isMultiValue = first.name.endsWith('[]');
+        
+        if (first.type === 'checkbox') {
+            const checked = elements.filter(el => el.checked).map(el => el.value);
+            return isMultiValue || elements.length > 1 ? checked : (checked[0] || '');
+        }
+        
+        if (first.type === 'radio') {
+            const checked = elements.find(el => el.checked);
+            return checked ? checked.value : '';
+        }
+        
+        if (first.type === 'file') {
+            return FileField.getSelectedFiles(fieldName).map(file => file.name);
+        }
+        
+        if (first.tagName === 'SELECT' && first.multiple) {
+            return Array.from(first.selectedOptions).map(option => option.value);
+        }
+        
+        return first.value;
+    },
+
+    // Set a field's value from plain data (string, array or group rows)
+    setFieldValue: function(fieldName, value) {
+        if (GroupField.groups[fieldName]) {
+            GroupField.setRows(fieldName, value);
+            return;
+        }
+        
+        const elements = this.getFieldElements(fieldName);
+        const values = Array.isArray(value) ? value.map(String) : [String(value ?? '')];
+        
+        elements.forEach(el => {
+            // Hidden copies of locked fields keep their value (see lockField)
+            if (el.type === 'hidden') return;
+            
+            if (el.type === 'checkbox') {
+                el.checked = elements.length > 1 || el.name.endsWith('[]') ?
+                    values.includes(el.value) :
+                    Boolean(value) && value !== 'false';
+            } else if (el.type === 'radio') {
+                el.checked = values.includes(el.value);
+            } else if (el.type === 'file') {
+                // Files cannot be restored from plain data
+            } else if (el.tagName === 'SELECT' && el.multiple) {
+                Array.from(el.options).forEach(option => {
+                    option.selected = values.includes(option.value);
+                });
+            } else {
+                el.value = values[0];
+                MarkdownEditor.refresh(el);
+            }
+        });
+    },
+
+    // Fill in values handed over by the page, e.g. the widget's data-prefill.
+    // Only empty fields are filled, so autosaved answers win, unless `overwrite`
+    // is set; the prefilled values are the starting point of the edit history,
+    // not an edit.
+    applyPrefill: function(values, options = {}) {
+        let filled = 0;
+        
+        Object.keys(values || {}).forEach(fieldName => {
+            const elements = this.getFieldElements(fieldName);
+            const isGroup = Boolean(GroupField.groups[fieldName]);
+            if ((elements.length === 0 && !isGroup) || elements.some(el => el.type === 'file')) return;
+            
+            // Hidden conditional fields get the value once they are shown
+            const fieldContainer = document.querySelector(`[data-field="${fieldName}"]`);
+            if (fieldContainer && fieldContainer.classList.contains('d-none')) {
+                if (this.hiddenFieldValues[fieldName] === undefined || options.overwrite) {
+                    this.hiddenFieldValues[fieldName] = values[fieldName];
+                    filled++;
+                }
+                return;
+            }
+            
+            if (options.overwrite || ExpressionEvaluator.isEmpty(this.getFieldValue(fieldName))) {
+                this.setFieldValue(fieldName, values[fieldName]);
+                filled++;
+            }
+        });
+        
+        if (filled > 0) {
+            this.handleConditionalTriggers();
+            EditHistory.reset(this.captureFormState());
+        }
+    },
+
+    // Values from a link or an earlier request (checked on the server by
+    // PrefillService). They replace the autosaved answers of the same fields and
+    // are saved as the new draft; the values of a signed link are locked.
+    setupPrefill: function() {
+        const prefill = this.config.prefill;
+        if (!prefill || Object.keys(prefill.values || {}).length === 0) return;
+        
+        this.applyPrefill(prefill.values, { overwrite: true });
+        (prefill.locked || []).forEach(fieldName => this.lockField(fieldName));
+        this.draftChanged = true;
+        
+        // Reloading the page keeps the draft instead of filling in the link again
+        const url = new URL(window.location.href);
+        Array.from(url.searchParams.keys())
+            .filter(key => key !== 'draft')
+            .forEach(key => url.searchParams.delete(key));
+        window.history.replaceState(window.history.state, '', url);
+    },
+
+    // Fields computed from other fields (computed in form_fields.yaml), with a
+    // hint naming those fields. Locked ones are read-only; for a locked select a
+    // hidden copy carries the value, as in lockField.
+    setupComputedFields: function() {
+        const form = document.getElementById('helpdeskForm');
+        this.computedFields = form ? ComputedFields.compile(this.config.fields) : [];
+        this.computedState = {};
+        if (this.computedFields.length === 0) return;
+        
+        this.computedFields.forEach(computed => {
+            const elements = this.getFieldElements(computed.name);
+            const fieldContainer = document.querySelector(`[data-field="${computed.name}"]`);
+            if (elements.length === 0 || !fieldContainer) return;
+            
+            // A default counts as a value the computation may replace
+            const field = this.config.fields.find(item => item.name === computed.name) || {};
+            const current = this.getFieldValue(computed.name);
+            this.computedState[computed.name] = {
+                value: '',
+                applied: current === String(field.default ?? '') ? current : null
+            };
+            
+            fieldContainer.classList.add('field-computed');
+            if (computed.mode === 'lock' && !fieldContainer.classList.contains('field-locked')) {
+                elements.forEach(el => {
+                    if (el.tagName === 'SELECT') {
+                        const copy = document.createElement('input');
+                        copy.type = 'hidden';
+                        copy.name = el.name;
+                        copy.value = el.value;
+                        el.after(copy);
+                        el.disabled = true;
+                    } else {
+                        el.readOnly = true;
+                    }
+                });
+            }
+            
+            const hint = document.createElement('div');
+            hint.className = 'form-text computed-hint';
+            hint.id = `${computed.name}_computed`;
+            fieldContainer.appendChild(hint);
+            elements.forEach(el => HelpDesk.FormValidator.toggleDescribedBy(el, hint.id, true));
+        });
+        
+        if (this.updateComputedFields()) {
+            this.handleConditionalTriggers();
+        }
+        
+        // Fields that changed may be the ones others are computed from
+        ['input', 'change'].forEach(type => form.addEventListener(type, () => {
+            if (this.updateComputedFields()) {
+                this.handleConditionalTriggers();
+            }
+        }));
+        
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-use-suggestion]');
+            if (button && form.contains(button)) {
+                this.useSuggestion(button.dataset.useSuggestion);
+            }
+        });
+    },
+
+    // Compute the computed fields again; returns whether a value changed.
+    // Locked fields always take the new value. A suggested field keeps what the
+    // user chose: a value that is not empty, not the suggestion it was given
+    // last and not the new suggestion.
+    updateComputedFields: function() {
+        let changed = false;
+        
+        this.computedFields.forEach(computed => {
+            const state = this.computedState[computed.name];
+            if (!state) return;
+            
+            const value = ComputedFields.compute(computed.spec, name => this.getFieldValue(name));
+            const current = this.getFieldValue(computed.name);
+            const overridden = computed.mode === 'suggest' && value !== '' &&
+                current !== '' && current !== state.applied && current !== value;
+            const fieldContainer = document.querySelector(`[data-field="${computed.name}"]`);
+            state.value = value;
+            
+            if (current !== value && !overridden && (computed.mode === 'lock' || value !== '') &&
+                !fieldContainer.classList.contains('field-locked')) {
+                this.setComputedValue(computed.name, value);
+                changed = true;
+            }
+            this.updateComputedHint(computed, overridden);
+        });
+        
+        return changed;
+    },
+
+    setComputedValue: function(fieldName, value) {
+        this.setFieldValue(fieldName, value);
+        this.getFieldElements(fieldName).forEach(el => {
+            if (el.type === 'hidden') {
+                el.value = value;
+            } else if (el.classList.contains('is-invalid')) {
+                HelpDesk.FormValidator.validateField(el);
+            }
+        });
+        this.computedState[fieldName].applied = value;
+    },
+
+    // "Calculated from ..." under a computed field; a suggestion the user did
+    // not take is shown with a button to take it after all
+    updateComputedHint: function(computed, overridden) {
+        const hint = document.getElementById(`${computed.name}_computed`);
+        if (!hint) return;
+        
+        const value = this.computedState[computed.name].value;
+        const key = JSON.stringify([computed.mode, overridden, value]);
+        if (hint.dataset.key === key) return;
+        hint.dataset.key = key;
+        
+        const html = HelpDesk.Utils.html;
+        const fields = I18n.formatList(computed.sources.map(name => this.getFieldLabel(name)));
+        
+        if (computed.mode === 'lock') {
+            hint.textContent = I18n.t('computed.locked', { fields: fields });
+        } else if (overridden) {
+            // Options are shown by their label
+            const select = this.getFieldElements(computed.name).find(el => el.tagName === 'SELECT');
+            const option = select ? Array.from(select.options).find(item => item.value === value) : null;
+            const label = option ? option.textContent.trim() : value;
+            
+            HelpDesk.Utils.setHtml(hint, html`${I18n.t('computed.suggestion', { fields: fields, value: label })}
+                <button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline" data-use-suggestion="${computed.name}">${I18n.t('computed.use_suggestion')}</button>`);
+        } else {
+            hint.textContent = I18n.t('computed.suggested', { fields: fields });
+        }
+    },
+
+    // Take the suggestion for a field the user had set to something else
+    useSuggestion: function(fieldName) {
+        const state = this.computedState[fieldName];
+        const element = this.getFieldElements(fieldName)[0];
+        if (!state || state.value === '' || !element) return;
+        
+        this.setComputedValue(fieldName, state.value);
+        element.focus();
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    // Show a field's value without letting it be changed. Selects and checkboxes
+    // cannot be read-only, so they are disabled and hidden copies carry the value.
+    lockField: function(fieldName) {
+        const group = GroupField.groups[fieldName];
+        const elements = group ?
+            Array.from(group.element.querySelectorAll('input, select, textarea')) :
+            this.getFieldElements(fieldName);
+        
+        elements.forEach(el => {
+            if (el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio') {
+                const values = el.tagName === 'SELECT' ?
+                    Array.from(el.selectedOptions).map(option => option.value) :
+                    (el.checked ? [el.value] : []);
+                
+                values.forEach(value => {
+                    const copy = document.createElement('input');
+                    copy.type = 'hidden';
+                    copy.name = el.name;
+                    copy.value = value;
+                    el.after(copy);
+                });
+                el.disabled = true;
+            } else {
+                el.readOnly = true;
+            }
+        });
+        
+        const fieldContainer = document.querySelector(`[data-field="${fieldName}"]`);
+        if (fieldContainer) {
+            fieldContainer.classList.add('field-locked');
+            const label = fieldContainer.querySelector('label');
+            if (label) {
+                HelpDesk.Utils.insertHtml(label, 'beforeend', HelpDesk.Utils.html` <i class="bi bi-lock-fill text-muted" title="${I18n.t('prefill.locked')}"></i>`);
+            }
+        }
+        
+        // Rows of a locked group can no longer be added, removed or moved
+        if (group) {
+            GroupField.renumber(fieldName);
+        }
+    },
+
+    // Clear a field's value, selected files and validation state
+    clearFieldValue: function(fieldName) {
+        const group = GroupField.groups[fieldName];
+        if (group) {
+            GroupField.setRows(fieldName, []);
+            HelpDesk.FormValidator.clearFieldValidation(group.element);
+            return;
+        }
+        
+        this.getFieldElements(fieldName).forEach(el => {
+            if (el.type === 'hidden') return;
+            
+            if (el.type === 'checkbox' || el.type === 'radio') {
+                el.checked = false;
+            } else {
+                el.value = '';
+                MarkdownEditor.refresh(el);
+            }
+            HelpDesk.FormValidator.clearFieldValidation(el);
+        });
+        
+        const fileList = document.getElementById(`fileList_${fieldName}`);
+        if (fileList) {
+            fileList.innerHTML = '';
+            fileList.style.display = 'none';
+        }
+    },
+
+    // Work out which controlled fields should be visible. Hidden fields count as
+    // empty, so hiding a parent cascades down the whole chain of dependents.
+    computeConditionalVisibility: function() {
+        const controlledBy = this.conditionGraph.controlledBy;
+        const children = Object.keys(controlledBy);
+        const visible = {};
+        
+        children.forEach(child => {
+            const container = document.querySelector(`[data-field="${child}"]`);
+            visible[child] = Boolean(container) && !container.classList.contains('d-none');
+        });
+        
+        const isVisible = name => name in visible ? visible[name] : true;
+        const resolverFor = owner => name => {
+            const target = name === 'value' ? owner : name;
+            return isVisible(target) ? this.getFieldValue(target) : null;
+        };
+        
+        // Propagate until stable; the pass limit guards against cyclic triggers
+        for (let pass = 0; pass <= children.length; pass++) {
+            let changed = false;
+            
+            children.forEach(child => {
+                const shouldShow = controlledBy[child].some(({ owner, compiled }) =>
+                    isVisible(owner) && ExpressionEvaluator.evaluate(compiled, resolverFor(owner))
+                );
+                
+                if (shouldShow !== visible[child]) {
+                    visible[child] = shouldShow;
+                    changed = true;
+                }
             });
+            
+            if (!changed) break;
+        }
+        
+        return visible;
+    },
 
-            dropZone.addEventListener('drop', (e) => {
-                e.preventDefault();
-                dropZone.classList.remove('dragover');
+    // Handle conditional field triggers
+    handleConditionalTriggers: function(options = {}) {
+        // Restored or cleared values change what computed fields show
+        this.updateComputedFields();
+        
+        if (!this.conditionGraph) return;
+        
+        const visibility = this.computeConditionalVisibility();
+        
+        Object.keys(visibility).forEach(fieldName => {
+            const fieldContainer = document.querySelector(`[data-field="${fieldName}"]`);
+            if (!fieldContainer) return;
+            
+            const wasHidden = fieldContainer.classList.contains('d-none');
+            
+            if (visibility[fieldName]) {
+                fieldContainer.classList.remove('d-none');
+                fieldContainer.classList.add('fade-in');
+                
+                // Bring back what the user (or the autosave) had entered before hiding
+                if (wasHidden && this.hiddenFieldValues[fieldName] !== undefined) {
+                    this.restoreHiddenFieldValue(fieldName);
+                }
+            } else if (!wasHidden || options.initial) {
+                fieldContainer.classList.add('d-none');
+                fieldContainer.classList.remove('fade-in');
+                
+                // Keep the value aside and clear it so hidden fields are not submitted
+                this.stashHiddenFieldValue(fieldName);
+                this.clearFieldValue(fieldName);
+            }
+        });
+        
+        // Update progress after showing/hiding fields
+        HelpDesk.ProgressTracker.updateProgress();
+    },
+
+    // Remember the value of a field that is about to be hidden. File fields keep
+    // their file items, so finished or running uploads are not repeated.
+    stashHiddenFieldValue: function(fieldName) {
+        const isFileField = this.getFieldElements(fieldName).some(el => el.type === 'file');
+        const value = isFileField && FileField.fields[fieldName] ?
+            FileField.getItems(fieldName) :
+            this.getFieldValue(fieldName);
+        
+        if (!ExpressionEvaluator.isEmpty(value)) {
+            this.hiddenFieldValues[fieldName] = value;
+        }
+    },
+
+    // Restore a previously stashed value when its field is shown again
+    restoreHiddenFieldValue: function(fieldName) {
+        const value = this.hiddenFieldValues[fieldName];
+        delete this.hiddenFieldValues[fieldName];
+        
+        const fileInput = this.getFieldElements(fieldName).find(el => el.type === 'file');
+        if (fileInput) {
+            FileField.restoreItems(fieldName, FileField.getItems(fieldName).concat(value));
+        } else {
+            this.setFieldValue(fieldName, value);
+        }
+    },
+
+    // Setup autosave functionality
+    setupAutosave: function() {
+        if (!this.config.autosaveInterval) return;
+
+        this.debouncedAutosave = HelpDesk.Utils.debounce(() => {
+            // Edits may already be saved, e.g. before opening another draft
+            if (this.draftChanged) {
+                this.autosave();
+            }
+        }, 1000);
+        
+        // Retry pending syncs as soon as the connection comes back
+        this.listen(window, 'online', () => {
+            this.syncDraft();
+        });
+        this.listen(window, 'offline', () => {
+            if (this.pendingSync) {
+                this.setAutosaveStatus('offline');
+            }
+        });
+    },
+
+    // Keep the draft on this device when a request finds the session expired;
+    // it is offered again after logging back in
+    setupSessionHandling: function() {
+        if (this.unauthorizedHandlerAdded) return;
+        this.unauthorizedHandlerAdded = true;
+
+        ApiClient.onUnauthorized(() => {
+            if (this.config) {
+                this.saveLocalDraft();
+            }
+        });
+    },
+
+    // Whether drafts are also kept in browser storage
+    isLocalDraftEnabled: function() {
+        const progressSettings = this.config.settings.form_progress || {};
+        return progressSettings.save_locally !== false && DraftStore.isAvailable();
+    },
+
+    // Local storage key for this user's draft of this request type
+    getDraftKey: function() {
+        return DraftStore.key(this.config.userId, this.config.requestType, this.getCurrentDraftId());
+    },
+
+    // ID of the named draft open in the form; null for the unnamed autosave
+    getCurrentDraftId: function() {
+        return this.config.draft ? this.config.draft.id : null;
+    },
+
+    // Get draft data: form values without files and bookkeeping fields
+    getDraftData: function() {
+        const formData = this.getFormData();
+        const draft = {};
+        
+        Object.keys(formData).forEach(key => {
+            if (DraftStore.ignoredKeys.includes(key)) return;
+            
+            const value = formData[key];
+            if (value instanceof File) return;
+            // A group with only empty rows is not something to keep
+            if (GroupField.groups[key] && this.getFilledRows(value).length === 0) return;
+            draft[key] = Array.isArray(value) ? value.filter(item => !(item instanceof File)) : value;
+        });
+        
+        return draft;
+    },
+
+    // Perform autosave: write locally first, then queue a server sync
+    autosave: function() {
+        this.draftChanged = false;
+        const draft = this.getDraftData();
+        const record = this.saveLocalDraft(draft);
+        
+        this.queueDraftSync(draft, record ? record.savedAt : null);
+    },
+
+    // Write the draft to browser storage; returns the stored record or null
+    saveLocalDraft: function(draft = this.getDraftData()) {
+        if (!this.isLocalDraftEnabled()) {
+            return null;
+        }
+        
+        const progressSettings = this.config.settings.form_progress || {};
+        const record = DraftStore.save(this.getDraftKey(), draft, { ttlHours: progressSettings.expire_after });
+        this.setAutosaveStatus('local');
+        return record;
+    },
+
+    // Queue the latest draft for the server; newer drafts replace older ones.
+    // It remembers which draft it belongs to, in case another one is opened.
+    queueDraftSync: function(draft, savedAt) {
+        this.pendingSync = {
+            draft: draft,
+            savedAt: savedAt,
+            requestType: this.config.requestType,
+            draftId: this.getCurrentDraftId(),
+            key: this.getDraftKey()
+        };
+        this.syncRetryDelay = 0;
+        clearTimeout(this.syncRetryTimer);
+        this.syncDraft();
+    },
+
+    // Send the pending draft to /api/autosave, retrying with backoff on failure
+    syncDraft: function() {
+        const pending = this.pendingSync;
+        if (!pending || this.syncInFlight) return;
+        
+        if (!navigator.onLine) {
+            this.setAutosaveStatus('offline');
+            return;
+        }
+        
+        this.syncInFlight = true;
+        clearTimeout(this.syncRetryTimer);
+        
+        HelpDesk.Utils.apiRequest('/api/autosave', {
+            method: 'POST',
+            body: {
+                request_type: pending.requestType,
+                draft_id: pending.draftId,
+                form_data: pending.draft
+            }
+        })
+        .then(() => {
+            if (pending.savedAt !== null) {
+                DraftStore.markSynced(pending.key, pending.savedAt);
+            }
+            
+            // Only clear the queue if nothing newer was queued meanwhile
+            if (this.pendingSync === pending) {
+                this.pendingSync = null;
+                this.syncRetryDelay = 0;
+                this.setAutosaveStatus('synced');
+            }
+        })
+        .catch(error => {
+            console.error('Autosave sync failed:', error);
+            
+            // The named draft was deleted elsewhere: keep the work as the unnamed autosave
+            if (error.status === 404 && pending.draftId) {
+                if (this.pendingSync === pending) {
+                    this.pendingSync = null;
+                }
+                DraftStore.remove(pending.key);
+                if (pending.draftId === this.getCurrentDraftId()) {
+                    this.setCurrentDraft(null);
+                    HelpDesk.Utils.showToast(I18n.t('drafts.missing'), 'warning');
+                    this.autosave();
+                }
+                return;
+            }
+            
+            this.syncRetryDelay = Math.min((this.syncRetryDelay || 1000) * 2, 60000);
+            this.setAutosaveStatus(navigator.onLine ? 'failed' : 'offline');
+            this.syncRetryTimer = setTimeout(() => this.syncDraft(), this.syncRetryDelay);
+        })
+        .finally(() => {
+            this.syncInFlight = false;
+            
+            // A newer draft was queued while this request was running
+            if (this.pendingSync && this.pendingSync !== pending) {
+                this.syncDraft();
+            }
+        });
+    },
+
+    // Show the autosave state in the indicator
+    setAutosaveStatus: function(state) {
+        const indicator = document.getElementById('autosaveStatus');
+        if (!indicator) return;
+
+        const states = {
+            local: { alert: 'alert-info', icon: 'bi-hdd' },
+            synced: { alert: 'alert-success', icon: 'bi-check-circle' },
+            offline: { alert: 'alert-warning', icon: 'bi-wifi-off' },
+            failed: { alert: 'alert-warning', icon: 'bi-exclamation-triangle' }
+        };
+        if (!states[state]) {
+            state = 'synced';
+        }
+        const status = states[state];
+        
+        indicator.classList.remove('d-none', 'alert-info', 'alert-success', 'alert-warning');
+        indicator.classList.add(status.alert);
+        indicator.dataset.state = state;
+        
+        const icon = indicator.querySelector('i');
+        if (icon) {
+            icon.className = `bi ${status.icon} me-1`;
+        }
+        const text = indicator.querySelector('small');
+        if (text) {
+            text.textContent = I18n.t(`autosave.${state}`);
+        }
+        
+        // Autosave runs while typing, so only announce changes of state
+        if (state !== this.announcedAutosaveState) {
+            this.announcedAutosaveState = state;
+            HelpDesk.Utils.announce(I18n.t(`autosave.${state}`));
+        }
+        
+        // Only the final "synced" state disappears on its own
+        clearTimeout(this.autosaveIndicatorTimer);
+        if (state === 'synced') {
+            this.autosaveIndicatorTimer = setTimeout(() => {
+                indicator.classList.add('d-none');
+            }, 2000);
+        }
+    },
+
+    // Load autosaved data, preferring unsynced local work over the server draft.
+    // With a draft ID, the named draft is fetched and replaces the form contents.
+    loadAutosavedData: function(draftId = null) {
+        if (draftId) {
+            return this.loadDraft(draftId);
+        }
+        
+        const serverData = this.config.autosavedData || {};
+        const localDraft = this.isLocalDraftEnabled() ? DraftStore.load(this.getDraftKey()) : null;
+        const hasUnsyncedLocal = DraftStore.isUnsynced(localDraft) && DraftStore.hasContent(localDraft.data);
+        
+        if (hasUnsyncedLocal && DraftStore.hasContent(serverData) && !DraftStore.isSameData(localDraft.data, serverData)) {
+            this.applyDraftData(serverData);
+            this.showDraftConflict(localDraft, serverData);
+            return;
+        }
+        
+        if (hasUnsyncedLocal) {
+            this.applyDraftData(localDraft.data, { replace: true });
+            this.setAutosaveStatus('local');
+            this.queueDraftSync(localDraft.data, localDraft.savedAt);
+            return;
+        }
+        
+        this.applyDraftData(serverData);
+    },
+
+    // Open a named draft in place of the current form contents, saving any
+    // edits to the current draft first
+    loadDraft: function(draftId) {
+        if (this.draftChanged) {
+            this.autosave();
+        }
+        
+        return DraftList.get(draftId)
+            .then(draft => {
+                this.resetForm();
+                this.config.autosavedData = draft.form_data || {};
+                this.setCurrentDraft(draft);
+                this.loadAutosavedData();
+                this.handleConditionalTriggers({ initial: true });
+                this.draftChanged = false;
+                EditHistory.reset(this.captureFormState());
                 
-                const files = Array.from(e.dataTransfer.files);
-                this.handleFileSelection(field, files, fileList);
+                HelpDesk.Utils.showToast(I18n.t('drafts.opened', { name: draft.name }), 'info');
+            })
+            .catch(error => {
+                HelpDesk.Utils.showToast(error.message, 'error');
             });
+    },
 
-            // File input change
-            field.addEventListener('change', (e) => {
-                const files = Array.from(e.target.files);
-                this.handleFileSelection(field, files, fileList);
+    // Named drafts: the list in the sidebar and the "save as" dialog
+    setupDrafts: function() {
+        const list = document.getElementById('draftList');
+        if (list) {
+            DraftList.init(list, {
+                requestType: this.config.requestType,
+                currentId: this.getCurrentDraftId(),
+                onRestore: draft => {
+                    if (draft.id !== this.getCurrentDraftId()) {
+                        this.loadAutosavedData(draft.id);
+                    }
+                },
+                onDelete: draft => {
+                    // Keep the contents, now as the unnamed autosave
+                    if (draft.id === this.getCurrentDraftId()) {
+                        DraftStore.remove(this.getDraftKey());
+                        this.setCurrentDraft(null);
+                        this.autosave();
+                    }
+                }
+            });
+        }
+        
+        const modal = document.getElementById('saveDraftModal');
+        const form = document.getElementById('saveDraftForm');
+        if (!modal || !form) return;
+        
+        const nameInput = document.getElementById('draftName');
+        modal.addEventListener('show.bs.modal', () => {
+            nameInput.value = this.config.draft ? I18n.t('drafts.copy_name', { name: this.config.draft.name }) : '';
+            HelpDesk.FormValidator.clearFieldValidation(nameInput);
+        });
+        modal.addEventListener('shown.bs.modal', () => {
+            nameInput.focus();
+            nameInput.select();
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const name = nameInput.value.trim();
+            if (!name) {
+                HelpDesk.FormValidator.setFieldError(nameInput, I18n.t('drafts.name_required'));
+                nameInput.focus();
+                return;
+            }
+            HelpDesk.FormValidator.clearFieldValidation(nameInput);
+            
+            this.saveDraftAs(name).then(saved => {
+                if (saved) {
+                    bootstrap.Modal.getOrCreateInstance(modal).hide();
+                }
             });
         });
     },
 
-    // Handle file selection
-    handleFileSelection: function(field, files, fileList) {
-        const fieldName = field.name.replace('[]', '');
-        const isMultiple = field.hasAttribute('multiple');
-        const accept = field.getAttribute('accept');
+    // Save the form contents as a new named draft and continue editing that
+    // draft. Resolves to whether it was saved.
+    saveDraftAs: function(name) {
+        const data = this.getDraftData();
+        const fromAutosave = !this.getCurrentDraftId();
+        const autosaveKey = this.getDraftKey();
         
-        // Filter valid files
-        const validFiles = files.filter(file => {
-            if (accept && accept !== '*') {
-                const acceptedTypes = accept.split(',').map(type => type.trim());
-                const fileType = file.type;
-                const fileName = file.name.toLowerCase();
-                
-                return acceptedTypes.some(type => {
-                    if (type.startsWith('.')) {
-                        return fileName.endsWith(type);
-                    } else if (type.includes('/')) {
-                        return fileType === type || fileType.startsWith(type.replace('*', ''));
+        return DraftList.create(this.config.requestType, name, data, { clearAutosave: fromAutosave })
+            .then(draft => {
+                // The unnamed autosave moved into the new draft
+                if (fromAutosave) {
+                    if (this.pendingSync && !this.pendingSync.draftId) {
+                        this.pendingSync = null;
                     }
-                    return false;
+                    DraftStore.remove(autosaveKey);
+                }
+                
+                this.setCurrentDraft(draft);
+                this.draftChanged = false;
+                if (this.isLocalDraftEnabled()) {
+                    DraftStore.save(this.getDraftKey(), data, { synced: true });
+                }
+                
+                HelpDesk.Utils.showToast(I18n.t('drafts.saved', { name: draft.name }), 'success');
+                DraftList.refresh().catch(() => {
+                    // The list catches up on the next change
                 });
+                return true;
+            })
+            .catch(error => {
+                HelpDesk.Utils.showToast(error.message, 'error');
+                return false;
+            });
+    },
+
+    // Switch the form to a named draft, or to the unnamed autosave with null;
+    // the hidden draft_id field, the address bar and the sidebar follow
+    setCurrentDraft: function(draft) {
+        this.config.draft = draft ? { id: draft.id, name: draft.name } : null;
+        
+        const input = document.querySelector('#helpdeskForm input[name="draft_id"]');
+        if (input) {
+            input.value = draft ? draft.id : '';
+        }
+        
+        // An embedded form leaves the URL of the page it is on alone
+        if (!this.config.embedded) {
+            const url = new URL(window.location.href);
+            if (draft) {
+                url.searchParams.set('draft', draft.id);
+            } else {
+                url.searchParams.delete('draft');
+            }
+            window.history.replaceState(window.history.state, '', url);
+        }
+        
+        const title = document.getElementById('currentDraftName');
+        if (title) {
+            title.textContent = draft ? draft.name : I18n.t('drafts.unnamed');
+        }
+        
+        if (DraftList.container) {
+            DraftList.setCurrent(this.getCurrentDraftId());
+        }
+    },
+
+    // Fill the form from draft data; `replace` first clears editable fields
+    applyDraftData: function(data, options = {}) {
+        if (options.replace) {
+            const form = document.getElementById('helpdeskForm');
+            form.querySelectorAll('input, select, textarea').forEach(field => {
+                if (field.type === 'hidden' || field.type === 'file' || field.readOnly || field.closest('.field-locked')) return;
+                
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = false;
+                } else {
+                    field.value = '';
+                }
+            });
+        }
+        
+        Object.keys(data || {}).forEach(key => {
+            if (DraftStore.ignoredKeys.includes(key)) return;
+            
+            const fieldName = key.replace('[]', '');
+            if (data[key] !== null && data[key] !== '') {
+                this.setFieldValue(fieldName, data[key]);
             }
-            return true;
         });
+        
+        HelpDesk.ProgressTracker.updateProgress();
+    },
 
-        if (validFiles.length !== files.length) {
-            HelpDesk.Utils.showToast(
-                'Some files were rejected due to invalid file type.',
-                'warning'
-            );
+    // Ask which draft to keep when this device and the server disagree
+    showDraftConflict: function(localDraft, serverData) {
+        const modal = document.getElementById('draftConflictModal');
+        if (!modal) {
+            // Without the dialog, keep the unsynced local work
+            this.resolveDraftConflict(localDraft, serverData, 'local');
+            return;
         }
+        
+        const savedAt = document.getElementById('draftConflictLocalTime');
+        if (savedAt) {
+            savedAt.textContent = HelpDesk.Utils.formatDate(localDraft.savedAt);
+        }
+        
+        const modalInstance = new bootstrap.Modal(modal);
+        
+        document.getElementById('useLocalDraft').onclick = () => {
+            modalInstance.hide();
+            this.resolveDraftConflict(localDraft, serverData, 'local');
+        };
+        document.getElementById('useServerDraft').onclick = () => {
+            modalInstance.hide();
+            this.resolveDraftConflict(localDraft, serverData, 'server');
+        };
+        
+        modalInstance.show();
+    },
 
-        // Check file size limits
-        const maxSize = this.parseFileSize(this.config.settings.max_file_size || '10MB');
-        const oversizedFiles = validFiles.filter(file => file.size > maxSize);
+    // Apply the chosen draft and bring the other side in line with it
+    resolveDraftConflict: function(localDraft, serverData, choice) {
+        if (choice === 'local') {
+            this.applyDraftData(localDraft.data, { replace: true });
+            this.queueDraftSync(localDraft.data, localDraft.savedAt);
+        } else {
+            this.applyDraftData(serverData, { replace: true });
+            DraftStore.save(this.getDraftKey(), serverData, { synced: true });
+        }
         
-        if (oversizedFiles.length > 0) {
-            HelpDesk.Utils.showToast(
-                `Some files exceed the maximum size limit of ${this.config.settings.max_file_size}.`,
-                'error'
-            );
+        this.handleConditionalTriggers();
+        EditHistory.reset(this.captureFormState());
+    },
+
+    // Setup form validation
+    // Validate fields with the rules from form_fields.yaml
+    setupValidationRules: function() {
+        ValidationEngine.configure({
+            fields: this.config.fields,
+            messages: this.config.settings.validation_rules || {},
+            requestType: this.config.requestType,
+            resolve: name => this.getFieldValue(name),
+            collect: () => this.getDraftData()
+        });
+    },
+
+    setupFormValidation: function() {
+        const form = document.getElementById('helpdeskForm');
+        if (!form) return;
+
+        // Real-time validation, on the form so rows added to repeatable groups
+        // are included. Leaving a group row that is still empty clears it.
+        form.addEventListener('focusout', (e) => {
+            const field = e.target;
+            if (!field.matches('input, select, textarea')) return;
+            
+            const row = field.closest('[data-group-row]');
+            if (row && GroupField.isRowEmpty(row)) {
+                GroupField.getInputs(row).forEach(input => HelpDesk.FormValidator.clearFieldValidation(input));
+            } else {
+                HelpDesk.FormValidator.validateField(field);
+            }
+            this.refreshErrorSummary();
+        });
+    },
+
+    // Turn the form into a wizard when the request type defines steps
+    setupWizard: function() {
+        this.steps = this.config.steps || [];
+        if (!this.isWizard() || !document.querySelector('.form-step')) {
+            this.steps = [];
             return;
         }
 
-        // Update file list display
-        this.updateFileList(fieldName, validFiles, fileList, isMultiple);
-        
-        // Update form progress
+        const backBtn = document.getElementById('wizardBack');
+        const nextBtn = document.getElementById('wizardNext');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => this.goToStep(this.currentStep - 1));
+        }
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.goToStep(this.currentStep + 1));
+        }
+
+        document.querySelectorAll('[data-step-target]').forEach(link => {
+            link.addEventListener('click', () => {
+                this.goToStep(parseInt(link.dataset.stepTarget, 10));
+            });
+        });
+
+        // Steps are deep-linkable as #step=<id>, which also makes browser back work
+        this.listen(window, 'hashchange', () => {
+            const index = this.getStepIndexFromHash();
+            if (index !== null && index !== this.currentStep) {
+                this.showStep(index);
+            }
+        });
+
+        const initialStep = this.getStepIndexFromHash();
+        this.showStep(initialStep !== null ? initialStep : 0, { updateHash: false });
+    },
+
+    isWizard: function() {
+        return this.steps.length > 0;
+    },
+
+    // Find the step named in the URL hash
+    getStepIndexFromHash: function() {
+        if (this.config.embedded) return null;
+
+        const match = /^#step=(.+)$/.exec(window.location.hash);
+        if (!match) return null;
+
+        const stepId = decodeURIComponent(match[1]);
+        const index = this.steps.findIndex(step => step.id === stepId);
+        return index >= 0 ? index : null;
+    },
+
+    // Move to another step; moving forward requires the steps in between to be valid
+    goToStep: function(index) {
+        if (index < 0 || index >= this.steps.length || index === this.currentStep) return;
+
+        for (let step = this.currentStep; step < index; step++) {
+            if (!this.validateStep(step)) return;
+        }
+
+        this.hideErrorSummary();
+        this.showStep(index, { focus: true });
+    },
+
+    // Show a single step and update the indicator and navigation buttons
+    showStep: function(index, options = {}) {
+        document.querySelectorAll('.form-step').forEach(section => {
+            section.classList.toggle('d-none', parseInt(section.dataset.step, 10) !== index);
+        });
+
+        document.querySelectorAll('.wizard-step').forEach(item => {
+            const isCurrent = parseInt(item.dataset.step, 10) === index;
+            item.classList.toggle('active', isCurrent);
+
+            const link = item.querySelector('.wizard-step-link');
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'step');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        this.currentStep = index;
+
+        // The last step submits through the confirmation modal, which acts as the review
+        const isLastStep = index === this.steps.length - 1;
+        const backBtn = document.getElementById('wizardBack');
+        const nextBtn = document.getElementById('wizardNext');
+        const submitBtn = document.getElementById('submitForm');
+        if (backBtn) backBtn.classList.toggle('d-none', index === 0);
+        if (nextBtn) nextBtn.classList.toggle('d-none', isLastStep);
+        if (submitBtn) submitBtn.classList.toggle('d-none', !isLastStep);
+
+        if (options.updateHash !== false && !this.config.embedded) {
+            const hash = `#step=${encodeURIComponent(this.steps[index].id)}`;
+            if (window.location.hash !== hash) {
+                window.location.hash = hash;
+            }
+        }
+
+        if (options.focus) {
+            const heading = document.getElementById(`stepTitle_${index}`);
+            if (heading) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus();
+                heading.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+
         HelpDesk.ProgressTracker.updateProgress();
     },
 
-    // Update file list display
-    updateFileList: function(fieldName, files, fileList, isMultiple) {
-        let existingFiles = [];
-        
-        if (isMultiple) {
-            // Get existing files from display
-            const existingItems = fileList.querySelectorAll('.file-item');
-            existingFiles = Array.from(existingItems).map(item => ({
-                name: item.dataset.fileName,
-                size: parseInt(item.dataset.fileSize),
-                file: item.fileObject
-            }));
-        }
-
-        // Combine existing and new files
-        const allFiles = isMultiple ? [...existingFiles, ...files] : files;
-        
-        // Clear file list
-        fileList.innerHTML = '';
-        
-        // Add file items
-        allFiles.forEach((fileData, index) => {
-            const file = fileData.file || fileData;
-            const fileItem = this.createFileItem(file, index, fieldName);
-            fileList.appendChild(fileItem);
-        });
-
-        // Show file list if there are files
-        fileList.style.display = allFiles.length > 0 ? 'block' : 'none';
-    },
-
-    // Create file item element
-    createFileItem: function(file, index, fieldName) {
-        const fileItem = document.createElement('div');
-        fileItem.className = 'file-item';
-        fileItem.dataset.fileName = file.name;
-        fileItem.dataset.fileSize = file.size;
-        fileItem.fileObject = file;
-
-        const fileIcon = this.getFileIcon(file.name);
-        
-        fileItem.innerHTML = `
-            <div class="file-info">
-                <i class="bi ${fileIcon} file-icon"></i>
-                <div class="file-details">
-                    <div class="file-name">${file.name}</div>
-                    <div class="file-size">${HelpDesk.Utils.formatFileSize(file.size)}</div>
-                </div>
-            </div>
-            <button type="button" class="file-remove" title="Remove file">
-                <i class="bi bi-x-lg"></i>
-            </button>
-        `;
-
-        // Add remove functionality
-        const removeBtn = fileItem.querySelector('.file-remove');
-        removeBtn.addEventListener('click', () => {
-            fileItem.remove();
-            this.updateFileInputFromList(fieldName);
-            HelpDesk.ProgressTracker.updateProgress();
-        });
-
-        return fileItem;
-    },
-
-    // Get appropriate icon for file type
-    getFileIcon: function(fileName) {
-        const extension = fileName.split('.').pop().toLowerCase();
-        const iconMap = {
-            pdf: 'bi-file-earmark-pdf',
-            doc: 'bi-file-earmark-word',
-            docx: 'bi-file-earmark-word',
-            xls: 'bi-file-earmark-excel',
-            xlsx: 'bi-file-earmark-excel',
-            ppt: 'bi-file-earmark-ppt',
-            pptx: 'bi-file-earmark-ppt',
-            txt: 'bi-file-earmark-text',
-            jpg: 'bi-file-earmark-image',
-            jpeg: 'bi-file-earmark-image',
-            png: 'bi-file-earmark-image',
-            gif: 'bi-file-earmark-image',
-            zip: 'bi-file-earmark-zip',
-            rar: 'bi-file-earmark-zip'
-        };
-        
-        return iconMap[extension] || 'bi-file-earmark';
-    },
+    // Validate the fields of one step, showing it and its first error when invalid
+    validateStep: function(index) {
+        const section = document.querySelector(`.form-step[data-step="${index}"]`);
+        if (!section) return true;
 
-    // Update file input from display list
-    updateFileInputFromList: function(fieldName) {
-        const fileList = document.getElementById(`fileList_${fieldName}`);
-        const fileInput = document.querySelector(`input[name="${fieldName}"], input[name="${fieldName}[]"]`);
-        
-        if (!fileList || !fileInput) return;
+        const validation = HelpDesk.FormValidator.validateForm(section);
+        if (!validation.isValid) {
+            if (parseInt(section.dataset.step, 10) !== this.currentStep) {
+                this.showStep(index);
+            }
+            this.showErrorSummary(
+                validation.errors,
+                I18n.t('wizard.step_incomplete', { title: this.steps[index].title })
+            );
+        }
 
-        const fileItems = fileList.querySelectorAll('.file-item');
-        const files = Array.from(fileItems).map(item => item.fileObject).filter(Boolean);
-        
-        // Create new FileList (we can't modify the original)
-        const dataTransfer = new DataTransfer();
-        files.forEach(file => dataTransfer.items.add(file));
-        fileInput.files = dataTransfer.files;
+        return validation.isValid;
     },
 
-    // Parse file size string (e.g., "10MB" -> bytes)
-    parseFileSize: function(sizeStr) {
-        const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
-        const match = sizeStr.match(/^(\d+(\.\d+)?)\s*(B|KB|MB|GB)$/i);
-        
-        if (match) {
-            const value = parseFloat(match[1]);
-            const unit = match[3].toUpperCase();
-            return value * (units[unit] || 1);
+    // Focus a field, switching to its wizard step first
+    focusField: function(fieldName) {
+        const target = this.getFocusTarget(fieldName);
+        if (!target) return;
+
+        const section = target.closest('.form-step');
+        if (section && parseInt(section.dataset.step, 10) !== this.currentStep) {
+            this.showStep(parseInt(section.dataset.step, 10));
         }
-        
-        return 10 * 1024 * 1024; // Default 10MB
-    },
 
-    // Setup conditional field logic
-    setupConditionalFields: function() {
-        const fieldsWithTriggers = document.querySelectorAll('[data-triggers]');
-        
-        fieldsWithTriggers.forEach(field => {
-            try {
-                const triggers = JSON.parse(field.dataset.triggers);
-                
-                field.addEventListener('change', () => {
-                    this.handleConditionalTriggers(field, triggers);
-                });
-                
-                // Initial check
-                this.handleConditionalTriggers(field, triggers);
-            } catch (e) {
-                console.error('Error parsing triggers for field:', field.name, e);
-            }
-        });
+        target.focus();
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
     },
 
-    // Handle conditional field triggers
-    handleConditionalTriggers: function(triggerField, triggers) {
-        const value = triggerField.value;
-        
-        triggers.forEach(trigger => {
-            const condition = trigger.condition;
-            const showFields = trigger.show_fields || [];
-            
-            // Evaluate condition (simple implementation)
-            let showConditionalFields = false;
-            
-            try {
-                // Replace 'value' with actual value in condition
-                const evalCondition = condition.replace(/value/g, `"${value}"`);
-                showConditionalFields = eval(evalCondition);
-            } catch (e) {
-                console.error('Error evaluating condition:', condition, e);
-            }
-            
-            // Show/hide conditional fields
-            showFields.forEach(fieldName => {
-                const fieldContainer = document.querySelector(`[data-field="${fieldName}"]`);
-                if (fieldContainer) {
-                    if (showConditionalFields) {
-                        fieldContainer.classList.remove('d-none');
-                        fieldContainer.classList.add('fade-in');
-                    } else {
-                        fieldContainer.classList.add('d-none');
-                        fieldContainer.classList.remove('fade-in');
-                        
-                        // Clear field values when hidden
-                        const fields = fieldContainer.querySelectorAll('input, select, textarea');
-                        fields.forEach(field => {
-                            field.value = '';
-                            HelpDesk.FormValidator.clearFieldValidation(field);
-                        });
-                    }
-                }
-            });
-        });
-        
-        // Update progress after showing/hiding fields
-        HelpDesk.ProgressTracker.updateProgress();
+    // The input of a field by its full name, or the element of a repeatable group
+    getNamedElement: function(fieldName) {
+        const form = document.getElementById('helpdeskForm');
+        return form.querySelector(`[name="${CSS.escape(fieldName)}"]`) ||
+            form.querySelector(`[data-group="${CSS.escape(fieldName)}"]`);
     },
 
-    // Setup autosave functionality
-    setupAutosave: function() {
-        if (!this.config.autosaveInterval) return;
+    // The element that receives focus for a field; file inputs are hidden
+    // behind their drop zone, groups focus their first input or add button
+    getFocusTarget: function(fieldName) {
+        const field = this.getNamedElement(fieldName);
+        if (!field) return null;
 
-        this.debouncedAutosave = HelpDesk.Utils.debounce(() => {
-            this.autosave();
-        }, 1000);
+        if (field.dataset.group) {
+            return field.querySelector('input, select, textarea, [data-group-action="add"]');
+        }
+        return field.type === 'file' ? (field.closest('.file-drop-zone') || field) : field;
     },
 
-    // Perform autosave
-    autosave: function() {
-        const formData = this.getFormData();
-        
-        HelpDesk.Utils.apiRequest('/api/autosave', {
-            method: 'POST',
-            body: JSON.stringify({
-                request_type: this.config.requestType,
-                form_data: formData,
-                csrf_token: document.querySelector('input[name="csrf_token"]').value
-            })
-        })
-        .then(() => {
-            this.showAutosaveIndicator();
-        })
-        .catch(error => {
-            console.error('Autosave failed:', error);
+    // List the problems above the form, each linking to its field, and move
+    // focus there so screen readers read the list
+    showErrorSummary: function(errors, title) {
+        const summary = document.getElementById('errorSummary');
+        if (!summary) {
+            this.focusField(errors[0].field);
+            return;
+        }
+
+        const list = summary.querySelector('ul');
+        list.innerHTML = '';
+
+        errors.forEach(error => {
+            const target = this.getFocusTarget(error.field);
+            const link = document.createElement('a');
+            link.className = 'alert-link';
+            link.href = target && target.id ? `#${target.id}` : '#';
+            link.textContent = `${this.getFieldLabel(error.field)}: ${error.message}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.focusField(error.field);
+            });
+
+            const item = document.createElement('li');
+            item.dataset.field = error.field;
+            item.appendChild(link);
+            list.appendChild(item);
         });
-    },
 
-    // Show autosave indicator
-    showAutosaveIndicator: function() {
-        const indicator = document.getElementById('autosaveStatus');
-        if (!indicator) return;
+        summary.querySelector('#errorSummaryTitle').textContent =
+            title || I18n.t('form.validation_failed', { count: errors.length });
+        summary.classList.remove('d-none');
+        summary.focus();
+        summary.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
 
-        indicator.classList.remove('d-none');
-        
-        setTimeout(() => {
-            indicator.classList.add('d-none');
-        }, 2000);
+    hideErrorSummary: function() {
+        const summary = document.getElementById('errorSummary');
+        if (summary) {
+            summary.classList.add('d-none');
+        }
     },
 
-    // Load autosaved data
-    loadAutosavedData: function() {
-        if (!this.config.autosavedData) return;
+    // Drop fixed fields from the summary, hiding it once everything is valid
+    refreshErrorSummary: function() {
+        const summary = document.getElementById('errorSummary');
+        if (!summary || summary.classList.contains('d-none')) return;
 
-        const data = this.config.autosavedData;
-        
-        Object.keys(data).forEach(fieldName => {
-            const field = document.querySelector(`[name="${fieldName}"]`);
-            if (field && data[fieldName]) {
-                if (field.type === 'checkbox') {
-                    field.checked = data[fieldName];
-                } else if (field.type === 'radio') {
-                    if (field.value === data[fieldName]) {
-                        field.checked = true;
-                    }
-                } else {
-                    field.value = data[fieldName];
-                }
+        summary.querySelectorAll('li').forEach(item => {
+            const field = this.getNamedElement(item.dataset.field);
+            if (!field || !field.classList.contains('is-invalid')) {
+                item.remove();
             }
         });
-        
-        HelpDesk.ProgressTracker.updateProgress();
-    },
 
-    // Setup form validation
-    setupFormValidation: function() {
-        const form = document.getElementById('helpdeskForm');
-        if (!form) return;
+        if (!summary.querySelector('li')) {
+            this.hideErrorSummary();
+        }
+    },
 
-        // Real-time validation
-        const fields = form.querySelectorAll('input, select, textarea');
-        fields.forEach(field => {
-            field.addEventListener('blur', () => {
-                HelpDesk.FormValidator.validateField(field);
-            });
+    // Label of a field from the configuration, without the [] of list fields;
+    // inputs in a group row are named after the group, the row and the field
+    getFieldLabel: function(fieldName) {
+        const row = GroupField.parseName(fieldName);
+        const name = row ? row.group : fieldName.replace('[]', '');
+        const field = (this.config.fields || []).find(item => item.name === name);
+        const label = field && field.label ? field.label : name;
+        if (!row) return label;
+
+        const rowField = ((field && field.fields) || []).find(item => item.name === row.field);
+        return I18n.t('group.field_label', {
+            group: label,
+            number: row.index + 1,
+            field: rowField && rowField.label ? rowField.label : row.field
         });
     },
 
-    // Get form data
+    // Get form data; the rows of repeatable groups become lists of
+    // { field: value } objects, empty rows included
     getFormData: function() {
         const form = document.getElementById('helpdeskForm');
         const formData = new FormData(form);
         const data = {};
 
         for (let [key, value] of formData.entries()) {
+            const row = GroupField.parseName(key);
+            if (row) {
+                const rows = data[row.group] = data[row.group] || [];
+                rows[row.index] = rows[row.index] || {};
+                rows[row.index][row.field] = value;
+                continue;
+            }
+            
             if (data[key]) {
                 // Handle multiple values (arrays)
                 if (Array.isArray(data[key])) {
@@ -453,18 +1599,10 @@ const FormHandler = {
         const validation = HelpDesk.FormValidator.validateForm(form);
         
         if (validation.isValid) {
-            HelpDesk.Utils.showToast('Form validation passed!', 'success');
-        } else {
-            HelpDesk.Utils.showToast(`Found ${validation.errors.length} validation error(s)`, 'error');
-            
-            // Focus first invalid field
-            if (validation.errors.length > 0) {
-                const firstErrorField = form.querySelector(`[name="${validation.errors[0].field}"]`);
-                if (firstErrorField) {
-                    firstErrorField.focus();
-                    firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-            }
+            this.hideErrorSummary();
+            HelpDesk.Utils.showToast(I18n.t('form.validation_passed'), 'success');
+        } else if (validation.errors.length > 0) {
+            this.showErrorSummary(validation.errors);
         }
         
         return validation.isValid;
@@ -478,26 +1616,45 @@ const FormHandler = {
             return;
         }
         
+        // Before the last wizard step, submitting (e.g. pressing Enter) moves on
+        if (this.isWizard() && this.currentStep < this.steps.length - 1) {
+            this.goToStep(this.currentStep + 1);
+            return;
+        }
+        
         if (!this.validateForm()) {
             return;
         }
 
+        // Attachments are uploaded ahead of the submission
+        const pendingUploads = FileField.getPendingUploads(document.getElementById('helpdeskForm'));
+        if (pendingUploads.uploading > 0) {
+            HelpDesk.Utils.showToast(I18n.t('upload.pending'), 'warning');
+            return;
+        }
+        if (pendingUploads.failed > 0) {
+            HelpDesk.Utils.showToast(I18n.t('upload.has_failed'), 'error');
+            return;
+        }
+
         // Show confirmation modal
         this.showSubmissionModal();
     },
 
-    // Show submission confirmation modal
+    // Show submission confirmation modal, with the user's open tickets that
+    // look like this request
     showSubmissionModal: function() {
         const modal = document.getElementById('submitConfirmModal');
         if (!modal) {
             this.submitForm();
             return;
         }
+        if (this.checkingDuplicates) return;
 
         // Populate summary
         const summaryContainer = document.getElementById('submissionSummary');
         if (summaryContainer) {
-            summaryContainer.innerHTML = this.generateSubmissionSummary();
+            HelpDesk.Utils.setHtml(summaryContainer, this.generateSubmissionSummary());
         }
 
         // Setup confirm button
@@ -510,49 +1667,154 @@ const FormHandler = {
             };
         }
 
-        // Show modal
-        const modalInstance = new bootstrap.Modal(modal);
-        modalInstance.show();
+        this.checkingDuplicates = true;
+        this.findDuplicates().then(tickets => {
+            this.checkingDuplicates = false;
+            this.renderDuplicates(tickets, modal);
+
+            // Show modal
+            const modalInstance = new bootstrap.Modal(modal);
+            modalInstance.show();
+        });
+    },
+
+    // Open tickets with a similar subject (settings.duplicate_check); an empty
+    // list when the check is off or fails, so it never blocks submitting
+    findDuplicates: function() {
+        const settings = this.config.settings.duplicate_check || {};
+        const subject = this.getFieldValue('subject');
+        if (settings.enabled === false || typeof subject !== 'string' || subject.trim() === '') {
+            return Promise.resolve([]);
+        }
+
+        const query = new URLSearchParams({ type: this.config.requestType, subject: subject.trim() });
+        return ApiClient.get(`/api/tickets/duplicates?${query}`, { key: 'duplicate-tickets', timeout: 5000, retries: 0 })
+            .then(data => (data && data.tickets) || [])
+            .catch(error => {
+                console.warn('Duplicate check failed:', error.message);
+                return [];
+            });
+    },
+
+    // List the possible duplicates in the confirmation modal; active tickets
+    // can get this request as a reply instead
+    renderDuplicates: function(tickets, modal) {
+        const container = document.getElementById('duplicateTickets');
+        if (!container) return;
+
+        const html = HelpDesk.Utils.html;
+        container.classList.toggle('d-none', tickets.length === 0);
+        HelpDesk.Utils.setHtml(container, tickets.length > 0 && html`
+            <h6 class="alert-heading"><i class="bi bi-exclamation-triangle me-2"></i>${I18n.t('duplicates.title')}</h6>
+            <p class="small mb-2">${I18n.t('duplicates.intro')}</p>
+            <ul class="list-unstyled mb-0">
+                ${tickets.map(ticket => html`
+                    <li class="d-flex justify-content-between align-items-center gap-2 py-1">
+                        <a href="/ticket/${encodeURIComponent(ticket.id)}" target="_blank" rel="noopener">#${ticket.number} ${ticket.subject}</a>
+                        ${ticket.status === 'active' && html`
+                            <button type="button" class="btn btn-sm btn-outline-primary text-nowrap" data-reply-ticket="${ticket.id}">
+                                <i class="bi bi-reply me-1"></i>${I18n.t('duplicates.add_reply')}
+                            </button>`}
+                    </li>`)}
+            </ul>`);
+
+        container.querySelectorAll('[data-reply-ticket]').forEach(button => {
+            button.addEventListener('click', () => {
+                bootstrap.Modal.getInstance(modal).hide();
+                this.addAsReply(button.dataset.replyTicket);
+            });
+        });
+    },
+
+    // Send the answers to an existing ticket instead of creating a new one; the
+    // server clears the draft as it does after a submission
+    addAsReply: function(ticketId) {
+        if (this.isSubmitting) return;
+        this.isSubmitting = true;
+        HelpDesk.Utils.showLoading();
+
+        const body = new FormData();
+        body.append('message', this.generateReplyMessage());
+        body.append('request_type', this.config.requestType);
+        body.append('draft_id', this.getCurrentDraftId() || '');
+        Object.keys(FileField.fields).forEach(fieldName => {
+            FileField.getUploadedIds(fieldName).forEach(fileId => body.append('uploaded_files[]', fileId));
+        });
+
+        // Never retried, so a slow answer cannot post the reply twice
+        ApiClient.post(`/ticket/${encodeURIComponent(ticketId)}/reply`, body, { timeout: 60000 })
+            .then(() => {
+                this.pendingSync = null;
+                DraftStore.remove(this.getDraftKey());
+                this.draftChanged = false;
+
+                window.location.href = `/ticket/${encodeURIComponent(ticketId)}?reply=success`;
+            })
+            .catch(error => {
+                this.isSubmitting = false;
+                HelpDesk.Utils.hideLoading();
+                HelpDesk.Utils.showToast(error.message || I18n.t('ticket.reply_failed'), 'error');
+            });
+    },
+
+    // The answers as a Markdown reply; attachments are sent along as files
+    generateReplyMessage: function() {
+        const skipped = DraftStore.ignoredKeys.concat(['requester_name', 'requester_email']);
+
+        return (this.config.fields || [])
+            .filter(field => field.type !== 'file' && !skipped.includes(field.name))
+            .filter(field => {
+                const container = document.querySelector(`[data-field="${field.name}"]`);
+                return !container || !container.classList.contains('d-none');
+            })
+            .map(field => {
+                const value = this.getFieldValue(field.name);
+                const label = this.getFieldLabel(field.name);
+
+                // Group rows as a list, one row per line
+                if (field.type === 'group') {
+                    const lines = this.getFilledRows(value).map(row => '- ' + (field.fields || [])
+                        .filter(rowField => String(row[rowField.name] ?? '').trim() !== '')
+                        .map(rowField => `${rowField.label || rowField.name}: ${String(row[rowField.name]).trim()}`)
+                        .join('; '));
+                    return lines.length > 0 ? `**${label}:**\n\n${lines.join('\n')}` : null;
+                }
+
+                const text = Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+                if (text === '') return null;
+
+                return field.type === 'textarea' ? `**${label}:**\n\n${text}` : `**${label}:** ${text}`;
+            })
+            .filter(line => line !== null)
+            .join('\n\n');
     },
 
-    // Generate submission summary
+    // The answers by section for the confirmation dialog (SubmissionSummary);
+    // fields hidden by their conditions are left out
     generateSubmissionSummary: function() {
-        const formData = this.getFormData();
-        let summary = '<div class="small">';
+        const isShown = fieldName => {
+            const container = document.querySelector(`[data-field="${fieldName}"]`);
+            return !container || !container.classList.contains('d-none');
+        };
         
-        Object.keys(formData).forEach(key => {
-            if (key === 'csrf_token' || key === 'request_type') return;
-            
-            const field = document.querySelector(`[name="${key}"]`);
-            const label = field ? 
-                (field.closest('.field-container')?.querySelector('label')?.textContent.replace('*', '').trim() || key) :
-                key;
-            
-            let value = formData[key];
-            
-            // Handle File objects
-            if (value instanceof File) {
-                const fileSize = (value.size / 1024).toFixed(2);
-                value = `📎 ${value.name} (${fileSize} KB)`;
-            } 
-            // Handle arrays of values (including Files)
-            else if (Array.isArray(value)) {
-                value = value.map(item => {
-                    if (item instanceof File) {
-                        const fileSize = (item.size / 1024).toFixed(2);
-                        return `📎 ${item.name} (${fileSize} KB)`;
-                    }
-                    return item;
-                }).join(', ');
-            }
-            
-            if (value && value !== '') {
-                summary += `<strong>${label}:</strong> ${value}<br>`;
-            }
-        });
+        const files = (this.config.fields || [])
+            .filter(field => field.type === 'file' && isShown(field.name))
+            .flatMap(field => FileField.getSelectedFiles(field.name));
+        
+        const sections = SubmissionSummary.build(
+            this.config.fields,
+            this.steps,
+            fieldName => isShown(fieldName) ? this.getFieldValue(fieldName) : null,
+            files,
+            (this.config.requestTypes || {})[this.config.requestType] || ''
+        );
         
-        summary += '</div>';
-        return summary;
+        return SubmissionSummary.render(sections);
+    },
+
+    // The rows of a group that are not left empty
+    getFilledRows: function(rows) {
+        return (Array.isArray(rows) ? rows : []).filter(row => row && !ValidationEngine.isEmpty(row));
     },
 
     // Submit form
@@ -573,33 +1835,52 @@ const FormHandler = {
         const submitBtn = document.getElementById('submitForm');
         if (submitBtn) {
             submitBtn.disabled = true;
-            submitBtn.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Submitting...';
+            HelpDesk.Utils.setHtml(submitBtn, HelpDesk.Utils.html`<i class="bi bi-hourglass-split me-2"></i>${I18n.t('submit.submitting')}`);
         }
 
         // Submit form via AJAX to prevent duplicate submissions on refresh
         const formData = new FormData(form);
         
-        fetch(form.action, {
+        // Send the IDs of the uploaded attachments instead of the files
+        form.querySelectorAll('input[type="file"]').forEach(input => {
+            const fieldName = input.name.replace('[]', '');
+            formData.delete(input.name);
+            
+            FileField.getUploadedIds(fieldName).forEach(fileId => {
+                formData.append(`uploaded_files[${fieldName}][]`, fileId);
+            });
+        });
+        
+        // Extra fields of embedded forms, e.g. the page the widget was opened on
+        Object.entries(this.config.submitFields || {}).forEach(([name, value]) => {
+            formData.append(name, value);
+        });
+        
+        // Creating the ticket can take a while; never retried to avoid duplicates
+        HelpDesk.Utils.apiRequest(form.action, {
             method: 'POST',
             body: formData,
-            headers: {
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        })
-        .then(response => {
-            if (!response.ok) {
-                return response.json().then(data => {
-                    throw new Error(data.error || 'Submission failed');
-                });
-            }
-            return response.json();
+            timeout: 60000
         })
         .then(data => {
-            if (data.success && data.redirect_url) {
+            if (data && data.success && data.redirect_url) {
+                // The draft became a ticket; drop the local copy
+                this.pendingSync = null;
+                DraftStore.remove(this.getDraftKey());
+                
+                // Embedded forms stay on the page and show the result themselves
+                if (this.config.onSubmitted) {
+                    this.draftChanged = false;
+                    this.isSubmitting = false;
+                    HelpDesk.Utils.hideLoading();
+                    this.config.onSubmitted(data);
+                    return;
+                }
+                
                 // Redirect to success page (PRG pattern)
                 window.location.href = data.redirect_url;
             } else {
-                throw new Error('Invalid response from server');
+                throw new Error(I18n.t('submit.invalid_response'));
             }
         })
         .catch(error => {
@@ -611,63 +1892,372 @@ const FormHandler = {
             
             if (submitBtn) {
                 submitBtn.disabled = false;
-                submitBtn.innerHTML = '<i class="bi bi-send me-2"></i>Submit Request';
+                HelpDesk.Utils.setHtml(submitBtn, HelpDesk.Utils.html`<i class="bi bi-send me-2"></i>${I18n.t('submit.button')}`);
             }
             
             HelpDesk.Utils.showToast(
-                error.message || 'An error occurred while submitting the form. Please try again.',
+                error.message || I18n.t('submit.error'),
                 'error'
             );
         });
     },
 
-    // Clear form
+    // Clear form; the toast offers to undo it as long as nothing changed since
     clearForm: function() {
-        if (!confirm('Are you sure you want to clear the form? All entered data will be lost.')) {
+        this.recordHistory();
+        this.resetForm();
+
+        // Clear autosaved data
+        this.autosave();
+        
+        if (!this.recordHistory()) {
+            HelpDesk.Utils.showToast(I18n.t('form.cleared'), 'info');
             return;
         }
+        
+        const clearedState = EditHistory.current;
+        HelpDesk.Utils.showToast(I18n.t('form.cleared'), 'info', 10000, {
+            label: I18n.t('history.undo'),
+            handler: () => {
+                if (EditHistory.current === clearedState) {
+                    this.undo();
+                }
+            }
+        });
+    },
 
+    // Empty all fields, cancel uploads and start the wizard over
+    resetForm: function() {
         const form = document.getElementById('helpdeskForm');
         
         // Clear all fields
         const fields = form.querySelectorAll('input, select, textarea');
         fields.forEach(field => {
+            if (field.type === 'hidden' || field.closest('.field-locked')) {
+                return;
+            }
             if (field.type === 'checkbox' || field.type === 'radio') {
                 field.checked = false;
             } else if (field.type === 'file') {
                 field.value = '';
             } else {
                 field.value = '';
+                MarkdownEditor.refresh(field);
             }
             
             HelpDesk.FormValidator.clearFieldValidation(field);
         });
+        this.hideErrorSummary();
+
+        // Back to the first rows of each group
+        Object.keys(GroupField.groups).forEach(fieldName => {
+            const group = GroupField.groups[fieldName];
+            if (!group.element.closest('.field-locked')) {
+                GroupField.setRows(fieldName, []);
+                HelpDesk.FormValidator.clearFieldValidation(group.element);
+            }
+        });
+
+        // Clear file lists and cancel their uploads
+        Object.keys(FileField.fields).forEach(fieldName => FileField.removeItems(fieldName));
+
+        // Hide conditional fields, dropping uploads kept for hidden fields
+        this.cancelHiddenUploads();
+        this.handleConditionalTriggers();
 
-        // Clear file lists
-        const fileLists = document.querySelectorAll('.file-list');
-        fileLists.forEach(list => {
-            list.innerHTML = '';
-            list.style.display = 'none';
+        // Start the wizard over
+        if (this.isWizard()) {
+            this.showStep(0);
+        }
+        
+        // Update progress
+        HelpDesk.ProgressTracker.updateProgress();
+    },
+
+    // Cancel the uploads of file fields that are hidden by a condition and
+    // forget their stashed values
+    cancelHiddenUploads: function() {
+        Object.values(this.hiddenFieldValues).forEach(value => {
+            if (!Array.isArray(value)) return;
+            value.forEach(item => {
+                if (item && item.upload) {
+                    ChunkedUploader.cancel(item.upload);
+                }
+            });
         });
+        this.hiddenFieldValues = {};
+    },
 
-        // Hide conditional fields
-        const conditionalFields = document.querySelectorAll('.conditional-field');
-        conditionalFields.forEach(field => {
-            field.classList.add('d-none');
+    // Suggest knowledge-base articles in the sidebar while the user describes
+    // the request (settings.knowledge_base)
+    setupKnowledgeBase: function() {
+        const form = document.getElementById('helpdeskForm');
+        const container = document.getElementById('kbSuggestions');
+        const settings = this.config.settings.knowledge_base || {};
+        if (!form || !container || settings.enabled === false) return;
+
+        const fieldNames = settings.fields || ['subject'];
+        const watchedText = () => fieldNames
+            .map(fieldName => this.getFieldValue(fieldName))
+            .filter(value => typeof value === 'string')
+            .join(' ');
+
+        KnowledgeBase.init(container, {
+            maxSuggestions: settings.max_suggestions,
+            minScore: settings.min_score,
+            onSolved: article => this.solvedByArticle(article)
         });
 
-        // Clear autosaved data
+        KnowledgeBase.load(this.config.requestType)
+            .then(() => {
+                const debouncedUpdate = HelpDesk.Utils.debounce(() => KnowledgeBase.update(watchedText()), 300);
+                form.addEventListener('input', (e) => {
+                    if (fieldNames.includes(e.target.name)) {
+                        debouncedUpdate();
+                    }
+                });
+                KnowledgeBase.update(watchedText());
+            })
+            .catch(error => {
+                // The form works without suggestions
+                console.warn('Knowledge base not available:', error.message);
+            });
+    },
+
+    // "This solved my problem": the request is not needed any more, so it and
+    // its draft are discarded here and on the server, which counts the article
+    solvedByArticle: function(article) {
+        if (!confirm(I18n.t('kb.solved_confirm', { title: article.title }))) {
+            return Promise.resolve();
+        }
+
+        return ApiClient.post(`${KnowledgeBase.endpoint}/${encodeURIComponent(article.id)}/solved`, {
+            request_type: this.config.requestType,
+            draft_id: this.getCurrentDraftId() || ''
+        })
+            .then(() => {
+                this.pendingSync = null;
+                DraftStore.remove(this.getDraftKey());
+                if (this.getCurrentDraftId()) {
+                    this.setCurrentDraft(null);
+                    DraftList.refresh().catch(() => {
+                        // The list catches up on the next change
+                    });
+                }
+
+                this.resetForm();
+                this.draftChanged = false;
+                EditHistory.reset(this.captureFormState());
+                KnowledgeBase.update('');
+
+                HelpDesk.Utils.showToast(I18n.t('kb.solved_done'), 'success');
+            })
+            .catch(error => {
+                HelpDesk.Utils.showToast(error.message, 'error');
+            });
+    },
+
+    // Undo/redo of field changes, including values cleared by conditions,
+    // removed files and clearing the form
+    setupHistory: function() {
+        const form = document.getElementById('helpdeskForm');
+        if (!form) return;
+
+        EditHistory.configure({
+            isEqual: (a, b) => this.getChangedFields(a, b).length === 0,
+            onChange: () => this.updateHistoryButtons()
+        });
+        EditHistory.reset(this.captureFormState());
+
+        // Changes bubble up here after the fields' own handlers (conditions) ran;
+        // typing is recorded once it pauses
+        this.debouncedRecordHistory = HelpDesk.Utils.debounce(() => {
+            this.recordHistory();
+        }, 500);
+        form.addEventListener('change', () => this.recordHistory());
+        form.addEventListener('input', () => this.debouncedRecordHistory());
+
+        const undoBtn = document.getElementById('undoEdit');
+        const redoBtn = document.getElementById('redoEdit');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y), Cmd on macOS, replace the
+        // per-field browser undo so conditional fields and files are included
+        this.listen(document, 'keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target !== document.body && !form.contains(e.target)) return;
+            // Not while a dialog is open over the form
+            const openModal = document.querySelector('.modal.show');
+            if (openModal && !openModal.contains(form)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    },
+
+    // Record the current state as a step; returns false when nothing changed
+    recordHistory: function() {
+        return EditHistory.record(this.captureFormState());
+    },
+
+    undo: function() {
+        // Typing that was not recorded yet is the first thing to undo
+        this.recordHistory();
+        
+        const previous = EditHistory.current;
+        const state = EditHistory.undo();
+        if (state) {
+            this.applyHistoryState(previous, state);
+            HelpDesk.Utils.announce(I18n.t('history.undone'));
+        }
+    },
+
+    redo: function() {
+        const previous = EditHistory.current;
+        const state = EditHistory.redo();
+        if (state) {
+            this.applyHistoryState(previous, state);
+            HelpDesk.Utils.announce(I18n.t('history.redone'));
+        }
+    },
+
+    updateHistoryButtons: function() {
+        const undoBtn = document.getElementById('undoEdit');
+        const redoBtn = document.getElementById('redoEdit');
+        if (undoBtn) undoBtn.disabled = !EditHistory.canUndo();
+        if (redoBtn) redoBtn.disabled = !EditHistory.canRedo();
+    },
+
+    // Snapshot of the form: field values, file items per file field, and the
+    // values kept aside for hidden conditional fields
+    captureFormState: function() {
+        const state = { values: {}, files: {}, hidden: { ...this.hiddenFieldValues } };
+        
+        (this.config.fields || []).forEach(field => {
+            const elements = this.getFieldElements(field.name);
+            if (elements.length === 0 && !GroupField.groups[field.name]) return;
+            
+            if (elements.some(el => el.type === 'file')) {
+                state.files[field.name] = FileField.getItems(field.name);
+            } else {
+                state.values[field.name] = this.getFieldValue(field.name);
+            }
+        });
+        
+        return state;
+    },
+
+    // Names of the fields that differ between two snapshots
+    getChangedFields: function(a, b) {
+        const same = (x, y) => Array.isArray(x) && Array.isArray(y) ?
+            x.length === y.length && x.every((item, index) => item === y[index] || GroupField.isSameRow(item, y[index])) :
+            x === y;
+        const changed = new Set();
+        
+        ['values', 'files', 'hidden'].forEach(part => {
+            const names = new Set([...Object.keys(a[part]), ...Object.keys(b[part])]);
+            names.forEach(name => {
+                if (!same(a[part][name], b[part][name])) {
+                    changed.add(name);
+                }
+            });
+        });
+        
+        return Array.from(changed);
+    },
+
+    // Bring the form back to a snapshot from the history
+    applyHistoryState: function(previous, state) {
+        const changed = this.getChangedFields(previous, state);
+        
+        // File items that stay part of the form, visible or kept aside
+        const keptItems = new Set();
+        Object.values(state.files).concat(Object.values(state.hidden)).forEach(value => {
+            if (Array.isArray(value)) {
+                value.forEach(item => keptItems.add(item));
+            }
+        });
+        
+        this.hiddenFieldValues = { ...state.hidden };
+        Object.keys(state.values).forEach(name => this.setFieldValue(name, state.values[name]));
+        Object.keys(state.files).forEach(name => FileField.restoreItems(name, state.files[name], keptItems));
+        this.handleConditionalTriggers();
+        
+        changed.forEach(name => {
+            this.getFieldElements(name).forEach(el => HelpDesk.FormValidator.clearFieldValidation(el));
+        });
+        this.refreshErrorSummary();
+        
         this.autosave();
         
-        // Update progress
-        HelpDesk.ProgressTracker.updateProgress();
+        if (changed.length > 0) {
+            this.revealField(changed[0]);
+        }
+    },
+
+    // Show the wizard step of a changed field and scroll it into view
+    revealField: function(fieldName) {
+        const container = document.querySelector(`[data-field="${fieldName}"]`);
+        if (!container || container.classList.contains('d-none')) return;
+        
+        const section = container.closest('.form-step');
+        if (section && parseInt(section.dataset.step, 10) !== this.currentStep) {
+            this.showStep(parseInt(section.dataset.step, 10));
+        }
         
-        HelpDesk.Utils.showToast('Form cleared successfully', 'info');
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     },
 
     // Update progress
     updateProgress: function() {
         HelpDesk.ProgressTracker.updateProgress();
+    },
+
+    // Add a listener outside the form, so destroy() can remove it again
+    listen: function(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    },
+
+    // Let go of the current form before it is replaced (FormRenderer switches
+    // request types this way). Edits are saved first and a pending sync still
+    // goes to the draft it belongs to; attachments are dropped.
+    destroy: function() {
+        if (!this.config) return;
+
+        if (this.draftChanged) {
+            this.autosave();
+        }
+
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        Object.keys(FileField.fields).forEach(fieldName => FileField.removeItems(fieldName));
+        FileField.fields = {};
+        GroupField.groups = {};
+        AutocompleteField.fields = {};
+        this.computedFields = [];
+        this.computedState = {};
+        this.cancelHiddenUploads();
+
+        clearTimeout(this.autosaveIndicatorTimer);
+        this.steps = [];
+        this.currentStep = 0;
+        this.announcedAutosaveState = null;
+        this.draftChanged = false;
+        this.isSubmitting = false;
+        HelpDesk.ProgressTracker.lastAnnounced = null;
     }
 };
 
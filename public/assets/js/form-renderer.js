@@ -0,0 +1,656 @@
+// Form renderer for the Support Portal
+'use strict';
+
+// Builds the request form in the browser from the JSON of /api/fields/{type}:
+// the fields of every type, conditional containers, drop zones, wizard steps,
+// the progress sidebar and the dialogs. The markup is the same as that of
+// form/form.html and form/fields/*, so FormHandler works on both. mount() puts a
+// form in any container; on the form page the request type can be switched
+// without a page reload, and the embeddable widget (widget-frame.js) mounts a
+// compact version. Labels and options from the configuration are escaped;
+// the texts around them come from the translations.
+const FormRenderer = {
+    container: null,
+    requestTypes: {}, // type => label
+    isSwitching: false,
+
+    // Fetch the definition of a request type: fields, steps, type_info, settings and user
+    load: function(requestType) {
+        return ApiClient.get(`/api/fields/${encodeURIComponent(requestType)}`, { key: 'form-fields' })
+            .then(response => response.data);
+    },
+
+    // Render the form of a request type in `container` and start FormHandler on
+    // it; the form that was there before is let go. Resolves to the definition.
+    // Options: embedded (only the form itself: no header, sidebar, named drafts
+    // or dialogs), submitFields and onSubmitted (passed on to FormHandler).
+    mount: function(container, requestType, options = {}) {
+        return Promise.all([
+            this.load(requestType),
+            ApiClient.get(`/api/autosave/${encodeURIComponent(requestType)}`).then(response => (response && response.data) || {}),
+            options.embedded ? [] : DraftList.list(requestType)
+        ]).then(([definition, autosavedData, drafts]) => {
+            FormHandler.destroy();
+            this.render(container, requestType, definition, drafts, options);
+            FormHandler.init(this.buildConfig(requestType, definition, autosavedData, options));
+            return definition;
+        });
+    },
+
+    // The FormHandler config, as form/form.html writes it to #formConfigData
+    buildConfig: function(requestType, definition, autosavedData, options = {}) {
+        const settings = definition.settings || {};
+        return {
+            requestType: requestType,
+            requestTypes: this.requestTypes,
+            userId: (definition.user && definition.user.email) || '',
+            fields: definition.fields || [],
+            steps: definition.steps || [],
+            settings: settings,
+            autosaveInterval: (settings.autosave_interval || 30) * 1000,
+            autosavedData: autosavedData,
+            draft: null,
+            embedded: Boolean(options.embedded),
+            submitFields: options.submitFields || {},
+            onSubmitted: options.onSubmitted || null
+        };
+    },
+
+    render: function(container, requestType, definition, drafts = [], options = {}) {
+        HelpDesk.Utils.setHtml(container, options.embedded ?
+            this.renderEmbedded(requestType, definition) :
+            this.renderPage(requestType, definition, drafts));
+    },
+
+    // Switching request types on the form page
+
+    // Listen to the request type select in the form header (rendered again on
+    // every switch) and to the browser's back and forward buttons
+    setupTypeSwitch: function(container, requestTypes) {
+        if (!container) return;
+
+        this.container = container;
+        this.requestTypes = requestTypes;
+
+        container.addEventListener('change', (e) => {
+            if (e.target.id === 'requestTypeSwitch') {
+                this.switchType(e.target.value);
+            }
+        });
+
+        window.addEventListener('popstate', () => {
+            const requestType = this.getTypeFromUrl();
+            if (requestType && FormHandler.config && requestType !== FormHandler.config.requestType) {
+                this.switchType(requestType, { updateUrl: false });
+            }
+        });
+    },
+
+    // Replace the form with that of another request type. The answers so far
+    // stay in the autosave of the current type; attached files are dropped.
+    switchType: function(requestType, options = {}) {
+        const currentType = FormHandler.config.requestType;
+        if (requestType === currentType || this.isSwitching) {
+            return Promise.resolve();
+        }
+
+        if (this.hasAttachments() && !confirm(I18n.t('form.switch_confirm'))) {
+            this.selectType(currentType);
+            if (options.updateUrl === false) {
+                history.pushState(null, '', this.url(currentType));
+            }
+            return Promise.resolve();
+        }
+
+        this.isSwitching = true;
+        HelpDesk.Utils.showLoading();
+
+        return this.mount(this.container, requestType)
+            .then(definition => {
+                if (options.updateUrl !== false) {
+                    history.pushState(null, '', this.url(requestType));
+                }
+                document.title = `${(definition.type_info && definition.type_info.label) || requestType} - IT Helpdesk`;
+
+                const title = document.getElementById('formTitle');
+                if (title) {
+                    title.focus();
+                }
+            })
+            .catch(error => {
+                console.error('Failed to switch request type:', error);
+                this.selectType(currentType);
+                if (options.updateUrl === false) {
+                    history.replaceState(null, '', this.url(currentType));
+                }
+                HelpDesk.Utils.showToast(error.message || I18n.t('form.load_failed'), 'error');
+            })
+            .finally(() => {
+                this.isSwitching = false;
+                HelpDesk.Utils.hideLoading();
+            });
+    },
+
+    // Whether files are attached to the current form; they are lost on a switch
+    hasAttachments: function() {
+        return Object.keys(FileField.fields).some(fieldName => FileField.getItems(fieldName).length > 0);
+    },
+
+    selectType: function(requestType) {
+        const select = document.getElementById('requestTypeSwitch');
+        if (select) {
+            select.value = requestType;
+        }
+    },
+
+    getTypeFromUrl: function() {
+        const match = window.location.pathname.match(/^\/form\/([^/]+)$/);
+        const requestType = match ? decodeURIComponent(match[1]) : null;
+        return requestType && Object.prototype.hasOwnProperty.call(this.requestTypes, requestType) ? requestType : null;
+    },
+
+    url: function(requestType) {
+        return `/form/${encodeURIComponent(requestType)}`;
+    },
+
+    // Page (form/form.html)
+
+    renderPage: function(requestType, definition, drafts) {
+        const typeInfo = definition.type_info || {};
+        const html = HelpDesk.Utils.html;
+
+        return html`
+            <div class="container">
+                <div class="progress-indicator mb-4">
+                    <div class="progress-bar-custom" id="progressBar" style="width: 0%;"></div>
+                </div>
+                ${this.renderHeader(requestType, typeInfo)}
+                ${this.renderAutosaveStatus()}
+                <form id="helpdeskForm" method="post" action="${this.url(requestType)}" enctype="multipart/form-data" class="needs-validation" novalidate>
+                    ${this.renderFormStart(requestType)}
+                    <div class="row">
+                        <div class="col-lg-8">
+                            <div class="card">
+                                <div class="card-body">
+                                    <div id="formFields">${this.renderFields(definition.fields || [], definition.steps || [], definition.user || {})}</div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="col-lg-4">${this.renderSidebar(definition.settings || {}, drafts)}</div>
+                    </div>
+                    ${this.renderActions()}
+                </form>
+            </div>
+            ${this.renderModals(typeInfo)}`;
+    },
+
+    // The compact form of the widget: fields and buttons only
+    renderEmbedded: function(requestType, definition) {
+        const html = HelpDesk.Utils.html;
+
+        return html`
+            <div class="progress-indicator mb-3">
+                <div class="progress-bar-custom" id="progressBar" style="width: 0%;"></div>
+            </div>
+            ${this.renderAutosaveStatus()}
+            <form id="helpdeskForm" method="post" action="${this.url(requestType)}" enctype="multipart/form-data" class="needs-validation" novalidate>
+                ${this.renderFormStart(requestType)}
+                <div id="formFields">${this.renderFields(definition.fields || [], definition.steps || [], definition.user || {})}</div>
+                ${this.renderActions()}
+            </form>`;
+    },
+
+    renderAutosaveStatus: function() {
+        return HelpDesk.Utils.html`
+            <div class="autosave-indicator">
+                <div id="autosaveStatus" class="alert alert-success alert-sm alert-permanent d-none" role="status">
+                    <i class="bi bi-check-circle me-1"></i>
+                    <small>${I18n.t('autosave.synced')}</small>
+                </div>
+            </div>`;
+    },
+
+    // Hidden fields and the error summary at the top of the form
+    renderFormStart: function(requestType) {
+        return HelpDesk.Utils.html`
+            <input type="hidden" name="csrf_token" value="${ApiClient.getCsrfToken() || ''}">
+            <input type="hidden" name="request_type" value="${requestType}">
+            <input type="hidden" name="draft_id" value="">
+            <div id="errorSummary" class="alert alert-danger alert-permanent d-none" tabindex="-1" aria-labelledby="errorSummaryTitle">
+                <h2 class="h6 alert-heading" id="errorSummaryTitle"></h2>
+                <ul class="mb-0"></ul>
+            </div>`;
+    },
+
+    renderHeader: function(requestType, typeInfo) {
+        const html = HelpDesk.Utils.html;
+        const types = Object.keys(this.requestTypes);
+        const typeSwitch = types.length > 1 && html`
+            <div class="ms-auto">
+                <label for="requestTypeSwitch" class="form-label small text-muted mb-1">${I18n.t('form.request_type')}</label>
+                <select class="form-select form-select-sm" id="requestTypeSwitch">
+                    ${types.map(type => html`<option value="${type}"${type === requestType && ' selected'}>${this.requestTypes[type]}</option>`)}
+                </select>
+            </div>`;
+
+        return html`
+            <div class="row mb-4">
+                <div class="col-12">
+                    <div class="d-flex align-items-center mb-3">
+                        <a href="/" class="btn btn-outline-secondary me-3">
+                            <i class="bi bi-arrow-left"></i>
+                            ${I18n.t('form.back')}
+                        </a>
+                        <div>
+                            <h2 class="mb-1" id="formTitle" tabindex="-1">${typeInfo.label || requestType}</h2>
+                            <p class="text-muted mb-0">${typeInfo.description || ''}</p>
+                        </div>
+                        ${typeSwitch}
+                    </div>
+                </div>
+            </div>`;
+    },
+
+    // All fields, or the wizard steps with their fields when the type has steps
+    renderFields: function(fields, steps, user) {
+        if (steps.length === 0) {
+            return fields.map(field => this.renderField(field, user));
+        }
+
+        const fieldsByName = {};
+        fields.forEach(field => {
+            fieldsByName[field.name] = field;
+        });
+        const html = HelpDesk.Utils.html;
+
+        const indicator = steps.map((step, index) => html`
+            <li class="wizard-step" data-step="${index}">
+                <button type="button" class="wizard-step-link" data-step-target="${index}">
+                    <span class="wizard-step-number">${index + 1}</span>
+                    <span class="wizard-step-title">${step.title}</span>
+                    <small class="wizard-step-progress" data-step-progress="${index}"></small>
+                </button>
+            </li>`);
+
+        const sections = steps.map((step, index) => html`
+            <section class="form-step${index > 0 && ' d-none'}" id="step-${step.id}" data-step="${index}" data-step-id="${step.id}" aria-labelledby="stepTitle_${index}">
+                <h5 class="mb-1" id="stepTitle_${index}">${step.title}</h5>
+                ${step.description && html`<p class="text-muted small">${step.description}</p>`}
+                ${(step.fields || []).filter(name => fieldsByName[name]).map(name => this.renderField(fieldsByName[name], user))}
+            </section>`);
+
+        return html`<ol class="wizard-steps" id="wizardSteps">${indicator}</ol>${sections}`;
+    },
+
+    // Fields (form/field.html and form/fields/*)
+
+    renderField: function(field, user = {}) {
+        const renderers = {
+            text: this.renderInput,
+            email: this.renderInput,
+            date: this.renderInput,
+            textarea: this.renderTextarea,
+            select: this.renderSelect,
+            checkbox_group: this.renderCheckboxGroup,
+            file: this.renderFile,
+            group: this.renderGroup,
+            autocomplete: this.renderAutocomplete
+        };
+        const renderer = renderers[field.type];
+        if (!renderer) return '';
+
+        return HelpDesk.Utils.html`
+            <div class="field-container mb-4${field.conditional && ' conditional-field d-none'}" data-field="${field.name}" data-required="${field.required ? 'true' : 'false'}">
+                <div class="form-group">${renderer.call(this, field, user)}</div>
+            </div>`;
+    },
+
+    // Label with the required marker; `forId` is false for groups labelled by id
+    renderLabel: function(field, forId = true, badge = '') {
+        const html = HelpDesk.Utils.html;
+        const target = forId ? html`for="${field.name}"` : html`id="${field.name}_label"`;
+        return html`<label ${target} class="form-label">${field.label}${field.required && html` <span class="text-danger">*</span>`}${badge}</label>`;
+    },
+
+    // text, email and date; the requester's name and email are filled in and read-only
+    renderInput: function(field, user) {
+        const html = HelpDesk.Utils.html;
+        const autoFilled = (field.type === 'text' && field.name === 'requester_name' && user.name) ||
+            (field.type === 'email' && field.name === 'requester_email' && user.email) || '';
+        const value = autoFilled || field.default || '';
+        const badge = autoFilled && html` <span class="badge bg-info ms-2">${I18n.t('form.auto_filled')}</span>`;
+        const placeholder = field.placeholder && field.type !== 'date' && html` placeholder="${field.placeholder}"`;
+
+        return html`
+            ${this.renderLabel(field, true, badge)}
+            <input type="${field.type}" class="form-control" id="${field.name}" name="${field.name}"${field.required && ' required'}${placeholder}${value && html` value="${value}"`}${autoFilled && ' readonly'}>
+            ${field.type === 'text' && this.renderMaxLength(field)}
+            ${this.renderError(field, { text: field.required ? 'required' : 'text', email: 'email', date: 'date' }[field.type])}`;
+    },
+
+    renderTextarea: function(field) {
+        const html = HelpDesk.Utils.html;
+        const placeholder = field.placeholder && html` placeholder="${field.placeholder}"`;
+        const hint = field.format === 'markdown' && html`<div class="form-text">${I18n.t('form.markdown_hint')}</div>`;
+
+        return html`
+            ${this.renderLabel(field)}
+            <textarea class="form-control" id="${field.name}" name="${field.name}" rows="4"${field.required && ' required'}${placeholder}>${field.default || ''}</textarea>
+            ${hint}
+            ${this.renderMaxLength(field)}
+            ${this.renderError(field, field.required ? 'required' : 'textarea')}`;
+    },
+
+    // Options are values or { value, label }
+    renderSelect: function(field) {
+        const html = HelpDesk.Utils.html;
+        const placeholder = field.placeholder || I18n.t('form.select_placeholder', { label: String(field.label).toLowerCase() });
+        const triggers = field.triggers && field.triggers.length > 0 && html` data-triggers="${JSON.stringify(field.triggers)}"`;
+        const options = (field.options || []).map(option => {
+            const value = option && typeof option === 'object' ? option.value : option;
+            const label = option && typeof option === 'object' ? option.label : option;
+            const selected = field.default !== undefined && field.default !== '' && String(field.default) === String(value);
+            return html`<option value="${value}"${selected && ' selected'}>${label}</option>`;
+        });
+
+        return html`
+            ${this.renderLabel(field)}
+            <select class="form-select" id="${field.name}" name="${field.name}"${field.required && ' required'}${triggers}>
+                <option value="">${placeholder}</option>
+                ${options}
+            </select>
+            ${this.renderError(field, 'select')}`;
+    },
+
+    renderCheckboxGroup: function(field) {
+        const html = HelpDesk.Utils.html;
+        const defaults = Array.isArray(field.default) ? field.default : [];
+        const options = (field.options || []).map((option, index) => html`
+            <div class="col-md-6 mb-2">
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" id="${field.name}_${index + 1}" name="${field.name}[]" value="${option}"${defaults.includes(option) && ' checked'}>
+                    <label class="form-check-label" for="${field.name}_${index + 1}">${option}</label>
+                </div>
+            </div>`);
+
+        return html`
+            ${this.renderLabel(field, false)}
+            <div class="row" role="group" aria-labelledby="${field.name}_label">${options}</div>
+            ${field.required && this.renderError(field, 'checkbox_group')}`;
+    },
+
+    // Drop zone and file list used by FileField
+    renderFile: function(field) {
+        const html = HelpDesk.Utils.html;
+        const name = field.name;
+        const hint = I18n.t(field.paste === false ? 'form.drop_files' : 'form.drop_or_paste_files');
+        const details = [I18n.t(field.multiple ? 'form.multiple_files' : 'form.single_file')];
+        if (field.accept) {
+            details.push(I18n.t('form.accepted_types', { types: field.accept }));
+        }
+
+        return html`
+            ${this.renderLabel(field, false)}
+            <div class="file-drop-zone" id="dropZone_${name}" tabindex="0" role="button" aria-labelledby="${name}_label" aria-describedby="${name}_hint">
+                <i class="bi bi-cloud-upload text-muted" style="font-size: 2rem;" aria-hidden="true"></i>
+                <div class="mt-2" id="${name}_hint">
+                    <p class="mb-1">${hint}</p>
+                    <small class="text-muted">${details.join(' ')}</small>
+                </div>
+                <input type="file" class="d-none" id="${name}" name="${name}${field.multiple && '[]'}"${field.required && ' required'}${field.accept && html` accept="${field.accept}"`}${field.multiple && ' multiple'}>
+            </div>
+            <div class="file-list mt-3" id="fileList_${name}" role="list" aria-labelledby="${name}_label"></div>
+            ${this.renderError(field, field.required ? 'file_required' : 'file')}`;
+    },
+
+    // Rows of a repeatable group, built by GroupField from the template
+    renderGroup: function(field) {
+        const html = HelpDesk.Utils.html;
+        const name = field.name;
+        const repeatable = Boolean(field.repeatable);
+        const rowRenderers = {
+            text: this.renderInput,
+            email: this.renderInput,
+            date: this.renderInput,
+            textarea: this.renderTextarea,
+            select: this.renderSelect
+        };
+        const columns = (field.fields || []).filter(rowField => rowRenderers[rowField.type]).map(rowField => {
+            const input = { ...rowField, name: `${field.name}[__index__][${rowField.name}]`, triggers: [] };
+            return html`<div class="col-md-6 mb-3"><div class="form-group">${rowRenderers[rowField.type].call(this, input, {})}</div></div>`;
+        });
+        const button = (action, icon, style, label) =>
+            html`<button type="button" class="btn btn-outline-${style}" data-group-action="${action}" title="${I18n.t(label)}" aria-label="${I18n.t(label)}"><i class="bi ${icon}"></i></button>`;
+        const header = repeatable && html`
+            <div class="card-header d-flex align-items-center py-2">
+                <span class="fw-semibold me-auto" id="${name}[__index__]_title" data-group-row-title></span>
+                <div class="btn-group btn-group-sm">
+                    ${button('up', 'bi-arrow-up', 'secondary', 'group.move_up')}
+                    ${button('down', 'bi-arrow-down', 'secondary', 'group.move_down')}
+                    ${button('remove', 'bi-trash', 'danger', 'group.remove_row')}
+                </div>
+            </div>`;
+        const add = repeatable && html`
+            <button type="button" class="btn btn-outline-primary btn-sm" data-group-action="add">
+                <i class="bi bi-plus-lg me-1"></i>${field.add_label || I18n.t('group.add_row')}
+            </button>`;
+
+        return html`
+            ${this.renderLabel(field, false)}
+            ${this.renderError(field, field.required ? 'group_required' : 'group')}
+            <div class="field-group" role="group" aria-labelledby="${name}_label" data-group="${name}" data-min-rows="${repeatable ? field.min_rows || 0 : 1}" data-max-rows="${repeatable ? field.max_rows || '' : 1}">
+                <div data-group-rows></div>
+                <template data-group-template>
+                    <div class="card mb-3 field-group-row" data-group-row role="group" aria-labelledby="${name}[__index__]_title">
+                        ${header}
+                        <div class="card-body row pb-0">${columns}</div>
+                    </div>
+                </template>
+                ${add}
+            </div>`;
+    },
+
+    // Text input with the suggestion list used by AutocompleteField
+    renderAutocomplete: function(field) {
+        const html = HelpDesk.Utils.html;
+        const name = field.name;
+        const placeholder = field.placeholder && html` placeholder="${field.placeholder}"`;
+        const fill = field.fill && typeof field.fill === 'object' && !Array.isArray(field.fill) ? field.fill : {};
+
+        return html`
+            ${this.renderLabel(field)}
+            <div class="autocomplete" data-autocomplete="${field.source || 'directory'}" data-value="${field.value || 'name'}" data-fill="${JSON.stringify(fill)}" data-min-chars="${field.min_chars || 2}">
+                <input type="text" class="form-control" id="${name}" name="${name}" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${name}_suggestions" autocomplete="off"${field.required && ' required'}${placeholder}${field.default && html` value="${field.default}"`}>
+                <ul class="autocomplete-menu list-group d-none" id="${name}_suggestions" role="listbox" aria-label="${I18n.t('autocomplete.suggestions', { label: String(field.label).toLowerCase() })}"></ul>
+            </div>
+            ${this.renderMaxLength(field)}
+            ${this.renderError(field, field.required ? 'required' : 'text')}`;
+    },
+
+    // "Maximum N characters" for a max:N validation rule
+    renderMaxLength: function(field) {
+        if (!field.validation) return '';
+
+        const rules = Array.isArray(field.validation) ? field.validation : String(field.validation).split('|');
+        const rule = rules.find(candidate => String(candidate).startsWith('max:'));
+        return rule ? HelpDesk.Utils.html`<div class="form-text">${I18n.t('form.max_length', { max: rule.slice(4) })}</div>` : '';
+    },
+
+    renderError: function(field, kind) {
+        const message = I18n.t(`form.error.${kind}`, { label: field.label, label_lower: String(field.label).toLowerCase() });
+        return HelpDesk.Utils.html`<div class="invalid-feedback" id="${field.name}_error">${message}</div>`;
+    },
+
+    // Sidebar: progress, named drafts and tips
+
+    // Markup in the translations' placeholders is ours; the translations are trusted
+    renderSidebar: function(settings, drafts) {
+        const { html, trustedHtml } = HelpDesk.Utils;
+        const tip = (title, text) => html`<div class="mb-3"><strong>${I18n.t(title)}</strong><br>${text}</div>`;
+        const uploads = html`${I18n.t('form.tip.max_file_size', { size: settings.max_file_size || '' })}<br>${I18n.t('form.tip.allowed_types', { types: (settings.allowed_file_types || []).join(', ') })}`;
+
+        return html`
+            <div class="card mb-4 d-none" id="kbSuggestions" aria-live="polite">
+                <div class="card-header">
+                    <h6 class="mb-0"><i class="bi bi-book me-2"></i>${I18n.t('kb.title')}</h6>
+                </div>
+                <div class="card-body pb-2">
+                    <p class="small text-muted mb-0">${I18n.t('kb.intro')}</p>
+                </div>
+                <ul class="list-group list-group-flush" data-kb-list></ul>
+            </div>
+            <div class="card mb-4">
+                <div class="card-header">
+                    <h6 class="mb-0"><i class="bi bi-list-check me-2"></i>${I18n.t('form.progress')}</h6>
+                </div>
+                <div class="card-body">
+                    <div id="fieldProgress"></div>
+                    <div class="mt-3">
+                        <small class="text-muted">${trustedHtml(I18n.t('form.fields_completed', {
+                            completed: '<span id="completedFields">0</span>',
+                            total: '<span id="totalFields">0</span>'
+                        }))}</small>
+                    </div>
+                </div>
+            </div>
+            <div class="card mb-4">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <h6 class="mb-0"><i class="bi bi-journal-text me-2"></i>${I18n.t('form.my_drafts')}</h6>
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-bs-toggle="modal" data-bs-target="#saveDraftModal">
+                        <i class="bi bi-save me-1"></i>${I18n.t('form.save_as')}
+                    </button>
+                </div>
+                <div class="card-body pb-2">
+                    <p class="small mb-0">${I18n.t('form.editing')} <strong id="currentDraftName">${I18n.t('drafts.unnamed')}</strong></p>
+                    <p class="small text-muted mt-2 mb-0${drafts.length > 0 && ' d-none'}" id="draftListEmpty">${I18n.t('form.drafts_empty')}</p>
+                </div>
+                <ul class="list-group list-group-flush" id="draftList" data-drafts="${JSON.stringify(drafts)}" data-empty-target="draftListEmpty"></ul>
+            </div>
+            <div class="card">
+                <div class="card-header">
+                    <h6 class="mb-0"><i class="bi bi-lightbulb me-2"></i>${I18n.t('form.tips')}</h6>
+                </div>
+                <div class="card-body">
+                    <div class="small">
+                        ${tip('form.tip.autosave_title', I18n.t('form.tip.autosave'))}
+                        ${tip('form.tip.undo_title', I18n.t('form.tip.undo'))}
+                        ${tip('form.tip.uploads_title', uploads)}
+                        ${tip('form.tip.required_title', trustedHtml(I18n.t('form.tip.required', { marker: '<span class="text-danger">*</span>' })))}
+                        <div><strong>${I18n.t('form.tip.help_title')}</strong><br>${I18n.t('form.tip.help')}</div>
+                    </div>
+                </div>
+            </div>`;
+    },
+
+    renderActions: function() {
+        return HelpDesk.Utils.html`
+            <div class="row mt-4">
+                <div class="col-12">
+                    <div class="card">
+                        <div class="card-body">
+                            <div class="d-flex justify-content-between align-items-center">
+                                <div>
+                                    <button type="button" id="clearForm" class="btn btn-outline-warning me-2">
+                                        <i class="bi bi-eraser me-2"></i>${I18n.t('form.clear')}
+                                    </button>
+                                    <div class="btn-group" role="group" aria-label="${I18n.t('form.edit_history')}">
+                                        <button type="button" id="undoEdit" class="btn btn-outline-secondary" title="${I18n.t('form.undo_shortcut')}" aria-keyshortcuts="Control+Z Meta+Z" disabled>
+                                            <i class="bi bi-arrow-counterclockwise me-1"></i>${I18n.t('history.undo')}
+                                        </button>
+                                        <button type="button" id="redoEdit" class="btn btn-outline-secondary" title="${I18n.t('form.redo_shortcut')}" aria-keyshortcuts="Control+Shift+Z Meta+Shift+Z" disabled>
+                                            <i class="bi bi-arrow-clockwise me-1"></i>${I18n.t('form.redo')}
+                                        </button>
+                                    </div>
+                                </div>
+                                <div>
+                                    <button type="button" id="validateForm" class="btn btn-outline-primary me-2">
+                                        <i class="bi bi-check-circle me-2"></i>${I18n.t('form.validate')}
+                                    </button>
+                                    <button type="button" id="wizardBack" class="btn btn-outline-secondary me-2 d-none">
+                                        <i class="bi bi-arrow-left me-2"></i>${I18n.t('form.back')}
+                                    </button>
+                                    <button type="button" id="wizardNext" class="btn btn-primary d-none">
+                                        ${I18n.t('form.next')}<i class="bi bi-arrow-right ms-2"></i>
+                                    </button>
+                                    <button type="submit" id="submitForm" class="btn btn-primary">
+                                        <i class="bi bi-send me-2"></i>${I18n.t('submit.button')}
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>`;
+    },
+
+    // Submit confirmation, "save as" and draft conflict dialogs
+    renderModals: function(typeInfo) {
+        const { html, trustedHtml } = HelpDesk.Utils;
+        const close = I18n.t('form.close');
+        const cancel = I18n.t('form.cancel');
+
+        return html`
+            <div class="modal fade" id="submitConfirmModal" tabindex="-1">
+                <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-check-circle text-success me-2"></i>${I18n.t('form.confirm.title')}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${close}"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p>${I18n.t('form.confirm.question', { type: String(typeInfo.label || '').toLowerCase() })}</p>
+                            <p class="small text-muted">${I18n.t('form.confirm.next_steps')}</p>
+                            <div id="duplicateTickets" class="alert alert-warning alert-permanent d-none"></div>
+                            <div id="submissionSummary" class="mt-3"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${cancel}</button>
+                            <button type="button" id="confirmSubmit" class="btn btn-primary"><i class="bi bi-send me-2"></i>${I18n.t('submit.button')}</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div class="modal fade" id="saveDraftModal" tabindex="-1" aria-labelledby="saveDraftModalTitle">
+                <div class="modal-dialog">
+                    <form class="modal-content" id="saveDraftForm" novalidate>
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="saveDraftModalTitle"><i class="bi bi-save me-2"></i>${I18n.t('form.save_draft.title')}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${close}"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="form-group">
+                                <label for="draftName" class="form-label">${I18n.t('form.save_draft.name')}</label>
+                                <input type="text" class="form-control" id="draftName" maxlength="100" required aria-describedby="draftNameHint">
+                                <div class="form-text" id="draftNameHint">${I18n.t('form.save_draft.hint')}</div>
+                                <div class="invalid-feedback" id="draftName_error"></div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${cancel}</button>
+                            <button type="submit" class="btn btn-primary"><i class="bi bi-save me-2"></i>${I18n.t('form.save_draft.submit')}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+            <div class="modal fade" id="draftConflictModal" tabindex="-1" data-bs-backdrop="static">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-exclamation-triangle text-warning me-2"></i>${I18n.t('form.conflict.title')}</h5>
+                        </div>
+                        <div class="modal-body">
+                            <p>${trustedHtml(I18n.t('form.conflict.text', { time: '<strong id="draftConflictLocalTime"></strong>' }))}</p>
+                            <p class="small text-muted mb-0">${I18n.t('form.conflict.choose')}</p>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" id="useServerDraft" class="btn btn-outline-secondary"><i class="bi bi-cloud me-2"></i>${I18n.t('form.conflict.use_server')}</button>
+                            <button type="button" id="useLocalDraft" class="btn btn-primary"><i class="bi bi-hdd me-2"></i>${I18n.t('form.conflict.use_local')}</button>
+                        </div>
+                    </div>
+                </div>
+            </div>`;
+    }
+};
+
+// Export for global use
+window.FormRenderer = FormRenderer;
@@ -0,0 +1,232 @@
+// Repeatable field groups for the Support Portal
+'use strict';
+
+// Rows of a `type: group` field rendered by form/fields/group.html: the rows
+// are built from the group's <template> and can be added, removed and moved
+// up or down. Inputs are named group[index][field], so FormData and PHP read
+// the rows as nested arrays; names, ids and row titles are numbered again
+// whenever rows change. Adding, removing and moving rows fires a change event
+// on the group, which the form handles like any other edit (autosave,
+// progress and undo).
+const GroupField = {
+    groups: {}, // group name => { element, rowList, template, addButton, minRows, maxRows }
+
+    // Bind the buttons of a group element (data-group) and show its first rows
+    setup: function(element) {
+        const name = element.dataset.group;
+        const group = {
+            element: element,
+            rowList: element.querySelector('[data-group-rows]'),
+            template: element.querySelector('template[data-group-template]'),
+            addButton: element.querySelector('[data-group-action="add"]'),
+            minRows: parseInt(element.dataset.minRows || '0', 10),
+            maxRows: element.dataset.maxRows ? parseInt(element.dataset.maxRows, 10) : null
+        };
+
+        if (!group.rowList || !group.template) return false;
+        this.groups[name] = group;
+
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-group-action]');
+            if (!button || button.closest('[data-group]') !== element) return;
+
+            const row = button.closest('[data-group-row]');
+            switch (button.dataset.groupAction) {
+                case 'add':
+                    this.addRow(name, {}, { focus: true });
+                    break;
+                case 'remove':
+                    this.removeRow(name, row);
+                    break;
+                case 'up':
+                    this.moveRow(name, row, -1);
+                    break;
+                case 'down':
+                    this.moveRow(name, row, 1);
+                    break;
+            }
+        });
+
+        this.setRows(name, []);
+        return true;
+    },
+
+    // Read an input name like systems[2][access_level] of a known group:
+    // { group, index, field }, or null for other names
+    parseName: function(inputName) {
+        const match = /^(.+)\[(\d+)\]\[([^\][]+)\]$/.exec(inputName || '');
+        if (!match || !this.groups[match[1]]) return null;
+
+        return { group: match[1], index: parseInt(match[2], 10), field: match[3] };
+    },
+
+    getRowElements: function(name) {
+        return Array.from(this.groups[name].rowList.querySelectorAll(':scope > [data-group-row]'));
+    },
+
+    getInputs: function(row) {
+        return Array.from(row.querySelectorAll('input, select, textarea')).filter(input => input.type !== 'hidden');
+    },
+
+    // The rows as plain objects, { field: value }, in the order shown
+    getRows: function(name) {
+        if (!this.groups[name]) return [];
+
+        return this.getRowElements(name).map(row => {
+            const values = {};
+            this.getInputs(row).forEach(input => {
+                const parsed = this.parseName(input.name);
+                if (parsed) {
+                    values[parsed.field] = input.value;
+                }
+            });
+            return values;
+        });
+    },
+
+    // Replace all rows, e.g. from a draft or an undo step. Groups always show
+    // at least min_rows rows, and at least one.
+    setRows: function(name, rows) {
+        const group = this.groups[name];
+        if (!group) return;
+
+        const values = (Array.isArray(rows) ? rows : [])
+            .filter(row => row && typeof row === 'object')
+            .slice(0, group.maxRows === null ? undefined : group.maxRows);
+        while (values.length < Math.max(group.minRows, 1)) {
+            values.push({});
+        }
+
+        group.rowList.innerHTML = '';
+        values.forEach(row => this.addRow(name, row, { silent: true }));
+    },
+
+    // Add a row with the given values; returns the row, or null at max_rows.
+    // Options: focus (move focus to its first input) and silent (no change event).
+    addRow: function(name, values = {}, options = {}) {
+        const group = this.groups[name];
+        if (group.maxRows !== null && this.getRowElements(name).length >= group.maxRows) return null;
+
+        const row = group.template.content.firstElementChild.cloneNode(true);
+        group.rowList.appendChild(row);
+        this.renumber(name);
+
+        this.getInputs(row).forEach(input => {
+            const parsed = this.parseName(input.name);
+            if (parsed && values[parsed.field] !== undefined && values[parsed.field] !== null) {
+                input.value = String(values[parsed.field]);
+            }
+        });
+
+        if (!options.silent) {
+            this.changed(name);
+            HelpDesk.Utils.announce(I18n.t('group.row_added', { number: this.getRowElements(name).length }));
+        }
+        if (options.focus) {
+            const first = this.getInputs(row)[0];
+            if (first) first.focus();
+        }
+
+        return row;
+    },
+
+    // Remove a row, keeping min_rows; focus moves to the next row or the add button
+    removeRow: function(name, row) {
+        const group = this.groups[name];
+        const rows = this.getRowElements(name);
+        const index = rows.indexOf(row);
+        if (index === -1 || rows.length <= group.minRows) return;
+
+        row.remove();
+        this.renumber(name);
+        this.changed(name);
+        HelpDesk.Utils.announce(I18n.t('group.row_removed', { number: index + 1 }));
+
+        const next = this.getRowElements(name)[Math.min(index, rows.length - 2)];
+        const target = next ? this.getInputs(next)[0] : group.addButton;
+        if (target) target.focus();
+    },
+
+    // Move a row up (-1) or down (1), keeping focus on the button that moved it
+    moveRow: function(name, row, offset) {
+        const rows = this.getRowElements(name);
+        const index = rows.indexOf(row);
+        const target = rows[index + offset];
+        if (index === -1 || !target) return;
+
+        const focused = document.activeElement;
+        if (offset < 0) {
+            target.before(row);
+        } else {
+            target.after(row);
+        }
+        this.renumber(name);
+        this.changed(name);
+        HelpDesk.Utils.announce(I18n.t('group.row_moved', { number: index + offset + 1 }));
+
+        if (focused && row.contains(focused)) {
+            (focused.disabled ? this.getInputs(row)[0] : focused).focus();
+        }
+    },
+
+    // Number the rows in their current order: names, ids and the references
+    // to them, and the row titles; then update which buttons can be used
+    renumber: function(name) {
+        const group = this.groups[name];
+        const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const prefix = new RegExp(escapedName + '\\[(\\d+|__index__)\\]', 'g');
+        const rows = this.getRowElements(name);
+
+        rows.forEach((row, index) => {
+            row.querySelectorAll('[name], [id], [for], [aria-describedby], [aria-labelledby]').forEach(element => {
+                ['name', 'id', 'for', 'aria-describedby', 'aria-labelledby'].forEach(attribute => {
+                    const value = element.getAttribute(attribute);
+                    if (value) {
+                        element.setAttribute(attribute, value.replace(prefix, `${name}[${index}]`));
+                    }
+                });
+            });
+
+            const title = row.querySelector('[data-group-row-title]');
+            if (title) {
+                title.textContent = I18n.t('group.row', { number: index + 1 });
+            }
+
+            const locked = Boolean(group.element.closest('.field-locked'));
+            row.querySelectorAll('[data-group-action]').forEach(button => {
+                const action = button.dataset.groupAction;
+                button.disabled = locked ||
+                    (action === 'up' && index === 0) ||
+                    (action === 'down' && index === rows.length - 1) ||
+                    (action === 'remove' && rows.length <= group.minRows);
+            });
+        });
+
+        if (group.addButton) {
+            group.addButton.disabled = Boolean(group.element.closest('.field-locked')) ||
+                (group.maxRows !== null && rows.length >= group.maxRows);
+        }
+    },
+
+    // Rows that are left empty are not submitted or validated
+    isRowEmpty: function(row) {
+        return this.getInputs(row).every(input => input.value.trim() === '');
+    },
+
+    // Whether two row objects hold the same values (rows are compared by value
+    // in the edit history)
+    isSameRow: function(a, b) {
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => typeof a[key] === 'string' && a[key] === b[key]);
+    },
+
+    changed: function(name) {
+        this.groups[name].element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+};
+
+// Export for global use
+window.GroupField = GroupField;
@@ -0,0 +1,115 @@
+// Translations and locale-aware formatting for the Support Portal
+'use strict';
+
+// Messages are looked up by key (e.g. 'toast.title.success') in the bundle of
+// the current locale, falling back to English. Placeholders such as {max} are
+// filled from the params object. A message can also be an object of plural
+// forms ({ one: ..., other: ... }), chosen by Intl.PluralRules from params.count.
+// Bundles live in /assets/js/i18n/<locale>.js and register themselves.
+const I18n = {
+    locale: 'en',
+    fallbackLocale: 'en',
+    bundles: {},
+
+    // Add messages for a locale
+    register: function(locale, messages) {
+        this.bundles[locale] = { ...(this.bundles[locale] || {}), ...messages };
+    },
+
+    // Pick the language from the page (<html lang>, set from the user profile),
+    // then from the browser
+    detectLocale: function() {
+        const candidates = [document.documentElement.lang]
+            .concat(navigator.languages || [navigator.language]);
+
+        for (const candidate of candidates) {
+            const locale = this.normalize(candidate);
+            if (locale && this.bundles[locale]) {
+                return locale;
+            }
+        }
+
+        return this.fallbackLocale;
+    },
+
+    setLocale: function(locale) {
+        const normalized = this.normalize(locale);
+        this.locale = this.bundles[normalized] ? normalized : this.fallbackLocale;
+    },
+
+    // 'nl-NL' -> 'nl'
+    normalize: function(tag) {
+        return String(tag || '').toLowerCase().split(/[-_]/)[0];
+    },
+
+    has: function(key) {
+        return this.lookup(key) !== undefined;
+    },
+
+    // Translate a key; unknown keys are returned as is
+    t: function(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = this.selectPlural(message, params.count);
+        }
+
+        return this.interpolate(message, params);
+    },
+
+    lookup: function(key) {
+        const bundle = this.bundles[this.locale] || {};
+        const fallback = this.bundles[this.fallbackLocale] || {};
+        return bundle[key] !== undefined ? bundle[key] : fallback[key];
+    },
+
+    // Choose the plural form for a count (zero is optional)
+    selectPlural: function(forms, count) {
+        const number = Number(count) || 0;
+        if (number === 0 && forms.zero !== undefined) {
+            return forms.zero;
+        }
+
+        const category = new Intl.PluralRules(this.locale).select(number);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    },
+
+    // Replace {name} placeholders; unknown placeholders are left in place
+    interpolate: function(template, params = {}) {
+        return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder
+        );
+    },
+
+    // Pick the current locale from a configured text that is either a plain
+    // string or a map of locales ({ en: ..., nl: ... })
+    localized: function(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+        if (value[this.locale] !== undefined) return value[this.locale];
+        if (value[this.fallbackLocale] !== undefined) return value[this.fallbackLocale];
+        return Object.values(value)[0];
+    },
+
+    formatNumber: function(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    // Join items as "a, b and c"
+    formatList: function(items) {
+        return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items.map(String));
+    },
+
+    // Format a date, timestamp or date string
+    formatDate: function(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date) ? String(value) : new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+};
+
+// Export for global use
+window.I18n = I18n;
@@ -0,0 +1,248 @@
+// English messages for the Support Portal
+'use strict';
+
+I18n.register('en', {
+    // Notifications
+    'toast.title.success': 'Success',
+    'toast.title.error': 'Error',
+    'toast.title.warning': 'Warning',
+    'toast.title.info': 'Information',
+    'toast.title.default': 'Notification',
+
+    'auth.logout_confirm': 'Are you sure you want to logout?',
+
+    // Session
+    'session.expires_in': 'Your session expires in {time}.',
+    'session.extended': 'You are still signed in.',
+    'session.restored': 'You are logged in again. You can continue where you left off.',
+    'session.login_error.invalid_credentials': 'Incorrect password. Please try again.',
+    'session.login_error.missing_credentials': 'Please enter your password.',
+    'session.login_error.ldap_disabled': 'Directory login is currently disabled.',
+    'session.login_error.local_auth_disabled': 'Local login is currently disabled.',
+    'session.login_error.system_error': 'Logging in failed because of a system error. Please try again later.',
+
+    // API requests
+    'api.network': 'Could not reach the server. Check your connection and try again.',
+    'api.timeout': 'The server took too long to respond. Please try again.',
+    'api.cancelled': 'The request was cancelled',
+    'api.auth': 'Your session has expired. Please log in again.',
+    'api.invalid_response': 'Unexpected response from the server',
+    'api.http_error': 'Request failed (HTTP {status})',
+
+    // Validation (the same defaults as ValidationService)
+    'validation.required': 'This field is required',
+    'validation.email': 'Must be a valid email address',
+    'validation.date': 'Must be a valid date',
+    'validation.numeric': 'Must be a number',
+    'validation.integer': 'Must be a whole number',
+    'validation.min_length': 'Minimum {min} characters required',
+    'validation.max_length': 'Maximum {max} characters allowed',
+    'validation.min_value': 'Must be at least {min}',
+    'validation.max_value': 'Must be at most {max}',
+    'validation.min_items': 'Select at least {min} options',
+    'validation.max_items': 'Select at most {max} options',
+    'validation.after': 'Must be after {date}',
+    'validation.before': 'Must be before {date}',
+    'validation.regex': 'Invalid format',
+    'validation.in': 'Must be one of: {values}',
+    'validation.option': 'Please select a valid option',
+    'validation.min_rows': 'Add at least {min} rows',
+    'validation.max_rows': 'Add at most {max} rows',
+
+    // Attachments
+    'files.rejected_type': 'Some files were rejected due to invalid file type.',
+    'files.too_large': 'Some files exceed the maximum size limit of {max}.',
+    'paste.added': { one: 'Screenshot added.', other: '{count} screenshots added.' },
+    'paste.failed': 'The pasted image could not be added.',
+    'upload.retry': 'Retry upload',
+    'upload.remove': 'Remove file',
+    'upload.uploading': 'Uploading... {percent}%',
+    'upload.waiting': 'Waiting for connection...',
+    'upload.complete': 'Uploaded',
+    'upload.failed': 'Upload failed',
+    'upload.progress_label': 'Upload progress of {name}',
+    'upload.announce_waiting': 'Upload of {name} paused until the connection returns',
+    'upload.announce_complete': '{name} uploaded',
+    'upload.announce_failed': '{name} could not be uploaded: {message}',
+    'upload.http_error': 'Upload failed (HTTP {status})',
+    'upload.network_error': 'Network error while uploading',
+    'upload.cancelled': 'Upload cancelled',
+    'upload.pending': 'Please wait until all attachments have finished uploading.',
+    'upload.has_failed': 'Some attachments failed to upload. Retry or remove them before submitting.',
+
+    // Form
+    'conditions.invalid': 'Some conditional fields could not be configured: {errors}',
+    'autosave.local': 'Saved on this device',
+    'autosave.synced': 'Draft saved',
+    'autosave.offline': 'Offline - saved on this device, will sync when back online',
+    'autosave.failed': 'Sync failed - saved on this device, retrying',
+    'wizard.step_incomplete': 'Please complete "{title}" before continuing.',
+    'drafts.unnamed': 'Unnamed draft',
+    'drafts.current': 'Open',
+    'drafts.last_edited': 'Last edited {date}',
+    'drafts.copy_name': 'Copy of {name}',
+    'drafts.duplicate': 'Duplicate "{name}"',
+    'drafts.delete': 'Delete "{name}"',
+    'drafts.delete_confirm': 'Delete the draft "{name}"? This cannot be undone.',
+    'drafts.name_required': 'Please enter a name for the draft.',
+    'drafts.saved': 'Saved as "{name}". Changes are now saved to this draft.',
+    'drafts.opened': 'Opened the draft "{name}".',
+    'drafts.duplicated': 'Created "{name}".',
+    'drafts.deleted': 'Deleted the draft "{name}".',
+    'drafts.missing': 'This draft was deleted elsewhere. Your changes are kept as an unnamed draft.',
+    'form.validation_passed': 'Form validation passed!',
+    'form.validation_failed': { one: 'There is 1 problem with this form', other: 'There are {count} problems with this form' },
+    'progress.completed': '{completed} of {total} fields completed',
+    'history.undo': 'Undo',
+    'history.undone': 'Change undone',
+    'history.redone': 'Change redone',
+    'form.cleared': 'Form cleared successfully',
+    'submit.button': 'Submit Request',
+    'submit.submitting': 'Submitting...',
+    'submit.failed': 'Submission failed',
+    'submit.invalid_response': 'Invalid response from server',
+    'submit.error': 'An error occurred while submitting the form. Please try again.',
+
+    // Ticket page
+    'ticket.staff': 'Staff',
+    'ticket.attachments': 'Attachments: {names}',
+    'ticket.new_reply': 'New reply from {name}',
+    'ticket.closed': 'This ticket has been closed. Replies are no longer possible.',
+    'ticket.sending': 'Sending...',
+    'ticket.sent': 'Sent',
+    'ticket.reply_sent': 'Your reply has been sent',
+    'ticket.reply_failed': 'Your reply could not be sent. Please try again.',
+
+    // Markdown editor
+    'markdown.toolbar': 'Formatting',
+    'markdown.bold': 'Bold',
+    'markdown.italic': 'Italic',
+    'markdown.code': 'Code',
+    'markdown.code_block': 'Code block',
+    'markdown.bulleted_list': 'Bulleted list',
+    'markdown.numbered_list': 'Numbered list',
+    'markdown.link': 'Link',
+    'markdown.preview': 'Preview',
+    'markdown.preview_empty': 'Nothing to preview yet.',
+
+    // Form renderer (the same texts as form/form.html and form/fields/*)
+    'form.request_type': 'Request type',
+    'form.back': 'Back',
+    'form.next': 'Next',
+    'form.auto_filled': 'Auto-filled',
+    'form.select_placeholder': 'Select {label}...',
+    'form.max_length': 'Maximum {max} characters',
+    'form.markdown_hint': 'Markdown formatting: **bold**, *italic*, `code`, lists starting with - or 1. and code blocks between ``` lines.',
+    'form.error.required': '{label} is required.',
+    'form.error.text': 'Please enter a valid {label_lower}.',
+    'form.error.textarea': 'Please enter valid {label_lower}.',
+    'form.error.email': 'Please enter a valid email address.',
+    'form.error.date': 'Please select a valid date.',
+    'form.error.select': 'Please select a {label_lower}.',
+    'form.error.checkbox_group': 'Please select at least one option.',
+    'form.error.file_required': 'Please select a file.',
+    'form.error.file': 'Please select a valid file.',
+    'form.error.group_required': 'Please fill in at least one row.',
+    'form.error.group': 'Please check the rows of {label_lower}.',
+    'form.drop_files': 'Drop files here or click to browse (Enter or Space with the keyboard)',
+    'form.drop_or_paste_files': 'Drop files here, paste a screenshot or click to browse (Enter or Space with the keyboard)',
+    'form.multiple_files': 'Multiple files allowed.',
+    'form.single_file': 'Single file only.',
+    'form.accepted_types': 'Accepted types: {types}',
+    'form.progress': 'Form Progress',
+    'form.fields_completed': '{completed} of {total} fields completed',
+    'form.my_drafts': 'My Drafts',
+    'form.save_as': 'Save as…',
+    'form.editing': 'Editing:',
+    'form.drafts_empty': 'Save this form under a name to prepare several requests side by side.',
+    'form.tips': 'Tips & Help',
+    'form.tip.autosave_title': 'Form Auto-save',
+    'form.tip.autosave': 'Your progress is saved on this device as you type and synced to your account whenever you are online.',
+    'form.tip.undo_title': 'Undo Changes',
+    'form.tip.undo': 'Undo and redo your edits with the buttons below the form or with Ctrl+Z and Ctrl+Shift+Z, including fields that were cleared because they no longer apply.',
+    'form.tip.uploads_title': 'File Uploads',
+    'form.tip.max_file_size': 'Maximum file size: {size}',
+    'form.tip.allowed_types': 'Allowed types: {types}',
+    'form.tip.required_title': 'Required Fields',
+    'form.tip.required': 'Fields marked with {marker} are required.',
+    'form.tip.help_title': 'Need Help?',
+    'form.tip.help': 'Contact IT Support directly for assistance.',
+    'form.clear': 'Clear Form',
+    'form.edit_history': 'Edit history',
+    'form.undo_shortcut': 'Undo (Ctrl+Z)',
+    'form.redo_shortcut': 'Redo (Ctrl+Shift+Z)',
+    'form.redo': 'Redo',
+    'form.validate': 'Validate',
+    'form.close': 'Close',
+    'form.cancel': 'Cancel',
+    'form.confirm.title': 'Confirm Submission',
+    'form.confirm.question': 'Are you sure you want to submit this {type} request?',
+    'form.confirm.next_steps': 'Once submitted, you will receive a ticket number and email confirmation.',
+    'form.save_draft.title': 'Save Draft As',
+    'form.save_draft.name': 'Draft name',
+    'form.save_draft.hint': 'For example the name of the new colleague this request is for.',
+    'form.save_draft.submit': 'Save Draft',
+    'form.conflict.title': 'Two Versions of Your Draft',
+    'form.conflict.text': 'This device has changes from {time} that were never synced, and they differ from the draft saved on the server.',
+    'form.conflict.choose': 'The form currently shows the server draft. Choose which version you want to continue with; the other one will be replaced.',
+    'form.conflict.use_server': 'Use Server Draft',
+    'form.conflict.use_local': "Use This Device's Draft",
+    'form.switch_confirm': 'Switching the request type removes the attached files. Your other answers stay saved as a draft of this request type. Continue?',
+    'form.load_failed': 'The form could not be loaded. Please try again.',
+
+    // Embeddable widget (widget-frame.js)
+    'widget.loading': 'Loading…',
+    'widget.login_needed': 'Log in to the IT Helpdesk to send a request.',
+    'widget.login': 'Log In',
+    'widget.login_waiting': 'Waiting for you to log in in the other window…',
+    'widget.popup_blocked': 'The login window was blocked. Allow pop-ups for this page and try again.',
+    'widget.no_types': 'No request types are available here.',
+    'widget.retry': 'Try Again',
+    'widget.done_title': 'Request Sent',
+    'widget.done_text': 'Your request was received as ticket #{id}. You will get an email confirmation.',
+    'widget.view_ticket': 'View Ticket',
+    'widget.new_request': 'New Request',
+
+    // Pre-filled forms
+    'prefill.locked': 'Set by IT',
+
+    // Knowledge-base suggestions
+    'kb.title': 'Suggested Articles',
+    'kb.intro': 'These articles might answer your question right away.',
+    'kb.solved': 'This solved my problem',
+    'kb.solved_confirm': 'Glad "{title}" helped! Discard this request? What you filled in will be deleted.',
+    'kb.solved_done': 'Your request was discarded. Thanks for letting us know!',
+
+    // Duplicate tickets
+    'duplicates.title': 'You may have reported this already',
+    'duplicates.intro': 'These open tickets look like this request. Add it to one of them instead of creating a new ticket?',
+    'duplicates.add_reply': 'Add as reply',
+
+    // Repeatable groups
+    'group.row': 'Row {number}',
+    'group.add_row': 'Add row',
+    'group.move_up': 'Move row up',
+    'group.move_down': 'Move row down',
+    'group.remove_row': 'Remove row',
+    'group.row_added': 'Row {number} added',
+    'group.row_removed': 'Row {number} removed',
+    'group.row_moved': 'Row moved to position {number}',
+        'group.field_label': '{group}, row {number}: {field}',
+
+    // Autocomplete fields
+    'autocomplete.suggestions': 'Suggestions for {label}',
+    'autocomplete.searching': 'Searching...',
+    'autocomplete.no_results': 'No matches found. You can still type the name yourself.',
+    'autocomplete.error': 'Suggestions are not available right now.',
+    'autocomplete.results': { one: '1 suggestion, use the arrow keys to choose', other: '{count} suggestions, use the arrow keys to choose' },
+        'autocomplete.selected': '{name} selected',
+
+    // Computed fields
+    'computed.locked': 'Calculated from {fields}',
+    'computed.suggested': 'Suggested from {fields}; you can choose another value',
+    'computed.suggestion': 'Suggested from {fields}: {value}',
+    'computed.use_suggestion': 'Use suggestion',
+
+    // Submission summary
+    'summary.attachments': 'Attachments'
+});
@@ -0,0 +1,248 @@
+// Dutch messages for the Support Portal
+'use strict';
+
+I18n.register('nl', {
+    // Notifications
+    'toast.title.success': 'Gelukt',
+    'toast.title.error': 'Fout',
+    'toast.title.warning': 'Waarschuwing',
+    'toast.title.info': 'Informatie',
+    'toast.title.default': 'Melding',
+
+    'auth.logout_confirm': 'Weet je zeker dat je wilt uitloggen?',
+
+    // Session
+    'session.expires_in': 'Je sessie verloopt over {time}.',
+    'session.extended': 'Je blijft ingelogd.',
+    'session.restored': 'Je bent weer ingelogd. Je kunt verder waar je gebleven was.',
+    'session.login_error.invalid_credentials': 'Onjuist wachtwoord. Probeer het opnieuw.',
+    'session.login_error.missing_credentials': 'Vul je wachtwoord in.',
+    'session.login_error.ldap_disabled': 'Inloggen via de directory is op dit moment uitgeschakeld.',
+    'session.login_error.local_auth_disabled': 'Lokaal inloggen is op dit moment uitgeschakeld.',
+    'session.login_error.system_error': 'Inloggen is mislukt door een systeemfout. Probeer het later opnieuw.',
+
+    // API requests
+    'api.network': 'De server is niet bereikbaar. Controleer je verbinding en probeer het opnieuw.',
+    'api.timeout': 'De server reageerde niet op tijd. Probeer het opnieuw.',
+    'api.cancelled': 'Het verzoek is geannuleerd',
+    'api.auth': 'Je sessie is verlopen. Log opnieuw in.',
+    'api.invalid_response': 'Onverwacht antwoord van de server',
+    'api.http_error': 'Verzoek mislukt (HTTP {status})',
+
+    // Validation
+    'validation.required': 'Dit veld is verplicht',
+    'validation.email': 'Vul een geldig e-mailadres in',
+    'validation.date': 'Vul een geldige datum in',
+    'validation.numeric': 'Vul een getal in',
+    'validation.integer': 'Vul een heel getal in',
+    'validation.min_length': 'Minimaal {min} tekens vereist',
+    'validation.max_length': 'Maximaal {max} tekens toegestaan',
+    'validation.min_value': 'Moet minimaal {min} zijn',
+    'validation.max_value': 'Mag maximaal {max} zijn',
+    'validation.min_items': 'Kies minimaal {min} opties',
+    'validation.max_items': 'Kies maximaal {max} opties',
+    'validation.after': 'Moet na {date} liggen',
+    'validation.before': 'Moet voor {date} liggen',
+    'validation.regex': 'Ongeldig formaat',
+    'validation.in': 'Moet een van de volgende zijn: {values}',
+    'validation.option': 'Kies een geldige optie',
+    'validation.min_rows': 'Voeg minimaal {min} rijen toe',
+    'validation.max_rows': 'Voeg maximaal {max} rijen toe',
+
+    // Attachments
+    'files.rejected_type': 'Sommige bestanden zijn geweigerd vanwege een ongeldig bestandstype.',
+    'files.too_large': 'Sommige bestanden zijn groter dan de maximale grootte van {max}.',
+    'paste.added': { one: 'Schermafbeelding toegevoegd.', other: '{count} schermafbeeldingen toegevoegd.' },
+    'paste.failed': 'De geplakte afbeelding kon niet worden toegevoegd.',
+    'upload.retry': 'Opnieuw uploaden',
+    'upload.remove': 'Bestand verwijderen',
+    'upload.uploading': 'Bezig met uploaden... {percent}%',
+    'upload.waiting': 'Wachten op verbinding...',
+    'upload.complete': 'Geüpload',
+    'upload.failed': 'Uploaden mislukt',
+    'upload.progress_label': 'Uploadvoortgang van {name}',
+    'upload.announce_waiting': 'Uploaden van {name} gepauzeerd tot de verbinding terug is',
+    'upload.announce_complete': '{name} is geüpload',
+    'upload.announce_failed': '{name} kon niet worden geüpload: {message}',
+    'upload.http_error': 'Uploaden mislukt (HTTP {status})',
+    'upload.network_error': 'Netwerkfout tijdens het uploaden',
+    'upload.cancelled': 'Uploaden geannuleerd',
+    'upload.pending': 'Wacht tot alle bijlagen zijn geüpload.',
+    'upload.has_failed': 'Sommige bijlagen zijn niet geüpload. Probeer ze opnieuw of verwijder ze voordat je verstuurt.',
+
+    // Form
+    'conditions.invalid': 'Sommige voorwaardelijke velden konden niet worden ingesteld: {errors}',
+    'autosave.local': 'Opgeslagen op dit apparaat',
+    'autosave.synced': 'Concept opgeslagen',
+    'autosave.offline': 'Offline - opgeslagen op dit apparaat, wordt gesynchroniseerd zodra je weer online bent',
+    'autosave.failed': 'Synchroniseren mislukt - opgeslagen op dit apparaat, we proberen het opnieuw',
+    'wizard.step_incomplete': 'Vul "{title}" in voordat je verdergaat.',
+    'drafts.unnamed': 'Naamloos concept',
+    'drafts.current': 'Geopend',
+    'drafts.last_edited': 'Laatst bewerkt {date}',
+    'drafts.copy_name': 'Kopie van {name}',
+    'drafts.duplicate': '"{name}" dupliceren',
+    'drafts.delete': '"{name}" verwijderen',
+    'drafts.delete_confirm': 'Het concept "{name}" verwijderen? Dit kan niet ongedaan worden gemaakt.',
+    'drafts.name_required': 'Geef het concept een naam.',
+    'drafts.saved': 'Opgeslagen als "{name}". Wijzigingen worden nu in dit concept opgeslagen.',
+    'drafts.opened': 'Het concept "{name}" is geopend.',
+    'drafts.duplicated': '"{name}" is aangemaakt.',
+    'drafts.deleted': 'Het concept "{name}" is verwijderd.',
+    'drafts.missing': 'Dit concept is ergens anders verwijderd. Je wijzigingen zijn bewaard als naamloos concept.',
+    'form.validation_passed': 'Het formulier is correct ingevuld!',
+    'form.validation_failed': { one: 'Er is 1 probleem met dit formulier', other: 'Er zijn {count} problemen met dit formulier' },
+    'progress.completed': '{completed} van {total} velden ingevuld',
+    'history.undo': 'Ongedaan maken',
+    'history.undone': 'Wijziging ongedaan gemaakt',
+    'history.redone': 'Wijziging opnieuw uitgevoerd',
+    'form.cleared': 'Formulier leeggemaakt',
+    'submit.button': 'Aanvraag versturen',
+    'submit.submitting': 'Bezig met versturen...',
+    'submit.failed': 'Versturen mislukt',
+    'submit.invalid_response': 'Ongeldig antwoord van de server',
+    'submit.error': 'Er ging iets mis bij het versturen van het formulier. Probeer het opnieuw.',
+
+    // Ticket page
+    'ticket.staff': 'Medewerker',
+    'ticket.attachments': 'Bijlagen: {names}',
+    'ticket.new_reply': 'Nieuwe reactie van {name}',
+    'ticket.closed': 'Dit ticket is gesloten. Je kunt niet meer reageren.',
+    'ticket.sending': 'Bezig met versturen...',
+    'ticket.sent': 'Verstuurd',
+    'ticket.reply_sent': 'Je reactie is verstuurd',
+    'ticket.reply_failed': 'Je reactie kon niet worden verstuurd. Probeer het opnieuw.',
+
+    // Markdown editor
+    'markdown.toolbar': 'Opmaak',
+    'markdown.bold': 'Vet',
+    'markdown.italic': 'Cursief',
+    'markdown.code': 'Code',
+    'markdown.code_block': 'Codeblok',
+    'markdown.bulleted_list': 'Opsommingslijst',
+    'markdown.numbered_list': 'Genummerde lijst',
+    'markdown.link': 'Link',
+    'markdown.preview': 'Voorbeeld',
+    'markdown.preview_empty': 'Nog niets om te tonen.',
+
+    // Form renderer (the same texts as form/form.html and form/fields/*)
+    'form.request_type': 'Soort aanvraag',
+    'form.back': 'Terug',
+    'form.next': 'Volgende',
+    'form.auto_filled': 'Automatisch ingevuld',
+    'form.select_placeholder': 'Kies {label}...',
+    'form.max_length': 'Maximaal {max} tekens',
+    'form.markdown_hint': 'Markdown-opmaak: **vet**, *cursief*, `code`, lijsten die beginnen met - of 1. en codeblokken tussen ```-regels.',
+    'form.error.required': '{label} is verplicht.',
+    'form.error.text': 'Vul een geldige waarde in voor {label_lower}.',
+    'form.error.textarea': 'Vul een geldige waarde in voor {label_lower}.',
+    'form.error.email': 'Vul een geldig e-mailadres in.',
+    'form.error.date': 'Kies een geldige datum.',
+    'form.error.select': 'Kies een waarde voor {label_lower}.',
+    'form.error.checkbox_group': 'Kies minstens één optie.',
+    'form.error.file_required': 'Kies een bestand.',
+    'form.error.file': 'Kies een geldig bestand.',
+    'form.error.group_required': 'Vul minstens één rij in.',
+    'form.error.group': 'Controleer de rijen van {label_lower}.',
+    'form.drop_files': 'Sleep bestanden hierheen of klik om te bladeren (Enter of spatie met het toetsenbord)',
+    'form.drop_or_paste_files': 'Sleep bestanden hierheen, plak een schermafbeelding of klik om te bladeren (Enter of spatie met het toetsenbord)',
+    'form.multiple_files': 'Meerdere bestanden toegestaan.',
+    'form.single_file': 'Eén bestand.',
+    'form.accepted_types': 'Toegestane typen: {types}',
+    'form.progress': 'Voortgang',
+    'form.fields_completed': '{completed} van {total} velden ingevuld',
+    'form.my_drafts': 'Mijn concepten',
+    'form.save_as': 'Opslaan als…',
+    'form.editing': 'Bewerken:',
+    'form.drafts_empty': 'Sla dit formulier op onder een naam om meerdere aanvragen naast elkaar voor te bereiden.',
+    'form.tips': 'Tips & hulp',
+    'form.tip.autosave_title': 'Automatisch opslaan',
+    'form.tip.autosave': 'Je voortgang wordt tijdens het typen op dit apparaat opgeslagen en met je account gesynchroniseerd zodra je online bent.',
+    'form.tip.undo_title': 'Wijzigingen ongedaan maken',
+    'form.tip.undo': 'Maak je wijzigingen ongedaan of voer ze opnieuw uit met de knoppen onder het formulier of met Ctrl+Z en Ctrl+Shift+Z, ook voor velden die zijn leeggemaakt omdat ze niet meer van toepassing zijn.',
+    'form.tip.uploads_title': 'Bestanden uploaden',
+    'form.tip.max_file_size': 'Maximale bestandsgrootte: {size}',
+    'form.tip.allowed_types': 'Toegestane typen: {types}',
+    'form.tip.required_title': 'Verplichte velden',
+    'form.tip.required': 'Velden met {marker} zijn verplicht.',
+    'form.tip.help_title': 'Hulp nodig?',
+    'form.tip.help': 'Neem direct contact op met IT Support.',
+    'form.clear': 'Formulier leegmaken',
+    'form.edit_history': 'Bewerkgeschiedenis',
+    'form.undo_shortcut': 'Ongedaan maken (Ctrl+Z)',
+    'form.redo_shortcut': 'Opnieuw (Ctrl+Shift+Z)',
+    'form.redo': 'Opnieuw',
+    'form.validate': 'Controleren',
+    'form.close': 'Sluiten',
+    'form.cancel': 'Annuleren',
+    'form.confirm.title': 'Aanvraag versturen',
+    'form.confirm.question': 'Weet je zeker dat je deze aanvraag ({type}) wilt versturen?',
+    'form.confirm.next_steps': 'Na het versturen ontvang je een ticketnummer en een bevestiging per e-mail.',
+    'form.save_draft.title': 'Concept opslaan als',
+    'form.save_draft.name': 'Naam van het concept',
+    'form.save_draft.hint': 'Bijvoorbeeld de naam van de nieuwe collega voor wie deze aanvraag is.',
+    'form.save_draft.submit': 'Concept opslaan',
+    'form.conflict.title': 'Twee versies van je concept',
+    'form.conflict.text': 'Dit apparaat heeft wijzigingen van {time} die nooit zijn gesynchroniseerd en die afwijken van het concept op de server.',
+    'form.conflict.choose': 'Het formulier toont nu het concept van de server. Kies met welke versie je verder wilt; de andere wordt vervangen.',
+    'form.conflict.use_server': 'Concept van de server gebruiken',
+    'form.conflict.use_local': 'Concept van dit apparaat gebruiken',
+    'form.switch_confirm': 'Bij het wisselen van soort aanvraag worden de bijgevoegde bestanden verwijderd. Je andere antwoorden blijven bewaard als concept van deze soort aanvraag. Doorgaan?',
+    'form.load_failed': 'Het formulier kon niet worden geladen. Probeer het opnieuw.',
+
+    // Embeddable widget (widget-frame.js)
+    'widget.loading': 'Laden…',
+    'widget.login_needed': 'Log in bij de IT Helpdesk om een aanvraag te versturen.',
+    'widget.login': 'Inloggen',
+    'widget.login_waiting': 'Wachten tot je in het andere venster bent ingelogd…',
+    'widget.popup_blocked': 'Het inlogvenster is geblokkeerd. Sta pop-ups toe voor deze pagina en probeer het opnieuw.',
+    'widget.no_types': 'Hier zijn geen soorten aanvragen beschikbaar.',
+    'widget.retry': 'Opnieuw proberen',
+    'widget.done_title': 'Aanvraag verstuurd',
+    'widget.done_text': 'Je aanvraag is ontvangen als ticket #{id}. Je krijgt een bevestiging per e-mail.',
+    'widget.view_ticket': 'Ticket bekijken',
+    'widget.new_request': 'Nieuwe aanvraag',
+
+    // Pre-filled forms
+    'prefill.locked': 'Ingesteld door IT',
+
+    // Knowledge-base suggestions
+    'kb.title': 'Aanbevolen artikelen',
+    'kb.intro': 'Deze artikelen beantwoorden je vraag misschien meteen.',
+    'kb.solved': 'Dit heeft mijn probleem opgelost',
+    'kb.solved_confirm': 'Fijn dat "{title}" heeft geholpen! Deze aanvraag weggooien? Wat je hebt ingevuld wordt verwijderd.',
+    'kb.solved_done': 'Je aanvraag is weggegooid. Bedankt voor het laten weten!',
+
+    // Duplicate tickets
+    'duplicates.title': 'Misschien heb je dit al gemeld',
+    'duplicates.intro': 'Deze open tickets lijken op deze aanvraag. Voeg je aanvraag aan een ervan toe in plaats van een nieuw ticket aan te maken?',
+    'duplicates.add_reply': 'Als reactie toevoegen',
+
+    // Repeatable groups
+    'group.row': 'Rij {number}',
+    'group.add_row': 'Rij toevoegen',
+    'group.move_up': 'Rij omhoog',
+    'group.move_down': 'Rij omlaag',
+    'group.remove_row': 'Rij verwijderen',
+    'group.row_added': 'Rij {number} toegevoegd',
+    'group.row_removed': 'Rij {number} verwijderd',
+    'group.row_moved': 'Rij verplaatst naar positie {number}',
+        'group.field_label': '{group}, rij {number}: {field}',
+
+    // Autocomplete fields
+    'autocomplete.suggestions': 'Suggesties voor {label}',
+    'autocomplete.searching': 'Zoeken...',
+    'autocomplete.no_results': 'Niemand gevonden. Je kunt de naam ook zelf invullen.',
+    'autocomplete.error': 'Suggesties zijn nu niet beschikbaar.',
+    'autocomplete.results': { one: '1 suggestie, kies met de pijltjestoetsen', other: '{count} suggesties, kies met de pijltjestoetsen' },
+        'autocomplete.selected': '{name} gekozen',
+
+    // Computed fields
+    'computed.locked': 'Berekend uit {fields}',
+    'computed.suggested': 'Voorgesteld op basis van {fields}; je kunt een andere waarde kiezen',
+    'computed.suggestion': 'Voorstel op basis van {fields}: {value}',
+    'computed.use_suggestion': 'Voorstel gebruiken',
+
+    // Submission summary
+    'summary.attachments': 'Bijlagen'
+});
@@ -0,0 +1,172 @@
+// Knowledge-base suggestions for the Support Portal
+'use strict';
+
+// Many requests are answered by the same few how-to articles. While the user
+// describes their problem, the articles of the local index (/api/knowledge-base)
+// are searched in the browser and the best matches are listed in the form
+// sidebar. The search forgives typos and half-typed words: query words match
+// article words exactly, as a prefix or within one or two edits, and weigh more
+// in the title than in the keywords or summary. Articles that solved more
+// problems before rank slightly higher. "This solved my problem" is reported
+// to the server, which counts the deflection and drops the draft.
+const KnowledgeBase = {
+    endpoint: '/api/knowledge-base',
+    container: null,
+    list: null,
+    articles: [],
+    options: {},
+    weights: { title: 3, keywords: 2, summary: 1 },
+    stopWords: new Set([
+        // English
+        'a', 'an', 'and', 'are', 'at', 'be', 'but', 'can', 'cannot', 'do', 'does', 'for', 'from', 'has',
+        'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'please',
+        'the', 'this', 'that', 'to', 'was', 'when', 'with', 'work', 'working', 'works',
+        // Dutch
+        'als', 'bij', 'dat', 'de', 'die', 'een', 'en', 'er', 'geen', 'het', 'hoe', 'ik', 'is', 'kan',
+        'met', 'mijn', 'naar', 'niet', 'of', 'om', 'ook', 'op', 'te', 'van', 'voor', 'wel', 'werkt', 'zijn'
+    ]),
+
+    // Show suggestions in `container`, a card holding a list with data-kb-list.
+    // Options: maxSuggestions, minScore and onSolved(article), which returns a
+    // promise once the request has been discarded.
+    init: function(container, options = {}) {
+        this.container = container;
+        this.list = container.querySelector('[data-kb-list]');
+        this.options = options;
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-kb-solved]');
+            if (!button || !container.contains(button)) return;
+
+            const article = this.articles.find(candidate => candidate.id === button.dataset.kbSolved);
+            if (article && typeof this.options.onSolved === 'function') {
+                button.disabled = true;
+                Promise.resolve(this.options.onSolved(article)).finally(() => {
+                    button.disabled = false;
+                });
+            }
+        });
+    },
+
+    // Fetch the articles for a request type and prepare them for searching
+    load: function(requestType) {
+        const query = requestType ? `?type=${encodeURIComponent(requestType)}` : '';
+        return ApiClient.get(`${this.endpoint}${query}`, { key: 'knowledge-base' }).then(response => {
+            this.articles = ((response && response.data) || []).map(article => ({
+                ...article,
+                tokens: {
+                    title: this.tokenize(article.title),
+                    keywords: this.tokenize((article.keywords || []).join(' ')),
+                    summary: this.tokenize(article.summary)
+                }
+            }));
+            return this.articles;
+        });
+    },
+
+    // Lowercase words without accents and stop words
+    tokenize: function(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 2 && !this.stopWords.has(word));
+    },
+
+    // The best matching articles for a text, best first
+    search: function(text) {
+        const words = Array.from(new Set(this.tokenize(text)));
+        if (words.length === 0) return [];
+
+        const minScore = this.options.minScore !== undefined ? this.options.minScore : 2;
+        const maxSuggestions = this.options.maxSuggestions || 3;
+
+        return this.articles
+            .map(article => ({ article: article, score: this.score(article, words) }))
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxSuggestions)
+            .map(result => result.article);
+    },
+
+    // Each query word counts once, in the field where it matches best
+    score: function(article, words) {
+        let score = 0;
+
+        words.forEach(word => {
+            let best = 0;
+            Object.keys(this.weights).forEach(field => {
+                article.tokens[field].forEach(token => {
+                    best = Math.max(best, this.weights[field] * this.matchWord(word, token));
+                });
+            });
+            score += best;
+        });
+
+        // Proven articles get a small boost, not enough to beat a better match
+        return score * (1 + Math.log10(1 + (article.solved || 0)) / 10);
+    },
+
+    // 1 for the same word, less for a half-typed word, a plural or a typo
+    matchWord: function(word, token) {
+        if (word === token) return 1;
+        if (word.length >= 3 && token.startsWith(word)) return 0.75;
+        if (token.length >= 4 && word.startsWith(token)) return 0.75;
+
+        if (word.length >= 4) {
+            const maxEdits = word.length >= 8 ? 2 : 1;
+            if (Math.abs(word.length - token.length) <= maxEdits && this.distance(word, token) <= maxEdits) {
+                return 0.6;
+            }
+        }
+
+        return 0;
+    },
+
+    // Levenshtein distance between two words
+    distance: function(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    // Show the suggestions for a text; the card is hidden without matches
+    update: function(text) {
+        if (!this.container) return;
+
+        const articles = this.search(text);
+        this.container.classList.toggle('d-none', articles.length === 0);
+        this.render(articles);
+    },
+
+    render: function(articles) {
+        const html = HelpDesk.Utils.html;
+
+        HelpDesk.Utils.setHtml(this.list, articles.map(article => html`
+            <li class="list-group-item">
+                <a href="${article.url}" target="_blank" rel="noopener" class="fw-semibold">
+                    ${article.title}<i class="bi bi-box-arrow-up-right ms-1 small"></i>
+                </a>
+                ${article.summary && html`<p class="small text-muted mb-2">${article.summary}</p>`}
+                <button type="button" class="btn btn-sm btn-outline-success" data-kb-solved="${article.id}">
+                    <i class="bi bi-check2-circle me-1"></i>${I18n.t('kb.solved')}
+                </button>
+            </li>`));
+    }
+};
+
+// Export for global use
+window.KnowledgeBase = KnowledgeBase;
@@ -0,0 +1,372 @@
+// Markdown editor for the Support Portal
+'use strict';
+
+// Adds a formatting toolbar and a live preview to a textarea. The text stays
+// Markdown; the server turns it into HTML for FreeScout (MarkdownService), and
+// render() below produces the same HTML for the preview. Everything is escaped
+// before markup is added, so the preview only contains tags made here and links
+// are limited to http, https and mailto.
+const MarkdownEditor = {
+    // Toolbar buttons; shortcut is the key pressed with Ctrl (Cmd on a Mac)
+    actions: [
+        { name: 'bold', icon: 'bi-type-bold', shortcut: 'b' },
+        { name: 'italic', icon: 'bi-type-italic', shortcut: 'i' },
+        { name: 'code', icon: 'bi-code' },
+        { name: 'code_block', icon: 'bi-code-square' },
+        { name: 'bulleted_list', icon: 'bi-list-ul' },
+        { name: 'numbered_list', icon: 'bi-list-ol' },
+        { name: 'link', icon: 'bi-link-45deg', shortcut: 'k' }
+    ],
+
+    patterns: {
+        fence: /^\s*```\s*([\w+-]*)\s*$/,
+        fenceEnd: /^\s*```\s*$/,
+        heading: /^(#{1,6})\s+(.+?)\s*#*\s*$/,
+        bullet: /^\s*[-*+]\s+(.*)$/,
+        numbered: /^\s*(\d{1,9})[.)]\s+(.*)$/,
+        quote: /^\s*>\s?(.*)$/
+    },
+
+    // Add the toolbar and preview to a textarea (once)
+    attach: function(textarea) {
+        if (textarea.markdownEditor) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'markdown-toolbar btn-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', I18n.t('markdown.toolbar'));
+        toolbar.setAttribute('aria-controls', textarea.id);
+
+        const group = document.createElement('div');
+        group.className = 'btn-group btn-group-sm';
+        this.actions.forEach(action => {
+            const shortcut = action.shortcut ? ` (Ctrl+${action.shortcut.toUpperCase()})` : '';
+            const button = this.createButton(action.icon, I18n.t(`markdown.${action.name}`) + shortcut);
+            button.dataset.markdownAction = action.name;
+            group.appendChild(button);
+        });
+        toolbar.appendChild(group);
+
+        const preview = document.createElement('div');
+        preview.className = 'markdown-preview d-none';
+        preview.id = `${textarea.id}_preview`;
+        preview.setAttribute('aria-label', I18n.t('markdown.preview'));
+
+        const previewToggle = this.createButton('bi-eye', I18n.t('markdown.preview'), true);
+        previewToggle.classList.add('ms-auto');
+        previewToggle.setAttribute('aria-pressed', 'false');
+        previewToggle.setAttribute('aria-controls', preview.id);
+        toolbar.appendChild(previewToggle);
+
+        textarea.classList.add('markdown-input');
+        textarea.before(toolbar);
+        textarea.after(preview);
+        textarea.markdownEditor = { toolbar: toolbar, preview: preview, previewToggle: previewToggle };
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-markdown-action]');
+            if (button) {
+                this.apply(textarea, button.dataset.markdownAction);
+            }
+        });
+
+        previewToggle.addEventListener('click', () => {
+            const show = previewToggle.getAttribute('aria-pressed') !== 'true';
+            previewToggle.setAttribute('aria-pressed', show ? 'true' : 'false');
+            previewToggle.classList.toggle('active', show);
+            preview.classList.toggle('d-none', !show);
+            this.refresh(textarea);
+        });
+
+        textarea.addEventListener('input', HelpDesk.Utils.debounce(() => this.refresh(textarea), 150));
+
+        textarea.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey) {
+                const action = this.actions.find(candidate => candidate.shortcut === e.key.toLowerCase());
+                if (action) {
+                    e.preventDefault();
+                    this.apply(textarea, action.name);
+                }
+            } else if (e.key === 'Enter' && !e.shiftKey && this.continueList(textarea)) {
+                e.preventDefault();
+            }
+        });
+    },
+
+    createButton: function(icon, label, isToggle = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm ${isToggle ? 'btn-outline-secondary' : 'btn-light'}`;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+
+        const iconElement = document.createElement('i');
+        iconElement.className = `bi ${icon}`;
+        iconElement.setAttribute('aria-hidden', 'true');
+        button.appendChild(iconElement);
+
+        return button;
+    },
+
+    // Update the preview after the text was changed from outside (drafts, undo)
+    refresh: function(textarea) {
+        const editor = textarea.markdownEditor;
+        if (!editor || editor.preview.classList.contains('d-none')) return;
+
+        const html = this.render(textarea.value);
+        if (html) {
+            editor.preview.innerHTML = html;
+        } else {
+            editor.preview.innerHTML = '';
+            const empty = document.createElement('p');
+            empty.className = 'text-muted mb-0';
+            empty.textContent = I18n.t('markdown.preview_empty');
+            editor.preview.appendChild(empty);
+        }
+    },
+
+    // Toolbar actions
+
+    apply: function(textarea, action) {
+        switch (action) {
+            case 'bold':
+                this.wrapSelection(textarea, '**', '**');
+                break;
+            case 'italic':
+                this.wrapSelection(textarea, '*', '*');
+                break;
+            case 'code':
+                this.wrapSelection(textarea, '`', '`');
+                break;
+            case 'code_block':
+                this.insertCodeBlock(textarea);
+                break;
+            case 'bulleted_list':
+                this.prefixLines(textarea, () => '- ');
+                break;
+            case 'numbered_list':
+                this.prefixLines(textarea, index => `${index + 1}. `);
+                break;
+            case 'link':
+                this.insertLink(textarea);
+                break;
+        }
+        textarea.focus();
+    },
+
+    // Put markers around the selection, or around the cursor when nothing is selected
+    wrapSelection: function(textarea, before, after) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selected = textarea.value.slice(start, end);
+
+        this.replaceRange(textarea, start, end, before + selected + after,
+            start + before.length, start + before.length + selected.length);
+    },
+
+    insertCodeBlock: function(textarea) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selected = textarea.value.slice(start, end);
+        const lineBreakBefore = start > 0 && textarea.value[start - 1] !== '\n' ? '\n' : '';
+        const opening = `${lineBreakBefore}\`\`\`\n`;
+
+        this.replaceRange(textarea, start, end, `${opening}${selected}\n\`\`\`\n`,
+            start + opening.length, start + opening.length + selected.length);
+    },
+
+    // Turn the selected lines (or the current line) into list items
+    prefixLines: function(textarea, prefix) {
+        const value = textarea.value;
+        const start = this.lineStart(value, textarea.selectionStart);
+        let end = value.indexOf('\n', textarea.selectionEnd);
+        if (end === -1) {
+            end = value.length;
+        }
+
+        const lines = value.slice(start, end).split('\n')
+            .map((line, index) => prefix(index) + line.replace(/^\s*([-*+]|\d{1,9}[.)])\s+/, ''));
+        const text = lines.join('\n');
+
+        this.replaceRange(textarea, start, end, text, start + text.length, start + text.length);
+    },
+
+    // [selection](https://) with the address selected, ready to be typed over
+    insertLink: function(textarea) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const selected = textarea.value.slice(start, end);
+        const url = 'https://';
+
+        if (!selected) {
+            this.replaceRange(textarea, start, end, `[](${url})`, start + 1, start + 1);
+            return;
+        }
+
+        const urlStart = start + selected.length + 3;
+        this.replaceRange(textarea, start, end, `[${selected}](${url})`, urlStart, urlStart + url.length);
+    },
+
+    // Enter on a list item starts the next item; on an empty item it ends the list
+    continueList: function(textarea) {
+        if (textarea.selectionStart !== textarea.selectionEnd) return false;
+
+        const value = textarea.value;
+        const cursor = textarea.selectionStart;
+        const lineStart = this.lineStart(value, cursor);
+        const line = value.slice(lineStart, cursor);
+        const match = line.match(/^(\s*)([-*+]|(\d{1,9})([.)]))\s+(.*)$/);
+        if (!match) return false;
+
+        if (match[5].trim() === '') {
+            this.replaceRange(textarea, lineStart, cursor, '', lineStart, lineStart);
+            return true;
+        }
+
+        const marker = match[3] ? `${parseInt(match[3], 10) + 1}${match[4]}` : match[2];
+        const text = `\n${match[1]}${marker} `;
+        this.replaceRange(textarea, cursor, cursor, text, cursor + text.length, cursor + text.length);
+        return true;
+    },
+
+    // Index where the line containing position starts
+    lineStart: function(value, position) {
+        return position > 0 ? value.lastIndexOf('\n', position - 1) + 1 : 0;
+    },
+
+    // Replace text and select a range; the input event lets autosave, undo and
+    // the preview see the change
+    replaceRange: function(textarea, start, end, text, selectionStart, selectionEnd) {
+        textarea.setRangeText(text, start, end);
+        textarea.setSelectionRange(selectionStart, selectionEnd);
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    },
+
+    // Markdown to HTML; the same subset and output as MarkdownService::toHtml()
+    render: function(markdown) {
+        const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').replace(/\0/g, '').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            // Fenced code block, closed by the next fence or the end of the text
+            if ((match = line.match(this.patterns.fence))) {
+                const code = [];
+                for (i++; i < lines.length && !this.patterns.fenceEnd.test(lines[i]); i++) {
+                    code.push(lines[i]);
+                }
+                i++;
+
+                const className = match[1] ? ` class="language-${this.escape(match[1])}"` : '';
+                blocks.push(`<pre><code${className}>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if ((match = line.match(this.patterns.heading))) {
+                const level = match[1].length;
+                blocks.push(`<h${level}>${this.inline(match[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.patterns.bullet.test(line) || this.patterns.numbered.test(line)) {
+                const list = this.renderList(lines, i);
+                blocks.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            if (this.patterns.quote.test(line)) {
+                const quoted = [];
+                while (i < lines.length && (match = lines[i].match(this.patterns.quote))) {
+                    quoted.push(match[1]);
+                    i++;
+                }
+                blocks.push(`<blockquote>\n${this.render(quoted.join('\n'))}\n</blockquote>`);
+                continue;
+            }
+
+            // Paragraph: lines up to a blank line or the start of another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !this.startsBlock(lines[i]))) {
+                paragraph.push(this.inline(lines[i].trim()));
+                i++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>\n')}</p>`);
+        }
+
+        return blocks.join('\n');
+    },
+
+    // A list of one kind starting at line i; returns its HTML and the next line
+    renderList: function(lines, i) {
+        const first = lines[i].match(this.patterns.numbered);
+        const pattern = first ? this.patterns.numbered : this.patterns.bullet;
+        const items = [];
+
+        while (i < lines.length) {
+            const match = lines[i].match(pattern);
+            if (match) {
+                items.push([this.inline(match[match.length - 1].trim())]);
+            } else if (items.length > 0 && /^\s{2,}\S/.test(lines[i]) && !this.startsBlock(lines[i])) {
+                items[items.length - 1].push(this.inline(lines[i].trim()));
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const tag = first ? 'ol' : 'ul';
+        const start = first && parseInt(first[1], 10) !== 1 ? ` start="${parseInt(first[1], 10)}"` : '';
+        const html = items.map(item => `<li>${item.join('<br>\n')}</li>`);
+
+        return { html: `<${tag}${start}>\n${html.join('\n')}\n</${tag}>`, next: i };
+    },
+
+    startsBlock: function(line) {
+        return ['fence', 'heading', 'bullet', 'numbered', 'quote'].some(name => this.patterns[name].test(line));
+    },
+
+    // Inline markup; code spans are kept as they are and link targets are left
+    // out of the emphasis rules
+    inline: function(text) {
+        return text.split(/(`[^`]+`)/).map((part, index) => {
+            if (index % 2 === 1) {
+                return `<code>${this.escape(part.slice(1, -1))}</code>`;
+            }
+
+            const links = [];
+            part = part.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (whole, label, url) => {
+                if (!/^(https?:\/\/|mailto:)/i.test(url)) {
+                    return whole;
+                }
+                links.push(`<a href="${this.escape(url)}">${this.emphasis(this.escape(label))}</a>`);
+                return `\0${links.length - 1}\0`;
+            });
+
+            return this.emphasis(this.escape(part)).replace(/\0(\d+)\0/g, (whole, index) => links[index]);
+        }).join('');
+    },
+
+    emphasis: function(html) {
+        return html
+            .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(?<![*\w])\*(?=\S)(.+?)(?<=\S)\*(?![*\w])/g, '<em>$1</em>')
+            .replace(/(?<![_\w])_(?=\S)(.+?)(?<=\S)_(?![_\w])/g, '<em>$1</em>');
+    },
+
+    escape: function(text) {
+        return HelpDesk.Utils.escapeHtml(text);
+    }
+};
+
+// Export for global use
+window.MarkdownEditor = MarkdownEditor;
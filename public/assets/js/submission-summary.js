@@ -0,0 +1,128 @@
+// Submission summary for the Support Portal
+'use strict';
+
+// The answers of a request grouped by section: one per wizard step, or one for
+// a form without steps, and the attachments last. FormHandler shows it in the
+// confirmation dialog; the server builds the same summary for the success
+// page, the print view and the downloads (SubmissionSummaryService), so keep
+// the two in step. Items are { name, label, type, value } with option labels
+// instead of option values:
+//   text, textarea  a string
+//   list            a list of strings (checkbox groups, attachments)
+//   table           { columns, rows } (repeatable groups)
+// Empty fields are left out, and so are sections without items.
+const SubmissionSummary = {
+    // `resolve` maps a field name to its current value; `files` are the
+    // attached files ({ name, size })
+    build: function(fields, steps, resolve, files = [], title = '') {
+        const fieldsByName = {};
+        (fields || []).forEach(field => {
+            if (field.name && field.type !== 'file') {
+                fieldsByName[field.name] = field;
+            }
+        });
+
+        const sections = (steps && steps.length > 0 ? steps : [{ title: title, fields: Object.keys(fieldsByName) }])
+            .map(step => ({
+                title: String(step.title || ''),
+                items: (step.fields || [])
+                    .filter(name => fieldsByName[name])
+                    .map(name => this.buildItem(fieldsByName[name], resolve(name)))
+                    .filter(item => item !== null)
+            }))
+            .filter(section => section.items.length > 0);
+
+        if (files.length > 0) {
+            const label = I18n.t('summary.attachments');
+            sections.push({
+                title: label,
+                items: [{
+                    name: 'attachments',
+                    label: label,
+                    type: 'list',
+                    value: files.map(file => `${file.name} (${HelpDesk.Utils.formatFileSize(file.size)})`)
+                }]
+            });
+        }
+
+        return sections;
+    },
+
+    // A summary item for one field, or null when it was left empty
+    buildItem: function(field, value) {
+        const item = { name: field.name, label: field.label || field.name };
+
+        if (field.type === 'group') {
+            const columns = field.fields || [];
+            const rows = (Array.isArray(value) ? value : [])
+                .filter(row => row && typeof row === 'object')
+                .map(row => columns.map(column => this.toText(column, row[column.name])))
+                .filter(cells => cells.join('') !== '');
+
+            return rows.length === 0 ? null : Object.assign(item, {
+                type: 'table',
+                value: {
+                    columns: columns.map(column => column.label || column.name),
+                    rows: rows
+                }
+            });
+        }
+
+        if (Array.isArray(value)) {
+            const values = value.map(option => this.toText(field, option)).filter(Boolean);
+            return values.length === 0 ? null : Object.assign(item, { type: 'list', value: values });
+        }
+
+        const text = this.toText(field, value);
+        if (text === '') return null;
+
+        return Object.assign(item, { type: field.type === 'textarea' ? 'textarea' : 'text', value: text });
+    },
+
+    // A single value as text, with the label of the option it stands for
+    toText: function(field, value) {
+        if (value === null || value === undefined || typeof value === 'object') return '';
+
+        const text = String(value).trim();
+        const option = (field.options || []).find(item => item && typeof item === 'object' && String(item.value ?? '') === text);
+        return option ? String(option.label ?? text) : text;
+    },
+
+    // The same markup as templates/form/summary.html
+    render: function(sections) {
+        const html = HelpDesk.Utils.html;
+
+        const renderValue = item => {
+            switch (item.type) {
+                case 'table':
+                    return html`
+                        <table class="table table-sm table-bordered mb-0">
+                            <thead><tr>${item.value.columns.map(column => html`<th scope="col">${column}</th>`)}</tr></thead>
+                            <tbody>${item.value.rows.map(row => html`<tr>${row.map(cell => html`<td>${cell}</td>`)}</tr>`)}</tbody>
+                        </table>`;
+                case 'list':
+                    return html`<ul class="list-unstyled mb-0">${item.value.map(value => html`<li>${value}</li>`)}</ul>`;
+                case 'textarea':
+                    return html`<div class="submission-summary-text">${item.value}</div>`;
+                default:
+                    return item.value;
+            }
+        };
+
+        return html`
+            <div class="submission-summary">
+                ${sections.map(section => html`
+                    <section class="submission-summary-section">
+                        ${section.title && html`<h6 class="submission-summary-title">${section.title}</h6>`}
+                        <dl class="row mb-0">
+                            ${section.items.map(item => html`
+                                <dt class="col-sm-4">${item.label}</dt>
+                                <dd class="col-sm-8">${renderValue(item)}</dd>`)}
+                        </dl>
+                    </section>`)}
+            </div>`;
+    }
+};
+
+// Export for global use
+window.SubmissionSummary = SubmissionSummary;
@@ -0,0 +1,288 @@
+// Live ticket view for the Support Portal
+'use strict';
+
+// Keeps the conversation on /ticket/{id} up to date and sends replies without
+// leaving the page. New threads are fetched from /api/tickets/{id}/threads every
+// few seconds while the page is visible. A reply shows up in the conversation as
+// soon as it is sent and is replaced by the real thread once FreeScout has it;
+// when sending fails it is taken out again and the message goes back into the
+// reply box. Attachments use the drop zone and uploads of the request form.
+const TicketView = {
+    config: null,
+    threadList: null,
+    form: null,
+    pollTimer: null,
+    status: null,
+    isSending: false,
+
+    // Config: ticketId, status, author (name shown on sent replies),
+    // pollInterval (ms) and settings (max_file_size)
+    init: function(config) {
+        this.config = config;
+        this.status = config.status;
+        this.threadList = document.getElementById('threadList');
+        this.form = document.getElementById('replyForm');
+
+        if (this.form) {
+            this.setupReplyForm();
+        }
+
+        if (this.threadList) {
+            this.schedulePoll();
+
+            // Catch up right away when coming back to the tab
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) {
+                    this.refresh();
+                }
+            });
+        }
+    },
+
+    setupReplyForm: function() {
+        const fileInput = document.getElementById('attachments');
+        if (fileInput) {
+            FileField.setup(fileInput, {
+                maxSize: FileField.parseSize((this.config.settings && this.config.settings.max_file_size) || '10MB')
+            });
+        }
+
+        const messageField = document.getElementById('reply_message');
+        MarkdownEditor.attach(messageField);
+        messageField.addEventListener('input', () => messageField.classList.remove('is-invalid'));
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReply();
+        });
+    },
+
+    // Poll for new threads; the timer only runs while the page is visible
+    schedulePoll: function() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => {
+            const poll = document.hidden ? Promise.resolve() : this.refresh();
+            poll.finally(() => this.schedulePoll());
+        }, this.config.pollInterval || 20000);
+    },
+
+    // Fetch the ticket's threads and add the ones not shown yet
+    refresh: function() {
+        return ApiClient.get(`/api/tickets/${encodeURIComponent(this.config.ticketId)}/threads`, {
+            key: 'ticket-threads',
+            handleAuth: false // An expired session is handled by SessionWatchdog
+        })
+            .then(data => {
+                this.applyThreads(data.threads || []);
+                this.updateStatus(data.status, data.updated_at);
+            })
+            .catch(error => {
+                if (error.type !== 'cancelled' && error.type !== 'auth') {
+                    console.error('Failed to check for new replies:', error);
+                }
+            });
+    },
+
+    // Insert unknown threads in the order of the server's list (newest first)
+    applyThreads: function(threads) {
+        let previous = null;
+        const added = [];
+
+        threads.forEach(thread => {
+            let element = this.threadList.querySelector(`[data-thread-id="${CSS.escape(String(thread.id))}"]`);
+            if (!element) {
+                element = this.createThreadElement(thread);
+                element.classList.add('thread-new');
+                if (previous) {
+                    previous.after(element);
+                } else {
+                    // Replies still being sent stay on top
+                    this.threadList.insertBefore(element, this.threadList.querySelector('.thread-item:not(.thread-pending)'));
+                }
+                added.push(thread);
+            }
+            previous = element;
+        });
+
+        // The replies sent from this page have arrived
+        if (added.some(thread => thread.type === 'customer')) {
+            this.threadList.querySelectorAll('.thread-sent').forEach(element => element.remove());
+        }
+
+        added.filter(thread => thread.type !== 'customer').forEach(thread => {
+            HelpDesk.Utils.showToast(I18n.t('ticket.new_reply', { name: thread.author }), 'info');
+        });
+
+        this.toggleEmpty();
+    },
+
+    // Show or hide the reply form when staff close or reopen the ticket
+    updateStatus: function(status, updatedAt) {
+        const updated = document.getElementById('ticketUpdatedAt');
+        if (updated && updatedAt) {
+            updated.textContent = HelpDesk.Utils.formatDate(updatedAt);
+        }
+
+        if (!status || status === this.status) return;
+        this.status = status;
+
+        const replyCard = document.getElementById('replyCard');
+        if (replyCard) {
+            replyCard.classList.toggle('d-none', status !== 'active');
+        }
+        if (status !== 'active') {
+            HelpDesk.Utils.showToast(I18n.t('ticket.closed'), 'info');
+        }
+    },
+
+    // Send the reply; it is shown right away and taken back out if sending fails
+    submitReply: function() {
+        if (this.isSending) return;
+
+        const messageField = document.getElementById('reply_message');
+        const message = messageField.value.trim();
+        if (!message) {
+            messageField.classList.add('is-invalid');
+            messageField.focus();
+            return;
+        }
+
+        // Attachments are uploaded ahead of the reply
+        const pendingUploads = FileField.getPendingUploads(this.form);
+        if (pendingUploads.uploading > 0) {
+            HelpDesk.Utils.showToast(I18n.t('upload.pending'), 'warning');
+            return;
+        }
+        if (pendingUploads.failed > 0) {
+            HelpDesk.Utils.showToast(I18n.t('upload.has_failed'), 'error');
+            return;
+        }
+
+        const formData = new FormData(this.form);
+        formData.delete('attachments[]');
+        FileField.getUploadedIds('attachments').forEach(fileId => formData.append('uploaded_files[]', fileId));
+
+        const element = this.createThreadElement({
+            type: 'customer',
+            author: this.config.author,
+            body: MarkdownEditor.render(message),
+            created_at: new Date().toISOString(),
+            attachments: FileField.getSelectedFiles('attachments').map(file => file.name)
+        }, true);
+        this.threadList.prepend(element);
+        this.toggleEmpty();
+
+        messageField.value = '';
+        MarkdownEditor.refresh(messageField);
+        this.setSending(true);
+
+        // Never retried, so a slow answer cannot post the reply twice
+        ApiClient.post(this.form.action, formData, { timeout: 60000 })
+            .then(() => {
+                element.classList.replace('thread-pending', 'thread-sent');
+                element.querySelector('.thread-status').textContent = I18n.t('ticket.sent');
+                FileField.clear('attachments');
+                HelpDesk.Utils.announce(I18n.t('ticket.reply_sent'));
+                return this.refresh();
+            })
+            .catch(error => {
+                element.remove();
+                this.toggleEmpty();
+
+                // Keep anything typed in the meantime below the message
+                messageField.value = messageField.value.trim() ? `${message}\n\n${messageField.value}` : message;
+                MarkdownEditor.refresh(messageField);
+                messageField.focus();
+
+                HelpDesk.Utils.showToast(error.message || I18n.t('ticket.reply_failed'), 'error');
+            })
+            .finally(() => this.setSending(false));
+    },
+
+    setSending: function(isSending) {
+        this.isSending = isSending;
+
+        const button = document.getElementById('submitReply');
+        if (!button) return;
+
+        button.disabled = isSending;
+        if (isSending) {
+            button.dataset.label = button.innerHTML;
+            HelpDesk.Utils.setHtml(button, HelpDesk.Utils.html`<span class="spinner-border spinner-border-sm me-2" aria-hidden="true"></span>${I18n.t('ticket.sending')}`);
+        } else if (button.dataset.label) {
+            button.innerHTML = button.dataset.label;
+        }
+    },
+
+    // A thread as rendered by form/ticket.html. The body is HTML from FreeScout
+    // (or the rendered Markdown of a reply being sent); everything else is text.
+    createThreadElement: function(thread, isPending = false) {
+        const isCustomer = thread.type === 'customer';
+        const element = document.createElement('div');
+        element.className = `thread-item ${isCustomer ? 'thread-customer' : 'thread-staff'} mb-3`;
+        if (isPending) {
+            element.classList.add('thread-pending');
+        } else {
+            element.dataset.threadId = thread.id;
+        }
+
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between align-items-start mb-2';
+
+        const author = document.createElement('strong');
+        const icon = document.createElement('i');
+        icon.className = isCustomer ? 'bi bi-person-circle text-primary me-1' : 'bi bi-headset text-success me-1';
+        author.appendChild(icon);
+        author.appendChild(document.createTextNode(thread.author || ''));
+        if (!isCustomer) {
+            const badge = document.createElement('span');
+            badge.className = 'badge bg-success ms-1';
+            badge.textContent = I18n.t('ticket.staff');
+            author.appendChild(badge);
+        }
+
+        const meta = document.createElement('small');
+        meta.className = 'text-muted';
+        meta.textContent = thread.created_at ? HelpDesk.Utils.formatDate(thread.created_at) : '';
+        if (isPending) {
+            const status = document.createElement('span');
+            status.className = 'thread-status ms-2';
+            status.textContent = I18n.t('ticket.sending');
+            meta.appendChild(status);
+        }
+
+        const authorWrapper = document.createElement('div');
+        authorWrapper.appendChild(author);
+        header.appendChild(authorWrapper);
+        header.appendChild(meta);
+        element.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'thread-body';
+        body.innerHTML = thread.body || '';
+        element.appendChild(body);
+
+        if (thread.attachments && thread.attachments.length > 0) {
+            const attachments = document.createElement('div');
+            attachments.className = 'mt-2';
+            const text = document.createElement('small');
+            text.className = 'text-muted';
+            text.innerHTML = '<i class="bi bi-paperclip me-1"></i>';
+            text.appendChild(document.createTextNode(I18n.t('ticket.attachments', { names: thread.attachments.join(', ') })));
+            attachments.appendChild(text);
+            element.appendChild(attachments);
+        }
+
+        return element;
+    },
+
+    toggleEmpty: function() {
+        const empty = document.getElementById('threadListEmpty');
+        if (empty) {
+            empty.classList.toggle('d-none', this.threadList.querySelector('.thread-item') !== null);
+        }
+    }
+};
+
+// Export for global use
+window.TicketView = TicketView;
@@ -0,0 +1,315 @@
+// Client-side validation rules for the Support Portal
+'use strict';
+
+// Evaluates the `validation` rule strings from form_fields.yaml (e.g.
+// "string|max:255", "date|after:today") the same way ValidationService does on
+// the server, with the message templates from settings.validation_rules in the
+// user's language.
+// Rules that cannot be evaluated in the browser (unknown rules, PCRE-only
+// regexes, date expressions only strtotime() understands) are checked with a
+// round trip to /api/validate instead.
+// The inputs of repeatable groups are validated by their full name,
+// group[index][field], against the group's field definitions.
+const ValidationEngine = {
+    fields: {},
+    messages: {},
+    requestType: '',
+    resolve: null, // name => current value of a field
+    collect: null, // () => form data sent for remote validation
+    row: null, // { prefix, fields } of the group row being validated
+    remoteEndpoint: '/api/validate',
+
+    // Rules evaluated locally; anything else is left to the server
+    localRules: ['string', 'email', 'date', 'numeric', 'integer', 'min', 'max', 'after', 'before', 'regex', 'in'],
+
+    // Set the field definitions and how to read values
+    configure: function(options) {
+        this.fields = {};
+        (options.fields || []).forEach(field => {
+            this.fields[field.name] = field;
+        });
+        this.messages = options.messages || {};
+        this.requestType = options.requestType || '';
+        this.resolve = options.resolve || null;
+        this.collect = options.collect || null;
+    },
+
+    hasField: function(name) {
+        return this.findField(name) !== null;
+    },
+
+    // The definition of a field, or of a field in a group row named
+    // group[index][field]: { field, row }, or null when there is none
+    findField: function(name) {
+        if (Object.prototype.hasOwnProperty.call(this.fields, name)) {
+            return { field: this.fields[name], row: null };
+        }
+
+        const match = /^(.+)\[(\d+)\]\[([^\][]+)\]$/.exec(name);
+        const group = match && this.fields[match[1]];
+        const field = group && (group.fields || []).find(rowField => rowField.name === match[3]);
+
+        return field ? { field: field, row: { prefix: `${match[1]}[${match[2]}]`, fields: group.fields } } : null;
+    },
+
+    // Validate a field by name: { isValid, message, needsRemote }
+    validate: function(name) {
+        const target = this.findField(name);
+        if (!target) {
+            return { isValid: true, message: null, needsRemote: false };
+        }
+
+        // Fields of the same row can be referred to in after/before
+        this.row = target.row;
+        try {
+            return this.validateValue(target.field, this.resolve ? this.resolve(name) : null);
+        } finally {
+            this.row = null;
+        }
+    },
+
+    // Validate a value against a field definition
+    validateValue: function(field, value) {
+        const result = { isValid: true, message: null, needsRemote: false };
+        const fail = (key, params) => ({ isValid: false, message: this.message(key, field, params), needsRemote: false });
+
+        if (this.isEmpty(value)) {
+            return field.required ? fail('required') : result;
+        }
+
+        const type = field.type || 'text';
+        if (type === 'file') {
+            return result;
+        }
+
+        // Groups check the number of filled-in rows; their inputs are validated one by one
+        if (type === 'group') {
+            const count = value.filter(row => !this.isEmpty(row)).length;
+            const minRows = field.repeatable ? Number(field.min_rows || 0) : 0;
+            const maxRows = field.repeatable ? (field.max_rows ? Number(field.max_rows) : null) : 1;
+
+            if (count < minRows) return fail('min_rows', { min: minRows });
+            if (maxRows !== null && count > maxRows) return fail('max_rows', { max: maxRows });
+            return result;
+        }
+
+        const rules = this.parseRules(field.validation);
+        const ruleNames = rules.map(rule => rule.name);
+
+        // Type checks
+        if ((type === 'email' || ruleNames.includes('email')) && !this.isEmail(value)) {
+            return fail('email');
+        }
+
+        if ((type === 'date' || ruleNames.includes('date')) && this.toDate(value) === null) {
+            return fail('date');
+        }
+
+        // Option membership for fields with a fixed list of choices
+        if (field.options && ['select', 'checkbox_group', 'radio'].includes(type)) {
+            const validOptions = field.options.map(option => String(typeof option === 'object' ? option.value : option));
+            const values = Array.isArray(value) ? value : [value];
+            if (values.some(item => !validOptions.includes(String(item)))) {
+                return fail('option');
+            }
+        }
+
+        const isNumeric = ruleNames.includes('numeric') || ruleNames.includes('integer');
+
+        for (const rule of rules) {
+            if (!this.localRules.includes(rule.name)) {
+                result.needsRemote = true;
+                continue;
+            }
+
+            const outcome = this.applyRule(rule, field, value, isNumeric);
+            if (outcome === 'remote') {
+                result.needsRemote = true;
+            } else if (outcome) {
+                return fail(outcome.key, outcome.params);
+            }
+        }
+
+        return result;
+    },
+
+    // Split "string|max:255" (or a YAML list of rules) into { name, param } pairs
+    parseRules: function(validation) {
+        if (!validation) return [];
+
+        const parts = Array.isArray(validation) ? validation : String(validation).split('|');
+        return parts
+            .map(part => String(part).trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const separator = part.indexOf(':');
+                return separator === -1 ?
+                    { name: part, param: null } :
+                    { name: part.slice(0, separator), param: part.slice(separator + 1) };
+            });
+    },
+
+    // Apply one rule. Returns null when it passes, { key, params } when it
+    // fails, or 'remote' when it cannot be decided in the browser.
+    applyRule: function(rule, field, value, isNumeric) {
+        switch (rule.name) {
+            case 'numeric':
+                return this.isNumber(value) ? null : { key: 'numeric' };
+
+            case 'integer':
+                return /^\s*[+-]?(0|[1-9]\d*)\s*$/.test(String(value)) ? null : { key: 'integer' };
+
+            case 'min':
+            case 'max': {
+                const limit = parseFloat(rule.param);
+                let size;
+                let key;
+
+                if (Array.isArray(value)) {
+                    size = value.length;
+                    key = `${rule.name}_items`;
+                } else if (isNumeric) {
+                    if (!this.isNumber(value)) return null;
+                    size = parseFloat(value);
+                    key = `${rule.name}_value`;
+                } else {
+                    size = Array.from(String(value)).length;
+                    key = `${rule.name}_length`;
+                }
+
+                const failed = rule.name === 'min' ? size < limit : size > limit;
+                return failed ? { key: key, params: { [rule.name]: rule.param } } : null;
+            }
+
+            case 'after':
+            case 'before': {
+                const date = this.toDate(value);
+                const limit = this.resolveDateParam(rule.param || '');
+                if (limit === 'remote') return 'remote';
+                if (date === null || limit.date === null) return null;
+
+                const failed = rule.name === 'after' ? date <= limit.date : date >= limit.date;
+                return failed ? { key: rule.name, params: { date: limit.display } } : null;
+            }
+
+            case 'regex': {
+                const regex = this.compileRegex(rule.param || '');
+                if (!regex) return 'remote';
+                return regex.test(String(value)) ? null : { key: 'regex' };
+            }
+
+            case 'in': {
+                const allowed = String(rule.param || '').split(',').map(item => item.trim());
+                const values = Array.isArray(value) ? value : [value];
+                return values.every(item => allowed.includes(String(item))) ?
+                    null :
+                    { key: 'in', params: { values: allowed.join(', ') } };
+            }
+        }
+
+        return null;
+    },
+
+    // Resolve the parameter of after/before to { date, display }: today,
+    // tomorrow, yesterday, a YYYY-MM-DD date or another field's name.
+    // Other expressions are left to the server.
+    resolveDateParam: function(param) {
+        const rowField = this.row && this.row.fields.find(other => other.name === param);
+        const field = rowField || this.fields[param];
+        if (field) {
+            const name = rowField ? `${this.row.prefix}[${param}]` : param;
+            const otherValue = this.resolve ? this.resolve(name) : null;
+            return { date: typeof otherValue === 'string' ? this.toDate(otherValue) : null, display: field.label || param };
+        }
+
+        const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+        if (Object.prototype.hasOwnProperty.call(offsets, param)) {
+            const date = new Date();
+            date.setDate(date.getDate() + offsets[param]);
+            return { date: this.formatDate(date), display: param };
+        }
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(param)) {
+            return { date: this.toDate(param), display: param };
+        }
+
+        return 'remote';
+    },
+
+    // Normalize a date value to YYYY-MM-DD, or null when it is not a date
+    toDate: function(value) {
+        const text = String(value).trim();
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+
+        if (iso) {
+            const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+            return date.getMonth() === Number(iso[2]) - 1 ? text : null;
+        }
+
+        const date = new Date(text);
+        return isNaN(date) ? null : this.formatDate(date);
+    },
+
+    formatDate: function(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    // Turn a PHP-style delimited regex (/^[A-Z]+$/i) into a RegExp; null when
+    // it uses syntax or flags JavaScript does not support
+    compileRegex: function(source) {
+        const match = /^([^a-zA-Z0-9\\\s])([\s\S]*)\1([a-zA-Z]*)$/.exec(source);
+        if (!match || /[^imsu]/.test(match[3])) {
+            return null;
+        }
+
+        try {
+            return new RegExp(match[2], match[3]);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Ask the server to validate a field; resolves to its error message or null.
+    // A newer request for the same field cancels the previous one.
+    validateRemote: function(name) {
+        return HelpDesk.Utils.apiRequest(this.remoteEndpoint, {
+            method: 'POST',
+            key: `validate:${name}`,
+            body: {
+                request_type: this.requestType,
+                form_data: this.collect ? this.collect() : {}
+            }
+        }).then(data => (data && data.errors && data.errors[name]) || null);
+    },
+
+    isEmpty: function(value) {
+        if (Array.isArray(value)) {
+            return value.every(item => this.isEmpty(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.values(value).every(item => this.isEmpty(item));
+        }
+        return value === null || value === undefined || String(value).trim() === '';
+    },
+
+    isEmail: function(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value));
+    },
+
+    isNumber: function(value) {
+        return /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(String(value));
+    },
+
+    // Fill a message template from settings.validation_rules (a text or a map
+    // of locales), falling back to the translation bundle
+    message: function(key, field, params = {}) {
+        const values = { ...params, label: field.label || field.name };
+        const configured = I18n.localized(this.messages[key]);
+
+        return configured ? I18n.interpolate(configured, values) : I18n.t(`validation.${key}`, values);
+    }
+};
+
+// Export for global use
+window.ValidationEngine = ValidationEngine;
@@ -0,0 +1,331 @@
+// Request form of the embeddable widget for the Support Portal
+'use strict';
+
+// The page widget.js shows in a frame on other intranet pages (/widget). It
+// renders the form of /api/fields/{type} with FormRenderer and sends it to
+// /form/{type} along with the page URL and application name, which are added
+// to the ticket. widget.js passes its options in the query string:
+// - types: the request types to offer, comma-separated (default: all)
+// - type: the request type to start with
+// - page_url, app_name: the page the widget is on
+// - prefill: JSON object of field values, e.g. {"affected_system": "Timesheets"}
+// - lang: the language of that page, used when the portal has it
+//
+// The page is shown without a session; users who are not logged in to the
+// portal log in in a popup window. Once the frame is open, widget.js switches
+// request types with a { helpdeskWidget: 'open', requestType } message.
+const WidgetFrame = {
+    options: null,
+    element: null,
+    select: null,
+    formContainer: null,
+    requestTypes: {}, // type => label, of the offered types
+    typesLoaded: false,
+    currentType: null, // Type of the form in the frame
+    pending: null, // Running open()
+    login: null, // { promise, resolve, popup, timer } while waiting for the login
+    viewBeforeLogin: null,
+    loginPollInterval: 2000,
+
+    init: function(element) {
+        if (!element) return;
+
+        const params = new URLSearchParams(window.location.search);
+        this.element = element;
+        this.options = {
+            types: (params.get('types') || '').split(',').map(type => type.trim()).filter(Boolean),
+            pageUrl: params.get('page_url') || '',
+            appName: params.get('app_name') || '',
+            prefill: this.parsePrefill(params.get('prefill'))
+        };
+
+        // In the language of the page the widget is on, when the portal has it
+        const pageLocale = I18n.normalize(params.get('lang'));
+        I18n.setLocale(I18n.bundles[pageLocale] ? pageLocale : I18n.detectLocale());
+
+        // The page has no CSRF token of its own; it comes with /api/session
+        ApiClient.csrfToken = '';
+        ApiClient.setReauthenticator(() => this.requestLogin());
+
+        this.render();
+
+        window.addEventListener('message', (e) => {
+            if (e.source === window.parent && e.data && e.data.helpdeskWidget === 'open') {
+                this.open(e.data.requestType);
+            }
+        });
+
+        this.open(params.get('type'));
+    },
+
+    parsePrefill: function(json) {
+        if (!json) return {};
+
+        try {
+            const values = JSON.parse(json);
+            return values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+        } catch (e) {
+            console.error('Helpdesk widget: data-prefill is not valid JSON');
+            return {};
+        }
+    },
+
+    render: function() {
+        const html = HelpDesk.Utils.html;
+
+        HelpDesk.Utils.setHtml(this.element, html`
+            <div data-widget-view="loading" class="text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">${I18n.t('widget.loading')}</span>
+                </div>
+            </div>
+            <div data-widget-view="login" class="text-center py-4 d-none">
+                <i class="bi bi-person-lock display-6 text-muted"></i>
+                <p class="mt-3">${I18n.t('widget.login_needed')}</p>
+                <button type="button" class="btn btn-primary" data-widget-action="login">
+                    <i class="bi bi-box-arrow-in-right me-2"></i>${I18n.t('widget.login')}
+                </button>
+                <p class="small text-muted mt-3 mb-0 d-none" data-widget-login-waiting>${I18n.t('widget.login_waiting')}</p>
+            </div>
+            <div data-widget-view="form" class="d-none">
+                <div class="mb-3 d-none" data-widget-type-switch>
+                    <label for="helpdeskWidgetType" class="form-label">${I18n.t('form.request_type')}</label>
+                    <select class="form-select" id="helpdeskWidgetType"></select>
+                </div>
+                <div data-widget-form></div>
+            </div>
+            <div data-widget-view="done" class="text-center py-4 d-none">
+                <i class="bi bi-check-circle display-6 text-success"></i>
+                <h5 class="mt-3">${I18n.t('widget.done_title')}</h5>
+                <p data-widget-done-text></p>
+                <a class="btn btn-outline-primary me-2" data-widget-ticket-link target="_blank" rel="noopener">
+                    <i class="bi bi-box-arrow-up-right me-2"></i>${I18n.t('widget.view_ticket')}
+                </a>
+                <button type="button" class="btn btn-primary" data-widget-action="open">
+                    <i class="bi bi-plus-circle me-2"></i>${I18n.t('widget.new_request')}
+                </button>
+            </div>
+            <div data-widget-view="error" class="text-center py-4 d-none">
+                <i class="bi bi-exclamation-triangle display-6 text-danger"></i>
+                <p class="mt-3" data-widget-error-text></p>
+                <button type="button" class="btn btn-primary" data-widget-action="open">
+                    <i class="bi bi-arrow-clockwise me-2"></i>${I18n.t('widget.retry')}
+                </button>
+            </div>`);
+
+        this.select = document.getElementById('helpdeskWidgetType');
+        this.formContainer = this.element.querySelector('[data-widget-form]');
+
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-widget-action]');
+            if (!action) return;
+
+            if (action.dataset.widgetAction === 'login') {
+                this.openLoginWindow();
+            } else {
+                this.open();
+            }
+        });
+
+        this.select.addEventListener('change', () => this.switchType(this.select.value));
+    },
+
+    // Show the form of `requestType`, or else the one last used
+    open: function(requestType) {
+        // Still loading, or waiting for the user to log in
+        if (this.pending) return;
+
+        this.pending = this.loadTypes()
+            .then(() => {
+                const types = Object.keys(this.requestTypes);
+                const type = types.includes(requestType) ? requestType :
+                    (this.currentType || (types.includes(this.select.value) ? this.select.value : types[0]));
+
+                if (type !== this.currentType) {
+                    return this.mountType(type);
+                }
+            })
+            .catch(error => {
+                console.error('Helpdesk widget failed to load the form:', error);
+                this.element.querySelector('[data-widget-error-text]').textContent = error.message || I18n.t('form.load_failed');
+                this.showView('error');
+            })
+            .finally(() => {
+                this.pending = null;
+            });
+    },
+
+    // Check the session (logging in when needed) and fetch the offered types
+    loadTypes: function() {
+        if (this.typesLoaded) {
+            return Promise.resolve();
+        }
+
+        this.showView('loading');
+
+        return ApiClient.get('/api/session')
+            .then(session => {
+                ApiClient.setCsrfToken(session.csrf_token);
+                return ApiClient.get('/api/types');
+            })
+            .then(response => {
+                const available = (response && response.data) || {};
+                const types = this.options.types.length > 0 ?
+                    this.options.types.filter(type => available[type]) :
+                    Object.keys(available);
+
+                if (types.length === 0) {
+                    throw new Error(I18n.t('widget.no_types'));
+                }
+
+                const html = HelpDesk.Utils.html;
+                this.requestTypes = {};
+                types.forEach(type => {
+                    this.requestTypes[type] = available[type].label;
+                });
+                HelpDesk.Utils.setHtml(this.select, types.map(type => html`<option value="${type}">${available[type].label}</option>`));
+                this.element.querySelector('[data-widget-type-switch]').classList.toggle('d-none', types.length < 2);
+                this.typesLoaded = true;
+            });
+    },
+
+    // Render the form of a request type in the frame
+    mountType: function(requestType) {
+        const isSwitch = this.currentType !== null;
+        if (isSwitch) {
+            HelpDesk.Utils.showLoading();
+        } else {
+            this.showView('loading');
+        }
+
+        return FormRenderer.mount(this.formContainer, requestType, {
+            embedded: true,
+            submitFields: {
+                'context[page_url]': this.options.pageUrl,
+                'context[app_name]': this.options.appName
+            },
+            onSubmitted: data => this.showDone(data)
+        })
+            .then(() => {
+                this.currentType = requestType;
+                this.select.value = requestType;
+                FormHandler.applyPrefill(this.options.prefill);
+                this.showView('form');
+            })
+            .finally(() => {
+                if (isSwitch) {
+                    HelpDesk.Utils.hideLoading();
+                }
+            });
+    },
+
+    // The type select; the answers stay in the autosave of the current type,
+    // attached files are dropped
+    switchType: function(requestType) {
+        if (requestType === this.currentType || this.pending) return;
+
+        if (FormRenderer.hasAttachments() && !confirm(I18n.t('form.switch_confirm'))) {
+            this.select.value = this.currentType;
+            return;
+        }
+
+        this.pending = this.mountType(requestType)
+            .catch(error => {
+                console.error('Helpdesk widget failed to switch request type:', error);
+                this.select.value = this.currentType;
+                HelpDesk.Utils.showToast(error.message || I18n.t('form.load_failed'), 'error');
+            })
+            .finally(() => {
+                this.pending = null;
+            });
+    },
+
+    // The ticket was created: let go of the form and link to the ticket
+    showDone: function(data) {
+        // The uploads are part of the ticket now; keep them on the server
+        Object.keys(FileField.fields).forEach(fieldName => FileField.clear(fieldName));
+        FormHandler.destroy();
+        this.formContainer.innerHTML = '';
+        this.currentType = null;
+
+        this.element.querySelector('[data-widget-done-text]').textContent = I18n.t('widget.done_text', { id: data.ticket_id });
+        this.element.querySelector('[data-widget-ticket-link]').href = `/ticket/${encodeURIComponent(data.ticket_id)}`;
+        this.showView('done');
+        HelpDesk.Utils.announce(I18n.t('widget.done_title'));
+    },
+
+    showView: function(name) {
+        this.element.querySelectorAll('[data-widget-view]').forEach(view => {
+            view.classList.toggle('d-none', view.dataset.widgetView !== name);
+        });
+    },
+
+    currentView: function() {
+        const view = this.element.querySelector('[data-widget-view]:not(.d-none)');
+        return view ? view.dataset.widgetView : 'loading';
+    },
+
+    // Reauthenticator of ApiClient: ask the user to log in and resolve once the
+    // session is there. It never rejects, so the frame is never left.
+    requestLogin: function() {
+        if (!this.login) {
+            this.login = {};
+            this.login.promise = new Promise(resolve => {
+                this.login.resolve = resolve;
+            });
+            this.viewBeforeLogin = this.currentView();
+        }
+
+        this.element.querySelector('[data-widget-login-waiting]').classList.add('d-none');
+        this.showView('login');
+
+        return this.login.promise;
+    },
+
+    // The portal's login page in a popup; the session is checked until it works
+    openLoginWindow: function() {
+        if (!this.login) return;
+
+        const popup = window.open('/auth/login', 'helpdeskLogin', 'width=520,height=680');
+        if (!popup) {
+            HelpDesk.Utils.showToast(I18n.t('widget.popup_blocked'), 'warning');
+            return;
+        }
+
+        this.login.popup = popup;
+        this.element.querySelector('[data-widget-login-waiting]').classList.remove('d-none');
+
+        clearInterval(this.login.timer);
+        this.login.timer = setInterval(() => this.checkLogin(), this.loginPollInterval);
+    },
+
+    checkLogin: function() {
+        ApiClient.get('/api/session', { key: 'widget-login', handleAuth: false })
+            .then(session => {
+                const login = this.login;
+                if (!login) return;
+
+                this.login = null;
+                clearInterval(login.timer);
+                if (login.popup && !login.popup.closed) {
+                    login.popup.close();
+                }
+
+                ApiClient.setCsrfToken(session.csrf_token);
+                this.showView(this.viewBeforeLogin);
+                login.resolve();
+            })
+            .catch(error => {
+                if (error.type !== 'auth' && error.type !== 'cancelled') {
+                    console.error('Helpdesk widget failed to check the session:', error);
+                }
+            });
+    }
+};
+
+// Export for global use
+window.WidgetFrame = WidgetFrame;
+
+document.addEventListener('DOMContentLoaded', function() {
+    WidgetFrame.init(document.getElementById('helpdeskWidget'));
+});
@@ -0,0 +1,235 @@
+// Embeddable request widget for the Support Portal
+'use strict';
+
+// Lets other intranet pages offer the request form with a single script tag:
+//
+//   <script src="https://helpdesk.example.com/assets/js/widget.js"
+//           data-types="software,hardware" data-app-name="Timesheets" defer></script>
+//
+// The script adds a Help button that opens a dialog with the portal's /widget
+// page (widget-frame.js) in a frame. The button and dialog live in a shadow
+// root with styles of their own, so the page and the portal keep their styles
+// and scripts apart: nothing but HelpdeskWidget is added to the page.
+// Attributes:
+// - data-types: the request types to offer, comma-separated (default: all)
+// - data-app-name: name of the application, shown in the ticket
+// - data-prefill: JSON object of field values, e.g. {"affected_system": "Timesheets"}
+// - data-label: text of the button (default: "Help" in the page's language)
+//
+// Elements with a data-helpdesk-widget attribute open the dialog as well, with
+// the request type given as its value, and so does HelpdeskWidget.open(type).
+//
+// The page's origin must be listed in WIDGET_ALLOWED_ORIGINS, the sites that
+// may show /widget in a frame, and be on the same site as the portal, as the
+// session cookie is SameSite=Strict.
+const HelpdeskWidget = {
+    origin: '',
+    options: null,
+    dialog: null,
+    frame: null,
+    frameLoaded: false,
+    // The portal's translations are not loaded here
+    labels: {
+        en: { button: 'Help', title: 'Report an Issue', close: 'Close' },
+        nl: { button: 'Hulp', title: 'Probleem melden', close: 'Sluiten' }
+    },
+    styles: `
+        :host {
+            all: initial;
+        }
+
+        .button {
+            position: fixed;
+            right: 1.5rem;
+            bottom: 1.5rem;
+            z-index: 2147483000;
+            border: 0;
+            border-radius: 2rem;
+            padding: 0.6rem 1.25rem;
+            background: #0d6efd;
+            color: #fff;
+            font: 500 1rem/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+            box-shadow: 0 0.5rem 1rem rgba(0, 0, 0, 0.2);
+            cursor: pointer;
+        }
+
+        .button:hover {
+            background: #0b5ed7;
+        }
+
+        .button:focus-visible,
+        .close:focus-visible {
+            outline: 3px solid rgba(13, 110, 253, 0.5);
+            outline-offset: 2px;
+        }
+
+        dialog {
+            width: min(800px, calc(100vw - 2rem));
+            height: min(900px, calc(100vh - 2rem));
+            padding: 0;
+            border: 0;
+            border-radius: 0.5rem;
+            box-shadow: 0 0.5rem 2rem rgba(0, 0, 0, 0.3);
+            font: 1rem/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+            color: #212529;
+        }
+
+        dialog[open] {
+            display: flex;
+            flex-direction: column;
+        }
+
+        dialog::backdrop {
+            background: rgba(0, 0, 0, 0.5);
+        }
+
+        .header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 0.75rem 1rem;
+            border-bottom: 1px solid #dee2e6;
+        }
+
+        .title {
+            margin: 0;
+            font-size: 1.25rem;
+            font-weight: 500;
+        }
+
+        .close {
+            border: 0;
+            background: none;
+            font-size: 1.5rem;
+            line-height: 1;
+            color: #6c757d;
+            cursor: pointer;
+        }
+
+        iframe {
+            flex: 1;
+            width: 100%;
+            border: 0;
+        }
+    `,
+
+    // Read the options from the script tag and set up once the page has loaded
+    init: function(script) {
+        if (!script || !script.src) return;
+
+        this.origin = new URL(script.src).origin;
+        this.options = {
+            types: (script.dataset.types || '').split(',').map(type => type.trim()).filter(Boolean),
+            appName: script.dataset.appName || '',
+            label: script.dataset.label || '',
+            prefill: script.dataset.prefill || ''
+        };
+
+        this.whenReady().then(() => this.setup());
+    },
+
+    whenReady: function() {
+        if (document.readyState !== 'loading') {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    },
+
+    setup: function() {
+        this.render();
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-helpdesk-widget]');
+            if (trigger) {
+                e.preventDefault();
+                this.open(trigger.dataset.helpdeskWidget);
+            }
+        });
+    },
+
+    // The button and the dialog, in a shadow root. The portal's HTML helpers are
+    // not loaded on the page, so the elements are built one by one.
+    render: function() {
+        const host = document.createElement('div');
+        const root = host.attachShadow({ mode: 'open' });
+        const labels = this.labels[(document.documentElement.lang || '').toLowerCase().split(/[-_]/)[0]] || this.labels.en;
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text) node.textContent = text;
+            return node;
+        };
+
+        const style = element('style', '', this.styles);
+
+        const button = element('button', 'button', this.options.label || labels.button);
+        button.type = 'button';
+        button.addEventListener('click', () => this.open());
+
+        const title = element('h2', 'title', labels.title);
+        title.id = 'title';
+
+        const close = element('button', 'close', '\u00d7');
+        close.type = 'button';
+        close.setAttribute('aria-label', labels.close);
+        close.addEventListener('click', () => this.dialog.close());
+
+        const header = element('div', 'header');
+        header.append(title, close);
+
+        this.frame = element('iframe');
+        this.frame.title = labels.title;
+        this.frame.addEventListener('load', () => {
+            this.frameLoaded = true;
+        });
+
+        this.dialog = element('dialog');
+        this.dialog.setAttribute('aria-labelledby', 'title');
+        this.dialog.append(header, this.frame);
+
+        root.append(style, button, this.dialog);
+        document.body.appendChild(host);
+    },
+
+    // Open the dialog, with the form of `requestType` or else the one last used
+    open: function(requestType) {
+        if (!this.dialog) return;
+
+        if (this.frameLoaded) {
+            this.frame.contentWindow.postMessage({ helpdeskWidget: 'open', requestType: requestType || null }, this.origin);
+        } else if (!this.frame.src || requestType) {
+            // Nothing was entered yet, so the frame can start over
+            this.frame.src = this.frameUrl(requestType);
+        }
+
+        if (!this.dialog.open) {
+            this.dialog.showModal();
+        }
+    },
+
+    // The /widget page with the options of the script tag
+    frameUrl: function(requestType) {
+        const params = new URLSearchParams({
+            page_url: window.location.href,
+            app_name: this.options.appName,
+            lang: document.documentElement.lang || ''
+        });
+
+        if (this.options.types.length > 0) {
+            params.set('types', this.options.types.join(','));
+        }
+        if (requestType) {
+            params.set('type', requestType);
+        }
+        if (this.options.prefill) {
+            params.set('prefill', this.options.prefill);
+        }
+
+        return `${this.origin}/widget?${params}`;
+    }
+};
+
+// Export for global use
+window.HelpdeskWidget = HelpdeskWidget;
+
+HelpdeskWidget.init(document.currentScript);
@@ -38,7 +38,7 @@ $app->setBasePath('');
 $errorMiddleware = $app->addErrorMiddleware($_ENV['APP_DEBUG'] === 'true', true, true);
 
 // Add CORS Middleware
-$app->add(new CorsMiddleware());
+$app->add(new CorsMiddleware(array_filter(array_map('trim', explode(',', $_ENV['CORS_ALLOWED_ORIGINS'] ?? '')))));
 
 // Add Body Parsing Middleware
 $app->addBodyParsingMiddleware();
@@ -6,29 +6,64 @@ namespace HelpdeskForm\Controllers;
 use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
 use Psr\Log\LoggerInterface;
+use HelpdeskForm\Middleware\ValidationMiddleware;
 use HelpdeskForm\Services\ConfigService;
 use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\DirectoryService;
 use HelpdeskForm\Services\FreeScoutService;
+use HelpdeskForm\Services\KnowledgeBaseService;
+use HelpdeskForm\Services\ValidationService;
 
 class ApiController
 {
     private ConfigService $configService;
     private DatabaseService $databaseService;
     private FreeScoutService $freeScoutService;
+    private ValidationService $validationService;
+    private KnowledgeBaseService $knowledgeBaseService;
+    private DirectoryService $directoryService;
     private LoggerInterface $logger;
     
     public function __construct(
         ConfigService $configService,
         DatabaseService $databaseService,
         FreeScoutService $freeScoutService,
+        ValidationService $validationService,
+        KnowledgeBaseService $knowledgeBaseService,
+        DirectoryService $directoryService,
         LoggerInterface $logger
     ) {
         $this->configService = $configService;
         $this->databaseService = $databaseService;
         $this->freeScoutService = $freeScoutService;
+        $this->validationService = $validationService;
+        $this->knowledgeBaseService = $knowledgeBaseService;
+        $this->directoryService = $directoryService;
         $this->logger = $logger;
     }
     
+    /**
+     * The request types with their label, description and icon, for the
+     * type select of the embeddable widget
+     */
+    public function getRequestTypes(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $types = [];
+        foreach ($this->configService->getRequestTypes() as $type) {
+            $info = $this->configService->getRequestTypeInfo($type);
+            $types[$type] = [
+                'label' => $info['label'] ?? $type,
+                'description' => $info['description'] ?? '',
+                'icon' => $info['icon'] ?? ''
+            ];
+        }
+        
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'data' => $types
+        ]);
+    }
+    
     public function getFormFields(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
         $type = $args['type'];
@@ -43,15 +78,23 @@ class ApiController
             }
             
             $formFields = $this->configService->getFormFields($type);
+            $formSteps = $this->configService->getFormSteps($type);
             $typeInfo = $this->configService->getRequestTypeInfo($type);
             $settings = $this->configService->getSettings();
+            $user = $request->getAttribute('user');
             
             return $this->jsonResponse($response, [
                 'success' => true,
                 'data' => [
                     'fields' => $formFields,
+                    'steps' => $formSteps,
                     'type_info' => $typeInfo,
-                    'settings' => $settings
+                    'settings' => $settings,
+                    // Fills in the requester fields, as on the server-rendered form
+                    'user' => [
+                        'name' => $user['name'] ?? '',
+                        'email' => $user['email'] ?? ''
+                    ]
                 ]
             ]);
             
@@ -72,7 +115,7 @@ class ApiController
     {
         $data = $request->getParsedBody();
         $type = $data['request_type'] ?? '';
-        $formData = $data['form_data'] ?? [];
+        $formData = ValidationMiddleware::decodeFormData($data['form_data'] ?? []);
         
         try {
             if (!in_array($type, $this->configService->getRequestTypes())) {
@@ -82,7 +125,11 @@ class ApiController
                 ], 400);
             }
             
-            $errors = $this->validateFormData($type, $formData);
+            $user = $request->getAttribute('user');
+            $errors = $this->validationService->withLocale($user['locale'] ?? 'en')->validateFormData(
+                $this->configService->getFormFields($type),
+                $formData
+            );
             
             return $this->jsonResponse($response, [
                 'success' => empty($errors),
@@ -102,99 +149,112 @@ class ApiController
         }
     }
     
-    private function validateFormData(string $type, array $formData): array
+    /**
+     * The knowledge-base articles for a request type (?type=...), with how often
+     * each one solved a problem; the form searches them while the user types
+     */
+    public function getKnowledgeBase(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
     {
-        $errors = [];
-        $formFields = $this->configService->getFormFields($type);
+        $type = $request->getQueryParams()['type'] ?? null;
         
-        foreach ($formFields as $field) {
-            $fieldName = $field['name'];
-            $isRequired = $field['required'] ?? false;
-            $value = $formData[$fieldName] ?? null;
-            
-            // Check required fields
-            if ($isRequired && (empty($value) && $value !== '0')) {
-                $errors[$fieldName] = "'{$field['label']}' is required";
-                continue;
+        try {
+            if ($type !== null && !in_array($type, $this->configService->getRequestTypes())) {
+                return $this->jsonResponse($response, [
+                    'success' => false,
+                    'error' => 'Invalid request type'
+                ], 400);
             }
             
-            // Validate field value if not empty
-            if (!empty($value)) {
-                $fieldError = $this->validateFieldValue($field, $value);
-                if ($fieldError) {
-                    $errors[$fieldName] = $fieldError;
-                }
-            }
+            $counts = $this->databaseService->getDeflectionCounts();
+            $articles = array_map(function (array $article) use ($counts) {
+                unset($article['request_types']);
+                $article['solved'] = $counts[$article['id']] ?? 0;
+                return $article;
+            }, $this->knowledgeBaseService->getArticles($type));
+            
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'data' => $articles
+            ]);
+            
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to load knowledge base', [
+                'error' => $e->getMessage()
+            ]);
+            
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'error' => 'Failed to load knowledge base'
+            ], 500);
         }
-        
-        return $errors;
     }
     
-    private function validateFieldValue(array $field, $value): ?string
+    /**
+     * "This solved my problem": count the deflection and drop the request the
+     * user was writing, its named draft or autosave
+     */
+    public function markArticleSolved(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
-        $type = $field['type'];
-        $label = $field['label'];
+        $data = $request->getParsedBody() ?? [];
+        $type = (string) ($data['request_type'] ?? '');
+        $draftId = (string) ($data['draft_id'] ?? '');
+        $user = $request->getAttribute('user');
+        
+        if (!in_array($type, $this->configService->getRequestTypes())) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'error' => 'Invalid request type'
+            ], 400);
+        }
         
-        switch ($type) {
-            case 'email':
-                if (!filter_var($value, FILTER_VALIDATE_EMAIL)) {
-                    return "Invalid email format for '{$label}'";
-                }
-                break;
-                
-            case 'date':
-                if (!strtotime($value)) {
-                    return "Invalid date format for '{$label}'";
-                }
-                break;
-                
-            case 'text':
-            case 'textarea':
-                if (isset($field['validation'])) {
-                    $rules = explode('|', $field['validation']);
-                    foreach ($rules as $rule) {
-                        if (strpos($rule, 'max:') === 0) {
-                            $max = (int)substr($rule, 4);
-                            if (strlen($value) > $max) {
-                                return "'{$label}' exceeds maximum length of {$max} characters";
-                            }
-                        }
-                        
-                        if (strpos($rule, 'min:') === 0) {
-                            $min = (int)substr($rule, 4);
-                            if (strlen($value) < $min) {
-                                return "'{$label}' must be at least {$min} characters";
-                            }
-                        }
-                    }
-                }
-                break;
-                
-            case 'select':
-                if (isset($field['options'])) {
-                    $validOptions = array_map(function($option) {
-                        return is_array($option) ? $option['value'] : $option;
-                    }, $field['options']);
-                    
-                    if (!in_array($value, $validOptions)) {
-                        return "Invalid option selected for '{$label}'";
-                    }
-                }
-                break;
-                
-            case 'checkbox_group':
-                if (is_array($value) && isset($field['options'])) {
-                    $validOptions = $field['options'];
-                    foreach ($value as $selectedValue) {
-                        if (!in_array($selectedValue, $validOptions)) {
-                            return "Invalid option selected for '{$label}'";
-                        }
-                    }
-                }
-                break;
+        if ($this->knowledgeBaseService->getArticle($args['id']) === null) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'error' => 'Article not found'
+            ], 404);
         }
         
-        return null;
+        $this->databaseService->logDeflection($args['id'], $type, $user['email']);
+        
+        if ($draftId !== '') {
+            $this->databaseService->deleteDraft($draftId, $user['email']);
+        } else {
+            $this->databaseService->saveAutosaveData($request->getAttribute('session_id'), $type, [], 0);
+        }
+        
+        $this->logger->info('Request solved by knowledge-base article', [
+            'article_id' => $args['id'],
+            'request_type' => $type,
+            'user_email' => $user['email']
+        ]);
+        
+        return $this->jsonResponse($response, ['success' => true]);
+    }
+    
+    /**
+     * Colleagues whose name or email address contains ?q=..., for the
+     * suggestions of autocomplete fields
+     */
+    public function searchDirectory(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $query = (string) ($request->getQueryParams()['q'] ?? '');
+        
+        try {
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'data' => $this->directoryService->search($query)
+            ]);
+            
+        } catch (\Exception $e) {
+            $this->logger->error('Directory search failed', [
+                'error' => $e->getMessage()
+            ]);
+            
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'error' => 'Directory search failed'
+            ], 500);
+        }
     }
     
     private function jsonResponse(ResponseInterface $response, array $data, int $status = 200): ResponseInterface
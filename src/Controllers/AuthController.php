@@ -20,6 +20,7 @@ class AuthController
     private LoggerInterface $logger;
     private bool $enableLdap;
     private bool $enableLocalAuth;
+    private int $sessionLifetime;
     
     public function __construct(
         Twig $twig,
@@ -37,6 +38,7 @@ class AuthController
         // Check which authentication methods are enabled
         $this->enableLdap = ($_ENV['ENABLE_LDAP_AUTH'] ?? 'true') === 'true';
         $this->enableLocalAuth = ($_ENV['ENABLE_LOCAL_AUTH'] ?? 'false') === 'true';
+        $this->sessionLifetime = (int) ($_ENV['SESSION_LIFETIME'] ?? 28800); // 8 hours
     }
     
     public function showLogin(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
@@ -48,18 +50,21 @@ class AuthController
                 ->withHeader('Location', '/');
         }
         
+        $redirect = $this->getSafeRedirect($request->getQueryParams()['redirect'] ?? null);
+        
         // Check if already logged in
         $sessionId = $this->getSessionId($request);
         if ($sessionId && $this->databaseService->getSession($sessionId)) {
             return $response
                 ->withStatus(302)
-                ->withHeader('Location', '/');
+                ->withHeader('Location', $redirect);
         }
         
         $error = $request->getQueryParams()['error'] ?? null;
         
         return $this->twig->render($response, 'auth/login.html', [
             'error' => $error,
+            'redirect' => $redirect,
             'csrf_token' => $this->generateCsrfToken($request),
             'enable_ldap' => $this->enableLdap,
             'enable_local_auth' => $this->enableLocalAuth,
@@ -73,24 +78,19 @@ class AuthController
         $username = $data['username'] ?? '';
         $password = $data['password'] ?? '';
         $authMethod = $data['auth_method'] ?? 'ldap'; // Default to LDAP for backward compatibility
+        $redirect = $this->getSafeRedirect($data['redirect'] ?? null);
         
         if (empty($username) || empty($password)) {
-            return $response
-                ->withStatus(302)
-                ->withHeader('Location', '/auth/login?error=missing_credentials');
+            return $this->loginFailed($request, $response, 'missing_credentials', $redirect);
         }
         
         // Validate auth method is enabled
         if ($authMethod === 'ldap' && !$this->enableLdap) {
-            return $response
-                ->withStatus(302)
-                ->withHeader('Location', '/auth/login?error=ldap_disabled');
+            return $this->loginFailed($request, $response, 'ldap_disabled', $redirect);
         }
         
         if ($authMethod === 'local' && !$this->enableLocalAuth) {
-            return $response
-                ->withStatus(302)
-                ->withHeader('Location', '/auth/login?error=local_auth_disabled');
+            return $this->loginFailed($request, $response, 'local_auth_disabled', $redirect);
         }
         
         try {
@@ -108,14 +108,13 @@ class AuthController
             
             if (!$userData) {
                 $this->logger->warning('Failed login attempt', ['username' => $username, 'method' => $authMethod]);
-                return $response
-                    ->withStatus(302)
-                    ->withHeader('Location', '/auth/login?error=invalid_credentials');
+                return $this->loginFailed($request, $response, 'invalid_credentials', $redirect);
             }
             
-            // Create session
+            // Create session; the method is remembered for logging in again from a page
+            $userData['auth_method'] = $authMethod;
             $sessionId = $this->generateSessionId();
-            $this->databaseService->createSession($sessionId, $userData, 3600 * 8); // 8 hours
+            $this->databaseService->createSession($sessionId, $userData, $this->sessionLifetime);
             
             $this->logger->info('User logged in', [
                 'username' => $username,
@@ -123,11 +122,21 @@ class AuthController
                 'method' => $authMethod
             ]);
             
-            // Set cookie and redirect
+            // Logging in again from the session-expiry dialog keeps the user on their page
+            if ($this->isXhr($request)) {
+                return $this->jsonResponse($response, [
+                    'success' => true,
+                    'expires_in' => $this->sessionLifetime,
+                    'csrf_token' => $this->csrfTokenFor($sessionId),
+                    'email' => $userData['email']
+                ])->withHeader('Set-Cookie', $this->sessionCookie($sessionId));
+            }
+            
+            // Set cookie and redirect to the page that asked for the login
             $response = $response
                 ->withStatus(302)
-                ->withHeader('Location', '/')
-                ->withHeader('Set-Cookie', "helpdesk_session={$sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=28800");
+                ->withHeader('Location', $redirect)
+                ->withHeader('Set-Cookie', $this->sessionCookie($sessionId));
             
             return $response;
             
@@ -138,10 +147,41 @@ class AuthController
                 'error' => $e->getMessage()
             ]);
             
-            return $response
-                ->withStatus(302)
-                ->withHeader('Location', '/auth/login?error=system_error');
+            return $this->loginFailed($request, $response, 'system_error', $redirect);
+        }
+    }
+    
+    /**
+     * Seconds left in the current session, without extending it, and its CSRF token
+     */
+    public function sessionStatus(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $sessionId = $request->getAttribute('session_id');
+        
+        // The CSRF token lets pages without one of their own post to the portal (the widget's frame)
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'expires_in' => $this->getSecondsLeft($sessionId),
+            'csrf_token' => $this->csrfTokenFor($sessionId)
+        ]);
+    }
+    
+    /**
+     * Extend the current session by the full lifetime ("stay signed in")
+     */
+    public function keepAlive(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $sessionId = $request->getAttribute('session_id');
+        
+        if (!$this->databaseService->extendSession($sessionId, $this->sessionLifetime)) {
+            // No stored session, e.g. with authentication disabled
+            return $this->jsonResponse($response, ['success' => true, 'expires_in' => null]);
         }
+        
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'expires_in' => $this->sessionLifetime
+        ])->withHeader('Set-Cookie', $this->sessionCookie($sessionId));
     }
     
     public function logout(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
@@ -299,6 +339,48 @@ class AuthController
         ]);
     }
     
+    /**
+     * Only allow returning to a path on this site; anything else goes to the home page
+     */
+    private function getSafeRedirect(?string $redirect): string
+    {
+        // POST bodies arrive HTML-escaped from ValidationMiddleware
+        $redirect = htmlspecialchars_decode(trim((string) $redirect), ENT_QUOTES);
+        
+        // Reject other hosts (//host, /\host), control characters and the login pages themselves
+        if (!preg_match('#^/(?!/)#', $redirect)
+            || preg_match('/[\\\\\x00-\x1F]/', $redirect)
+            || strpos($redirect, '/auth/') === 0) {
+            return '/';
+        }
+        
+        return $redirect;
+    }
+    
+    /**
+     * Failed login: back to the login page, or a JSON error for the session-expiry dialog
+     */
+    private function loginFailed(ServerRequestInterface $request, ResponseInterface $response, string $error, string $redirect): ResponseInterface
+    {
+        if ($this->isXhr($request)) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => $error], 401);
+        }
+        
+        return $response
+            ->withStatus(302)
+            ->withHeader('Location', $this->loginErrorUrl($error, $redirect));
+    }
+    
+    private function loginErrorUrl(string $error, string $redirect): string
+    {
+        $query = ['error' => $error];
+        if ($redirect !== '/') {
+            $query['redirect'] = $redirect;
+        }
+        
+        return '/auth/login?' . http_build_query($query);
+    }
+    
     private function getSessionId(ServerRequestInterface $request): ?string
     {
         $cookies = $request->getCookieParams();
@@ -316,6 +398,39 @@ class AuthController
         $cookies = $request->getCookieParams();
         $tempId = $cookies['helpdesk_session'] ?? 'login-' . ($_SERVER['REMOTE_ADDR'] ?? 'unknown');
         
-        return hash_hmac('sha256', $tempId, $_ENV['CSRF_SECRET'] ?? 'default_secret');
+        return $this->csrfTokenFor($tempId);
+    }
+    
+    private function csrfTokenFor(string $sessionId): string
+    {
+        return hash_hmac('sha256', $sessionId, $_ENV['CSRF_SECRET'] ?? 'default_secret');
+    }
+    
+    private function sessionCookie(string $sessionId): string
+    {
+        return "helpdesk_session={$sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age={$this->sessionLifetime}";
+    }
+    
+    private function getSecondsLeft(?string $sessionId): ?int
+    {
+        $session = $sessionId ? $this->databaseService->getSession($sessionId) : null;
+        if (!$session) {
+            return null;
+        }
+        
+        return max(0, strtotime($session['expires_at']) - time());
+    }
+    
+    private function isXhr(ServerRequestInterface $request): bool
+    {
+        return $request->getHeaderLine('X-Requested-With') === 'XMLHttpRequest';
+    }
+    
+    private function jsonResponse(ResponseInterface $response, array $data, int $status = 200): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data));
+        return $response
+            ->withStatus($status)
+            ->withHeader('Content-Type', 'application/json');
     }
 }
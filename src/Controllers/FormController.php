@@ -7,18 +7,34 @@ use Psr\Http\Message\ResponseInterface;
 use Psr\Http\Message\ServerRequestInterface;
 use Slim\Views\Twig;
 use Psr\Log\LoggerInterface;
+use HelpdeskForm\Middleware\ValidationMiddleware;
 use HelpdeskForm\Services\ConfigService;
 use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\DuplicateTicketService;
+use HelpdeskForm\Services\ComputedFieldService;
 use HelpdeskForm\Services\FreeScoutService;
 use HelpdeskForm\Services\FileUploadService;
+use HelpdeskForm\Services\MarkdownService;
+use HelpdeskForm\Services\PrefillService;
+use HelpdeskForm\Services\SubmissionSummaryService;
+use HelpdeskForm\Services\ValidationService;
 
 class FormController
 {
+    private const DRAFT_NAME_MAX_LENGTH = 100;
+    private const TICKET_POLL_INTERVAL = 20; // seconds between checks for new replies on the ticket page
+    
     private Twig $twig;
     private ConfigService $configService;
     private DatabaseService $databaseService;
     private FreeScoutService $freeScoutService;
     private FileUploadService $fileUploadService;
+    private ValidationService $validationService;
+    private MarkdownService $markdownService;
+    private PrefillService $prefillService;
+    private DuplicateTicketService $duplicateTicketService;
+    private ComputedFieldService $computedFieldService;
+    private SubmissionSummaryService $submissionSummaryService;
     private LoggerInterface $logger;
     
     public function __construct(
@@ -27,6 +43,12 @@ class FormController
         DatabaseService $databaseService,
         FreeScoutService $freeScoutService,
         FileUploadService $fileUploadService,
+        ValidationService $validationService,
+        MarkdownService $markdownService,
+        PrefillService $prefillService,
+        DuplicateTicketService $duplicateTicketService,
+        ComputedFieldService $computedFieldService,
+        SubmissionSummaryService $submissionSummaryService,
         LoggerInterface $logger
     ) {
         $this->twig = $twig;
@@ -34,6 +56,12 @@ class FormController
         $this->databaseService = $databaseService;
         $this->freeScoutService = $freeScoutService;
         $this->fileUploadService = $fileUploadService;
+        $this->validationService = $validationService;
+        $this->markdownService = $markdownService;
+        $this->prefillService = $prefillService;
+        $this->duplicateTicketService = $duplicateTicketService;
+        $this->computedFieldService = $computedFieldService;
+        $this->submissionSummaryService = $submissionSummaryService;
         $this->logger = $logger;
     }
     
@@ -50,10 +78,17 @@ class FormController
         // Get user's recent tickets
         $userTickets = $this->freeScoutService->getCustomerConversations($user['email']);
         
+        // Named drafts of request types that still exist
+        $drafts = array_values(array_filter(
+            array_map([$this, 'draftSummary'], $this->databaseService->getDrafts($user['email'])),
+            fn(array $draft) => isset($typesInfo[$draft['request_type']])
+        ));
+        
         return $this->twig->render($response, 'form/index.html', [
             'user' => $user,
             'request_types' => $typesInfo,
-            'user_tickets' => $userTickets
+            'user_tickets' => $userTickets,
+            'drafts' => $drafts
         ]);
     }
     
@@ -73,30 +108,79 @@ class FormController
         
         // Get form configuration
         $formFields = $this->configService->getFormFields($type);
+        $formSteps = $this->configService->getFormSteps($type);
         $typeInfo = $this->configService->getRequestTypeInfo($type);
         $settings = $this->configService->getSettings();
         
-        // Load autosaved data if available
-        $autosavedData = $this->databaseService->getAutosaveData($sessionId, $type);
+        // Load the named draft from ?draft=<id>, otherwise the autosaved data if available
+        $draftId = (string) ($request->getQueryParams()['draft'] ?? '');
+        $draft = $draftId !== '' ? $this->databaseService->getDraft($draftId, $user['email']) : null;
+        if ($draft && $draft['request_type'] !== $type) {
+            $draft = null;
+        }
+        $autosavedData = $draft ? $draft['form_data'] : $this->databaseService->getAutosaveData($sessionId, $type);
+        
+        // Labels of all request types, for switching types in place
+        $requestTypes = [];
+        foreach ($this->configService->getRequestTypes() as $requestType) {
+            $requestTypes[$requestType] = $this->configService->getRequestTypeInfo($requestType)['label'] ?? $requestType;
+        }
         
         return $this->twig->render($response, 'form/form.html', [
             'user' => $user,
             'request_type' => $type,
+            'request_types' => $requestTypes,
             'type_info' => $typeInfo,
             'form_fields' => $formFields,
+            'form_steps' => $formSteps,
             'settings' => $settings,
             'autosaved_data' => $autosavedData,
+            'draft' => $draft ? $this->draftSummary($draft) : null,
+            'drafts' => array_map([$this, 'draftSummary'], $this->databaseService->getDrafts($user['email'], $type)),
+            'prefill' => $this->buildPrefill($request, $type, $formFields, $user),
             'csrf_token' => $this->generateCsrfToken($request),
             'auth_disabled' => $_ENV['DISABLE_AUTH'] === 'true'
         ]);
     }
     
+    /**
+     * The request form of the embeddable widget, shown in a frame by widget.js.
+     * Only the sites in WIDGET_ALLOWED_ORIGINS may frame it; the page works
+     * without a session and lets the user log in (widget-frame.js).
+     */
+    public function showWidget(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $origins = array_filter(array_map(
+            fn($origin) => rtrim(trim($origin), '/'),
+            explode(',', $_ENV['WIDGET_ALLOWED_ORIGINS'] ?? '')
+        ));
+        
+        return $this->twig->render($response, 'form/widget.html')
+            ->withHeader('Content-Security-Policy', trim("frame-ancestors 'self' " . implode(' ', $origins)));
+    }
+    
     public function submitForm(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
         $type = $args['type'];
         $user = $request->getAttribute('user');
         $sessionId = $request->getAttribute('session_id');
-        $formData = $request->getParsedBody();
+        $formData = ValidationMiddleware::decodeFormData($request->getParsedBody());
+        
+        // IDs of attachments that were uploaded in chunks before submitting
+        $pendingUploads = $formData['uploaded_files'] ?? [];
+        unset($formData['uploaded_files']);
+        
+        // The named draft this request was prepared in, if any
+        $draftId = (string) ($formData['draft_id'] ?? '');
+        unset($formData['draft_id']);
+        
+        // The page the request was sent from, when it came from the widget
+        $context = $this->embedContext($formData['context'] ?? null);
+        unset($formData['context']);
+        
+        // The token of the signed link the form was opened with, if any
+        $prefillToken = (string) ($formData['prefill_token'] ?? '');
+        unset($formData['prefill_token']);
         
         try {
             // Check for duplicate submission (rate limiting)
@@ -107,8 +191,19 @@ class FormController
                 }
             }
             
+            // Values set by a signed link cannot be changed in the form
+            if ($prefillToken !== '') {
+                $formData = $this->applySignedPrefill($type, $formData, $prefillToken);
+            }
+            
+            // Computed fields are computed again, so their values cannot be tampered with
+            $formData = $this->computedFieldService->apply($this->configService->getFormFields($type), $formData);
+            
             // Validate form data
-            $this->validateFormData($type, $formData);
+            $this->validateFormData($type, $formData, is_array($pendingUploads) ? $pendingUploads : [], $user['locale'] ?? 'en');
+            
+            // Rows of repeatable groups that were left empty are not part of the request
+            $formData = $this->validationService->removeEmptyRows($this->configService->getFormFields($type), $formData);
             
             // Prepare submission data
             $submissionData = [
@@ -137,15 +232,19 @@ class FormController
                         }
                     }
                 }
-                
-                // Log file uploads
-                foreach ($uploadedFiles as $fileInfo) {
-                    $this->databaseService->logFileUpload($submissionUuid, $fileInfo);
+            }
+            
+            if (is_array($pendingUploads)) {
+                foreach ($pendingUploads as $fileIds) {
+                    $uploadedFiles = array_merge(
+                        $uploadedFiles,
+                        $this->attachPendingUploads((array) $fileIds, $submissionUuid, $user['email'])
+                    );
                 }
             }
             
             // Create ticket in FreeScout
-            $ticketData = $this->freeScoutService->buildTicketData($formData, $type);
+            $ticketData = $this->freeScoutService->buildTicketData($formData, $type, $context);
             
             // Prepare inline attachments for FreeScout if any
             if (!empty($uploadedFiles)) {
@@ -179,8 +278,17 @@ class FormController
                     $ticketId
                 );
                 
-                // Clear autosaved data
-                $this->databaseService->saveAutosaveData($sessionId, $type, [], 0);
+                // Log file uploads
+                foreach ($uploadedFiles as $fileInfo) {
+                    $this->databaseService->logFileUpload($submissionUuid, $fileInfo);
+                }
+                
+                // The draft became a ticket: clear it
+                if ($draftId !== '') {
+                    $this->databaseService->deleteDraft($draftId, $user['email']);
+                } else {
+                    $this->databaseService->saveAutosaveData($sessionId, $type, [], 0);
+                }
                 
                 $this->logger->info('Form submitted successfully', [
                     'submission_uuid' => $submissionUuid,
@@ -224,6 +332,11 @@ class FormController
                 $this->databaseService->updateSubmissionStatus($submissionUuid, 'failed');
             }
             
+            // Uploads claimed for the request can be sent again, unless it became a ticket after all
+            if (isset($uploadedFiles) && empty($ticketId)) {
+                $this->releasePendingUploads($uploadedFiles);
+            }
+            
             // Return JSON error for AJAX submission
             $payload = json_encode([
                 'success' => false,
@@ -267,6 +380,7 @@ class FormController
             return $this->twig->render($response, 'form/success.html', [
                 'ticket' => $ticket,
                 'submission' => $submission,
+                'summary' => $this->buildSubmissionSummary($submission, $ticket),
                 'user' => $user
             ]);
             
@@ -283,6 +397,59 @@ class FormController
         }
     }
     
+    /**
+     * The answers of a submitted request for the requester to keep: a JSON
+     * document, or a printable page (summary.html) that ?download=1 saves as a file
+     */
+    public function exportSummary(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $submissionUuid = $args['uuid'];
+        $format = $args['format'];
+        $user = $request->getAttribute('user');
+        
+        $submission = $this->databaseService->getSubmission($submissionUuid);
+        if (!$submission || strcasecmp($submission['requester_email'], $user['email']) !== 0) {
+            return $this->twig->render($response->withStatus(404), 'form/error.html', [
+                'error' => 'Request not found',
+                'user' => $user
+            ]);
+        }
+        
+        // The ticket number is nice to have; the answers are ours
+        $ticket = null;
+        if ($submission['freescout_ticket_id']) {
+            try {
+                $ticket = $this->freeScoutService->getConversation((int) $submission['freescout_ticket_id']);
+            } catch (\Exception $e) {
+                $this->logger->warning('Failed to load ticket for request summary', [
+                    'error' => $e->getMessage(),
+                    'submission_uuid' => $submissionUuid
+                ]);
+            }
+        }
+        
+        $summary = $this->buildSubmissionSummary($submission, $ticket);
+        $download = !empty($request->getQueryParams()['download']);
+        $filename = 'request-' . preg_replace('/[^A-Za-z0-9-]/', '', (string) ($summary['ticket_number'] ?? substr($submissionUuid, 0, 8))) . '.' . $format;
+        
+        if ($format === 'json') {
+            $response->getBody()->write(json_encode($summary, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+            return $response
+                ->withHeader('Content-Type', 'application/json')
+                ->withHeader('Content-Disposition', 'attachment; filename="' . $filename . '"');
+        }
+        
+        $response = $this->twig->render($response, 'form/summary_print.html', [
+            'summary' => $summary,
+            'submission' => $submission,
+            'download' => $download
+        ]);
+        
+        return $download ?
+            $response->withHeader('Content-Disposition', 'attachment; filename="' . $filename . '"') :
+            $response;
+    }
+    
     public function showTicket(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
         $ticketId = (int)$args['id'];
@@ -293,12 +460,11 @@ class FormController
             $ticket = $this->freeScoutService->getConversation($ticketId);
             
             // Verify user owns this ticket
-            $ticketCustomerEmail = $ticket['customer']['email'] ?? '';
-            if (strcasecmp($ticketCustomerEmail, $user['email']) !== 0) {
+            if (!$this->isTicketOwner($ticket, $user)) {
                 $this->logger->warning('User attempted to access ticket they do not own', [
                     'user_email' => $user['email'],
                     'ticket_id' => $ticketId,
-                    'ticket_customer' => $ticketCustomerEmail
+                    'ticket_customer' => $ticket['customer']['email'] ?? ''
                 ]);
                 
                 return $this->twig->render($response->withStatus(403), 'form/error.html', [
@@ -314,6 +480,8 @@ class FormController
                 'user' => $user,
                 'ticket' => $ticket,
                 'submission' => $submission,
+                'settings' => $this->configService->getSettings(),
+                'poll_interval' => self::TICKET_POLL_INTERVAL,
                 'csrf_token' => $this->generateCsrfToken($request)
             ]);
             
@@ -330,6 +498,72 @@ class FormController
         }
     }
     
+    /**
+     * Threads of a ticket for the live ticket view, newest first as FreeScout returns them
+     */
+    public function getTicketThreads(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $ticketId = (int)$args['id'];
+        $user = $request->getAttribute('user');
+        
+        try {
+            $ticket = $this->freeScoutService->getConversation($ticketId);
+        } catch (\Exception $e) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Ticket not found'], 404);
+        }
+        
+        if (!$this->isTicketOwner($ticket, $user)) {
+            $this->logger->warning('User attempted to access ticket they do not own', [
+                'user_email' => $user['email'],
+                'ticket_id' => $ticketId
+            ]);
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'You do not have permission to view this ticket'], 403);
+        }
+        
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'status' => $ticket['status'] ?? '',
+            'updated_at' => $ticket['updatedAt'] ?? null,
+            'threads' => array_map([$this, 'threadSummary'], $ticket['_embedded']['threads'] ?? [])
+        ]);
+    }
+    
+    /**
+     * The user's open tickets that look like the request in the form
+     * (?type=...&subject=...), shown in the confirmation dialog before submitting
+     */
+    public function findDuplicateTickets(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $query = $request->getQueryParams();
+        $type = (string) ($query['type'] ?? '');
+        $subject = trim((string) ($query['subject'] ?? ''));
+        
+        if (!in_array($type, $this->configService->getRequestTypes(), true)) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Invalid request type'], 400);
+        }
+        
+        $settings = $this->configService->getSettings()['duplicate_check'] ?? [];
+        if ($subject === '' || ($settings['enabled'] ?? true) === false) {
+            return $this->jsonResponse($response, ['success' => true, 'tickets' => []]);
+        }
+        
+        $tickets = $this->duplicateTicketService->findDuplicates(
+            $this->freeScoutService->getCustomerConversations($user['email']),
+            $subject,
+            $type,
+            $this->databaseService->getTicketRequestTypes($user['email'])
+        );
+        
+        return $this->jsonResponse($response, ['success' => true, 'tickets' => $tickets]);
+    }
+    
+    /**
+     * Add a customer reply to a ticket. The ticket page sends it with fetch and gets
+     * JSON back; without JavaScript the form posts here and is redirected. A request
+     * form sends its answers here instead of creating a duplicate ticket, with its
+     * request_type and draft_id so the draft is cleared as after a submission.
+     */
     public function addReply(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
     {
         $ticketId = (int)$args['id'];
@@ -340,76 +574,41 @@ class FormController
             $ticket = $this->freeScoutService->getConversation($ticketId);
             
             // Verify user owns this ticket
-            $ticketCustomerEmail = $ticket['customer']['email'] ?? '';
-            if (strcasecmp($ticketCustomerEmail, $user['email']) !== 0) {
+            if (!$this->isTicketOwner($ticket, $user)) {
                 $this->logger->warning('User attempted to reply to ticket they do not own', [
                     'user_email' => $user['email'],
                     'ticket_id' => $ticketId
                 ]);
                 
-                return $this->twig->render($response->withStatus(403), 'form/error.html', [
-                    'error' => 'You do not have permission to reply to this ticket',
-                    'user' => $user
-                ]);
+                return $this->replyError($request, $response, $user, 'You do not have permission to reply to this ticket', 403);
             }
             
             // Check if ticket is active
             if ($ticket['status'] !== 'active') {
-                return $this->twig->render($response->withStatus(400), 'form/error.html', [
-                    'error' => 'Cannot reply to a closed ticket',
-                    'user' => $user
-                ]);
+                return $this->replyError($request, $response, $user, 'Cannot reply to a closed ticket', 400);
             }
             
             $parsedBody = $request->getParsedBody();
-            $message = trim($parsedBody['message'] ?? '');
+            // The message arrives HTML-escaped (ValidationMiddleware); it is written in Markdown
+            $message = trim(htmlspecialchars_decode((string) ($parsedBody['message'] ?? ''), ENT_QUOTES));
             
             if (empty($message)) {
-                return $this->twig->render($response->withStatus(400), 'form/error.html', [
-                    'error' => 'Message cannot be empty',
-                    'user' => $user
-                ]);
+                return $this->replyError($request, $response, $user, 'Message cannot be empty', 400);
             }
             
-            // Handle file uploads
-            $uploadedFiles = [];
+            // Attachments: files posted with the form, or IDs of files uploaded in chunks beforehand
+            $reference = 'reply_' . $ticketId;
             $files = $request->getUploadedFiles()['attachments'] ?? [];
-            
-            if (!empty($files)) {
-                foreach ($files as $uploadedFile) {
-                    if ($uploadedFile->getError() === UPLOAD_ERR_OK) {
-                        $filename = $uploadedFile->getClientFilename();
-                        $fileSize = $uploadedFile->getSize();
-                        
-                        // Validate file size (10MB max)
-                        if ($fileSize > 10 * 1024 * 1024) {
-                            $this->logger->warning('File too large in reply', [
-                                'filename' => $filename,
-                                'size' => $fileSize
-                            ]);
-                            continue;
-                        }
-                        
-                        // Generate unique filename
-                        $extension = pathinfo($filename, PATHINFO_EXTENSION);
-                        $safeFilename = uniqid() . '_' . preg_replace('/[^a-zA-Z0-9._-]/', '_', $filename);
-                        $uploadPath = __DIR__ . '/../../uploads/' . $safeFilename;
-                        
-                        $uploadedFile->moveTo($uploadPath);
-                        
-                        $uploadedFiles[] = [
-                            'file_path' => $uploadPath,
-                            'original_filename' => $filename,
-                            'size' => $fileSize
-                        ];
-                    }
-                }
-            }
+            $uploadedFiles = $this->fileUploadService->uploadMultipleFiles(is_array($files) ? $files : [$files], $reference);
+            $uploadedFiles = array_merge(
+                $uploadedFiles,
+                $this->attachPendingUploads((array) ($parsedBody['uploaded_files'] ?? []), $reference, $user['email'])
+            );
             
             // Build thread data for FreeScout
             $threadData = [
                 'type' => 'customer',
-                'text' => nl2br(htmlspecialchars($message)),
+                'text' => $this->markdownService->toHtml($message),
                 'customer' => [
                     'email' => $user['email']
                 ]
@@ -436,12 +635,27 @@ class FormController
             // Add thread to conversation
             $this->freeScoutService->addThread($ticketId, $threadData);
             
+            // The reply replaces a new request: clear its draft
+            $replacedType = (string) ($parsedBody['request_type'] ?? '');
+            if (in_array($replacedType, $this->configService->getRequestTypes(), true)) {
+                $draftId = (string) ($parsedBody['draft_id'] ?? '');
+                if ($draftId !== '') {
+                    $this->databaseService->deleteDraft($draftId, $user['email']);
+                } else {
+                    $this->databaseService->saveAutosaveData($request->getAttribute('session_id'), $replacedType, [], 0);
+                }
+            }
+            
             $this->logger->info('Customer reply added to ticket', [
                 'ticket_id' => $ticketId,
                 'user_email' => $user['email'],
                 'has_attachments' => !empty($uploadedFiles)
             ]);
             
+            if ($this->isXhr($request)) {
+                return $this->jsonResponse($response, ['success' => true]);
+            }
+            
             // Redirect back to ticket page
             return $response
                 ->withStatus(302)
@@ -453,10 +667,11 @@ class FormController
                 'error' => $e->getMessage()
             ]);
             
-            return $this->twig->render($response->withStatus(500), 'form/error.html', [
-                'error' => 'Failed to send reply: ' . $e->getMessage(),
-                'user' => $user
-            ]);
+            if (isset($uploadedFiles)) {
+                $this->releasePendingUploads($uploadedFiles);
+            }
+            
+            return $this->replyError($request, $response, $user, 'Failed to send reply: ' . $e->getMessage(), 500);
         }
     }
     
@@ -464,6 +679,12 @@ class FormController
     {
         $user = $request->getAttribute('user');
         $files = $request->getUploadedFiles();
+        $data = $request->getParsedBody() ?? [];
+        
+        // Chunked uploads identify themselves with a client-generated upload ID
+        if (isset($data['upload_id'])) {
+            return $this->uploadChunk($request, $response);
+        }
         
         try {
             $uploadedFiles = [];
@@ -501,15 +722,231 @@ class FormController
         }
     }
     
+    /**
+     * Receive one chunk of a resumable upload
+     * Chunks must arrive in order; a repeated chunk is acknowledged without being stored twice
+     */
+    private function uploadChunk(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody();
+        $chunk = $request->getUploadedFiles()['chunk'] ?? null;
+        
+        $uploadId = (string) $data['upload_id'];
+        $chunkIndex = (int) ($data['chunk_index'] ?? -1);
+        $totalChunks = (int) ($data['total_chunks'] ?? 0);
+        $fileName = html_entity_decode((string) ($data['file_name'] ?? ''), ENT_QUOTES, 'UTF-8');
+        $fileSize = (int) ($data['file_size'] ?? 0);
+        
+        try {
+            if (!$chunk || $totalChunks < 1 || $chunkIndex < 0 || $chunkIndex >= $totalChunks) {
+                throw new \RuntimeException('Invalid upload chunk');
+            }
+            
+            $upload = $this->databaseService->getPendingUpload($uploadId);
+            
+            if (!$upload) {
+                if ($chunkIndex !== 0) {
+                    return $this->uploadStatusResponse($response->withStatus(409), null);
+                }
+                
+                // Reject disallowed files before accepting any content
+                $this->fileUploadService->validateFileMetadata($fileName, $fileSize);
+                $this->databaseService->createPendingUpload([
+                    'upload_id' => $uploadId,
+                    'owner_email' => $user['email'],
+                    'original_filename' => $fileName,
+                    'file_size' => $fileSize,
+                    'total_chunks' => $totalChunks
+                ]);
+                $upload = $this->databaseService->getPendingUpload($uploadId);
+            }
+            
+            if ($upload['owner_email'] !== $user['email']) {
+                return $response->withStatus(404);
+            }
+            
+            if ($upload['status'] !== 'uploading' || $chunkIndex < $upload['received_chunks']) {
+                // Already stored, e.g. a retry after a lost response
+                return $this->uploadStatusResponse($response, $upload);
+            }
+            
+            if ($chunkIndex > $upload['received_chunks']) {
+                return $this->uploadStatusResponse($response->withStatus(409), $upload);
+            }
+            
+            $this->fileUploadService->appendChunk($uploadId, $chunk);
+            $upload['received_chunks'] = $chunkIndex + 1;
+            $this->databaseService->updatePendingUploadProgress($uploadId, $upload['received_chunks']);
+            
+            if ($upload['received_chunks'] === $upload['total_chunks']) {
+                $fileInfo = $this->fileUploadService->finalizeChunkedUpload(
+                    $uploadId,
+                    $upload['original_filename'],
+                    $upload['file_size']
+                );
+                $this->databaseService->completePendingUpload($uploadId, $fileInfo['stored_filename'], $fileInfo['mime_type']);
+                $upload['status'] = 'complete';
+            }
+            
+            return $this->uploadStatusResponse($response, $upload);
+            
+        } catch (\Exception $e) {
+            $this->logger->error('Chunk upload failed', [
+                'error' => $e->getMessage(),
+                'upload_id' => $uploadId,
+                'user_email' => $user['email']
+            ]);
+            
+            // A rejected file cannot be resumed, start over on the next attempt
+            if (isset($upload) && $upload) {
+                $this->databaseService->deletePendingUpload($uploadId);
+            }
+            if (!$e instanceof \InvalidArgumentException) {
+                $this->fileUploadService->discardChunkedUpload($uploadId);
+            }
+            
+            $response->getBody()->write(json_encode([
+                'success' => false,
+                'error' => $e->getMessage()
+            ]));
+            
+            return $response
+                ->withStatus(400)
+                ->withHeader('Content-Type', 'application/json');
+        }
+    }
+    
+    /**
+     * Report how far a resumable upload has progressed
+     */
+    public function uploadStatus(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $upload = $this->databaseService->getPendingUpload($args['id']);
+        
+        if ($upload && $upload['owner_email'] !== $user['email']) {
+            $upload = null;
+        }
+        
+        return $this->uploadStatusResponse($upload ? $response : $response->withStatus(404), $upload);
+    }
+    
+    /**
+     * Cancel a resumable upload and remove what was stored of it
+     */
+    public function cancelUpload(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $upload = $this->databaseService->getPendingUpload($args['id']);
+        
+        if ($upload && $upload['owner_email'] === $user['email'] && $upload['status'] !== 'attached') {
+            try {
+                $this->fileUploadService->discardChunkedUpload($upload['upload_id'], $upload['stored_filename']);
+            } catch (\Exception $e) {
+                $this->logger->warning('Failed to discard upload', [
+                    'upload_id' => $upload['upload_id'],
+                    'error' => $e->getMessage()
+                ]);
+            }
+            $this->databaseService->deletePendingUpload($upload['upload_id']);
+        }
+        
+        $response->getBody()->write(json_encode(['success' => true]));
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+    
+    private function uploadStatusResponse(ResponseInterface $response, ?array $upload): ResponseInterface
+    {
+        $response->getBody()->write(json_encode([
+            'success' => $upload !== null && $response->getStatusCode() === 200,
+            'file_id' => $upload['upload_id'] ?? null,
+            'status' => $upload['status'] ?? 'unknown',
+            'received_chunks' => $upload['received_chunks'] ?? 0,
+            'total_chunks' => $upload['total_chunks'] ?? null
+        ]));
+        
+        return $response->withHeader('Content-Type', 'application/json');
+    }
+    
+    /**
+     * Claim files uploaded ahead of the submission through the resumable upload API
+     */
+    private function attachPendingUploads(array $fileIds, string $submissionUuid, string $ownerEmail): array
+    {
+        $attached = [];
+        
+        try {
+            foreach ($fileIds as $fileId) {
+                $upload = $this->databaseService->getPendingUpload((string) $fileId);
+                
+                if (!$upload || $upload['owner_email'] !== $ownerEmail || $upload['status'] !== 'complete') {
+                    throw new \RuntimeException('One of the attachments is no longer available, please upload it again');
+                }
+                
+                $fileInfo = $this->fileUploadService->attachToSubmission(
+                    $upload['stored_filename'],
+                    $submissionUuid,
+                    $upload['original_filename'],
+                    $upload['mime_type'] ?? 'application/octet-stream'
+                );
+                $this->databaseService->attachPendingUpload($upload['upload_id'], $submissionUuid);
+                
+                // Remember where the file came from, in case the submission fails
+                $attached[] = $fileInfo + [
+                    'upload_id' => $upload['upload_id'],
+                    'pending_filename' => $upload['stored_filename']
+                ];
+            }
+        } catch (\Exception $e) {
+            $this->releasePendingUploads($attached);
+            throw $e;
+        }
+        
+        return $attached;
+    }
+    
+    /**
+     * Undo attachPendingUploads when the ticket could not be created, so the
+     * same uploads can be sent again
+     */
+    private function releasePendingUploads(array $uploadedFiles): void
+    {
+        foreach ($uploadedFiles as $fileInfo) {
+            if (!isset($fileInfo['upload_id'])) {
+                continue;
+            }
+            
+            try {
+                $this->fileUploadService->releaseFromSubmission($fileInfo['stored_filename'], $fileInfo['pending_filename']);
+                $this->databaseService->releasePendingUpload($fileInfo['upload_id']);
+            } catch (\Exception $e) {
+                $this->logger->warning('Failed to release attachment', [
+                    'upload_id' => $fileInfo['upload_id'],
+                    'error' => $e->getMessage()
+                ]);
+            }
+        }
+    }
+    
     public function autosave(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
     {
         $sessionId = $request->getAttribute('session_id');
+        $user = $request->getAttribute('user');
         $data = $request->getParsedBody();
         $requestType = $data['request_type'] ?? '';
-        $formData = $data['form_data'] ?? [];
+        $formData = ValidationMiddleware::decodeFormData($data['form_data'] ?? []);
+        $draftId = (string) ($data['draft_id'] ?? '');
         
         try {
-            $this->databaseService->saveAutosaveData($sessionId, $requestType, $formData);
+            // Work on a named draft is saved into that draft
+            if ($draftId !== '') {
+                if (!$this->databaseService->updateDraft($draftId, $user['email'], $formData)) {
+                    return $this->jsonResponse($response, ['success' => false, 'error' => 'Draft not found'], 404);
+                }
+            } else {
+                $this->databaseService->saveAutosaveData($sessionId, $requestType, $formData);
+            }
             
             $response->getBody()->write(json_encode(['success' => true]));
             return $response->withHeader('Content-Type', 'application/json');
@@ -541,59 +978,322 @@ class FormController
         return $response->withHeader('Content-Type', 'application/json');
     }
     
-    private function validateFormData(string $type, array $formData): void
+    /**
+     * List the user's named drafts, optionally for one request type (?type=)
+     */
+    public function listDrafts(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
     {
-        $formFields = $this->configService->getFormFields($type);
+        $user = $request->getAttribute('user');
+        $requestType = $request->getQueryParams()['type'] ?? null;
         
-        foreach ($formFields as $field) {
-            $fieldName = $field['name'];
-            $isRequired = $field['required'] ?? false;
-            $value = $formData[$fieldName] ?? null;
-            
-            // Check required fields
-            if ($isRequired && (empty($value) && $value !== '0')) {
-                throw new \RuntimeException("Field '{$field['label']}' is required");
+        $drafts = $this->databaseService->getDrafts($user['email'], $requestType !== null ? (string) $requestType : null);
+        
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'drafts' => array_map([$this, 'draftSummary'], $drafts)
+        ]);
+    }
+    
+    /**
+     * Save form data as a new named draft. With clear_autosave the unnamed
+     * autosave it was started from is cleared, so the work is not listed twice.
+     */
+    public function createDraft(ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody();
+        $requestType = (string) ($data['request_type'] ?? '');
+        $name = $this->normalizeDraftName($data['name'] ?? '');
+        
+        if (!in_array($requestType, $this->configService->getRequestTypes(), true)) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Request type not found'], 422);
+        }
+        if ($name === '') {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'A draft name is required'], 422);
+        }
+        
+        $draft = $this->databaseService->createDraft(
+            $user['email'],
+            $requestType,
+            $name,
+            ValidationMiddleware::decodeFormData($data['form_data'] ?? [])
+        );
+        
+        if (!empty($data['clear_autosave'])) {
+            $this->databaseService->saveAutosaveData($request->getAttribute('session_id'), $requestType, [], 0);
+        }
+        
+        return $this->jsonResponse($response, ['success' => true, 'draft' => $this->draftSummary($draft)]);
+    }
+    
+    /**
+     * Get a named draft with its form data
+     */
+    public function getDraft(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $draft = $this->databaseService->getDraft($args['id'], $user['email']);
+        
+        if (!$draft) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Draft not found'], 404);
+        }
+        
+        return $this->jsonResponse($response, [
+            'success' => true,
+            'draft' => $this->draftSummary($draft) + ['form_data' => $draft['form_data']]
+        ]);
+    }
+    
+    /**
+     * Copy a named draft under a new name
+     */
+    public function duplicateDraft(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody();
+        $draft = $this->databaseService->getDraft($args['id'], $user['email']);
+        
+        if (!$draft) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Draft not found'], 404);
+        }
+        
+        $name = $this->normalizeDraftName($data['name'] ?? '') ?: $draft['name'];
+        $copy = $this->databaseService->createDraft($user['email'], $draft['request_type'], $name, $draft['form_data']);
+        
+        return $this->jsonResponse($response, ['success' => true, 'draft' => $this->draftSummary($copy)]);
+    }
+    
+    public function deleteDraft(ServerRequestInterface $request, ResponseInterface $response, array $args): ResponseInterface
+    {
+        $user = $request->getAttribute('user');
+        
+        if (!$this->databaseService->deleteDraft($args['id'], $user['email'])) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => 'Draft not found'], 404);
+        }
+        
+        return $this->jsonResponse($response, ['success' => true]);
+    }
+    
+    /**
+     * Public fields of a draft, with ISO 8601 timestamps (stored in UTC)
+     */
+    private function draftSummary(array $draft): array
+    {
+        return [
+            'id' => $draft['draft_id'],
+            'name' => $draft['name'],
+            'request_type' => $draft['request_type'],
+            'created_at' => gmdate('c', strtotime($draft['created_at'] . ' UTC')),
+            'updated_at' => gmdate('c', strtotime($draft['updated_at'] . ' UTC'))
+        ];
+    }
+    
+    private function normalizeDraftName($name): string
+    {
+        if (!is_string($name)) {
+            return '';
+        }
+        
+        // Request bodies arrive HTML-escaped (ValidationMiddleware); names are escaped on output
+        $name = trim(html_entity_decode($name, ENT_QUOTES | ENT_HTML5, 'UTF-8'));
+        return mb_substr(preg_replace('/\s+/u', ' ', $name), 0, self::DRAFT_NAME_MAX_LENGTH);
+    }
+    
+    /**
+     * Values to pre-fill the form with, in increasing precedence: an earlier
+     * request of the user (?from=<submission uuid>, "Create similar request"),
+     * fields in the query string and the locked values of a signed link
+     * (?prefill=<token>)
+     */
+    private function buildPrefill(ServerRequestInterface $request, string $type, array $formFields, array $user): array
+    {
+        $query = $request->getQueryParams();
+        $prefill = [
+            'values' => [],
+            'locked' => [],
+            'token' => '',
+            'similar_to' => null,
+            'invalid_link' => false
+        ];
+        
+        $fromUuid = (string) ($query['from'] ?? '');
+        if ($fromUuid !== '') {
+            $submission = $this->databaseService->getSubmission($fromUuid);
+            if ($submission && $submission['request_type'] === $type
+                && strcasecmp($submission['requester_email'], $user['email']) === 0) {
+                $prefill['values'] = $this->prefillService->filter($formFields, $submission['form_data'] ?? []);
+                $prefill['similar_to'] = $submission['freescout_ticket_id'] ?? null;
             }
-            
-            // Validate based on field type
-            if (!empty($value)) {
-                $this->validateFieldValue($field, $value);
+        }
+        
+        $prefill['values'] = array_merge($prefill['values'], $this->prefillService->fromQuery($formFields, $query));
+        
+        $token = (string) ($query['prefill'] ?? '');
+        if ($token !== '') {
+            $values = $this->prefillService->readToken($token, $type);
+            if ($values === null) {
+                $prefill['invalid_link'] = true;
+            } else {
+                $locked = $this->prefillService->filter($formFields, $values);
+                $prefill['values'] = array_merge($prefill['values'], $locked);
+                $prefill['locked'] = array_keys($locked);
+                $prefill['token'] = $token;
             }
         }
+        
+        return $prefill;
     }
     
-    private function validateFieldValue(array $field, $value): void
+    /**
+     * Put the values of the signed link back over what the form sent. The
+     * expiry is not checked: it only limits when the form can be opened.
+     */
+    private function applySignedPrefill(string $type, array $formData, string $token): array
     {
-        $type = $field['type'];
+        $values = $this->prefillService->readToken($token, $type, false);
+        if ($values === null) {
+            throw new \RuntimeException('The link this form was opened with is not valid. Please open the form again.');
+        }
         
-        switch ($type) {
-            case 'email':
-                if (!filter_var($value, FILTER_VALIDATE_EMAIL)) {
-                    throw new \RuntimeException("Invalid email format for '{$field['label']}'");
-                }
-                break;
-                
-            case 'date':
-                if (!strtotime($value)) {
-                    throw new \RuntimeException("Invalid date format for '{$field['label']}'");
-                }
-                break;
-                
-            case 'text':
-            case 'textarea':
-                if (isset($field['validation'])) {
-                    $rules = explode('|', $field['validation']);
-                    foreach ($rules as $rule) {
-                        if (strpos($rule, 'max:') === 0) {
-                            $max = (int)substr($rule, 4);
-                            if (strlen($value) > $max) {
-                                throw new \RuntimeException("'{$field['label']}' exceeds maximum length of {$max} characters");
-                            }
-                        }
-                    }
+        return array_merge($formData, $this->prefillService->filter($this->configService->getFormFields($type), $values));
+    }
+    
+    /**
+     * The page_url (http or https) and app_name the widget sends along with a
+     * request; anything else is dropped
+     */
+    private function embedContext($context): array
+    {
+        if (!is_array($context)) {
+            return [];
+        }
+        
+        $result = [];
+        $pageUrl = trim((string) ($context['page_url'] ?? ''));
+        if ($pageUrl !== '' && strlen($pageUrl) <= 2000 && preg_match('#^https?://#i', $pageUrl) && filter_var($pageUrl, FILTER_VALIDATE_URL)) {
+            $result['page_url'] = $pageUrl;
+        }
+        
+        $appName = trim(preg_replace('/\s+/u', ' ', (string) ($context['app_name'] ?? '')));
+        if ($appName !== '') {
+            $result['app_name'] = mb_substr($appName, 0, 100);
+        }
+        
+        return $result;
+    }
+    
+    private function isTicketOwner(array $ticket, array $user): bool
+    {
+        return strcasecmp($ticket['customer']['email'] ?? '', $user['email']) === 0;
+    }
+    
+    /**
+     * Fields of a thread shown in the live ticket view. The body is FreeScout's HTML,
+     * shown as is like on the server-rendered page.
+     */
+    private function threadSummary(array $thread): array
+    {
+        return [
+            'id' => $thread['id'] ?? null,
+            'type' => $thread['type'] ?? '',
+            'author' => trim(($thread['createdBy']['firstName'] ?? '') . ' ' . ($thread['createdBy']['lastName'] ?? '')),
+            'body' => $thread['body'] ?? '',
+            'created_at' => $thread['createdAt'] ?? null,
+            'attachments' => array_map(function ($attachment) {
+                return $attachment['fileName'] ?? '';
+            }, $thread['attachments'] ?? [])
+        ];
+    }
+    
+    /**
+     * Reply errors are JSON for the ticket page and an error page for plain form posts
+     */
+    private function replyError(ServerRequestInterface $request, ResponseInterface $response, array $user, string $error, int $status): ResponseInterface
+    {
+        if ($this->isXhr($request)) {
+            return $this->jsonResponse($response, ['success' => false, 'error' => $error], $status);
+        }
+        
+        return $this->twig->render($response->withStatus($status), 'form/error.html', [
+            'error' => $error,
+            'user' => $user
+        ]);
+    }
+    
+    /**
+     * The summary of a stored submission (SubmissionSummaryService::forSubmission)
+     */
+    private function buildSubmissionSummary(array $submission, ?array $ticket): array
+    {
+        $type = $submission['request_type'];
+        
+        return $this->submissionSummaryService->forSubmission(
+            $submission,
+            $this->configService->getFormFields($type),
+            $this->configService->getFormSteps($type),
+            $this->databaseService->getFileUploads($submission['uuid']),
+            $this->configService->getRequestTypeInfo($type)['label'] ?? $type,
+            $ticket
+        );
+    }
+    
+    private function isXhr(ServerRequestInterface $request): bool
+    {
+        return $request->getHeaderLine('X-Requested-With') === 'XMLHttpRequest';
+    }
+    
+    private function jsonResponse(ResponseInterface $response, array $data, int $status = 200): ResponseInterface
+    {
+        $response->getBody()->write(json_encode($data));
+        return $response
+            ->withStatus($status)
+            ->withHeader('Content-Type', 'application/json');
+    }
+    
+    private function validateFormData(string $type, array $formData, array $pendingUploads = [], string $locale = 'en'): void
+    {
+        $formFields = $this->configService->getFormFields($type);
+        $errors = $this->validationService
+            ->withLocale($locale)
+            ->validateFormData($formFields, $formData, $pendingUploads);
+        
+        if (empty($errors)) {
+            return;
+        }
+        
+        // Report the first problem, prefixed with the label of its field
+        $fieldName = array_key_first($errors);
+        
+        throw new \RuntimeException($this->fieldLabel($formFields, $fieldName) . ": {$errors[$fieldName]}");
+    }
+    
+    /**
+     * Label of a field for error messages; fields in a row of a repeatable
+     * group (group[index][field]) are named with the group and row number
+     */
+    private function fieldLabel(array $formFields, string $fieldName): string
+    {
+        $row = preg_match('/^([^\[]+)\[(\d+)\]\[([^\]]+)\]$/', $fieldName, $matches) ? $matches : null;
+        $name = $row ? $row[1] : $fieldName;
+        
+        foreach ($formFields as $field) {
+            if ($field['name'] !== $name) {
+                continue;
+            }
+            
+            $label = $field['label'] ?? $name;
+            if (!$row) {
+                return $label;
+            }
+            
+            foreach ($field['fields'] ?? [] as $rowField) {
+                if ($rowField['name'] === $row[3]) {
+                    return sprintf('%s, row %d: %s', $label, (int) $row[2] + 1, $rowField['label'] ?? $row[3]);
                 }
-                break;
+            }
         }
+        
+        return $fieldName;
     }
     
     private function generateCsrfToken(ServerRequestInterface $request): string
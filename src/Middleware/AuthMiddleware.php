@@ -14,6 +14,8 @@ use HelpdeskForm\Services\DatabaseService;
 
 class AuthMiddleware implements MiddlewareInterface
 {
+    private const SUPPORTED_LOCALES = ['nl', 'en'];
+    
     private ContainerInterface $container;
     
     public function __construct(ContainerInterface $container)
@@ -31,7 +33,8 @@ class AuthMiddleware implements MiddlewareInterface
                 'email' => 'admin@localhost',
                 'name' => 'Development User',
                 'department' => 'IT',
-                'title' => 'Administrator'
+                'title' => 'Administrator',
+                'locale' => $this->resolveLocale($request, null)
             ]);
             // Add a mock session ID for development mode
             $request = $request->withAttribute('session_id', 'dev-session-' . date('Y-m-d'));
@@ -67,7 +70,7 @@ class AuthMiddleware implements MiddlewareInterface
         $sessionId = $this->getSessionId($request);
         
         if (!$sessionId) {
-            return $this->redirectToLogin();
+            return $this->unauthenticated($request);
         }
         
         // Validate session
@@ -75,11 +78,13 @@ class AuthMiddleware implements MiddlewareInterface
         $session = $databaseService->getSession($sessionId);
         
         if (!$session) {
-            return $this->redirectToLogin();
+            return $this->unauthenticated($request);
         }
         
         // Add user data to request attributes
-        $request = $request->withAttribute('user', $session['user_data']);
+        $user = $session['user_data'];
+        $user['locale'] = $this->resolveLocale($request, $user['locale'] ?? null);
+        $request = $request->withAttribute('user', $user);
         $request = $request->withAttribute('session_id', $sessionId);
         
         return $handler->handle($request);
@@ -102,11 +107,65 @@ class AuthMiddleware implements MiddlewareInterface
         return null;
     }
     
-    private function redirectToLogin(): ResponseInterface
+    /**
+     * Pick the interface language: the LDAP profile, then the browser, then APP_LOCALE
+     */
+    private function resolveLocale(ServerRequestInterface $request, ?string $preferred): string
+    {
+        $candidates = [$preferred];
+        
+        // Accept-Language: nl-NL,nl;q=0.9,en;q=0.8 (listed in order of preference)
+        foreach (explode(',', $request->getHeaderLine('Accept-Language')) as $language) {
+            $candidates[] = trim(explode(';', $language)[0]);
+        }
+        $candidates[] = $_ENV['APP_LOCALE'] ?? null;
+        
+        foreach ($candidates as $candidate) {
+            $locale = strtolower(substr((string) $candidate, 0, 2));
+            if (in_array($locale, self::SUPPORTED_LOCALES, true)) {
+                return $locale;
+            }
+        }
+        
+        return self::SUPPORTED_LOCALES[0];
+    }
+    
+    /**
+     * API and XHR requests get a 401 the client can handle; pages redirect to the login
+     */
+    private function unauthenticated(ServerRequestInterface $request): ResponseInterface
+    {
+        $isApiRequest = strpos($request->getUri()->getPath(), '/api/') === 0
+            || $request->getHeaderLine('X-Requested-With') === 'XMLHttpRequest';
+        
+        if (!$isApiRequest) {
+            return $this->redirectToLogin($request);
+        }
+        
+        $response = new Response();
+        $response->getBody()->write(json_encode([
+            'success' => false,
+            'error' => 'Authentication required'
+        ]));
+        
+        return $response
+            ->withStatus(401)
+            ->withHeader('Content-Type', 'application/json');
+    }
+    
+    private function redirectToLogin(ServerRequestInterface $request): ResponseInterface
     {
+        // Come back to the requested page after logging in
+        $location = '/auth/login';
+        $uri = $request->getUri();
+        if ($request->getMethod() === 'GET' && $uri->getPath() !== '/') {
+            $target = $uri->getPath() . ($uri->getQuery() !== '' ? '?' . $uri->getQuery() : '');
+            $location .= '?' . http_build_query(['redirect' => $target]);
+        }
+        
         $response = new Response();
         return $response
             ->withStatus(302)
-            ->withHeader('Location', '/auth/login');
+            ->withHeader('Location', $location);
     }
 }
@@ -8,16 +8,38 @@ use Psr\Http\Message\ServerRequestInterface;
 use Psr\Http\Server\MiddlewareInterface;
 use Psr\Http\Server\RequestHandlerInterface;
 
+/**
+ * Lets the sites in CORS_ALLOWED_ORIGINS call the portal with the user's session.
+ * Other origins get no CORS headers, so browsers keep them from reading the
+ * responses.
+ */
 class CorsMiddleware implements MiddlewareInterface
 {
+    private array $allowedOrigins;
+
+    /**
+     * @param string[] $allowedOrigins Origins such as https://intranet.example.com
+     */
+    public function __construct(array $allowedOrigins = [])
+    {
+        $this->allowedOrigins = array_map(fn($origin) => rtrim(strtolower(trim($origin)), '/'), $allowedOrigins);
+    }
+
     public function process(ServerRequestInterface $request, RequestHandlerInterface $handler): ResponseInterface
     {
-        $response = $handler->handle($request);
-        
+        $response = $handler->handle($request)->withAddedHeader('Vary', 'Origin');
+
+        $origin = $request->getHeaderLine('Origin');
+        if ($origin === '' || !in_array(strtolower($origin), $this->allowedOrigins, true)) {
+            return $response;
+        }
+
+        // Credentials require the exact origin instead of *
         return $response
-            ->withHeader('Access-Control-Allow-Origin', '*')
-            ->withHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept, Origin, Authorization')
-            ->withHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS')
-            ->withHeader('Access-Control-Allow-Credentials', 'true');
+            ->withHeader('Access-Control-Allow-Origin', $origin)
+            ->withHeader('Access-Control-Allow-Credentials', 'true')
+            ->withHeader('Access-Control-Allow-Headers', 'X-Requested-With, X-CSRF-Token, Content-Type, Accept')
+            ->withHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+            ->withHeader('Access-Control-Max-Age', '600');
     }
 }
@@ -35,14 +35,33 @@ class ValidationMiddleware implements MiddlewareInterface
         return $handler->handle($request);
     }
     
+    /**
+     * Undo the HTML escaping of sanitizeRequest() for form answers, so drafts restore
+     * the values as typed, validation sees them as typed and tickets get them
+     * escaped (or rendered from Markdown) only once
+     */
+    public static function decodeFormData($formData): array
+    {
+        if (!is_array($formData)) {
+            return [];
+        }
+        
+        array_walk_recursive($formData, function (&$value) {
+            if (is_string($value)) {
+                $value = html_entity_decode($value, ENT_QUOTES | ENT_HTML5, 'UTF-8');
+            }
+        });
+        
+        return $formData;
+    }
+    
     private function validateCsrfToken(ServerRequestInterface $request): void
     {
         $body = $request->getParsedBody();
-        $headers = $request->getHeaders();
         $uri = $request->getUri()->getPath();
         
-        // Get CSRF token from form data or header
-        $token = $body['csrf_token'] ?? $headers['X-CSRF-Token'][0] ?? null;
+        // Get CSRF token from form data or header (header names are case-insensitive)
+        $token = $body['csrf_token'] ?? ($request->getHeaderLine('X-CSRF-Token') ?: null);
         
         if (!$token) {
             throw new \RuntimeException("CSRF token missing for {$request->getMethod()} request to {$uri}");
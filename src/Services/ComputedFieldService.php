@@ -0,0 +1,148 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * Values of computed fields (`computed` in form_fields.yaml), derived from
+ * other fields of the same form:
+ * - matrix: a lookup table, e.g. the priority for an impact and an urgency
+ * - days_until: the number of days from today to a date field
+ * - template: text with {field} placeholders; a part in [brackets] is left
+ *   out when one of its fields is empty
+ *
+ * The form computes the same values while the user types (computed-fields.js);
+ * on submit they are computed again here, so a locked value cannot be changed
+ * and a suggested one is only kept when the user chose another value. A field
+ * is only computed on forms that have all the fields it is computed from.
+ */
+class ComputedFieldService
+{
+    public const MODE_LOCK = 'lock';
+    public const MODE_SUGGEST = 'suggest';
+
+    /**
+     * The form data with the computed fields filled in: locked fields always get
+     * the computed value, suggested ones only when they were left empty
+     */
+    public function apply(array $fields, array $formData, ?\DateTimeImmutable $today = null): array
+    {
+        $names = array_column($fields, 'name');
+
+        foreach ($fields as $field) {
+            $spec = $field['computed'] ?? null;
+            $sources = is_array($spec) ? $this->sources($spec) : [];
+            if (empty($sources) || array_diff($sources, $names)) {
+                continue;
+            }
+
+            $name = $field['name'];
+            $value = $this->compute($spec, $formData, $today);
+
+            if ($this->mode($spec) === self::MODE_LOCK) {
+                $formData[$name] = $value;
+            } elseif ($value !== '' && trim((string) ($formData[$name] ?? '')) === '') {
+                $formData[$name] = $value;
+            }
+        }
+
+        return $formData;
+    }
+
+    /**
+     * The computed value of a field, or '' when the fields it depends on are empty
+     */
+    public function compute(array $spec, array $formData, ?\DateTimeImmutable $today = null): string
+    {
+        if (isset($spec['matrix'])) {
+            $matrix = $spec['matrix'];
+            $row = $this->toText($formData[$matrix['row'] ?? ''] ?? null);
+            $column = $this->toText($formData[$matrix['column'] ?? ''] ?? null);
+            $result = $matrix['values'][$row][$column] ?? '';
+
+            return is_scalar($result) ? (string) $result : '';
+        }
+
+        if (isset($spec['days_until'])) {
+            return $this->daysUntil($this->toText($formData[$spec['days_until']] ?? null), $today);
+        }
+
+        if (isset($spec['template'])) {
+            return $this->renderTemplate((string) $spec['template'], $formData);
+        }
+
+        return '';
+    }
+
+    /**
+     * Names of the fields a computed field depends on
+     */
+    public function sources(array $spec): array
+    {
+        if (isset($spec['matrix'])) {
+            return array_values(array_filter([$spec['matrix']['row'] ?? null, $spec['matrix']['column'] ?? null]));
+        }
+
+        if (isset($spec['days_until'])) {
+            return [(string) $spec['days_until']];
+        }
+
+        if (isset($spec['template'])) {
+            preg_match_all('/\{([A-Za-z0-9_]+)\}/', (string) $spec['template'], $matches);
+            return array_values(array_unique($matches[1]));
+        }
+
+        return [];
+    }
+
+    /**
+     * lock (the default) or suggest
+     */
+    public function mode(array $spec): string
+    {
+        return ($spec['mode'] ?? self::MODE_LOCK) === self::MODE_SUGGEST ? self::MODE_SUGGEST : self::MODE_LOCK;
+    }
+
+    private function daysUntil(string $date, ?\DateTimeImmutable $today): string
+    {
+        $target = \DateTimeImmutable::createFromFormat('!Y-m-d', $date);
+        if ($target === false || $target->format('Y-m-d') !== $date) {
+            return '';
+        }
+
+        $today = \DateTimeImmutable::createFromFormat('!Y-m-d', ($today ?? new \DateTimeImmutable())->format('Y-m-d'));
+        $days = $today->diff($target)->days;
+
+        return (string) ($target < $today ? -$days : $days);
+    }
+
+    private function renderTemplate(string $template, array $formData): string
+    {
+        $text = preg_replace_callback('/\[([^\]]*)\]|\{([A-Za-z0-9_]+)\}/', function (array $match) use ($formData) {
+            // An optional part: all of its fields or nothing
+            if (($match[2] ?? '') === '') {
+                $complete = true;
+                $part = preg_replace_callback('/\{([A-Za-z0-9_]+)\}/', function (array $placeholder) use ($formData, &$complete) {
+                    $value = $this->toText($formData[$placeholder[1]] ?? null);
+                    $complete = $complete && $value !== '';
+                    return $value;
+                }, $match[1]);
+
+                return $complete ? $part : '';
+            }
+
+            return $this->toText($formData[$match[2]] ?? null);
+        }, $template);
+
+        return trim(preg_replace('/\s+/u', ' ', $text));
+    }
+
+    private function toText($value): string
+    {
+        if (is_array($value)) {
+            return implode(', ', array_filter(array_map(fn($item) => is_scalar($item) ? trim((string) $item) : '', $value), 'strlen'));
+        }
+
+        return is_scalar($value) ? trim((string) $value) : '';
+    }
+}
@@ -3,27 +3,101 @@ declare(strict_types=1);
 
 namespace HelpdeskForm\Services;
 
+use Psr\Log\LoggerInterface;
 use Symfony\Component\Yaml\Yaml;
 
 class ConfigService
 {
     private array $config;
+    private ?LoggerInterface $logger;
     
-    public function __construct(string $configPath)
+    public function __construct(string $configPath, ?LoggerInterface $logger = null)
     {
         if (!file_exists($configPath)) {
             throw new \RuntimeException("Configuration file not found: {$configPath}");
         }
         
         $this->config = Yaml::parseFile($configPath);
+        $this->logger = $logger;
+        
+        $this->removeInvalidRegexRules();
     }
     
+    /**
+     * Get the common and request type specific fields of a request type; the
+     * type's `computed` settings (field name => spec) are added to the fields,
+     * so a common field such as priority can be computed on one form only
+     */
     public function getFormFields(string $requestType): array
     {
+        $typeConfig = $this->config['form_fields']['request_types'][$requestType] ?? [];
         $common = $this->config['form_fields']['common'] ?? [];
-        $specific = $this->config['form_fields']['request_types'][$requestType]['fields'] ?? [];
+        $specific = $typeConfig['fields'] ?? [];
+        $computed = $typeConfig['computed'] ?? [];
+        
+        return array_map(function (array $field) use ($computed) {
+            if (isset($field['name'], $computed[$field['name']])) {
+                $field['computed'] = $computed[$field['name']];
+            }
+            return $field;
+        }, array_merge($common, $specific));
+    }
+    
+    /**
+     * Get the wizard steps of a request type, or an empty array for a single-page form
+     * Common fields no step lists go to the first step, other unlisted fields to the last
+     * 
+     * @return array Steps with id, title, description and the names of their fields
+     */
+    public function getFormSteps(string $requestType): array
+    {
+        $typeConfig = $this->config['form_fields']['request_types'][$requestType] ?? [];
+        $steps = $typeConfig['steps'] ?? $typeConfig['sections'] ?? [];
+        
+        if (empty($steps)) {
+            return [];
+        }
+        
+        $fieldNames = array_column($this->getFormFields($requestType), 'name');
+        $commonNames = array_column($this->config['form_fields']['common'] ?? [], 'name');
+        
+        $normalized = [];
+        $assigned = [];
+        $usedIds = [];
+        
+        foreach (array_values($steps) as $index => $step) {
+            $fields = [];
+            foreach ($step['fields'] ?? [] as $name) {
+                if (in_array($name, $fieldNames, true) && !in_array($name, $assigned, true)) {
+                    $fields[] = $name;
+                    $assigned[] = $name;
+                }
+            }
+            
+            $title = $step['title'] ?? 'Step ' . ($index + 1);
+            $id = trim(preg_replace('/[^a-z0-9]+/', '-', strtolower($step['id'] ?? $title)), '-');
+            if ($id === '' || in_array($id, $usedIds, true)) {
+                $id = 'step-' . ($index + 1);
+            }
+            $usedIds[] = $id;
+            
+            $normalized[] = [
+                'id' => $id,
+                'title' => $title,
+                'description' => $step['description'] ?? '',
+                'fields' => $fields
+            ];
+        }
         
-        return array_merge($common, $specific);
+        $unassigned = array_values(array_diff($fieldNames, $assigned));
+        $unassignedCommon = array_values(array_intersect($unassigned, $commonNames));
+        $unassignedOther = array_values(array_diff($unassigned, $commonNames));
+        
+        $last = count($normalized) - 1;
+        $normalized[0]['fields'] = array_merge($unassignedCommon, $normalized[0]['fields']);
+        $normalized[$last]['fields'] = array_merge($normalized[$last]['fields'], $unassignedOther);
+        
+        return $normalized;
     }
     
     public function getRequestTypes(): array
@@ -109,4 +183,75 @@ class ConfigService
         $typeConfig = $this->config['form_fields']['request_types'][$requestType] ?? [];
         return $typeConfig['freescout_tags'] ?? [];
     }
+    
+    /**
+     * Drop regex rules whose pattern does not compile, so a mistake in
+     * form_fields.yaml is logged once here rather than failing every validation
+     */
+    private function removeInvalidRegexRules(): void
+    {
+        if (isset($this->config['form_fields']['common'])) {
+            $this->config['form_fields']['common'] = $this->checkRegexRules($this->config['form_fields']['common']);
+        }
+        
+        foreach ($this->config['form_fields']['request_types'] ?? [] as $type => $typeConfig) {
+            if (isset($typeConfig['fields'])) {
+                $this->config['form_fields']['request_types'][$type]['fields'] = $this->checkRegexRules($typeConfig['fields']);
+            }
+        }
+    }
+    
+    private function checkRegexRules(array $fields): array
+    {
+        foreach ($fields as $index => $field) {
+            if (!is_array($field)) {
+                continue;
+            }
+            
+            // The row fields of repeatable groups
+            if (isset($field['fields']) && is_array($field['fields'])) {
+                $fields[$index]['fields'] = $this->checkRegexRules($field['fields']);
+            }
+            
+            if (empty($field['validation'])) {
+                continue;
+            }
+            
+            $rules = is_array($field['validation']) ? $field['validation'] : explode('|', (string) $field['validation']);
+            $validRules = array_filter($rules, function ($rule) use ($field) {
+                $rule = trim((string) $rule);
+                if (!str_starts_with($rule, 'regex:')) {
+                    return true;
+                }
+                
+                // The reason is only given in the warning preg_match() raises
+                $error = null;
+                set_error_handler(function (int $errno, string $message) use (&$error) {
+                    $error = $message;
+                    return true;
+                });
+                $compiles = preg_match(substr($rule, 6), '') !== false;
+                restore_error_handler();
+                
+                if ($compiles) {
+                    return true;
+                }
+                
+                $this->logger?->error('Invalid regex rule in form_fields.yaml is ignored', [
+                    'field' => $field['name'] ?? '',
+                    'pattern' => substr($rule, 6),
+                    'error' => $error ?? preg_last_error_msg()
+                ]);
+                return false;
+            });
+            
+            if (count($validRules) !== count($rules)) {
+                $fields[$index]['validation'] = is_array($field['validation'])
+                    ? array_values($validRules)
+                    : implode('|', $validRules);
+            }
+        }
+        
+        return $fields;
+    }
 }
@@ -81,6 +81,37 @@ class DatabaseService
             )
         ");
         
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS drafts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                draft_id TEXT UNIQUE NOT NULL,
+                owner_email TEXT NOT NULL,
+                request_type TEXT NOT NULL,
+                name TEXT NOT NULL,
+                form_data TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        ");
+        
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS pending_uploads (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                upload_id TEXT UNIQUE NOT NULL,
+                owner_email TEXT NOT NULL,
+                original_filename TEXT NOT NULL,
+                file_size INTEGER NOT NULL,
+                total_chunks INTEGER NOT NULL,
+                received_chunks INTEGER DEFAULT 0,
+                stored_filename TEXT,
+                mime_type TEXT,
+                submission_uuid TEXT,
+                status TEXT DEFAULT 'uploading',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        ");
+        
         $this->pdo->exec("
             CREATE TABLE IF NOT EXISTS local_users (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -97,13 +128,26 @@ class DatabaseService
             )
         ");
         
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS kb_deflections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                article_id TEXT NOT NULL,
+                request_type TEXT NOT NULL,
+                user_email TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        ");
+        
         // Create indexes
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_submissions_email ON submissions(requester_email)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(status)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_autosave_expires ON autosave_data(expires_at)");
+        $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_drafts_owner ON drafts(owner_email, request_type)");
+        $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_pending_uploads_status ON pending_uploads(status, updated_at)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_local_users_username ON local_users(username)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_local_users_email ON local_users(email)");
+        $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_kb_deflections_article ON kb_deflections(article_id)");
     }
     
     public function logSubmission(array $data): string
@@ -170,6 +214,20 @@ class DatabaseService
         return $result ?: null;
     }
     
+    /**
+     * Request types of a user's tickets, keyed by FreeScout ticket ID
+     */
+    public function getTicketRequestTypes(string $requesterEmail): array
+    {
+        $stmt = $this->pdo->prepare("
+            SELECT freescout_ticket_id, request_type FROM submissions
+            WHERE requester_email = ? AND freescout_ticket_id IS NOT NULL
+        ");
+        $stmt->execute([$requesterEmail]);
+        
+        return $stmt->fetchAll(PDO::FETCH_KEY_PAIR);
+    }
+    
     public function logFileUpload(string $submissionUuid, array $fileData): void
     {
         $stmt = $this->pdo->prepare("
@@ -228,6 +286,20 @@ class DatabaseService
         return $result ?: null;
     }
     
+    /**
+     * Move the expiry of a valid session; false when it has expired or does not exist
+     */
+    public function extendSession(string $sessionId, int $expiresIn): bool
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE user_sessions SET expires_at = ?
+            WHERE session_id = ? AND expires_at > CURRENT_TIMESTAMP
+        ");
+        $stmt->execute([date('Y-m-d H:i:s', time() + $expiresIn), $sessionId]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
     public function deleteSession(string $sessionId): void
     {
         $stmt = $this->pdo->prepare("DELETE FROM user_sessions WHERE session_id = ?");
@@ -273,10 +345,247 @@ class DatabaseService
         return $result ? json_decode($result['form_data'], true) : null;
     }
     
-    public function cleanupExpired(): void
+    // Named draft methods
+    
+    /**
+     * Create a named draft; returns it without its form data
+     */
+    public function createDraft(string $ownerEmail, string $requestType, string $name, array $formData): array
+    {
+        $draftId = \Ramsey\Uuid\Uuid::uuid4()->toString();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        $stmt = $this->pdo->prepare("
+            INSERT INTO drafts (draft_id, owner_email, request_type, name, form_data, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        ");
+        $stmt->execute([$draftId, $ownerEmail, $requestType, $name, json_encode($formData), $now, $now]);
+        
+        return [
+            'draft_id' => $draftId,
+            'request_type' => $requestType,
+            'name' => $name,
+            'created_at' => $now,
+            'updated_at' => $now
+        ];
+    }
+    
+    /**
+     * Get a draft with its form data, only for its owner
+     */
+    public function getDraft(string $draftId, string $ownerEmail): ?array
+    {
+        $stmt = $this->pdo->prepare("
+            SELECT draft_id, request_type, name, form_data, created_at, updated_at
+            FROM drafts WHERE draft_id = ? AND owner_email = ?
+        ");
+        $stmt->execute([$draftId, $ownerEmail]);
+        
+        $result = $stmt->fetch(PDO::FETCH_ASSOC);
+        if ($result) {
+            $result['form_data'] = json_decode($result['form_data'], true) ?: [];
+        }
+        
+        return $result ?: null;
+    }
+    
+    /**
+     * List a user's drafts, most recently edited first, optionally for one request type
+     */
+    public function getDrafts(string $ownerEmail, ?string $requestType = null): array
+    {
+        $sql = "SELECT draft_id, request_type, name, created_at, updated_at FROM drafts WHERE owner_email = ?";
+        $params = [$ownerEmail];
+        
+        if ($requestType !== null) {
+            $sql .= " AND request_type = ?";
+            $params[] = $requestType;
+        }
+        
+        $stmt = $this->pdo->prepare($sql . " ORDER BY updated_at DESC, id DESC");
+        $stmt->execute($params);
+        
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+    
+    /**
+     * Replace the form data of a draft; false when the user has no such draft
+     */
+    public function updateDraft(string $draftId, string $ownerEmail, array $formData): bool
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE drafts SET form_data = ?, updated_at = ?
+            WHERE draft_id = ? AND owner_email = ?
+        ");
+        $stmt->execute([json_encode($formData), gmdate('Y-m-d H:i:s'), $draftId, $ownerEmail]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    /**
+     * Delete a draft; false when the user has no such draft
+     */
+    public function deleteDraft(string $draftId, string $ownerEmail): bool
+    {
+        $stmt = $this->pdo->prepare("DELETE FROM drafts WHERE draft_id = ? AND owner_email = ?");
+        $stmt->execute([$draftId, $ownerEmail]);
+        
+        return $stmt->rowCount() > 0;
+    }
+    
+    /**
+     * Remove expired sessions and autosaves, and resumable uploads that were
+     * not attached within $uploadMaxAge seconds, with their files
+     *
+     * @return int Number of removed uploads
+     */
+    public function cleanupExpired(FileUploadService $fileUploadService, int $uploadMaxAge = 86400): int
     {
         $this->pdo->exec("DELETE FROM user_sessions WHERE expires_at <= CURRENT_TIMESTAMP");
         $this->pdo->exec("DELETE FROM autosave_data WHERE expires_at <= CURRENT_TIMESTAMP");
+        
+        // Abandoned resumable uploads: remove their files before the records that name them
+        $stmt = $this->pdo->prepare("
+            SELECT upload_id, stored_filename FROM pending_uploads 
+            WHERE status != 'attached' AND updated_at <= datetime('now', ?)
+        ");
+        $stmt->execute(['-' . max(0, $uploadMaxAge) . ' seconds']);
+        $uploads = $stmt->fetchAll(PDO::FETCH_ASSOC);
+        
+        foreach ($uploads as $upload) {
+            try {
+                $fileUploadService->discardChunkedUpload($upload['upload_id'], $upload['stored_filename']);
+            } catch (\InvalidArgumentException $e) {
+                // A malformed upload ID never got a file
+            }
+            $this->deletePendingUpload($upload['upload_id']);
+        }
+        
+        return count($uploads);
+    }
+    
+    // Knowledge-base deflection methods
+    
+    /**
+     * Record that a knowledge-base article solved a problem before a request was sent
+     */
+    public function logDeflection(string $articleId, string $requestType, string $userEmail): void
+    {
+        $stmt = $this->pdo->prepare("
+            INSERT INTO kb_deflections (article_id, request_type, user_email)
+            VALUES (?, ?, ?)
+        ");
+        $stmt->execute([$articleId, $requestType, $userEmail]);
+    }
+    
+    /**
+     * Number of times each article solved a problem, keyed by article id
+     */
+    public function getDeflectionCounts(): array
+    {
+        $stmt = $this->pdo->query("SELECT article_id, COUNT(*) AS solved FROM kb_deflections GROUP BY article_id");
+        
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_KEY_PAIR));
+    }
+    
+    // Resumable upload methods
+    
+    /**
+     * Register a new resumable upload
+     */
+    public function createPendingUpload(array $uploadData): void
+    {
+        $stmt = $this->pdo->prepare("
+            INSERT INTO pending_uploads (upload_id, owner_email, original_filename, file_size, total_chunks)
+            VALUES (?, ?, ?, ?, ?)
+        ");
+        
+        $stmt->execute([
+            $uploadData['upload_id'],
+            $uploadData['owner_email'],
+            $uploadData['original_filename'],
+            $uploadData['file_size'],
+            $uploadData['total_chunks']
+        ]);
+    }
+    
+    /**
+     * Get a resumable upload by its client-generated ID
+     */
+    public function getPendingUpload(string $uploadId): ?array
+    {
+        $stmt = $this->pdo->prepare("SELECT * FROM pending_uploads WHERE upload_id = ?");
+        $stmt->execute([$uploadId]);
+        
+        $result = $stmt->fetch(PDO::FETCH_ASSOC);
+        if ($result) {
+            $result['file_size'] = (int) $result['file_size'];
+            $result['total_chunks'] = (int) $result['total_chunks'];
+            $result['received_chunks'] = (int) $result['received_chunks'];
+        }
+        
+        return $result ?: null;
+    }
+    
+    /**
+     * Record how many chunks of an upload have been stored
+     */
+    public function updatePendingUploadProgress(string $uploadId, int $receivedChunks): void
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE pending_uploads 
+            SET received_chunks = ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE upload_id = ?
+        ");
+        $stmt->execute([$receivedChunks, $uploadId]);
+    }
+    
+    /**
+     * Mark an upload as complete once its file has been validated and stored
+     */
+    public function completePendingUpload(string $uploadId, string $storedFilename, string $mimeType): void
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE pending_uploads 
+            SET status = 'complete', stored_filename = ?, mime_type = ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE upload_id = ?
+        ");
+        $stmt->execute([$storedFilename, $mimeType, $uploadId]);
+    }
+    
+    /**
+     * Mark an upload as claimed by a submission
+     */
+    public function attachPendingUpload(string $uploadId, string $submissionUuid): void
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE pending_uploads 
+            SET status = 'attached', submission_uuid = ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE upload_id = ?
+        ");
+        $stmt->execute([$submissionUuid, $uploadId]);
+    }
+    
+    /**
+     * Make an attached upload available again after its submission failed
+     */
+    public function releasePendingUpload(string $uploadId): void
+    {
+        $stmt = $this->pdo->prepare("
+            UPDATE pending_uploads 
+            SET status = 'complete', submission_uuid = NULL, updated_at = CURRENT_TIMESTAMP 
+            WHERE upload_id = ?
+        ");
+        $stmt->execute([$uploadId]);
+    }
+    
+    /**
+     * Delete a resumable upload record
+     */
+    public function deletePendingUpload(string $uploadId): void
+    {
+        $stmt = $this->pdo->prepare("DELETE FROM pending_uploads WHERE upload_id = ?");
+        $stmt->execute([$uploadId]);
     }
     
     // Local user authentication methods
@@ -367,6 +676,24 @@ class DatabaseService
         return $results;
     }
     
+    /**
+     * Active local users whose name, email or username contains the query
+     */
+    public function searchLocalUsers(string $query, int $limit = 10): array
+    {
+        $pattern = '%' . addcslashes($query, '%_\\') . '%';
+        $stmt = $this->pdo->prepare("
+            SELECT username, email, name, department, title FROM local_users
+            WHERE is_active = 1
+              AND (name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR username LIKE ? ESCAPE '\\')
+            ORDER BY name
+            LIMIT ?
+        ");
+        $stmt->execute([$pattern, $pattern, $pattern, $limit]);
+        
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+    
     /**
      * Update a local user's password
      */
@@ -0,0 +1,161 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+use Psr\Log\LoggerInterface;
+
+/**
+ * Looks up colleagues for autocomplete fields, such as the manager on the
+ * onboarding form.
+ *
+ * The LDAP directory is searched when LDAP login is enabled; the local accounts
+ * are searched instead when it is not, or when the directory cannot be reached.
+ * After a failed search the directory is left alone for LDAP_RETRY_AFTER
+ * seconds, so an unreachable server does not slow down every keystroke. Other
+ * requests learn about the failure through the modification time of
+ * $unavailableFile, when one is given.
+ * Results have a name, email, department and title, people whose name starts
+ * with the query come first, and each email address is listed once.
+ */
+class DirectoryService
+{
+    public const MIN_QUERY_LENGTH = 2;
+    public const MAX_QUERY_LENGTH = 100;
+    public const LDAP_RETRY_AFTER = 60;
+
+    private LdapService $ldapService;
+    private LocalAuthService $localAuthService;
+    private LoggerInterface $logger;
+    private bool $ldapEnabled;
+    private int $maxResults;
+    private ?string $unavailableFile;
+    private int $ldapFailedAt = 0;
+
+    public function __construct(
+        LdapService $ldapService,
+        LocalAuthService $localAuthService,
+        LoggerInterface $logger,
+        bool $ldapEnabled = true,
+        int $maxResults = 10,
+        ?string $unavailableFile = null
+    ) {
+        $this->ldapService = $ldapService;
+        $this->localAuthService = $localAuthService;
+        $this->logger = $logger;
+        $this->ldapEnabled = $ldapEnabled;
+        $this->maxResults = $maxResults;
+        $this->unavailableFile = $unavailableFile;
+    }
+
+    /**
+     * People whose name or email address contains the query, best match first;
+     * nothing for queries shorter than MIN_QUERY_LENGTH
+     */
+    public function search(string $query): array
+    {
+        $query = mb_substr(trim(preg_replace('/\s+/u', ' ', $query)), 0, self::MAX_QUERY_LENGTH);
+        if (mb_strlen($query) < self::MIN_QUERY_LENGTH) {
+            return [];
+        }
+
+        $people = null;
+        if ($this->ldapEnabled && $this->ldapAvailable()) {
+            try {
+                $people = $this->ldapService->searchUsers($query, $this->maxResults * 2);
+            } catch (\Exception $e) {
+                $this->logger->warning('Directory search failed, searching local users instead', [
+                    'error' => $e->getMessage(),
+                    'retry_after' => self::LDAP_RETRY_AFTER
+                ]);
+                $this->markLdapUnavailable();
+            }
+        }
+
+        if ($people === null) {
+            $people = $this->localAuthService->searchUsers($query, $this->maxResults * 2);
+        }
+
+        return array_slice($this->rank($this->normalize($people), $query), 0, $this->maxResults);
+    }
+
+    /**
+     * False for LDAP_RETRY_AFTER seconds after a search failed, here or in
+     * another request
+     */
+    private function ldapAvailable(): bool
+    {
+        $failedAt = $this->ldapFailedAt;
+        if ($this->unavailableFile !== null && is_file($this->unavailableFile)) {
+            clearstatcache(true, $this->unavailableFile);
+            $failedAt = max($failedAt, (int) filemtime($this->unavailableFile));
+        }
+
+        return time() - $failedAt >= self::LDAP_RETRY_AFTER;
+    }
+
+    private function markLdapUnavailable(): void
+    {
+        $this->ldapFailedAt = time();
+
+        if ($this->unavailableFile !== null) {
+            $directory = dirname($this->unavailableFile);
+            if ((is_dir($directory) || mkdir($directory, 0755, true)) && !touch($this->unavailableFile)) {
+                $this->logger->warning('Could not record that the directory is unavailable', [
+                    'file' => $this->unavailableFile
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Drop entries without a name and repeated email addresses
+     */
+    private function normalize(array $people): array
+    {
+        $result = [];
+
+        foreach ($people as $person) {
+            $name = trim((string) ($person['name'] ?? ''));
+            $email = trim((string) ($person['email'] ?? ''));
+            if ($name === '') {
+                continue;
+            }
+
+            $key = $email !== '' ? mb_strtolower($email) : 'name:' . mb_strtolower($name);
+            if (isset($result[$key])) {
+                continue;
+            }
+
+            $result[$key] = [
+                'name' => $name,
+                'email' => $email,
+                'department' => trim((string) ($person['department'] ?? '')),
+                'title' => trim((string) ($person['title'] ?? ''))
+            ];
+        }
+
+        return array_values($result);
+    }
+
+    /**
+     * Names that start with the query first, then names with a word that
+     * does, then the rest; alphabetically within each
+     */
+    private function rank(array $people, string $query): array
+    {
+        $query = mb_strtolower($query);
+        $rank = function (array $person) use ($query): int {
+            $name = mb_strtolower($person['name']);
+            if (str_starts_with($name, $query)) {
+                return 0;
+            }
+            return str_contains($name, ' ' . $query) ? 1 : 2;
+        };
+
+        usort($people, fn(array $a, array $b) =>
+            [$rank($a), mb_strtolower($a['name'])] <=> [$rank($b), mb_strtolower($b['name'])]);
+
+        return $people;
+    }
+}
@@ -0,0 +1,134 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * Finds the user's open tickets that look like the request they are about to
+ * submit, so the confirmation dialog can warn before the same problem is
+ * reported twice.
+ *
+ * Subjects are compared word by word (Dice coefficient) after dropping common
+ * English and Dutch words; a word also matches its plural, a half-typed form or
+ * the same word with one typo. Tickets the portal created for the same request
+ * type count a bit more, those of another type less.
+ */
+class DuplicateTicketService
+{
+    private const OPEN_STATUSES = ['active', 'pending'];
+    private const SAME_TYPE_BONUS = 0.1;
+    private const OTHER_TYPE_FACTOR = 0.7;
+
+    private const STOP_WORDS = [
+        'a', 'an', 'and', 'are', 'at', 'be', 'but', 'can', 'cannot', 'do', 'does', 'for', 'from', 'has',
+        'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'please',
+        'the', 'this', 'that', 'to', 'was', 'when', 'with', 'work', 'working', 'works',
+        'als', 'bij', 'dat', 'de', 'die', 'een', 'en', 'er', 'geen', 'het', 'hoe', 'ik', 'kan',
+        'met', 'mijn', 'naar', 'niet', 'of', 'om', 'ook', 'op', 'te', 'van', 'voor', 'wel', 'werkt', 'zijn'
+    ];
+
+    private float $threshold;
+    private int $maxResults;
+
+    /**
+     * @param array $settings settings.duplicate_check: threshold (0-1) and max_results
+     */
+    public function __construct(array $settings = [])
+    {
+        $this->threshold = (float) ($settings['threshold'] ?? 0.5);
+        $this->maxResults = (int) ($settings['max_results'] ?? 3);
+    }
+
+    /**
+     * The open conversations that are likely duplicates, best match first
+     *
+     * @param array $conversations The user's conversations (FreeScoutService::getCustomerConversations)
+     * @param array $ticketTypes Request type per ticket ID, for tickets created by the portal
+     */
+    public function findDuplicates(array $conversations, string $subject, string $requestType, array $ticketTypes = []): array
+    {
+        $duplicates = [];
+
+        foreach ($conversations as $conversation) {
+            if (!in_array($conversation['status'] ?? '', self::OPEN_STATUSES, true)) {
+                continue;
+            }
+
+            $score = $this->similarity($subject, (string) ($conversation['subject'] ?? ''));
+
+            $ticketType = $ticketTypes[$conversation['id'] ?? 0] ?? null;
+            if ($ticketType === $requestType) {
+                $score = min(1.0, $score + self::SAME_TYPE_BONUS);
+            } elseif ($ticketType !== null) {
+                $score *= self::OTHER_TYPE_FACTOR;
+            }
+
+            if ($score >= $this->threshold) {
+                $duplicates[] = [
+                    'id' => (int) $conversation['id'],
+                    'number' => $conversation['number'] ?? $conversation['id'],
+                    'subject' => $conversation['subject'] ?? '',
+                    'status' => $conversation['status'],
+                    'updated_at' => $conversation['updatedAt'] ?? null,
+                    'score' => round($score, 2)
+                ];
+            }
+        }
+
+        usort($duplicates, fn(array $a, array $b) => $b['score'] <=> $a['score']);
+
+        return array_slice($duplicates, 0, $this->maxResults);
+    }
+
+    /**
+     * Similarity of two subjects from 0 (no words in common) to 1 (the same words)
+     */
+    public function similarity(string $a, string $b): float
+    {
+        $wordsA = $this->words($a);
+        $wordsB = $this->words($b);
+
+        if (empty($wordsA) || empty($wordsB)) {
+            return 0.0;
+        }
+
+        $matches = 0;
+        foreach ($wordsA as $word) {
+            foreach ($wordsB as $other) {
+                if ($this->wordsMatch($word, $other)) {
+                    $matches++;
+                    break;
+                }
+            }
+        }
+
+        return min(1.0, 2 * $matches / (count($wordsA) + count($wordsB)));
+    }
+
+    private function words(string $text): array
+    {
+        $words = preg_split('/[^\p{L}\p{N}]+/u', mb_strtolower($text), -1, PREG_SPLIT_NO_EMPTY);
+
+        return array_values(array_unique(array_filter(
+            $words,
+            fn(string $word) => mb_strlen($word) >= 2 && !in_array($word, self::STOP_WORDS, true)
+        )));
+    }
+
+    private function wordsMatch(string $a, string $b): bool
+    {
+        if ($a === $b) {
+            return true;
+        }
+
+        $shorter = mb_strlen($a) <= mb_strlen($b) ? $a : $b;
+        $longer = $shorter === $a ? $b : $a;
+
+        // Plurals and other endings: "printer" and "printers", "connect" and "connecting"
+        if (mb_strlen($shorter) >= 4 && str_starts_with($longer, $shorter)) {
+            return true;
+        }
+
+        return mb_strlen($shorter) >= 5 && levenshtein($a, $b) <= 1;
+    }
+}
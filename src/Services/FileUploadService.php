@@ -60,25 +60,181 @@ class FileUploadService
         return $uploadedFiles;
     }
     
-    private function validateFile(UploadedFileInterface $file): void
+    /**
+     * Append one chunk of a resumable upload to its partial file
+     * 
+     * @return int Size of the partial file after appending
+     */
+    public function appendChunk(string $uploadId, UploadedFileInterface $chunk): int
     {
-        // Check for upload errors
-        if ($file->getError() !== UPLOAD_ERR_OK) {
-            throw new \RuntimeException('File upload error: ' . $this->getUploadErrorMessage($file->getError()));
+        if ($chunk->getError() !== UPLOAD_ERR_OK) {
+            throw new \RuntimeException('File upload error: ' . $this->getUploadErrorMessage($chunk->getError()));
+        }
+        
+        $partialPath = $this->getPartialPath($uploadId);
+        $handle = fopen($partialPath, 'ab');
+        if ($handle === false) {
+            throw new \RuntimeException('Failed to store upload chunk');
+        }
+        
+        $stream = $chunk->getStream();
+        $stream->rewind();
+        while (!$stream->eof()) {
+            fwrite($handle, $stream->read(65536));
+        }
+        fclose($handle);
+        
+        clearstatcache(true, $partialPath);
+        $size = (int) filesize($partialPath);
+        
+        if ($size > $this->maxFileSize) {
+            unlink($partialPath);
+            $maxSizeMB = round($this->maxFileSize / 1024 / 1024, 2);
+            throw new \RuntimeException("File size exceeds maximum allowed size of {$maxSizeMB}MB");
+        }
+        
+        return $size;
+    }
+    
+    /**
+     * Validate and store a resumable upload once all chunks have arrived
+     * The file is kept under a temporary name until a submission claims it
+     */
+    public function finalizeChunkedUpload(string $uploadId, string $originalFilename, int $expectedSize): array
+    {
+        $partialPath = $this->getPartialPath($uploadId);
+        
+        if (!is_file($partialPath)) {
+            throw new \RuntimeException('Upload not found');
+        }
+        
+        clearstatcache(true, $partialPath);
+        $size = (int) filesize($partialPath);
+        
+        try {
+            if ($size !== $expectedSize) {
+                throw new \RuntimeException('Uploaded file is incomplete');
+            }
+            
+            $this->validateFileMetadata($originalFilename, $size);
+            $this->validateContent((string) file_get_contents($partialPath), $originalFilename);
+        } catch (\RuntimeException $e) {
+            unlink($partialPath);
+            throw $e;
+        }
+        
+        $extension = strtolower(pathinfo($originalFilename, PATHINFO_EXTENSION));
+        $filename = 'temp_' . $uploadId . '.' . $extension;
+        $filepath = $this->uploadPath . '/' . $filename;
+        
+        if (!rename($partialPath, $filepath)) {
+            throw new \RuntimeException('Failed to store uploaded file');
+        }
+        
+        return [
+            'original_filename' => $originalFilename,
+            'stored_filename' => $filename,
+            'file_size' => $size,
+            'mime_type' => mime_content_type($filepath) ?: 'application/octet-stream',
+            'file_path' => $filepath
+        ];
+    }
+    
+    /**
+     * Remove the partial and/or stored file of an abandoned upload
+     */
+    public function discardChunkedUpload(string $uploadId, ?string $storedFilename = null): void
+    {
+        $partialPath = $this->getPartialPath($uploadId);
+        if (is_file($partialPath)) {
+            unlink($partialPath);
+        }
+        
+        if ($storedFilename !== null) {
+            $this->deleteFile($storedFilename);
+        }
+    }
+    
+    /**
+     * Move a finished upload to its submission
+     */
+    public function attachToSubmission(string $storedFilename, string $submissionUuid, string $originalFilename, string $mimeType): array
+    {
+        $source = $this->getFile($storedFilename);
+        if (!$source) {
+            throw new \RuntimeException("Attachment '{$originalFilename}' is no longer available, please upload it again");
         }
         
+        $extension = strtolower(pathinfo($storedFilename, PATHINFO_EXTENSION));
+        $filename = $submissionUuid . '_' . uniqid() . '.' . $extension;
+        $filepath = $this->uploadPath . '/' . $filename;
+        
+        if (!rename($source, $filepath)) {
+            throw new \RuntimeException("Failed to attach '{$originalFilename}'");
+        }
+        
+        return [
+            'original_filename' => $originalFilename,
+            'stored_filename' => $filename,
+            'file_size' => filesize($filepath),
+            'mime_type' => $mimeType,
+            'file_path' => $filepath
+        ];
+    }
+    
+    /**
+     * Give a file moved by attachToSubmission back to its upload, so it can be sent again
+     */
+    public function releaseFromSubmission(string $storedFilename, string $pendingFilename): void
+    {
+        $source = $this->getFile($storedFilename);
+        if (!$source || !rename($source, $this->uploadPath . '/' . basename($pendingFilename))) {
+            throw new \RuntimeException("Failed to release '{$storedFilename}'");
+        }
+    }
+    
+    /**
+     * Check name and size of a file before accepting any of its content
+     */
+    public function validateFileMetadata(string $filename, int $size): void
+    {
         // Check file size
-        if ($file->getSize() > $this->maxFileSize) {
+        if ($size > $this->maxFileSize) {
             $maxSizeMB = round($this->maxFileSize / 1024 / 1024, 2);
             throw new \RuntimeException("File size exceeds maximum allowed size of {$maxSizeMB}MB");
         }
         
         // Check file type
-        $extension = strtolower(pathinfo($file->getClientFilename(), PATHINFO_EXTENSION));
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
         if (!in_array($extension, $this->allowedTypes)) {
             $allowedTypes = implode(', ', $this->allowedTypes);
             throw new \RuntimeException("File type not allowed. Allowed types: {$allowedTypes}");
         }
+    }
+    
+    private function getPartialPath(string $uploadId): string
+    {
+        if (!preg_match('/^[A-Za-z0-9-]{16,64}$/', $uploadId)) {
+            throw new \InvalidArgumentException('Invalid upload ID');
+        }
+        
+        $chunkPath = $this->uploadPath . '/chunks';
+        if (!is_dir($chunkPath)) {
+            mkdir($chunkPath, 0755, true);
+        }
+        
+        return $chunkPath . '/' . $uploadId . '.part';
+    }
+    
+    private function validateFile(UploadedFileInterface $file): void
+    {
+        // Check for upload errors
+        if ($file->getError() !== UPLOAD_ERR_OK) {
+            throw new \RuntimeException('File upload error: ' . $this->getUploadErrorMessage($file->getError()));
+        }
+        
+        // Check file size and type
+        $this->validateFileMetadata($file->getClientFilename(), (int) $file->getSize());
         
         // Additional security checks
         $this->validateFileContent($file);
@@ -92,8 +248,13 @@ class FileUploadService
         $content = $stream->getContents();
         $stream->rewind();
         
+        $this->validateContent($content, $file->getClientFilename());
+    }
+    
+    private function validateContent(string $content, string $filename): void
+    {
         // Check if file is actually an image for image extensions
-        $extension = strtolower(pathinfo($file->getClientFilename(), PATHINFO_EXTENSION));
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
         $imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'];
         
         if (in_array($extension, $imageExtensions)) {
@@ -17,12 +17,14 @@ class FreeScoutService
     private array $mappings;
     private ?array $fieldDefinitions = null;
     private ?int $mailboxId = null;
+    private MarkdownService $markdown;
     
-    public function __construct(string $apiUrl, string $apiKey, LoggerInterface $logger, ?array $mappings = null, ?array $fieldDefinitions = null, ?int $mailboxId = null)
+    public function __construct(string $apiUrl, string $apiKey, LoggerInterface $logger, MarkdownService $markdown, ?array $mappings = null, ?array $fieldDefinitions = null, ?int $mailboxId = null)
     {
         $this->apiUrl = rtrim($apiUrl, '/');
         $this->apiKey = $apiKey;
         $this->logger = $logger;
+        $this->markdown = $markdown;
         $this->mailboxId = $mailboxId;
         
         // Load mappings from config file or use provided mappings
@@ -492,7 +494,10 @@ class FreeScoutService
         return $customFields;
     }
     
-    public function buildTicketData(array $formData, string $requestType): array
+    /**
+     * @param array $context page_url and app_name of the page that embedded the form (optional)
+     */
+    public function buildTicketData(array $formData, string $requestType, array $context = []): array
     {
         // Get or create customer
         $customer = $this->getCustomer($formData['requester_email']);
@@ -511,7 +516,7 @@ class FreeScoutService
         $subject = $this->buildSubject($requestType, $formData);
         
         // Build body
-        $body = $this->buildBody($requestType, $formData);
+        $body = $this->buildBody($requestType, $formData) . $this->buildContext($context);
         
         // Parse name into first and last
         $nameParts = explode(' ', $formData['requester_name'], 2);
@@ -652,12 +657,22 @@ class FreeScoutService
         
         // Build a map of field names to their include_in_body setting from YAML
         $fieldInclusionMap = [];
+        $markdownFields = [];
+        $groupFields = [];
         if ($this->fieldDefinitions !== null) {
             foreach ($this->fieldDefinitions as $fieldDef) {
                 $fieldName = $fieldDef['name'];
                 // Default to true if not specified
                 $includeInBody = $fieldDef['include_in_body'] ?? true;
                 $fieldInclusionMap[$fieldName] = $includeInBody;
+                
+                if (($fieldDef['format'] ?? '') === 'markdown') {
+                    $markdownFields[$fieldName] = true;
+                }
+                
+                if (($fieldDef['type'] ?? '') === 'group') {
+                    $groupFields[$fieldName] = $fieldDef['fields'] ?? [];
+                }
             }
         }
         
@@ -672,19 +687,79 @@ class FreeScoutService
                 continue;
             }
             
+            $label = ucfirst(str_replace('_', ' ', $key));
+            
+            // Rows of a repeatable group become a table
+            if (isset($groupFields[$key])) {
+                $table = $this->buildRowsTable($groupFields[$key], is_array($value) ? $value : []);
+                if ($table !== '') {
+                    $body .= "<p><strong>{$label}:</strong></p>\n" . $table;
+                }
+                continue;
+            }
+            
             if (is_array($value)) {
                 $value = implode(', ', $value);
             }
             
             if (!empty($value)) {
-                $label = ucfirst(str_replace('_', ' ', $key));
-                $body .= "<p><strong>{$label}:</strong> " . htmlspecialchars($value) . "</p>\n";
+                // Text written in the Markdown editor keeps its lists, code blocks and emphasis
+                if (isset($markdownFields[$key])) {
+                    $body .= "<p><strong>{$label}:</strong></p>\n" . $this->markdown->toHtml($value) . "\n";
+                } else {
+                    $body .= "<p><strong>{$label}:</strong> " . htmlspecialchars($value) . "</p>\n";
+                }
             }
         }
         
         return $body;
     }
     
+    /**
+     * Rows of a repeatable group as an HTML table with a column per field of the group
+     */
+    private function buildRowsTable(array $columns, array $rows): string
+    {
+        $rows = array_filter($rows, 'is_array');
+        if (empty($rows) || empty($columns)) {
+            return '';
+        }
+        
+        $html = "<table border=\"1\" cellpadding=\"4\" cellspacing=\"0\">\n<tr>";
+        foreach ($columns as $column) {
+            $html .= '<th>' . htmlspecialchars($column['label'] ?? $column['name']) . '</th>';
+        }
+        $html .= "</tr>\n";
+        
+        foreach ($rows as $row) {
+            $html .= '<tr>';
+            foreach ($columns as $column) {
+                $value = $row[$column['name']] ?? '';
+                $html .= '<td>' . htmlspecialchars(is_scalar($value) ? (string) $value : '') . '</td>';
+            }
+            $html .= "</tr>\n";
+        }
+        
+        return $html . "</table>\n";
+    }
+    
+    /**
+     * "Submitted from" line for requests sent from the widget on another page
+     */
+    private function buildContext(array $context): string
+    {
+        $parts = [];
+        if (!empty($context['app_name'])) {
+            $parts[] = htmlspecialchars($context['app_name']);
+        }
+        if (!empty($context['page_url'])) {
+            $url = htmlspecialchars($context['page_url']);
+            $parts[] = "<a href=\"{$url}\">{$url}</a>";
+        }
+        
+        return $parts ? '<p><strong>Submitted from:</strong> ' . implode(' - ', $parts) . "</p>\n" : '';
+    }
+    
     private function buildTags(string $requestType): array
     {
         $tags = [];
@@ -0,0 +1,100 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * The local knowledge-base index (config/knowledge_base.json) that the form
+ * searches while the requester describes their problem.
+ *
+ * Each article has an id, title, url and optionally a summary, keywords and the
+ * request types it applies to (all types when left out). Entries without an id,
+ * title or a http(s) or site-relative url are skipped. Without an index file
+ * there are no suggestions.
+ */
+class KnowledgeBaseService
+{
+    private string $indexPath;
+    private ?array $articles = null;
+
+    public function __construct(string $indexPath)
+    {
+        $this->indexPath = $indexPath;
+    }
+
+    /**
+     * The articles, optionally only those for one request type
+     */
+    public function getArticles(?string $requestType = null): array
+    {
+        $articles = $this->load();
+
+        if ($requestType === null) {
+            return $articles;
+        }
+
+        return array_values(array_filter(
+            $articles,
+            fn(array $article) => empty($article['request_types']) || in_array($requestType, $article['request_types'], true)
+        ));
+    }
+
+    public function getArticle(string $id): ?array
+    {
+        foreach ($this->load() as $article) {
+            if ($article['id'] === $id) {
+                return $article;
+            }
+        }
+
+        return null;
+    }
+
+    private function load(): array
+    {
+        if ($this->articles !== null) {
+            return $this->articles;
+        }
+
+        if (!file_exists($this->indexPath)) {
+            return $this->articles = [];
+        }
+
+        $data = json_decode((string) file_get_contents($this->indexPath), true);
+        if (!is_array($data)) {
+            throw new \RuntimeException("Invalid knowledge base index: {$this->indexPath}");
+        }
+
+        $this->articles = [];
+        foreach ($data['articles'] ?? $data as $article) {
+            $article = is_array($article) ? $this->normalize($article) : null;
+            if ($article !== null) {
+                $this->articles[] = $article;
+            }
+        }
+
+        return $this->articles;
+    }
+
+    private function normalize(array $article): ?array
+    {
+        $id = trim((string) ($article['id'] ?? ''));
+        $title = trim((string) ($article['title'] ?? ''));
+        $url = trim((string) ($article['url'] ?? ''));
+
+        // Only links the suggestion list can safely open
+        $validUrl = preg_match('#^https?://#i', $url) || (str_starts_with($url, '/') && !str_starts_with($url, '//'));
+        if ($id === '' || $title === '' || !$validUrl) {
+            return null;
+        }
+
+        return [
+            'id' => $id,
+            'title' => $title,
+            'summary' => trim((string) ($article['summary'] ?? '')),
+            'url' => $url,
+            'keywords' => array_values(array_filter(array_map('strval', (array) ($article['keywords'] ?? [])))),
+            'request_types' => array_values(array_map('strval', (array) ($article['request_types'] ?? [])))
+        ];
+    }
+}
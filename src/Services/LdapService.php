@@ -9,8 +9,13 @@ use Symfony\Component\Ldap\Exception\InvalidCredentialsException;
 
 class LdapService
 {
+    // Seconds to wait for the directory when searching: searches run while
+    // the user types, so they give up long before logins do
+    private const SEARCH_TIMEOUT = 3;
+    
     private array $config;
     private ?Ldap $ldap = null;
+    private ?Ldap $searchLdap = null;
     
     public function __construct(array $config)
     {
@@ -96,6 +101,7 @@ class LdapService
                          $username,
                 'department' => $this->getAttribute($user, 'department'),
                 'title' => $this->getAttribute($user, 'title'),
+                'locale' => $this->getAttribute($user, 'preferredLanguage'),
                 'dn' => $userDn
             ];
             
@@ -108,32 +114,37 @@ class LdapService
         }
     }
     
-    public function searchUsers(string $query): array
+    /**
+     * Users whose name or email address contains the query; at most $limit
+     * of them when a limit is given
+     */
+    public function searchUsers(string $query, int $limit = 0): array
     {
-        // Ensure adequate execution time for LDAP operations
-        set_time_limit(600);
-        
-        if (!$this->ldap) {
+        if (!$this->searchLdap) {
             // Ensure host doesn't have protocol prefix for Symfony LDAP
             $host = $this->config['host'];
             $host = preg_replace('/^ldaps?:\/\//', '', $host);
             
-            $this->ldap = Ldap::create('ext_ldap', [
+            $ldap = Ldap::create('ext_ldap', [
                 'host' => $host,
                 'port' => $this->config['port'],
                 'encryption' => 'none',
                 'options' => [
-                    'network_timeout' => 300,  // 5 minutes network timeout
-                    'timelimit' => 300,        // 5 minutes operation timeout
-                    'referrals' => false       // Disable referrals to prevent additional timeouts
+                    'network_timeout' => self::SEARCH_TIMEOUT,  // Connecting
+                    'timeout' => self::SEARCH_TIMEOUT,          // Waiting for results
+                    'timelimit' => self::SEARCH_TIMEOUT,        // Searching, on the server
+                    'referrals' => false
                 ]
             ]);
             
-            $this->ldap->bind($this->config['bind_dn'], $this->config['bind_password']);
+            $ldap->bind($this->config['bind_dn'], $this->config['bind_password']);
+            $this->searchLdap = $ldap;
         }
         
+        // The query is typed by users, so it is escaped for use in the filter
+        $query = ldap_escape($query, '', LDAP_ESCAPE_FILTER);
         $filter = sprintf('(|(cn=*%s*)(mail=*%s*)(displayName=*%s*))', $query, $query, $query);
-        $ldapQuery = $this->ldap->query($this->config['base_dn'], $filter);
+        $ldapQuery = $this->searchLdap->query($this->config['base_dn'], $filter, $limit > 0 ? ['maxItems' => $limit] : []);
         $results = $ldapQuery->execute();
         
         $users = [];
@@ -181,6 +181,23 @@ class LocalAuthService
         return $this->databaseService->getAllLocalUsers();
     }
     
+    /**
+     * Search active local users by name, email or username
+     * 
+     * @param string $query Part of the name, email or username
+     * @param int $limit Maximum number of users
+     * @return array Users in the same format as LdapService::searchUsers
+     */
+    public function searchUsers(string $query, int $limit = 10): array
+    {
+        return array_map(fn(array $user) => [
+            'name' => $user['name'],
+            'email' => $user['email'],
+            'department' => $user['department'],
+            'title' => $user['title']
+        ], $this->databaseService->searchLocalUsers($query, $limit));
+    }
+    
     /**
      * Delete a user
      * 
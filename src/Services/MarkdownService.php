@@ -0,0 +1,170 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * Converts the Markdown written in the portal's editor to HTML for FreeScout.
+ *
+ * Supports the subset the editor offers (markdown-editor.js renders the same
+ * subset for the live preview): paragraphs, line breaks, headings, bulleted and
+ * numbered lists, quotes, fenced code blocks, inline code, bold, italic and links.
+ * All text is escaped before any markup is added, so the output only contains
+ * tags generated here; links are limited to http, https and mailto.
+ */
+class MarkdownService
+{
+    private const FENCE = '/^\s*```\s*([\w+-]*)\s*$/';
+    private const HEADING = '/^(#{1,6})\s+(.+?)\s*#*\s*$/';
+    private const BULLET = '/^\s*[-*+]\s+(.*)$/';
+    private const NUMBERED = '/^\s*(\d{1,9})[.)]\s+(.*)$/';
+    private const QUOTE = '/^\s*>\s?(.*)$/';
+
+    public function toHtml(string $markdown): string
+    {
+        // NUL marks links while formatting a line (see inline())
+        $lines = explode("\n", str_replace(["\r\n", "\r", "\0"], ["\n", "\n", ''], $markdown));
+        $blocks = [];
+        $count = count($lines);
+        $i = 0;
+
+        while ($i < $count) {
+            $line = $lines[$i];
+
+            if (trim($line) === '') {
+                $i++;
+                continue;
+            }
+
+            // Fenced code block, closed by the next fence or the end of the text
+            if (preg_match(self::FENCE, $line, $matches)) {
+                $code = [];
+                for ($i++; $i < $count && !preg_match('/^\s*```\s*$/', $lines[$i]); $i++) {
+                    $code[] = $lines[$i];
+                }
+                $i++;
+
+                $class = $matches[1] !== '' ? ' class="language-' . $this->escape($matches[1]) . '"' : '';
+                $blocks[] = '<pre><code' . $class . '>' . $this->escape(implode("\n", $code)) . '</code></pre>';
+                continue;
+            }
+
+            if (preg_match(self::HEADING, $line, $matches)) {
+                $level = strlen($matches[1]);
+                $blocks[] = "<h{$level}>" . $this->inline($matches[2]) . "</h{$level}>";
+                $i++;
+                continue;
+            }
+
+            if (preg_match(self::BULLET, $line) || preg_match(self::NUMBERED, $line)) {
+                $blocks[] = $this->parseList($lines, $i);
+                continue;
+            }
+
+            if (preg_match(self::QUOTE, $line)) {
+                $quoted = [];
+                while ($i < $count && preg_match(self::QUOTE, $lines[$i], $matches)) {
+                    $quoted[] = $matches[1];
+                    $i++;
+                }
+                $blocks[] = "<blockquote>\n" . $this->toHtml(implode("\n", $quoted)) . "\n</blockquote>";
+                continue;
+            }
+
+            // Paragraph: lines up to a blank line or the start of another block
+            $paragraph = [];
+            while ($i < $count && trim($lines[$i]) !== '' && ($paragraph === [] || !$this->startsBlock($lines[$i]))) {
+                $paragraph[] = $this->inline(trim($lines[$i]));
+                $i++;
+            }
+            $blocks[] = '<p>' . implode("<br>\n", $paragraph) . '</p>';
+        }
+
+        return implode("\n", $blocks);
+    }
+
+    /**
+     * A list of one kind (bulleted or numbered) starting at line $i. Indented lines
+     * continue the previous item; a numbered list keeps its first number.
+     */
+    private function parseList(array $lines, int &$i): string
+    {
+        $ordered = (bool) preg_match(self::NUMBERED, $lines[$i], $first);
+        $pattern = $ordered ? self::NUMBERED : self::BULLET;
+        $items = [];
+        $count = count($lines);
+
+        while ($i < $count) {
+            if (preg_match($pattern, $lines[$i], $matches)) {
+                $items[] = [$this->inline(trim(end($matches)))];
+            } elseif ($items !== [] && preg_match('/^\s{2,}\S/', $lines[$i]) && !$this->startsBlock($lines[$i])) {
+                $items[count($items) - 1][] = $this->inline(trim($lines[$i]));
+            } else {
+                break;
+            }
+            $i++;
+        }
+
+        $tag = $ordered ? 'ol' : 'ul';
+        $start = $ordered && (int) $first[1] !== 1 ? ' start="' . (int) $first[1] . '"' : '';
+        $html = array_map(function ($item) {
+            return '<li>' . implode("<br>\n", $item) . '</li>';
+        }, $items);
+
+        return "<{$tag}{$start}>\n" . implode("\n", $html) . "\n</{$tag}>";
+    }
+
+    private function startsBlock(string $line): bool
+    {
+        return preg_match(self::FENCE, $line)
+            || preg_match(self::HEADING, $line)
+            || preg_match(self::BULLET, $line)
+            || preg_match(self::NUMBERED, $line)
+            || preg_match(self::QUOTE, $line);
+    }
+
+    /**
+     * Inline markup; code spans are kept as they are and link targets are left
+     * out of the emphasis rules
+     */
+    private function inline(string $text): string
+    {
+        $parts = preg_split('/(`[^`]+`)/', $text, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $html = '';
+
+        foreach ($parts as $index => $part) {
+            if ($index % 2 === 1) {
+                $html .= '<code>' . $this->escape(substr($part, 1, -1)) . '</code>';
+                continue;
+            }
+
+            $links = [];
+            $part = preg_replace_callback('/\[([^\]]+)\]\(([^)\s]+)\)/', function ($matches) use (&$links) {
+                if (!preg_match('/^(https?:\/\/|mailto:)/i', $matches[2])) {
+                    return $matches[0];
+                }
+                $links[] = '<a href="' . $this->escape($matches[2]) . '">' . $this->emphasis($this->escape($matches[1])) . '</a>';
+                return "\0" . (count($links) - 1) . "\0";
+            }, $part);
+
+            $part = $this->emphasis($this->escape($part));
+            $html .= preg_replace_callback('/\x00(\d+)\x00/', function ($matches) use ($links) {
+                return $links[(int) $matches[1]];
+            }, $part);
+        }
+
+        return $html;
+    }
+
+    private function emphasis(string $html): string
+    {
+        $html = preg_replace('/\*\*(?=\S)(.+?)(?<=\S)\*\*/', '<strong>$1</strong>', $html);
+        $html = preg_replace('/(?<![*\w])\*(?=\S)(.+?)(?<=\S)\*(?![*\w])/', '<em>$1</em>', $html);
+        return preg_replace('/(?<![_\w])_(?=\S)(.+?)(?<=\S)_(?![_\w])/', '<em>$1</em>', $html);
+    }
+
+    private function escape(string $text): string
+    {
+        return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+    }
+}
@@ -0,0 +1,157 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * Values to pre-fill a request form with: from /form/{type}?field=value links,
+ * from signed links that IT hands out for recurring requests, and from an
+ * earlier submission ("Create similar request").
+ *
+ * Every value is checked against the field definitions with ValidationService;
+ * values that would not pass validation, file fields, the requester fields
+ * (filled from the user's account) and unknown names are dropped. Signed links
+ * carry their values in a token (?prefill=...) signed with PREFILL_SECRET; the
+ * form shows those values read-only and submitForm takes them from the token again.
+ */
+class PrefillService
+{
+    /** Query parameters that are not field names */
+    public const RESERVED_PARAMS = ['draft', 'from', 'prefill'];
+
+    /** Filled from the user's account, never from a link */
+    private const REQUESTER_FIELDS = ['requester_name', 'requester_email'];
+
+    private ValidationService $validationService;
+    private string $secret;
+
+    public function __construct(ValidationService $validationService, string $secret = '')
+    {
+        $this->validationService = $validationService;
+        $this->secret = $secret;
+    }
+
+    /**
+     * The field values in a query string; checkbox groups as field[]=a&field[]=b,
+     * rows of repeatable groups as field[0][column]=a
+     */
+    public function fromQuery(array $fields, array $query): array
+    {
+        return $this->filter($fields, array_diff_key($query, array_flip(self::RESERVED_PARAMS)));
+    }
+
+    /**
+     * Keep the values that fit the field definitions
+     */
+    public function filter(array $fields, array $values): array
+    {
+        $result = [];
+
+        foreach ($fields as $field) {
+            $name = $field['name'];
+            $type = $field['type'] ?? 'text';
+
+            if (!array_key_exists($name, $values) || $type === 'file' || in_array($name, self::REQUESTER_FIELDS, true)) {
+                continue;
+            }
+
+            $value = $type === 'group'
+                ? $this->validationService->removeEmptyRows([$field], [$name => $values[$name]])[$name]
+                : $this->normalize($values[$name], $type === 'checkbox_group');
+            if ($value === null || $value === '' || $value === []) {
+                continue;
+            }
+
+            if ($this->validationService->validateField($field, $value, $values, $fields) === null) {
+                $result[$name] = $value;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Whether signed links can be created and read
+     */
+    public function canSign(): bool
+    {
+        return $this->secret !== '';
+    }
+
+    /**
+     * Token for a signed link to the form of a request type
+     *
+     * @param int|null $expiresAt Unix time after which the link no longer fills in the form
+     */
+    public function createToken(string $requestType, array $values, ?int $expiresAt = null): string
+    {
+        if (!$this->canSign()) {
+            throw new \RuntimeException('PREFILL_SECRET is not set');
+        }
+
+        $payload = $this->base64UrlEncode(json_encode([
+            'type' => $requestType,
+            'values' => $values,
+            'expires' => $expiresAt
+        ]));
+
+        return $payload . '.' . $this->sign($payload);
+    }
+
+    /**
+     * The values of a signed link; null when the signature does not match, the
+     * link is for another request type or it has expired. The values still have
+     * to be filtered against the current field definitions.
+     */
+    public function readToken(string $token, string $requestType, bool $checkExpiry = true): ?array
+    {
+        if (!$this->canSign() || substr_count($token, '.') !== 1) {
+            return null;
+        }
+
+        [$payload, $signature] = explode('.', $token);
+        if (!hash_equals($this->sign($payload), $signature)) {
+            return null;
+        }
+
+        $data = json_decode($this->base64UrlDecode($payload), true);
+        if (!is_array($data) || ($data['type'] ?? null) !== $requestType || !is_array($data['values'] ?? null)) {
+            return null;
+        }
+
+        if ($checkExpiry && isset($data['expires']) && (int) $data['expires'] < time()) {
+            return null;
+        }
+
+        return $data['values'];
+    }
+
+    /**
+     * Strings for single-value fields, lists of strings for checkbox groups
+     */
+    private function normalize($value, bool $isList)
+    {
+        if ($isList) {
+            $items = is_array($value) ? $value : [$value];
+            $items = array_filter($items, fn($item) => is_scalar($item) && trim((string) $item) !== '');
+            return array_values(array_unique(array_map(fn($item) => trim((string) $item), $items)));
+        }
+
+        return is_scalar($value) ? trim((string) $value) : null;
+    }
+
+    private function sign(string $payload): string
+    {
+        return $this->base64UrlEncode(hash_hmac('sha256', $payload, $this->secret, true));
+    }
+
+    private function base64UrlEncode(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    private function base64UrlDecode(string $data): string
+    {
+        return (string) base64_decode(strtr($data, '-_', '+/'), true);
+    }
+}
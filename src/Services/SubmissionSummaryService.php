@@ -0,0 +1,182 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * The answers of a request as a summary grouped by section: one section per
+ * wizard step, or a single one for forms without steps, and the attachments
+ * last. The success page, the print view and the JSON download are built from
+ * it; the confirmation dialog builds the same summary in the browser
+ * (submission-summary.js), so keep the two in step.
+ *
+ * Each item has the name and label of a field, a type and the value as the
+ * requester saw it, with option labels instead of option values:
+ * - text and textarea: a string
+ * - list: a list of strings (checkbox groups, attachments)
+ * - table: ['columns' => labels, 'rows' => lists of strings] (repeatable groups)
+ * Empty fields are left out, and so are sections without items.
+ */
+class SubmissionSummaryService
+{
+    public const ATTACHMENTS_TITLE = 'Attachments';
+
+    /**
+     * Sections of ['title' => ..., 'items' => [...]] for the answers of a request
+     *
+     * @param array $steps Wizard steps (ConfigService::getFormSteps); empty for one section
+     * @param array $files Uploaded files with original_filename and file_size
+     * @param string $title Title of the section of a form without steps
+     */
+    public function build(array $fields, array $steps, array $formData, array $files = [], string $title = ''): array
+    {
+        $fieldsByName = [];
+        foreach ($fields as $field) {
+            if (isset($field['name']) && ($field['type'] ?? '') !== 'file') {
+                $fieldsByName[$field['name']] = $field;
+            }
+        }
+
+        if (empty($steps)) {
+            $steps = [['title' => $title, 'fields' => array_keys($fieldsByName)]];
+        }
+
+        $sections = [];
+        foreach ($steps as $step) {
+            $items = [];
+            foreach ($step['fields'] ?? [] as $name) {
+                $item = isset($fieldsByName[$name]) ? $this->buildItem($fieldsByName[$name], $formData[$name] ?? null) : null;
+                if ($item !== null) {
+                    $items[] = $item;
+                }
+            }
+
+            if (!empty($items)) {
+                $sections[] = ['title' => (string) ($step['title'] ?? ''), 'items' => $items];
+            }
+        }
+
+        $attachments = array_map(fn(array $file) => sprintf(
+            '%s (%s)',
+            $file['original_filename'] ?? '',
+            $this->formatFileSize((int) ($file['file_size'] ?? 0))
+        ), $files);
+
+        if (!empty($attachments)) {
+            $sections[] = [
+                'title' => self::ATTACHMENTS_TITLE,
+                'items' => [[
+                    'name' => 'attachments',
+                    'label' => self::ATTACHMENTS_TITLE,
+                    'type' => 'list',
+                    'value' => $attachments
+                ]]
+            ];
+        }
+
+        return $sections;
+    }
+
+    /**
+     * The summary of a stored submission, with the details of the request
+     * itself, as offered for download
+     */
+    public function forSubmission(
+        array $submission,
+        array $fields,
+        array $steps,
+        array $files,
+        string $typeLabel,
+        ?array $ticket = null
+    ): array {
+        $createdAt = strtotime((string) ($submission['created_at'] ?? '')) ?: time();
+
+        return [
+            'request_type' => $submission['request_type'],
+            'request_type_label' => $typeLabel,
+            'ticket_number' => $ticket['number'] ?? null,
+            'submitted_at' => date(DATE_ATOM, $createdAt),
+            'requester' => [
+                'name' => $submission['requester_name'],
+                'email' => $submission['requester_email']
+            ],
+            'sections' => $this->build($fields, $steps, $submission['form_data'] ?? [], $files, $typeLabel)
+        ];
+    }
+
+    /**
+     * A summary item for one field, or null when it was left empty
+     */
+    private function buildItem(array $field, $value): ?array
+    {
+        $item = [
+            'name' => $field['name'],
+            'label' => $field['label'] ?? $field['name']
+        ];
+
+        if (($field['type'] ?? '') === 'group') {
+            $columns = $field['fields'] ?? [];
+            $rows = [];
+            foreach (is_array($value) ? array_filter($value, 'is_array') : [] as $row) {
+                $cells = array_map(fn(array $column) => $this->toText($column, $row[$column['name']] ?? null), $columns);
+                if (implode('', $cells) !== '') {
+                    $rows[] = $cells;
+                }
+            }
+
+            return empty($rows) ? null : $item + [
+                'type' => 'table',
+                'value' => [
+                    'columns' => array_map(fn(array $column) => $column['label'] ?? $column['name'], $columns),
+                    'rows' => $rows
+                ]
+            ];
+        }
+
+        if (is_array($value)) {
+            $values = array_values(array_filter(
+                array_map(fn($option) => $this->toText($field, $option), $value),
+                'strlen'
+            ));
+
+            return empty($values) ? null : $item + ['type' => 'list', 'value' => $values];
+        }
+
+        $text = $this->toText($field, $value);
+        if ($text === '') {
+            return null;
+        }
+
+        return $item + [
+            'type' => ($field['type'] ?? '') === 'textarea' ? 'textarea' : 'text',
+            'value' => $text
+        ];
+    }
+
+    /**
+     * A single value as text, with the label of the option it stands for
+     */
+    private function toText(array $field, $value): string
+    {
+        if (!is_scalar($value)) {
+            return '';
+        }
+
+        $text = trim((string) $value);
+        foreach ($field['options'] ?? [] as $option) {
+            if (is_array($option) && (string) ($option['value'] ?? '') === $text) {
+                return (string) ($option['label'] ?? $text);
+            }
+        }
+
+        return $text;
+    }
+
+    private function formatFileSize(int $bytes): string
+    {
+        $units = ['B', 'KB', 'MB', 'GB'];
+        $index = $bytes > 0 ? min((int) floor(log($bytes, 1024)), count($units) - 1) : 0;
+
+        return round($bytes / 1024 ** $index, 2) . ' ' . $units[$index];
+    }
+}
@@ -0,0 +1,378 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Services;
+
+/**
+ * Validates form values against the `validation` rules in form_fields.yaml
+ *
+ * The same rules are evaluated in the browser by public/assets/js/validation-engine.js;
+ * both use the message templates from settings.validation_rules, so users see the
+ * same errors before and after submitting. A template is either a string or a map
+ * of locales (en, nl); see withLocale().
+ *
+ * Repeatable groups (type: group) are lists of rows; every row that is not left
+ * empty is validated against the group's own fields, and errors are reported as
+ * group[index][field] so the browser can show them next to the input.
+ */
+class ValidationService
+{
+    private const DEFAULT_MESSAGES = [
+        'required' => 'This field is required',
+        'email' => 'Must be a valid email address',
+        'date' => 'Must be a valid date',
+        'numeric' => 'Must be a number',
+        'integer' => 'Must be a whole number',
+        'min_length' => 'Minimum {min} characters required',
+        'max_length' => 'Maximum {max} characters allowed',
+        'min_value' => 'Must be at least {min}',
+        'max_value' => 'Must be at most {max}',
+        'min_items' => 'Select at least {min} options',
+        'max_items' => 'Select at most {max} options',
+        'after' => 'Must be after {date}',
+        'before' => 'Must be before {date}',
+        'regex' => 'Invalid format',
+        'in' => 'Must be one of: {values}',
+        'option' => 'Please select a valid option',
+        'min_rows' => 'Add at least {min} rows',
+        'max_rows' => 'Add at most {max} rows'
+    ];
+
+    private const FALLBACK_LOCALE = 'en';
+
+    private array $messages;
+    private string $locale = self::FALLBACK_LOCALE;
+
+    public function __construct(array $messages = [])
+    {
+        $this->messages = array_merge(self::DEFAULT_MESSAGES, $messages);
+    }
+
+    /**
+     * Copy of the service that picks messages in the given locale
+     */
+    public function withLocale(string $locale): self
+    {
+        $clone = clone $this;
+        $clone->locale = strtolower(substr($locale, 0, 2));
+
+        return $clone;
+    }
+
+    /**
+     * Validate submitted data against a list of field definitions
+     *
+     * @param array $pendingUploads IDs of files uploaded ahead of the submission, by field name
+     * @return array First error message per field name; empty when valid
+     */
+    public function validateFormData(array $fields, array $formData, array $pendingUploads = []): array
+    {
+        $errors = [];
+
+        foreach ($fields as $field) {
+            $fieldName = $field['name'];
+
+            if (($field['type'] ?? '') === 'group') {
+                $errors = array_merge($errors, $this->validateGroup($field, $formData[$fieldName] ?? [], $formData, $fields));
+                continue;
+            }
+
+            $value = ($field['type'] ?? '') === 'file'
+                ? ($pendingUploads[$fieldName] ?? null)
+                : ($formData[$fieldName] ?? null);
+
+            $error = $this->validateField($field, $value, $formData, $fields);
+            if ($error !== null) {
+                $errors[$fieldName] = $error;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate a single value; returns the error message or null when valid
+     */
+    public function validateField(array $field, $value, array $formData = [], array $fields = []): ?string
+    {
+        if (($field['type'] ?? '') === 'group') {
+            $errors = $this->validateGroup($field, $value, $formData, $fields);
+            return $errors ? reset($errors) : null;
+        }
+
+        if ($this->isEmpty($value)) {
+            return ($field['required'] ?? false) ? $this->message('required', $field) : null;
+        }
+
+        $type = $field['type'] ?? 'text';
+        if ($type === 'file') {
+            return null;
+        }
+
+        $rules = $this->parseRules($field['validation'] ?? []);
+        $ruleNames = array_column($rules, 0);
+
+        // Type checks
+        if (($type === 'email' || in_array('email', $ruleNames, true)) && !filter_var($value, FILTER_VALIDATE_EMAIL)) {
+            return $this->message('email', $field);
+        }
+
+        if (($type === 'date' || in_array('date', $ruleNames, true)) && $this->toDate((string) $value) === null) {
+            return $this->message('date', $field);
+        }
+
+        // Option membership for fields with a fixed list of choices
+        if (!empty($field['options']) && in_array($type, ['select', 'checkbox_group', 'radio'], true)) {
+            $validOptions = array_map(function ($option) {
+                return (string) (is_array($option) ? $option['value'] : $option);
+            }, $field['options']);
+
+            foreach ((array) $value as $selectedValue) {
+                if (!in_array((string) $selectedValue, $validOptions, true)) {
+                    return $this->message('option', $field);
+                }
+            }
+        }
+
+        $isNumeric = in_array('numeric', $ruleNames, true) || in_array('integer', $ruleNames, true);
+
+        foreach ($rules as [$rule, $param]) {
+            $error = $this->applyRule($rule, $param, $field, $value, $isNumeric, $formData, $fields);
+            if ($error !== null) {
+                return $error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate the rows of a repeatable group. Rows left empty are skipped; the
+     * fields of a row can refer to each other (and to the form's fields) in
+     * after/before rules.
+     *
+     * @return array Errors keyed by the group name (required, min_rows, max_rows)
+     *               or by group[index][field]
+     */
+    public function validateGroup(array $field, $rows, array $formData = [], array $fields = []): array
+    {
+        $name = $field['name'];
+        $rows = array_filter(is_array($rows) ? $rows : [], fn($row) => is_array($row) && !$this->isEmpty($row));
+
+        if (empty($rows)) {
+            return ($field['required'] ?? false) ? [$name => $this->message('required', $field)] : [];
+        }
+
+        $errors = [];
+        [$minRows, $maxRows] = $this->rowLimits($field);
+        if (count($rows) < $minRows) {
+            $errors[$name] = $this->message('min_rows', $field, ['min' => $minRows]);
+        } elseif ($maxRows !== null && count($rows) > $maxRows) {
+            $errors[$name] = $this->message('max_rows', $field, ['max' => $maxRows]);
+        }
+
+        $rowFields = $field['fields'] ?? [];
+        foreach ($rows as $index => $row) {
+            foreach ($rowFields as $rowField) {
+                $error = $this->validateField(
+                    $rowField,
+                    $row[$rowField['name']] ?? null,
+                    array_merge($formData, $row),
+                    array_merge($rowFields, $fields)
+                );
+                if ($error !== null) {
+                    $errors["{$name}[{$index}][{$rowField['name']}]"] = $error;
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * The submitted data with the rows of repeatable groups cleaned up: empty
+     * rows and unknown row fields are dropped and the rows are numbered again
+     */
+    public function removeEmptyRows(array $fields, array $formData): array
+    {
+        foreach ($fields as $field) {
+            $name = $field['name'];
+            if (($field['type'] ?? '') !== 'group' || !array_key_exists($name, $formData)) {
+                continue;
+            }
+
+            $rowFields = array_column($field['fields'] ?? [], 'name');
+            $rows = [];
+            foreach (is_array($formData[$name]) ? $formData[$name] : [] as $row) {
+                $clean = [];
+                foreach ($rowFields as $rowField) {
+                    $value = is_array($row) ? ($row[$rowField] ?? '') : '';
+                    $clean[$rowField] = is_scalar($value) ? trim((string) $value) : '';
+                }
+
+                if (!$this->isEmpty($clean)) {
+                    $rows[] = $clean;
+                }
+            }
+
+            $formData[$name] = $rows;
+        }
+
+        return $formData;
+    }
+
+    /**
+     * Smallest and largest number of rows; a group that is not repeatable has one row
+     *
+     * @return array [min, max or null]
+     */
+    private function rowLimits(array $field): array
+    {
+        if (!($field['repeatable'] ?? false)) {
+            return [0, 1];
+        }
+
+        $maxRows = isset($field['max_rows']) ? (int) $field['max_rows'] : null;
+        return [(int) ($field['min_rows'] ?? 0), $maxRows];
+    }
+
+    /**
+     * Split a rule definition into [name, parameter] pairs
+     * Accepts "string|max:255" or a YAML list (needed for regexes containing "|")
+     */
+    public function parseRules($validation): array
+    {
+        $parts = is_array($validation) ? $validation : explode('|', (string) $validation);
+        $rules = [];
+
+        foreach ($parts as $part) {
+            $part = trim((string) $part);
+            if ($part === '') {
+                continue;
+            }
+
+            $separator = strpos($part, ':');
+            $rules[] = $separator === false
+                ? [$part, null]
+                : [substr($part, 0, $separator), substr($part, $separator + 1)];
+        }
+
+        return $rules;
+    }
+
+    private function applyRule(string $rule, ?string $param, array $field, $value, bool $isNumeric, array $formData, array $fields): ?string
+    {
+        switch ($rule) {
+            case 'numeric':
+                return is_numeric($value) ? null : $this->message('numeric', $field);
+
+            case 'integer':
+                return filter_var($value, FILTER_VALIDATE_INT) !== false ? null : $this->message('integer', $field);
+
+            case 'min':
+            case 'max':
+                $limit = (float) $param;
+                if (is_array($value)) {
+                    $size = count($value);
+                    $key = $rule . '_items';
+                } elseif ($isNumeric) {
+                    if (!is_numeric($value)) {
+                        return null;
+                    }
+                    $size = (float) $value;
+                    $key = $rule . '_value';
+                } else {
+                    $size = mb_strlen((string) $value);
+                    $key = $rule . '_length';
+                }
+
+                $failed = $rule === 'min' ? $size < $limit : $size > $limit;
+                return $failed ? $this->message($key, $field, [$rule => $param]) : null;
+
+            case 'after':
+            case 'before':
+                $date = $this->toDate((string) $value);
+                [$limit, $display] = $this->resolveDateParam((string) $param, $formData, $fields);
+                if ($date === null || $limit === null) {
+                    return null;
+                }
+
+                $failed = $rule === 'after' ? $date <= $limit : $date >= $limit;
+                return $failed ? $this->message($rule, $field, ['date' => $display]) : null;
+
+            case 'regex':
+                // Broken patterns are dropped by ConfigService; false is left for
+                // answers the pattern cannot handle, such as invalid UTF-8
+                return preg_match((string) $param, (string) $value) === 1 ? null : $this->message('regex', $field);
+
+            case 'in':
+                $allowed = array_map('trim', explode(',', (string) $param));
+                foreach ((array) $value as $item) {
+                    if (!in_array((string) $item, $allowed, true)) {
+                        return $this->message('in', $field, ['values' => implode(', ', $allowed)]);
+                    }
+                }
+                return null;
+        }
+
+        // string, email, date and unknown rules need no further checks here
+        return null;
+    }
+
+    /**
+     * Resolve the parameter of after/before: today, tomorrow, yesterday, a date,
+     * another field's name, or any other expression strtotime() understands
+     *
+     * @return array [Y-m-d date or null, text for the message]
+     */
+    private function resolveDateParam(string $param, array $formData, array $fields): array
+    {
+        foreach ($fields as $other) {
+            if (($other['name'] ?? null) === $param) {
+                $otherValue = $formData[$param] ?? '';
+                return [is_string($otherValue) ? $this->toDate($otherValue) : null, $other['label'] ?? $param];
+            }
+        }
+
+        return [$this->toDate($param), $param];
+    }
+
+    private function toDate(string $value): ?string
+    {
+        $timestamp = strtotime($value);
+        return $timestamp === false ? null : date('Y-m-d', $timestamp);
+    }
+
+    private function isEmpty($value): bool
+    {
+        if (is_array($value)) {
+            return count(array_filter($value, fn($item) => !$this->isEmpty($item))) === 0;
+        }
+
+        return $value === null || trim((string) $value) === '';
+    }
+
+    private function message(string $key, array $field, array $params = []): string
+    {
+        $params['label'] = $field['label'] ?? $field['name'];
+        $template = $this->localize($this->messages[$key] ?? self::DEFAULT_MESSAGES[$key] ?? 'Invalid value');
+
+        foreach ($params as $name => $param) {
+            $template = str_replace('{' . $name . '}', (string) $param, $template);
+        }
+
+        return $template;
+    }
+
+    /**
+     * Pick the current locale from a template that may be a map of locales
+     */
+    private function localize($template): string
+    {
+        if (!is_array($template)) {
+            return (string) $template;
+        }
+
+        return (string) ($template[$this->locale] ?? $template[self::FALLBACK_LOCALE] ?? reset($template));
+    }
+}
@@ -0,0 +1,259 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Controllers;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Log\LoggerInterface;
+use Slim\Psr7\Factory\ServerRequestFactory;
+use Slim\Psr7\Factory\StreamFactory;
+use Slim\Psr7\Response;
+use Slim\Psr7\UploadedFile;
+use Slim\Views\Twig;
+use HelpdeskForm\Controllers\FormController;
+use HelpdeskForm\Services\ComputedFieldService;
+use HelpdeskForm\Services\ConfigService;
+use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\DuplicateTicketService;
+use HelpdeskForm\Services\FileUploadService;
+use HelpdeskForm\Services\FreeScoutService;
+use HelpdeskForm\Services\MarkdownService;
+use HelpdeskForm\Services\PrefillService;
+use HelpdeskForm\Services\SubmissionSummaryService;
+use HelpdeskForm\Services\ValidationService;
+
+/**
+ * Resumable uploads: receiving the chunks, and claiming the finished files
+ * when the request is submitted
+ */
+class FormControllerUploadTest extends TestCase
+{
+    private const UPLOAD_ID = 'test-upload-00000001';
+    private const CHUNKS = ['Hello, ', 'wor', 'ld'];
+
+    private string $uploadPath;
+    private DatabaseService $databaseService;
+    private FreeScoutService $freeScoutService;
+    private FormController $controller;
+
+    protected function setUp(): void
+    {
+        $_SESSION = [];
+
+        $this->uploadPath = sys_get_temp_dir() . '/' . uniqid('uploads_', true);
+        $this->databaseService = new DatabaseService(':memory:');
+        $this->freeScoutService = $this->createMock(FreeScoutService::class);
+
+        $configService = $this->createMock(ConfigService::class);
+        $configService->method('getFormFields')->willReturn([
+            ['name' => 'summary', 'type' => 'text', 'required' => true],
+            ['name' => 'attachments', 'type' => 'file']
+        ]);
+
+        $computedFieldService = $this->createMock(ComputedFieldService::class);
+        $computedFieldService->method('apply')->willReturnArgument(1);
+
+        $this->controller = new FormController(
+            $this->createMock(Twig::class),
+            $configService,
+            $this->databaseService,
+            $this->freeScoutService,
+            new FileUploadService($this->uploadPath, 1024 * 1024, ['txt']),
+            new ValidationService(),
+            $this->createMock(MarkdownService::class),
+            $this->createMock(PrefillService::class),
+            $this->createMock(DuplicateTicketService::class),
+            $computedFieldService,
+            $this->createMock(SubmissionSummaryService::class),
+            $this->createMock(LoggerInterface::class)
+        );
+    }
+
+    protected function tearDown(): void
+    {
+        $_SESSION = [];
+
+        foreach (array_merge(glob($this->uploadPath . '/*'), glob($this->uploadPath . '/chunks/*')) as $path) {
+            if (is_file($path)) {
+                unlink($path);
+            }
+        }
+        @rmdir($this->uploadPath . '/chunks');
+        @rmdir($this->uploadPath);
+    }
+
+    /**
+     * Test that a chunk that skips ahead is refused with the number of chunks received so far
+     */
+    public function testChunksOutOfOrderAreRefused(): void
+    {
+        // Nothing was received yet
+        $response = $this->sendChunk(1);
+        $this->assertEquals(409, $response->getStatusCode());
+        $this->assertSame(0, $this->json($response)['received_chunks']);
+        $this->assertNull($this->databaseService->getPendingUpload(self::UPLOAD_ID));
+
+        $response = $this->sendChunk(0);
+        $this->assertEquals(200, $response->getStatusCode());
+        $this->assertSame(1, $this->json($response)['received_chunks']);
+
+        $response = $this->sendChunk(2);
+        $this->assertEquals(409, $response->getStatusCode());
+        $this->assertFalse($this->json($response)['success']);
+        $this->assertSame(1, $this->json($response)['received_chunks']);
+        $this->assertEquals('uploading', $this->json($response)['status']);
+    }
+
+    /**
+     * Test that an upload continues where it stopped, and that a repeated chunk is stored once
+     */
+    public function testUploadCanBeResumed(): void
+    {
+        $this->sendChunk(0);
+
+        // A retry after a lost response
+        $response = $this->sendChunk(0);
+        $this->assertEquals(200, $response->getStatusCode());
+        $this->assertSame(1, $this->json($response)['received_chunks']);
+
+        $status = $this->json($this->controller->uploadStatus($this->request([]), new Response(), ['id' => self::UPLOAD_ID]));
+        $this->assertSame(1, $status['received_chunks']);
+        $this->assertSame(3, $status['total_chunks']);
+
+        $this->sendChunk(1);
+        $response = $this->sendChunk(2);
+
+        $this->assertEquals(200, $response->getStatusCode());
+        $this->assertEquals('complete', $this->json($response)['status']);
+        $this->assertEquals(self::UPLOAD_ID, $this->json($response)['file_id']);
+        $this->assertStringEqualsFile($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt', 'Hello, world');
+    }
+
+    /**
+     * Test that the announced size is checked before the upload starts and once it is complete
+     */
+    public function testTotalSizeIsChecked(): void
+    {
+        $response = $this->sendChunk(0, 'jane@example.com', 2 * 1024 * 1024);
+        $this->assertEquals(400, $response->getStatusCode());
+        $this->assertStringContainsString('File size exceeds maximum allowed size', $this->json($response)['error']);
+        $this->assertNull($this->databaseService->getPendingUpload(self::UPLOAD_ID));
+
+        // More bytes arrive than were announced
+        $this->sendChunk(0, 'jane@example.com', 10);
+        $this->sendChunk(1, 'jane@example.com', 10);
+        $response = $this->sendChunk(2, 'jane@example.com', 10);
+
+        $this->assertEquals(400, $response->getStatusCode());
+        $this->assertEquals('Uploaded file is incomplete', $this->json($response)['error']);
+        $this->assertNull($this->databaseService->getPendingUpload(self::UPLOAD_ID));
+        $this->assertFileDoesNotExist($this->uploadPath . '/chunks/' . self::UPLOAD_ID . '.part');
+        $this->assertFileDoesNotExist($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt');
+    }
+
+    /**
+     * Test that another user can neither continue, see nor claim someone else's upload
+     */
+    public function testUploadOfAnotherUserCannotBeUsed(): void
+    {
+        $this->uploadFile();
+        $this->freeScoutService->expects($this->never())->method('createConversation');
+
+        $this->assertEquals(404, $this->sendChunk(0, 'bob@example.com')->getStatusCode());
+
+        $response = $this->controller->uploadStatus($this->request([], [], 'bob@example.com'), new Response(), ['id' => self::UPLOAD_ID]);
+        $this->assertEquals(404, $response->getStatusCode());
+
+        $response = $this->submit('bob@example.com');
+        $this->assertEquals(500, $response->getStatusCode());
+        $this->assertStringContainsString('no longer available', $this->json($response)['error']);
+
+        $upload = $this->databaseService->getPendingUpload(self::UPLOAD_ID);
+        $this->assertEquals('complete', $upload['status']);
+        $this->assertNull($upload['submission_uuid']);
+        $this->assertFileExists($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt');
+    }
+
+    /**
+     * Test that uploads claimed by a request that did not become a ticket can be sent again
+     */
+    public function testUploadsAreReleasedWhenTicketCreationFails(): void
+    {
+        $this->uploadFile();
+
+        $attempts = 0;
+        $this->freeScoutService->method('createConversation')->willReturnCallback(function () use (&$attempts) {
+            if (++$attempts === 1) {
+                throw new \RuntimeException('FreeScout is unavailable');
+            }
+            return ['id' => 42];
+        });
+
+        $response = $this->submit();
+        $this->assertEquals(500, $response->getStatusCode());
+
+        $upload = $this->databaseService->getPendingUpload(self::UPLOAD_ID);
+        $this->assertEquals('complete', $upload['status']);
+        $this->assertNull($upload['submission_uuid']);
+        $this->assertStringEqualsFile($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt', 'Hello, world');
+
+        $response = $this->submit();
+        $this->assertEquals(200, $response->getStatusCode());
+        $this->assertSame(42, $this->json($response)['ticket_id']);
+
+        $upload = $this->databaseService->getPendingUpload(self::UPLOAD_ID);
+        $this->assertEquals('attached', $upload['status']);
+        $this->assertEquals($this->json($response)['submission_uuid'], $upload['submission_uuid']);
+        $this->assertFileDoesNotExist($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt');
+    }
+
+    // Upload all chunks of the test file
+    private function uploadFile(): void
+    {
+        foreach (array_keys(self::CHUNKS) as $index) {
+            $this->sendChunk($index);
+        }
+    }
+
+    private function sendChunk(int $index, string $email = 'jane@example.com', int $fileSize = 12): ResponseInterface
+    {
+        $content = self::CHUNKS[$index];
+        $chunk = new UploadedFile((new StreamFactory())->createStream($content), 'blob', 'application/octet-stream', strlen($content));
+
+        $request = $this->request([
+            'upload_id' => self::UPLOAD_ID,
+            'chunk_index' => (string) $index,
+            'total_chunks' => (string) count(self::CHUNKS),
+            'file_name' => 'notes.txt',
+            'file_size' => (string) $fileSize
+        ], ['chunk' => $chunk], $email);
+
+        return $this->controller->uploadFile($request, new Response());
+    }
+
+    private function submit(string $email = 'jane@example.com'): ResponseInterface
+    {
+        $request = $this->request([
+            'summary' => 'The printer is out of toner',
+            'uploaded_files' => ['attachments' => [self::UPLOAD_ID]]
+        ], [], $email);
+
+        return $this->controller->submitForm($request, new Response(), ['type' => 'hardware']);
+    }
+
+    private function request(array $body, array $files = [], string $email = 'jane@example.com'): ServerRequestInterface
+    {
+        return (new ServerRequestFactory())->createServerRequest('POST', '/api/upload')
+            ->withParsedBody($body)
+            ->withUploadedFiles($files)
+            ->withAttribute('user', ['email' => $email, 'name' => 'Jane Doe'])
+            ->withAttribute('session_id', 'test-session');
+    }
+
+    private function json(ResponseInterface $response): array
+    {
+        return json_decode((string) $response->getBody(), true);
+    }
+}
@@ -0,0 +1,61 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Middleware;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Slim\Psr7\Factory\ServerRequestFactory;
+use Slim\Psr7\Response;
+use HelpdeskForm\Middleware\CorsMiddleware;
+
+class CorsMiddlewareTest extends TestCase
+{
+    private CorsMiddleware $middleware;
+    private RequestHandlerInterface $handler;
+
+    protected function setUp(): void
+    {
+        $this->middleware = new CorsMiddleware(['https://Intranet.example.com/']);
+        $this->handler = new class implements RequestHandlerInterface {
+            public function handle(ServerRequestInterface $request): ResponseInterface
+            {
+                return new Response(200);
+            }
+        };
+    }
+
+    /**
+     * Test that an allowed origin is echoed back with credentials allowed
+     */
+    public function testAllowedOriginGetsCorsHeaders(): void
+    {
+        $response = $this->middleware->process($this->request('https://intranet.example.com'), $this->handler);
+
+        $this->assertEquals('https://intranet.example.com', $response->getHeaderLine('Access-Control-Allow-Origin'));
+        $this->assertEquals('true', $response->getHeaderLine('Access-Control-Allow-Credentials'));
+        $this->assertStringContainsString('X-CSRF-Token', $response->getHeaderLine('Access-Control-Allow-Headers'));
+        $this->assertEquals('Origin', $response->getHeaderLine('Vary'));
+    }
+
+    /**
+     * Test that other origins and same-origin requests get no CORS headers
+     */
+    public function testOtherOriginsGetNoCorsHeaders(): void
+    {
+        $response = $this->middleware->process($this->request('https://evil.example.org'), $this->handler);
+        $this->assertFalse($response->hasHeader('Access-Control-Allow-Origin'));
+        $this->assertFalse($response->hasHeader('Access-Control-Allow-Credentials'));
+
+        $response = $this->middleware->process($this->request(null), $this->handler);
+        $this->assertFalse($response->hasHeader('Access-Control-Allow-Origin'));
+    }
+
+    private function request(?string $origin): ServerRequestInterface
+    {
+        $request = (new ServerRequestFactory())->createServerRequest('GET', '/api/fields/hardware');
+        return $origin !== null ? $request->withHeader('Origin', $origin) : $request;
+    }
+}
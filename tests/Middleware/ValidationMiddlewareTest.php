@@ -0,0 +1,47 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Middleware;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use Psr\Http\Server\RequestHandlerInterface;
+use Slim\Psr7\Factory\ServerRequestFactory;
+use Slim\Psr7\Response;
+use HelpdeskForm\Middleware\ValidationMiddleware;
+
+class ValidationMiddlewareTest extends TestCase
+{
+    /**
+     * Test that decodeFormData() gives back the answers as typed after the body was escaped
+     */
+    public function testDecodeFormDataUndoesEscaping(): void
+    {
+        $formData = [
+            'summary' => "Tom & Jerry's <b>printer</b>",
+            'equipment' => ['Monitor "27"', 'Dock'],
+            'quantity' => 2
+        ];
+
+        $handler = new class implements RequestHandlerInterface {
+            public ?ServerRequestInterface $request = null;
+
+            public function handle(ServerRequestInterface $request): ResponseInterface
+            {
+                $this->request = $request;
+                return new Response(200);
+            }
+        };
+
+        $request = (new ServerRequestFactory())->createServerRequest('POST', '/api/validate')
+            ->withParsedBody(['request_type' => 'hardware', 'form_data' => $formData]);
+        (new ValidationMiddleware())->process($request, $handler);
+
+        $escaped = $handler->request->getParsedBody()['form_data'];
+        $this->assertEquals('Tom &amp; Jerry&#039;s &lt;b&gt;printer&lt;/b&gt;', $escaped['summary']);
+
+        $this->assertSame($formData, ValidationMiddleware::decodeFormData($escaped));
+        $this->assertSame([], ValidationMiddleware::decodeFormData('not a form'));
+    }
+}
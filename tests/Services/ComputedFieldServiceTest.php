@@ -0,0 +1,73 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\ComputedFieldService;
+
+class ComputedFieldServiceTest extends TestCase
+{
+    private ComputedFieldService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new ComputedFieldService();
+    }
+
+    /**
+     * Test the matrix, days_until and template computations
+     */
+    public function testCompute(): void
+    {
+        $matrix = ['matrix' => [
+            'row' => 'impact',
+            'column' => 'urgency',
+            'values' => ['team' => ['high' => 'critical', 'low' => 'medium']]
+        ]];
+        $this->assertEquals('critical', $this->service->compute($matrix, ['impact' => 'team', 'urgency' => 'high']));
+        $this->assertEquals('', $this->service->compute($matrix, ['impact' => 'team']));
+        $this->assertEquals('', $this->service->compute($matrix, ['impact' => 'nobody', 'urgency' => 'high']));
+
+        $today = new \DateTimeImmutable('2026-03-27 15:30');
+        $days = ['days_until' => 'start_date'];
+        $this->assertEquals('5', $this->service->compute($days, ['start_date' => '2026-04-01'], $today));
+        $this->assertEquals('0', $this->service->compute($days, ['start_date' => '2026-03-27'], $today));
+        $this->assertEquals('-2', $this->service->compute($days, ['start_date' => '2026-03-25'], $today));
+        $this->assertEquals('', $this->service->compute($days, ['start_date' => '2026-02-30'], $today));
+
+        $template = ['template' => 'Install {application_name}[ version {version}]'];
+        $this->assertEquals('Install Slack version 4.2', $this->service->compute($template, ['application_name' => ' Slack ', 'version' => '4.2']));
+        $this->assertEquals('Install Slack', $this->service->compute($template, ['application_name' => 'Slack', 'version' => '']));
+        $this->assertEquals('Install {version}', $this->service->compute($template, ['application_name' => '{version}']));
+    }
+
+    /**
+     * Test that locked values are always computed again and suggestions only fill empty fields
+     */
+    public function testApply(): void
+    {
+        $fields = [
+            ['name' => 'application_name'],
+            ['name' => 'version'],
+            ['name' => 'subject', 'computed' => ['template' => '{application_name} {version}', 'mode' => 'suggest']],
+            ['name' => 'summary', 'computed' => ['template' => '{application_name}']],
+            ['name' => 'priority', 'computed' => ['matrix' => ['row' => 'impact', 'column' => 'urgency', 'values' => []]]]
+        ];
+
+        $data = $this->service->apply($fields, [
+            'application_name' => 'Slack',
+            'version' => '4.2',
+            'subject' => '',
+            'summary' => 'Tampered',
+            'priority' => 'critical'
+        ]);
+        $this->assertEquals('Slack 4.2', $data['subject']);
+        $this->assertEquals('Slack', $data['summary']);
+        // Not computed on a form without impact and urgency
+        $this->assertEquals('critical', $data['priority']);
+
+        $data = $this->service->apply($fields, ['application_name' => 'Slack', 'subject' => 'Need Slack for a client']);
+        $this->assertEquals('Need Slack for a client', $data['subject']);
+    }
+}
@@ -0,0 +1,59 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\Yaml\Yaml;
+use HelpdeskForm\Services\ConfigService;
+
+class ConfigServiceTest extends TestCase
+{
+    private string $configPath;
+
+    protected function setUp(): void
+    {
+        $this->configPath = tempnam(sys_get_temp_dir(), 'config');
+        file_put_contents($this->configPath, Yaml::dump(['form_fields' => [
+            'common' => [
+                ['name' => 'cost_center', 'type' => 'text', 'validation' => 'string|regex:/^(CC-\d{4}$/|max:10']
+            ],
+            'request_types' => [
+                'hardware' => [
+                    'fields' => [
+                        ['name' => 'asset_tag', 'type' => 'text', 'validation' => ['regex:/^(IT|HW)-\d+$/']],
+                        ['name' => 'devices', 'type' => 'group', 'fields' => [
+                            ['name' => 'serial', 'type' => 'text', 'validation' => ['string', 'regex:/[a-z/']]
+                        ]]
+                    ]
+                ]
+            ]
+        ]], 10));
+    }
+
+    protected function tearDown(): void
+    {
+        unlink($this->configPath);
+    }
+
+    /**
+     * Test that regex rules that do not compile are logged and left out, and valid ones are kept
+     */
+    public function testInvalidRegexRulesAreRemoved(): void
+    {
+        $logger = $this->createMock(LoggerInterface::class);
+        $logger->expects($this->exactly(2))
+            ->method('error')
+            ->with('Invalid regex rule in form_fields.yaml is ignored', $this->callback(function (array $context) {
+                return in_array($context['field'], ['cost_center', 'serial'], true)
+                    && str_contains($context['error'], 'Compilation failed');
+            }));
+
+        $fields = (new ConfigService($this->configPath, $logger))->getFormFields('hardware');
+
+        $this->assertEquals('string|max:10', $fields[0]['validation']);
+        $this->assertEquals(['regex:/^(IT|HW)-\d+$/'], $fields[1]['validation']);
+        $this->assertEquals(['string'], $fields[2]['fields'][0]['validation']);
+    }
+}
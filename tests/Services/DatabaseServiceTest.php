@@ -0,0 +1,126 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\FileUploadService;
+
+class DatabaseServiceTest extends TestCase
+{
+    private DatabaseService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new DatabaseService(':memory:');
+    }
+
+    /**
+     * Test that several named drafts of one request type are kept side by side
+     */
+    public function testNamedDraftsAreKeptSideBySide(): void
+    {
+        $first = $this->service->createDraft('lead@example.com', 'onboarding', 'Jane Doe', ['first_name' => 'Jane']);
+        $second = $this->service->createDraft('lead@example.com', 'onboarding', 'John Roe', ['first_name' => 'John']);
+        $this->service->createDraft('lead@example.com', 'hardware', 'Laptop', []);
+
+        $this->assertNotEquals($first['draft_id'], $second['draft_id']);
+        $this->assertCount(2, $this->service->getDrafts('lead@example.com', 'onboarding'));
+        $this->assertCount(3, $this->service->getDrafts('lead@example.com'));
+
+        $this->assertTrue($this->service->updateDraft($first['draft_id'], 'lead@example.com', ['first_name' => 'Janet']));
+        $this->assertEquals(['first_name' => 'Janet'], $this->service->getDraft($first['draft_id'], 'lead@example.com')['form_data']);
+        $this->assertEquals(['first_name' => 'John'], $this->service->getDraft($second['draft_id'], 'lead@example.com')['form_data']);
+    }
+
+    /**
+     * Test that drafts can only be read, changed and deleted by their owner
+     */
+    public function testDraftsAreOnlyAvailableToTheirOwner(): void
+    {
+        $draft = $this->service->createDraft('lead@example.com', 'onboarding', 'Jane Doe', ['first_name' => 'Jane']);
+
+        $this->assertNull($this->service->getDraft($draft['draft_id'], 'other@example.com'));
+        $this->assertEquals([], $this->service->getDrafts('other@example.com'));
+        $this->assertFalse($this->service->updateDraft($draft['draft_id'], 'other@example.com', []));
+        $this->assertFalse($this->service->deleteDraft($draft['draft_id'], 'other@example.com'));
+
+        $this->assertTrue($this->service->deleteDraft($draft['draft_id'], 'lead@example.com'));
+        $this->assertNull($this->service->getDraft($draft['draft_id'], 'lead@example.com'));
+    }
+
+    /**
+     * Test that knowledge-base deflections are counted per article
+     */
+    public function testDeflectionsAreCountedPerArticle(): void
+    {
+        $this->assertSame([], $this->service->getDeflectionCounts());
+
+        $this->service->logDeflection('vpn', 'problem', 'one@example.com');
+        $this->service->logDeflection('vpn', 'other', 'two@example.com');
+        $this->service->logDeflection('password', 'problem', 'one@example.com');
+
+        $this->assertEquals(['vpn' => 2, 'password' => 1], $this->service->getDeflectionCounts());
+    }
+
+    /**
+     * Test that local users are found by part of their name, email or username, but not when disabled
+     */
+    public function testSearchLocalUsers(): void
+    {
+        $this->service->createLocalUser(['username' => 'jdevries', 'email' => 'jan@example.com', 'password_hash' => 'x', 'name' => 'Jan de Vries', 'is_active' => true]);
+        $this->service->createLocalUser(['username' => 'pbakker', 'email' => 'piet@example.com', 'password_hash' => 'x', 'name' => 'Piet Bakker', 'is_active' => true]);
+        $this->service->createLocalUser(['username' => 'old_user', 'email' => 'old@example.com', 'password_hash' => 'x', 'name' => 'Oud Account', 'is_active' => false]);
+
+        $this->assertEquals(['Jan de Vries'], array_column($this->service->searchLocalUsers('VRIES'), 'name'));
+        $this->assertEquals(['Piet Bakker'], array_column($this->service->searchLocalUsers('pbak'), 'name'));
+        $this->assertEquals(['Jan de Vries', 'Piet Bakker'], array_column($this->service->searchLocalUsers('example.com'), 'name'));
+        $this->assertEquals(['Jan de Vries'], array_column($this->service->searchLocalUsers('example.com', 1), 'name'));
+        $this->assertEquals([], $this->service->searchLocalUsers('_'));
+    }
+
+    /**
+     * Test that abandoned uploads are removed with their files, and attached ones are kept
+     */
+    public function testCleanupExpiredRemovesAbandonedUploads(): void
+    {
+        $uploadPath = sys_get_temp_dir() . '/' . uniqid('uploads_', true);
+        $fileUploadService = new FileUploadService($uploadPath, 1024 * 1024, ['txt']);
+
+        foreach (['finished-upload-0001', 'partial-upload-00001', 'attached-upload-0001'] as $uploadId) {
+            $this->service->createPendingUpload([
+                'upload_id' => $uploadId,
+                'owner_email' => 'jane@example.com',
+                'original_filename' => 'notes.txt',
+                'file_size' => 5,
+                'total_chunks' => 1
+            ]);
+        }
+
+        // Finished, but never sent with a request
+        file_put_contents($uploadPath . '/temp_finished-upload-0001.txt', 'notes');
+        $this->service->completePendingUpload('finished-upload-0001', 'temp_finished-upload-0001.txt', 'text/plain');
+
+        // Still uploading when it was left
+        mkdir($uploadPath . '/chunks');
+        file_put_contents($uploadPath . '/chunks/partial-upload-00001.part', 'no');
+
+        $this->service->completePendingUpload('attached-upload-0001', 'temp_attached-upload-0001.txt', 'text/plain');
+        $this->service->attachPendingUpload('attached-upload-0001', 'submission-uuid');
+
+        // Not yet expired
+        $this->assertSame(0, $this->service->cleanupExpired($fileUploadService));
+        $this->assertFileExists($uploadPath . '/temp_finished-upload-0001.txt');
+
+        $this->assertSame(2, $this->service->cleanupExpired($fileUploadService, 0));
+        $this->assertNull($this->service->getPendingUpload('finished-upload-0001'));
+        $this->assertNull($this->service->getPendingUpload('partial-upload-00001'));
+        $this->assertFileDoesNotExist($uploadPath . '/temp_finished-upload-0001.txt');
+        $this->assertFileDoesNotExist($uploadPath . '/chunks/partial-upload-00001.part');
+        $this->assertEquals('attached', $this->service->getPendingUpload('attached-upload-0001')['status']);
+
+        rmdir($uploadPath . '/chunks');
+        rmdir($uploadPath);
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Log\LoggerInterface;
+use HelpdeskForm\Services\DatabaseService;
+use HelpdeskForm\Services\DirectoryService;
+use HelpdeskForm\Services\LdapService;
+use HelpdeskForm\Services\LocalAuthService;
+
+class DirectoryServiceTest extends TestCase
+{
+    private LocalAuthService $localAuthService;
+
+    protected function setUp(): void
+    {
+        $this->localAuthService = new LocalAuthService(new DatabaseService(':memory:'));
+        $this->localAuthService->createUser([
+            'username' => 'jdevries',
+            'email' => 'jan.devries@example.com',
+            'password' => 'secret-password',
+            'name' => 'Jan de Vries',
+            'department' => 'Finance'
+        ]);
+        $this->localAuthService->createUser([
+            'username' => 'ajansen',
+            'email' => 'anna.jansen@example.com',
+            'password' => 'secret-password',
+            'name' => 'Anna Jansen'
+        ]);
+    }
+
+    /**
+     * Test that directory results are cleaned up, listed once and ranked by how the name matches
+     */
+    public function testSearchRanksDirectoryResults(): void
+    {
+        $ldap = $this->createMock(LdapService::class);
+        $ldap->expects($this->once())->method('searchUsers')->with('jan')->willReturn([
+            ['name' => 'Marijke Hendriks', 'email' => 'janitor@example.com', 'department' => null, 'title' => null],
+            ['name' => 'Anna Jansen', 'email' => 'anna.jansen@example.com', 'department' => 'HR', 'title' => null],
+            ['name' => ' Jan de Vries ', 'email' => 'jan.devries@example.com', 'department' => 'Finance', 'title' => 'Controller'],
+            ['name' => 'Jan de Vries', 'email' => 'JAN.DEVRIES@example.com', 'department' => null, 'title' => null],
+            ['name' => null, 'email' => 'printer@example.com', 'department' => null, 'title' => null]
+        ]);
+
+        $service = new DirectoryService($ldap, $this->localAuthService, $this->createMock(LoggerInterface::class));
+        $results = $service->search('  jan ');
+
+        $this->assertEquals(['Jan de Vries', 'Anna Jansen', 'Marijke Hendriks'], array_column($results, 'name'));
+        $this->assertEquals([
+            'name' => 'Jan de Vries',
+            'email' => 'jan.devries@example.com',
+            'department' => 'Finance',
+            'title' => 'Controller'
+        ], $results[0]);
+    }
+
+    /**
+     * Test that local accounts are searched when LDAP is disabled or fails
+     */
+    public function testSearchFallsBackToLocalUsers(): void
+    {
+        $ldap = $this->createMock(LdapService::class);
+        $ldap->method('searchUsers')->willThrowException(new \RuntimeException('Cannot connect'));
+        $logger = $this->createMock(LoggerInterface::class);
+        $logger->expects($this->once())->method('warning');
+
+        $service = new DirectoryService($ldap, $this->localAuthService, $logger);
+        $this->assertEquals(['jan.devries@example.com'], array_column($service->search('vries'), 'email'));
+
+        $disabled = $this->createMock(LdapService::class);
+        $disabled->expects($this->never())->method('searchUsers');
+
+        $service = new DirectoryService($disabled, $this->localAuthService, $this->createMock(LoggerInterface::class), false);
+        $this->assertEquals(['Anna Jansen', 'Jan de Vries'], array_column($service->search('example'), 'name'));
+    }
+
+    /**
+     * Test that the directory is left alone for a while after a search failed, in other requests too
+     */
+    public function testSearchSkipsDirectoryAfterFailure(): void
+    {
+        $unavailableFile = sys_get_temp_dir() . '/' . uniqid('ldap_unavailable_', true);
+
+        $ldap = $this->createMock(LdapService::class);
+        $ldap->expects($this->once())->method('searchUsers')->willThrowException(new \RuntimeException('Timed out'));
+
+        $service = new DirectoryService($ldap, $this->localAuthService, $this->createMock(LoggerInterface::class), true, 10, $unavailableFile);
+        $this->assertEquals(['Jan de Vries'], array_column($service->search('vries'), 'name'));
+        $this->assertEquals(['Anna Jansen'], array_column($service->search('jansen'), 'name'));
+
+        $next = $this->createMock(LdapService::class);
+        $next->expects($this->never())->method('searchUsers');
+
+        $service = new DirectoryService($next, $this->localAuthService, $this->createMock(LoggerInterface::class), true, 10, $unavailableFile);
+        $this->assertEquals(['Jan de Vries'], array_column($service->search('vries'), 'name'));
+
+        unlink($unavailableFile);
+    }
+
+    /**
+     * Test that short queries are not searched
+     */
+    public function testShortQueriesReturnNothing(): void
+    {
+        $ldap = $this->createMock(LdapService::class);
+        $ldap->expects($this->never())->method('searchUsers');
+
+        $service = new DirectoryService($ldap, $this->localAuthService, $this->createMock(LoggerInterface::class));
+        $this->assertSame([], $service->search(' j '));
+    }
+}
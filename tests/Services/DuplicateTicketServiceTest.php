@@ -0,0 +1,49 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\DuplicateTicketService;
+
+class DuplicateTicketServiceTest extends TestCase
+{
+    private DuplicateTicketService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new DuplicateTicketService(['threshold' => 0.5, 'max_results' => 2]);
+    }
+
+    /**
+     * Test that subjects with the same words match despite stop words, endings and typos
+     */
+    public function testSimilarity(): void
+    {
+        $this->assertEquals(1.0, $this->service->similarity('VPN not connecting', 'The VPN does not connect'));
+        $this->assertEquals(1.0, $this->service->similarity('Printer jammed', 'printers jamed'));
+        $this->assertEquals(0.0, $this->service->similarity('Printer not working', 'Laptop not working'));
+        $this->assertEquals(0.0, $this->service->similarity('', 'Laptop broken'));
+    }
+
+    /**
+     * Test that only open tickets above the threshold are returned, best first, and that the request type counts
+     */
+    public function testFindDuplicates(): void
+    {
+        $conversations = [
+            ['id' => 1, 'number' => 101, 'subject' => 'Outlook does not receive mail', 'status' => 'active'],
+            ['id' => 2, 'number' => 102, 'subject' => 'Outlook not receiving mail', 'status' => 'closed'],
+            ['id' => 3, 'number' => 103, 'subject' => 'Outlook crashes', 'status' => 'pending'],
+            ['id' => 4, 'number' => 104, 'subject' => 'Outlook mail', 'status' => 'active'],
+            ['id' => 5, 'number' => 105, 'subject' => 'New monitor', 'status' => 'active']
+        ];
+
+        $duplicates = $this->service->findDuplicates($conversations, 'Outlook receives no mail', 'problem', [1 => 'problem', 4 => 'other']);
+
+        $this->assertEquals([1, 4], array_column($duplicates, 'id'));
+        $this->assertEquals(101, $duplicates[0]['number']);
+        $this->assertEquals(1.0, $duplicates[0]['score']);
+        $this->assertLessThan(0.8, $duplicates[1]['score']);
+    }
+}
@@ -0,0 +1,154 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use Psr\Http\Message\UploadedFileInterface;
+use Slim\Psr7\Factory\StreamFactory;
+use Slim\Psr7\UploadedFile;
+use HelpdeskForm\Services\FileUploadService;
+
+class FileUploadServiceTest extends TestCase
+{
+    private const UPLOAD_ID = 'test-upload-00000001';
+
+    private string $uploadPath;
+    private FileUploadService $service;
+
+    protected function setUp(): void
+    {
+        $this->uploadPath = sys_get_temp_dir() . '/' . uniqid('uploads_', true);
+        $this->service = new FileUploadService($this->uploadPath, 20, ['txt']);
+    }
+
+    protected function tearDown(): void
+    {
+        foreach (array_merge(glob($this->uploadPath . '/*'), glob($this->uploadPath . '/chunks/*')) as $path) {
+            if (is_file($path)) {
+                unlink($path);
+            }
+        }
+        @rmdir($this->uploadPath . '/chunks');
+        @rmdir($this->uploadPath);
+    }
+
+    /**
+     * Test that chunks are joined into one file, kept under a temporary name
+     */
+    public function testChunksAreJoinedIntoOneFile(): void
+    {
+        $this->assertSame(7, $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('Hello, ')));
+        $this->assertSame(12, $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('world')));
+
+        $fileInfo = $this->service->finalizeChunkedUpload(self::UPLOAD_ID, 'notes.txt', 12);
+
+        $this->assertEquals('temp_' . self::UPLOAD_ID . '.txt', $fileInfo['stored_filename']);
+        $this->assertEquals('notes.txt', $fileInfo['original_filename']);
+        $this->assertSame(12, $fileInfo['file_size']);
+        $this->assertStringEqualsFile($fileInfo['file_path'], 'Hello, world');
+        $this->assertFileDoesNotExist($this->partialPath());
+    }
+
+    /**
+     * Test that an upload with fewer bytes than announced is rejected and removed
+     */
+    public function testIncompleteUploadIsRejected(): void
+    {
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('Hello, '));
+
+        try {
+            $this->service->finalizeChunkedUpload(self::UPLOAD_ID, 'notes.txt', 12);
+            $this->fail('An incomplete upload was accepted');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals('Uploaded file is incomplete', $e->getMessage());
+        }
+
+        $this->assertFileDoesNotExist($this->partialPath());
+        $this->assertFileDoesNotExist($this->uploadPath . '/temp_' . self::UPLOAD_ID . '.txt');
+    }
+
+    /**
+     * Test that chunks are refused once the file grows past the maximum size
+     */
+    public function testUploadBeyondMaximumSizeIsRejected(): void
+    {
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('0123456789'));
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('0123456789'));
+
+        try {
+            $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('0'));
+            $this->fail('A file larger than the maximum size was accepted');
+        } catch (\RuntimeException $e) {
+            $this->assertStringContainsString('File size exceeds maximum allowed size', $e->getMessage());
+        }
+
+        $this->assertFileDoesNotExist($this->partialPath());
+    }
+
+    /**
+     * Test that a file attached to a submission can be released to its upload again
+     */
+    public function testAttachedFileCanBeReleased(): void
+    {
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('Hello, world'));
+        $pending = $this->service->finalizeChunkedUpload(self::UPLOAD_ID, 'notes.txt', 12);
+
+        $attached = $this->service->attachToSubmission($pending['stored_filename'], 'submission-uuid', 'notes.txt', 'text/plain');
+
+        $this->assertStringStartsWith('submission-uuid_', $attached['stored_filename']);
+        $this->assertStringEqualsFile($attached['file_path'], 'Hello, world');
+        $this->assertFileDoesNotExist($pending['file_path']);
+
+        $this->service->releaseFromSubmission($attached['stored_filename'], $pending['stored_filename']);
+
+        $this->assertFileDoesNotExist($attached['file_path']);
+        $this->assertStringEqualsFile($pending['file_path'], 'Hello, world');
+    }
+
+    /**
+     * Test that attaching a file that is gone asks for the file again
+     */
+    public function testAttachingMissingFileFails(): void
+    {
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage("Attachment 'notes.txt' is no longer available, please upload it again");
+
+        $this->service->attachToSubmission('temp_' . self::UPLOAD_ID . '.txt', 'submission-uuid', 'notes.txt', 'text/plain');
+    }
+
+    /**
+     * Test that discarding an upload removes both its partial and its stored file
+     */
+    public function testDiscardRemovesPartialAndStoredFiles(): void
+    {
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('Hello, world'));
+        $stored = $this->service->finalizeChunkedUpload(self::UPLOAD_ID, 'notes.txt', 12);
+        $this->service->appendChunk(self::UPLOAD_ID, $this->chunk('Hello'));
+
+        $this->service->discardChunkedUpload(self::UPLOAD_ID, $stored['stored_filename']);
+
+        $this->assertFileDoesNotExist($this->partialPath());
+        $this->assertFileDoesNotExist($stored['file_path']);
+    }
+
+    /**
+     * Test that upload IDs cannot point outside the chunk directory
+     */
+    public function testInvalidUploadIdIsRejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->service->appendChunk('../../config/settings', $this->chunk('Hello'));
+    }
+
+    private function chunk(string $content): UploadedFileInterface
+    {
+        return new UploadedFile((new StreamFactory())->createStream($content), 'blob', 'application/octet-stream', strlen($content));
+    }
+
+    private function partialPath(): string
+    {
+        return $this->uploadPath . '/chunks/' . self::UPLOAD_ID . '.part';
+    }
+}
@@ -5,6 +5,7 @@ namespace HelpdeskForm\Tests\Services;
 
 use PHPUnit\Framework\TestCase;
 use HelpdeskForm\Services\FreeScoutService;
+use HelpdeskForm\Services\MarkdownService;
 use Psr\Log\LoggerInterface;
 use GuzzleHttp\Client;
 use GuzzleHttp\Handler\MockHandler;
@@ -31,6 +32,7 @@ class FreeScoutServiceTest extends TestCase
             'https://example.com/api',
             'test-api-key',
             $this->logger,
+            new MarkdownService(),
             null,
             null,
             $mailboxId
@@ -104,6 +106,7 @@ class FreeScoutServiceTest extends TestCase
             'https://example.com/api',
             'test-api-key',
             $this->logger,
+            new MarkdownService(),
             null,
             null,
             null // No mailbox ID configured
@@ -204,6 +207,87 @@ class FreeScoutServiceTest extends TestCase
         $this->assertEquals($apiMailboxId, $ticketData['mailboxId']);
     }
     
+    /**
+     * Test that the page a widget request came from is added to the ticket body, escaped
+     */
+    public function testBuildTicketDataAddsEmbedContext(): void
+    {
+        $mock = new MockHandler([
+            // getCustomer response - existing customer
+            new Response(200, [], json_encode([
+                '_embedded' => ['customers' => [['id' => 1, 'email' => 'test@example.com']]]
+            ])),
+            // getMailboxCustomFields response
+            new Response(200, [], json_encode([
+                '_embedded' => ['custom_fields' => []]
+            ]))
+        ]);
+        
+        $service = $this->createServiceWithMockClient(HandlerStack::create($mock), 7);
+        
+        $formData = [
+            'requester_name' => 'Test User',
+            'requester_email' => 'test@example.com',
+            'subject' => 'Test Subject'
+        ];
+        
+        $ticketData = $service->buildTicketData($formData, 'problem', [
+            'app_name' => 'CRM <beta>',
+            'page_url' => 'https://crm.example.com/deals?id=1&tab=2'
+        ]);
+        
+        $this->assertStringContainsString(
+            '<p><strong>Submitted from:</strong> CRM &lt;beta&gt; - <a href="https://crm.example.com/deals?id=1&amp;tab=2">https://crm.example.com/deals?id=1&amp;tab=2</a></p>',
+            $ticketData['threads'][0]['text']
+        );
+    }
+    
+    /**
+     * Test that the rows of a repeatable group are shown as an escaped table in the ticket body
+     */
+    public function testBuildTicketDataRendersGroupRowsAsTable(): void
+    {
+        $mock = new MockHandler([
+            // getCustomer response - existing customer
+            new Response(200, [], json_encode([
+                '_embedded' => ['customers' => [['id' => 1, 'email' => 'test@example.com']]]
+            ])),
+            // getMailboxCustomFields response
+            new Response(200, [], json_encode([
+                '_embedded' => ['custom_fields' => []]
+            ]))
+        ]);
+        
+        $service = $this->createServiceWithMockClient(HandlerStack::create($mock), 7, [
+            [
+                'name' => 'system_access',
+                'label' => 'System Access',
+                'type' => 'group',
+                'fields' => [
+                    ['name' => 'system', 'label' => 'System'],
+                    ['name' => 'access_level', 'label' => 'Access Level']
+                ]
+            ]
+        ]);
+        
+        $formData = [
+            'requester_name' => 'Test User',
+            'requester_email' => 'test@example.com',
+            'subject' => 'Test Subject',
+            'system_access' => [
+                ['system' => 'CRM <prod>', 'access_level' => 'Read Only'],
+                ['system' => 'Wiki', 'access_level' => 'Read/Write']
+            ]
+        ];
+        
+        $body = $service->buildTicketData($formData, 'onboarding')['threads'][0]['text'];
+        
+        $this->assertStringContainsString('<p><strong>System access:</strong></p>', $body);
+        $this->assertStringContainsString('<tr><th>System</th><th>Access Level</th></tr>', $body);
+        $this->assertStringContainsString('<tr><td>CRM &lt;prod&gt;</td><td>Read Only</td></tr>', $body);
+        $this->assertStringContainsString('<tr><td>Wiki</td><td>Read/Write</td></tr>', $body);
+    }
+    
     /**
      * Test that exception is thrown when no mailbox ID configured and API returns empty
      */
@@ -228,12 +312,13 @@ class FreeScoutServiceTest extends TestCase
     /**
      * Helper method to create a FreeScoutService with a mocked HTTP client
      */
-    private function createServiceWithMockClient(HandlerStack $handlerStack, ?int $mailboxId): FreeScoutService
+    private function createServiceWithMockClient(HandlerStack $handlerStack, ?int $mailboxId, ?array $fieldDefinitions = null): FreeScoutService
     {
         $service = new FreeScoutService(
             'https://example.com/api',
             'test-api-key',
             $this->logger,
+            new MarkdownService(),
             [
                 'custom_fields' => [],
                 'request_types' => [],
@@ -241,7 +326,7 @@ class FreeScoutServiceTest extends TestCase
                 'subject_templates' => ['_default' => 'IT Request'],
                 'exclude_from_body' => ['requester_name', 'requester_email', 'csrf_token']
             ],
-            null,
+            $fieldDefinitions,
             $mailboxId
         );
         
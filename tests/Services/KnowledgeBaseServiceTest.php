@@ -0,0 +1,55 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\KnowledgeBaseService;
+
+class KnowledgeBaseServiceTest extends TestCase
+{
+    private string $indexPath;
+
+    protected function setUp(): void
+    {
+        $this->indexPath = tempnam(sys_get_temp_dir(), 'kb');
+        file_put_contents($this->indexPath, json_encode(['articles' => [
+            ['id' => 'vpn', 'title' => 'VPN does not connect', 'url' => 'https://kb.example.com/vpn', 'keywords' => ['vpn'], 'request_types' => ['problem']],
+            ['id' => 'password', 'title' => 'Reset your password', 'url' => '/kb/password'],
+            ['id' => 'script', 'title' => 'Evil link', 'url' => 'javascript:alert(1)'],
+            ['id' => 'protocol-relative', 'title' => 'Other site', 'url' => '//evil.example.org'],
+            ['title' => 'No id', 'url' => 'https://kb.example.com/none']
+        ]]));
+    }
+
+    protected function tearDown(): void
+    {
+        unlink($this->indexPath);
+    }
+
+    /**
+     * Test that articles are filtered by request type and that unsafe or incomplete entries are skipped
+     */
+    public function testArticlesForRequestType(): void
+    {
+        $service = new KnowledgeBaseService($this->indexPath);
+
+        $this->assertEquals(['vpn', 'password'], array_column($service->getArticles(), 'id'));
+        $this->assertEquals(['vpn', 'password'], array_column($service->getArticles('problem'), 'id'));
+        $this->assertEquals(['password'], array_column($service->getArticles('onboarding'), 'id'));
+
+        $this->assertEquals('', $service->getArticle('password')['summary']);
+        $this->assertNull($service->getArticle('script'));
+    }
+
+    /**
+     * Test that a missing index means no suggestions
+     */
+    public function testMissingIndexHasNoArticles(): void
+    {
+        $service = new KnowledgeBaseService($this->indexPath . '.missing');
+
+        $this->assertSame([], $service->getArticles());
+        $this->assertNull($service->getArticle('vpn'));
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\MarkdownService;
+
+class MarkdownServiceTest extends TestCase
+{
+    private MarkdownService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new MarkdownService();
+    }
+
+    /**
+     * Test that numbered steps, continued items and bulleted lists become HTML lists
+     */
+    public function testListsAreConverted(): void
+    {
+        $html = $this->service->toHtml("Steps:\n1. Open Outlook\n2. Click *Send*\n   nothing happens\n\n- Windows 11\n- Office 365");
+
+        $this->assertEquals(
+            "<p>Steps:</p>\n<ol>\n<li>Open Outlook</li>\n<li>Click <em>Send</em><br>\nnothing happens</li>\n</ol>\n<ul>\n<li>Windows 11</li>\n<li>Office 365</li>\n</ul>",
+            $html
+        );
+        $this->assertEquals("<ol start=\"3\">\n<li>Third</li>\n</ol>", $this->service->toHtml('3. Third'));
+    }
+
+    /**
+     * Test that code blocks and code spans are escaped and not formatted
+     */
+    public function testCodeIsEscapedVerbatim(): void
+    {
+        $html = $this->service->toHtml("```log\nError: <b>**not bold**</b>\n```\nUse `a*b*c`");
+
+        $this->assertEquals(
+            "<pre><code class=\"language-log\">Error: &lt;b&gt;**not bold**&lt;/b&gt;</code></pre>\n<p>Use <code>a*b*c</code></p>",
+            $html
+        );
+    }
+
+    /**
+     * Test that HTML is escaped and only http, https and mailto links are created
+     */
+    public function testOutputIsSafe(): void
+    {
+        $html = $this->service->toHtml('<script>alert(1)</script> [docs](https://example.com/a_b?x=1&y=2) [click](javascript:alert(1))');
+
+        $this->assertEquals(
+            '<p>&lt;script&gt;alert(1)&lt;/script&gt; <a href="https://example.com/a_b?x=1&amp;y=2">docs</a> [click](javascript:alert(1))</p>',
+            $html
+        );
+    }
+
+    /**
+     * Test headings, quotes, emphasis and line breaks inside a paragraph
+     */
+    public function testBlocksAndEmphasis(): void
+    {
+        $html = $this->service->toHtml("## Summary\n> **VPN** drops\n\nfirst line\nsecond line with snake_case_name");
+
+        $this->assertEquals(
+            "<h2>Summary</h2>\n<blockquote>\n<p><strong>VPN</strong> drops</p>\n</blockquote>\n<p>first line<br>\nsecond line with snake_case_name</p>",
+            $html
+        );
+    }
+}
@@ -0,0 +1,90 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\PrefillService;
+use HelpdeskForm\Services\ValidationService;
+
+class PrefillServiceTest extends TestCase
+{
+    private PrefillService $service;
+    private array $fields;
+
+    protected function setUp(): void
+    {
+        $this->service = new PrefillService(new ValidationService(), 'test-secret');
+        $this->fields = [
+            ['name' => 'requester_email', 'type' => 'email'],
+            ['name' => 'manager_email', 'type' => 'email'],
+            ['name' => 'device_type', 'type' => 'select', 'options' => ['Laptop', 'Desktop']],
+            ['name' => 'equipment', 'type' => 'checkbox_group', 'options' => ['Laptop', 'Monitor', 'Phone']],
+            ['name' => 'asset_tag', 'type' => 'text', 'validation' => 'string|max:10'],
+            ['name' => 'screenshot', 'type' => 'file']
+        ];
+    }
+
+    /**
+     * Test that only values that pass validation and match the options are kept
+     */
+    public function testFromQueryKeepsValidValues(): void
+    {
+        $values = $this->service->fromQuery($this->fields, [
+            'requester_email' => 'someone@example.com',
+            'manager_email' => 'boss@example.com',
+            'device_type' => 'Laptop',
+            'equipment' => ['Monitor', ' Phone ', 'Monitor'],
+            'asset_tag' => 'IT-0042',
+            'screenshot' => 'evil.png',
+            'draft' => 'abc',
+            'utm_source' => 'newsletter'
+        ]);
+
+        $this->assertEquals([
+            'manager_email' => 'boss@example.com',
+            'device_type' => 'Laptop',
+            'equipment' => ['Monitor', 'Phone'],
+            'asset_tag' => 'IT-0042'
+        ], $values);
+    }
+
+    /**
+     * Test that invalid values are dropped instead of pre-filled
+     */
+    public function testInvalidValuesAreDropped(): void
+    {
+        $values = $this->service->filter($this->fields, [
+            'manager_email' => 'not an email',
+            'device_type' => 'Server',
+            'equipment' => ['Monitor', 'Printer'],
+            'asset_tag' => 'MUCH-TOO-LONG-TAG',
+            'device_type_extra' => 'Laptop'
+        ]);
+
+        $this->assertSame([], $values);
+    }
+
+    /**
+     * Test that signed links only open the form they were made for, and only untampered and unexpired
+     */
+    public function testSignedTokens(): void
+    {
+        $token = $this->service->createToken('hardware', ['device_type' => 'Laptop']);
+        $this->assertEquals(['device_type' => 'Laptop'], $this->service->readToken($token, 'hardware'));
+        $this->assertNull($this->service->readToken($token, 'software'));
+
+        [$payload, $signature] = explode('.', $token);
+        $forged = rtrim(strtr(base64_encode(json_encode(['type' => 'hardware', 'values' => ['device_type' => 'Desktop']])), '+/', '-_'), '=');
+        $this->assertNull($this->service->readToken($forged . '.' . $signature, 'hardware'));
+        $this->assertNull($this->service->readToken($payload, 'hardware'));
+
+        $expired = $this->service->createToken('hardware', ['device_type' => 'Laptop'], time() - 60);
+        $this->assertNull($this->service->readToken($expired, 'hardware'));
+        $this->assertEquals(['device_type' => 'Laptop'], $this->service->readToken($expired, 'hardware', false));
+
+        $unsigned = new PrefillService(new ValidationService());
+        $this->assertFalse($unsigned->canSign());
+        $this->assertNull($unsigned->readToken($token, 'hardware'));
+    }
+}
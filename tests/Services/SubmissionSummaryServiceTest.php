@@ -0,0 +1,107 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\SubmissionSummaryService;
+
+class SubmissionSummaryServiceTest extends TestCase
+{
+    private SubmissionSummaryService $service;
+    private array $fields;
+
+    protected function setUp(): void
+    {
+        $this->service = new SubmissionSummaryService();
+        $this->fields = [
+            ['name' => 'subject', 'label' => 'Subject', 'type' => 'text'],
+            ['name' => 'priority', 'label' => 'Priority', 'type' => 'select', 'options' => [
+                ['value' => 'high', 'label' => 'High - Urgent']
+            ]],
+            ['name' => 'software_required', 'label' => 'Software', 'type' => 'checkbox_group', 'options' => ['Office', 'Slack']],
+            ['name' => 'access_requirements', 'label' => 'Access', 'type' => 'textarea'],
+            ['name' => 'system_access', 'label' => 'Systems', 'type' => 'group', 'fields' => [
+                ['name' => 'system', 'label' => 'System'],
+                ['name' => 'level', 'label' => 'Level', 'options' => [['value' => 'read', 'label' => 'Read only']]]
+            ]],
+            ['name' => 'attachments', 'label' => 'Attachments', 'type' => 'file']
+        ];
+    }
+
+    /**
+     * Test that answers are shown with option labels, lists and tables, and that empty fields are left out
+     */
+    public function testBuild(): void
+    {
+        $formData = [
+            'subject' => 'Install Slack',
+            'priority' => 'high',
+            'software_required' => ['Office', 'Slack'],
+            'access_requirements' => "Shared drive\nCRM",
+            'system_access' => [['system' => 'CRM', 'level' => 'read'], ['system' => '', 'level' => '']]
+        ];
+
+        $sections = $this->service->build($this->fields, [], $formData, [], 'Software Request');
+
+        $this->assertCount(1, $sections);
+        $this->assertEquals('Software Request', $sections[0]['title']);
+        $this->assertEquals([
+            ['name' => 'subject', 'label' => 'Subject', 'type' => 'text', 'value' => 'Install Slack'],
+            ['name' => 'priority', 'label' => 'Priority', 'type' => 'text', 'value' => 'High - Urgent'],
+            ['name' => 'software_required', 'label' => 'Software', 'type' => 'list', 'value' => ['Office', 'Slack']],
+            ['name' => 'access_requirements', 'label' => 'Access', 'type' => 'textarea', 'value' => "Shared drive\nCRM"],
+            ['name' => 'system_access', 'label' => 'Systems', 'type' => 'table', 'value' => [
+                'columns' => ['System', 'Level'],
+                'rows' => [['CRM', 'Read only']]
+            ]]
+        ], $sections[0]['items']);
+
+        $sections = $this->service->build($this->fields, [], ['subject' => ' ', 'software_required' => []]);
+        $this->assertEquals([], $sections);
+    }
+
+    /**
+     * Test that wizard steps become sections, in order, and that attachments come last
+     */
+    public function testBuildWithStepsAndAttachments(): void
+    {
+        $steps = [
+            ['title' => 'Request', 'fields' => ['subject', 'priority']],
+            ['title' => 'Software', 'fields' => ['software_required', 'attachments']],
+            ['title' => 'Access', 'fields' => ['system_access']]
+        ];
+        $files = [['original_filename' => 'quote.pdf', 'file_size' => 1536]];
+
+        $sections = $this->service->build($this->fields, $steps, ['subject' => 'Install Slack', 'software_required' => ['Slack']], $files);
+
+        $this->assertEquals(['Request', 'Software', 'Attachments'], array_column($sections, 'title'));
+        $this->assertEquals(['subject'], array_column($sections[0]['items'], 'name'));
+        $this->assertEquals(['software_required'], array_column($sections[1]['items'], 'name'));
+        $this->assertEquals(['quote.pdf (1.5 KB)'], $sections[2]['items'][0]['value']);
+    }
+
+    /**
+     * Test the details of a stored submission in the downloadable summary
+     */
+    public function testForSubmission(): void
+    {
+        $submission = [
+            'uuid' => 'abc',
+            'request_type' => 'software_request',
+            'requester_name' => 'Jane Doe',
+            'requester_email' => 'jane@example.com',
+            'created_at' => '2026-03-27 15:30:00',
+            'form_data' => ['subject' => 'Install Slack']
+        ];
+
+        $summary = $this->service->forSubmission($submission, $this->fields, [], [], 'Software Request', ['number' => 1042]);
+
+        $this->assertEquals('software_request', $summary['request_type']);
+        $this->assertEquals('Software Request', $summary['request_type_label']);
+        $this->assertEquals(1042, $summary['ticket_number']);
+        $this->assertEquals(['name' => 'Jane Doe', 'email' => 'jane@example.com'], $summary['requester']);
+        $this->assertStringStartsWith('2026-03-27T15:30:00', $summary['submitted_at']);
+        $this->assertEquals('Install Slack', $summary['sections'][0]['items'][0]['value']);
+    }
+}
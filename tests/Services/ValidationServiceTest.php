@@ -0,0 +1,226 @@
+<?php
+declare(strict_types=1);
+
+namespace HelpdeskForm\Tests\Services;
+
+use PHPUnit\Framework\TestCase;
+use HelpdeskForm\Services\ValidationService;
+
+class ValidationServiceTest extends TestCase
+{
+    private ValidationService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new ValidationService([
+            'required' => 'This field is required',
+            'max_length' => 'Maximum {max} characters allowed'
+        ]);
+    }
+
+    /**
+     * Test that rule strings and rule lists are split into name/parameter pairs
+     */
+    public function testParseRules(): void
+    {
+        $this->assertEquals(
+            [['string', null], ['max', '255']],
+            $this->service->parseRules('string|max:255')
+        );
+
+        $this->assertEquals(
+            [['regex', '/^(a|b)$/']],
+            $this->service->parseRules(['regex:/^(a|b)$/'])
+        );
+    }
+
+    /**
+     * Test that required fields report the configured message and optional empty fields pass
+     */
+    public function testRequiredFields(): void
+    {
+        $field = ['name' => 'subject', 'label' => 'Subject', 'type' => 'text', 'required' => true];
+
+        $this->assertEquals('This field is required', $this->service->validateField($field, ''));
+        $this->assertEquals('This field is required', $this->service->validateField($field, ['']));
+        $this->assertNull($this->service->validateField($field, '0'));
+
+        $field['required'] = false;
+        $this->assertNull($this->service->validateField($field, ''));
+    }
+
+    /**
+     * Test length, numeric and item-count limits
+     */
+    public function testMinAndMaxRules(): void
+    {
+        $text = ['name' => 'asset_tag', 'label' => 'Asset Tag', 'type' => 'text', 'validation' => 'string|max:5'];
+        $this->assertEquals('Maximum 5 characters allowed', $this->service->validateField($text, 'ABCDEF'));
+        $this->assertNull($this->service->validateField($text, 'ÄBCDE'));
+
+        $number = ['name' => 'users', 'label' => 'Users', 'type' => 'text', 'validation' => 'integer|min:1|max:50'];
+        $this->assertEquals('Must be at least 1', $this->service->validateField($number, '0'));
+        $this->assertEquals('Must be a whole number', $this->service->validateField($number, '2.5'));
+        $this->assertNull($this->service->validateField($number, '12'));
+
+        $group = [
+            'name' => 'equipment',
+            'label' => 'Equipment',
+            'type' => 'checkbox_group',
+            'options' => ['Laptop', 'Monitor', 'Phone'],
+            'validation' => 'max:2'
+        ];
+        $this->assertEquals('Select at most 2 options', $this->service->validateField($group, ['Laptop', 'Monitor', 'Phone']));
+        $this->assertEquals('Please select a valid option', $this->service->validateField($group, ['Tablet']));
+    }
+
+    /**
+     * Test after/before with keywords and references to other fields
+     */
+    public function testDateRules(): void
+    {
+        $startDate = ['name' => 'start_date', 'label' => 'Start Date', 'type' => 'date', 'validation' => 'date|after:today'];
+
+        $this->assertEquals('Must be after today', $this->service->validateField($startDate, date('Y-m-d')));
+        $this->assertNull($this->service->validateField($startDate, date('Y-m-d', strtotime('+1 day'))));
+        $this->assertEquals('Must be a valid date', $this->service->validateField($startDate, 'not a date'));
+
+        $endDate = ['name' => 'end_date', 'label' => 'End Date', 'type' => 'date', 'validation' => 'after:start_date'];
+        $fields = [$startDate, $endDate];
+        $formData = ['start_date' => '2030-05-10', 'end_date' => '2030-05-01'];
+
+        $errors = $this->service->validateFormData($fields, $formData);
+
+        $this->assertEquals(['end_date' => 'Must be after Start Date'], $errors);
+    }
+
+    /**
+     * Test regex and in rules
+     */
+    public function testRegexAndInRules(): void
+    {
+        $field = [
+            'name' => 'cost_center',
+            'label' => 'Cost Center',
+            'type' => 'text',
+            'validation' => ['regex:/^(CC|PR)-\d{4}$/']
+        ];
+        $this->assertNull($this->service->validateField($field, 'CC-1234'));
+        $this->assertEquals('Invalid format', $this->service->validateField($field, 'XX-1234'));
+
+        $field['validation'] = 'in:nl,en';
+        $this->assertEquals('Must be one of: nl, en', $this->service->validateField($field, 'de'));
+    }
+
+    /**
+     * Test that an answer a valid pattern cannot be matched against fails the rule with the usual message
+     */
+    public function testRegexRuleFailsOnUnmatchableAnswer(): void
+    {
+        $field = [
+            'name' => 'display_name',
+            'label' => 'Display Name',
+            'type' => 'text',
+            'validation' => ['regex:/^\p{L}+$/u']
+        ];
+        $this->assertNull($this->service->validateField($field, 'Zoë'));
+        $this->assertEquals('Invalid format', $this->service->validateField($field, "Zo\xeb"));
+    }
+
+    /**
+     * Test that message templates given per locale follow withLocale()
+     */
+    public function testLocalizedMessages(): void
+    {
+        $service = new ValidationService([
+            'required' => ['en' => 'This field is required', 'nl' => 'Dit veld is verplicht'],
+            'max_length' => ['en' => 'Maximum {max} characters allowed', 'nl' => 'Maximaal {max} tekens toegestaan']
+        ]);
+        $field = ['name' => 'subject', 'label' => 'Subject', 'type' => 'text', 'required' => true, 'validation' => 'max:3'];
+
+        $this->assertEquals('This field is required', $service->validateField($field, ''));
+        $this->assertEquals('Dit veld is verplicht', $service->withLocale('nl')->validateField($field, ''));
+        $this->assertEquals('Maximaal 3 tekens toegestaan', $service->withLocale('nl-NL')->validateField($field, 'abcd'));
+        $this->assertEquals('This field is required', $service->withLocale('de')->validateField($field, ''));
+        $this->assertEquals('Must be a valid date', $service->withLocale('nl')->validateField(['name' => 'd', 'type' => 'date'], 'x'));
+    }
+
+    /**
+     * Test that required file fields are satisfied by uploaded file IDs
+     */
+    public function testRequiredFileFieldUsesPendingUploads(): void
+    {
+        $fields = [['name' => 'contract', 'label' => 'Contract', 'type' => 'file', 'required' => true]];
+
+        $this->assertEquals(['contract' => 'This field is required'], $this->service->validateFormData($fields, []));
+        $this->assertEquals([], $this->service->validateFormData($fields, [], ['contract' => ['upload-id']]));
+    }
+
+    /**
+     * Test that rows of repeatable groups are validated per row, skipping empty rows
+     */
+    public function testRepeatableGroups(): void
+    {
+        $group = [
+            'name' => 'systems',
+            'label' => 'Systems',
+            'type' => 'group',
+            'repeatable' => true,
+            'required' => true,
+            'max_rows' => 2,
+            'fields' => [
+                ['name' => 'system', 'label' => 'System', 'type' => 'text', 'required' => true],
+                ['name' => 'access', 'label' => 'Access', 'type' => 'select', 'options' => ['Read', 'Write']],
+                ['name' => 'from', 'label' => 'From', 'type' => 'date'],
+                ['name' => 'until', 'label' => 'Until', 'type' => 'date', 'validation' => 'after:from']
+            ]
+        ];
+
+        $this->assertEquals(['systems' => 'This field is required'], $this->service->validateFormData([$group], []));
+        $this->assertEquals(
+            ['systems' => 'This field is required'],
+            $this->service->validateFormData([$group], ['systems' => [['system' => '', 'access' => '']]])
+        );
+
+        $errors = $this->service->validateFormData([$group], ['systems' => [
+            ['system' => 'CRM', 'access' => 'Read'],
+            ['system' => '', 'access' => ''],
+            ['system' => '', 'access' => 'Admin', 'from' => '2030-05-10', 'until' => '2030-05-01']
+        ]]);
+
+        $this->assertEquals([
+            'systems[2][system]' => 'This field is required',
+            'systems[2][access]' => 'Please select a valid option',
+            'systems[2][until]' => 'Must be after From'
+        ], $errors);
+
+        $tooMany = array_fill(0, 3, ['system' => 'CRM', 'access' => 'Read']);
+        $this->assertEquals('Add at most 2 rows', $this->service->validateField($group, $tooMany));
+    }
+
+    /**
+     * Test that empty rows and unknown columns are dropped before a request is stored
+     */
+    public function testRemoveEmptyRows(): void
+    {
+        $fields = [
+            ['name' => 'subject', 'type' => 'text'],
+            ['name' => 'systems', 'type' => 'group', 'fields' => [['name' => 'system'], ['name' => 'access']]]
+        ];
+
+        $formData = $this->service->removeEmptyRows($fields, [
+            'subject' => 'Access',
+            'systems' => [
+                ['system' => '', 'access' => ' '],
+                ['system' => ' CRM ', 'extra' => 'x'],
+                ['extra' => 'only unknown columns'],
+                'not a row'
+            ]
+        ]);
+
+        $this->assertSame([
+            'subject' => 'Access',
+            'systems' => [['system' => 'CRM', 'access' => '']]
+        ], $formData);
+    }
+}
@@ -0,0 +1,165 @@
+// Conditions of triggers in form_fields.yaml
+// Run with: node --test tests/js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadEvaluator() {
+    const context = {};
+    context.window = context;
+    vm.createContext(context);
+
+    const file = 'expression-evaluator.js';
+    const source = fs.readFileSync(path.join(__dirname, '../../public/assets/js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+
+    return context.ExpressionEvaluator;
+}
+
+// Evaluate a condition with the given field values
+function evaluate(condition, values) {
+    const evaluator = loadEvaluator();
+    return evaluator.evaluate(evaluator.compile(condition), name => values[name]);
+}
+
+// Evaluate a condition with `value` set to the given value
+function check(condition, value) {
+    return evaluate(condition, { value: value });
+}
+
+// FormHandler with the evaluator, for the checks when a form is loaded
+function loadFormHandler(toasts) {
+    const context = {
+        console: { error() {} },
+        document: {
+            addEventListener() {},
+            getElementById: id => (id === 'helpdeskForm' ? { addEventListener() {} } : null)
+        },
+        I18n: { t: (key, params = {}) => [key].concat(Object.values(params)).join(' ') },
+        HelpDesk: { Utils: { showToast: (message, type) => toasts.push({ message, type }) } }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    ['expression-evaluator.js', 'form-handler.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '../../public/assets/js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return context.FormHandler;
+}
+
+test('negative numbers can be compared with', () => {
+    assert.strictEqual(check('value > -1', '0'), true);
+    assert.strictEqual(check('value > -1', '-2'), false);
+    assert.strictEqual(check('value == -5', '-5'), true);
+    assert.strictEqual(check('value <= -0.5', -1), true);
+    assert.strictEqual(check('value in [-1, 0]', '-1'), true);
+});
+
+test('a minus sign without a number is a syntax error', () => {
+    const evaluator = loadEvaluator();
+
+    assert.throws(() => evaluator.compile('value > -'), /Unexpected '-' at position 9/);
+    assert.throws(() => evaluator.compile('value == -other'), /Unexpected '-' at position 10/);
+});
+
+test('equality compares text, and numbers as numbers', () => {
+    assert.strictEqual(check("value == 'Laptop'", 'Laptop'), true);
+    assert.strictEqual(check("value == 'Laptop'", 'laptop'), false);
+    assert.strictEqual(check("value != 'Laptop'", 'Desktop'), true);
+    assert.strictEqual(check("value != 'Laptop'", 'Laptop'), false);
+    assert.strictEqual(check('value == 5', '5.0'), true);
+    assert.strictEqual(check("value != ''", ''), false);
+});
+
+test('in and not in check a list of values', () => {
+    assert.strictEqual(check("value in ['Laptop', 'Desktop']", 'Desktop'), true);
+    assert.strictEqual(check("value in ['Laptop', 'Desktop']", 'Phone'), false);
+    assert.strictEqual(check("value not in ['Laptop', 'Desktop']", 'Phone'), true);
+    assert.strictEqual(check("value not in ['Laptop', 'Desktop']", 'Laptop'), false);
+    assert.strictEqual(check('value in []', 'Laptop'), false);
+});
+
+test('contains looks for text, ignoring case', () => {
+    assert.strictEqual(check("value contains 'vpn'", 'The VPN drops every hour'), true);
+    assert.strictEqual(check("value contains 'vpn'", 'Wifi drops every hour'), false);
+    assert.strictEqual(check("value contains 'vpn'", ''), false);
+});
+
+test('empty() is true for missing, blank and unselected values', () => {
+    assert.strictEqual(check('empty(value)', ''), true);
+    assert.strictEqual(check('empty(value)', '   '), true);
+    assert.strictEqual(check('empty(value)', []), true);
+    assert.strictEqual(check('empty(value)', undefined), true);
+    assert.strictEqual(check('empty(value)', 'Laptop'), false);
+    assert.strictEqual(check('!empty(value)', ['Monitor']), true);
+});
+
+test('&&, || and ! combine conditions, with && before ||', () => {
+    const values = { priority: 'critical', device_type: 'Server', value: 'Yes' };
+
+    assert.strictEqual(evaluate("priority == 'critical' && device_type == 'Server'", values), true);
+    assert.strictEqual(evaluate("priority == 'low' && device_type == 'Server'", values), false);
+    assert.strictEqual(evaluate("priority == 'low' || device_type == 'Server'", values), true);
+    assert.strictEqual(evaluate("priority == 'low' || value == 'Yes' && device_type == 'Laptop'", values), false);
+    assert.strictEqual(evaluate("(priority == 'low' || value == 'Yes') && device_type == 'Server'", values), true);
+    assert.strictEqual(evaluate("!(priority == 'low')", values), true);
+    assert.strictEqual(evaluate("!value == 'Yes'", values), false);
+});
+
+test('conditions can refer to other fields', () => {
+    const evaluator = loadEvaluator();
+    const compiled = evaluator.compile("value == 'Other' && other_device != ''");
+
+    assert.deepStrictEqual([...compiled.fields], ['value', 'other_device']);
+    assert.strictEqual(evaluate("value == 'Other' && other_device != ''", { value: 'Other', other_device: 'Tablet' }), true);
+    assert.strictEqual(evaluate("value == 'Other' && other_device != ''", { value: 'Other', other_device: '' }), false);
+    // A field that is not on the page has no value
+    assert.strictEqual(evaluate('empty(other_device)', { value: 'Other' }), true);
+});
+
+test('checkbox groups match when any of the checked values does', () => {
+    const checked = ['Monitor', 'Phone'];
+
+    assert.strictEqual(check("value == 'Phone'", checked), true);
+    assert.strictEqual(check("value == 'Laptop'", checked), false);
+    assert.strictEqual(check("value != 'Laptop'", checked), true);
+    assert.strictEqual(check("value != 'Phone'", checked), false);
+    assert.strictEqual(check("value in ['Laptop', 'Phone']", checked), true);
+    assert.strictEqual(check("value not in ['Laptop', 'Phone']", checked), false);
+    assert.strictEqual(check("value contains 'Monitor'", checked), true);
+    assert.strictEqual(check("value contains 'Mon'", checked), false);
+});
+
+test('quoted values can contain quotes', () => {
+    assert.strictEqual(check("value == 'I don\\'t know'", "I don't know"), true);
+    assert.strictEqual(check('value == "I don\'t know"', "I don't know"), true);
+    assert.strictEqual(check("value in ['Men\\'s', \"Women's\"]", "Women's"), true);
+});
+
+test('invalid conditions are reported when the form is loaded', () => {
+    const toasts = [];
+    const formHandler = loadFormHandler(toasts);
+    formHandler.handleConditionalTriggers = () => {};
+    formHandler.config = {
+        fields: [
+            { name: 'device_type', triggers: [{ condition: "value == 'Other'", show_fields: ['other_device'] }] },
+            { name: 'other_device' },
+            { name: 'priority', triggers: [{ condition: "value == 'high' &&", show_fields: ['impact'] }] },
+            { name: 'impact', triggers: [{ condition: "department == 'IT'", show_fields: ['team'] }] }
+        ]
+    };
+
+    formHandler.setupConditionalFields();
+
+    assert.deepStrictEqual(Object.keys(formHandler.conditionGraph.controlledBy), ['other_device']);
+    assert.strictEqual(toasts.length, 1);
+    assert.strictEqual(toasts[0].type, 'error');
+    assert.match(toasts[0].message, /priority: Unexpected end of expression at position 19 in condition "value == 'high' &&"/);
+    assert.match(toasts[0].message, /impact: Unknown field 'department' in condition "department == 'IT'"/);
+});
@@ -0,0 +1,208 @@
+// Markup built from user, file and server text is escaped
+// Run with: node --test tests/js
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ATTACK = '<img src=x onerror="alert(1)">';
+const ESCAPED = '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;';
+
+// Just enough of an element for the renderers: markup written to it is kept.
+// Elements made with autoCreate find any child they are asked for.
+class FakeElement {
+    constructor(props = {}) {
+        this.markup = '';
+        this.children = {};
+        this.dataset = {};
+        this.style = {};
+        this.attributes = {};
+        this.classList = { add() {}, remove() {}, toggle() {}, contains: () => false };
+        Object.assign(this, props);
+    }
+
+    set innerHTML(markup) {
+        this.markup = markup;
+    }
+
+    get innerHTML() {
+        return this.markup;
+    }
+
+    insertAdjacentHTML(position, markup) {
+        this.markup += markup;
+    }
+
+    querySelector(selector) {
+        if (!this.children[selector] && this.autoCreate) {
+            this.children[selector] = new FakeElement({ autoCreate: true });
+        }
+        return this.children[selector] || null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    hasAttribute(name) {
+        return name in this.attributes;
+    }
+
+    addEventListener() {}
+}
+
+// Load the scripts as the browser does, sharing one global scope
+function loadScripts(elements = {}) {
+    const document = {
+        addEventListener() {},
+        createElement: () => new FakeElement({ autoCreate: true }),
+        getElementById: id => elements[id] || new FakeElement({ autoCreate: true }),
+        querySelector: selector => elements[selector] || null,
+        querySelectorAll: () => []
+    };
+    const context = {
+        document: document,
+        console: console,
+        I18n: {
+            t: (key, params = {}) => [key].concat(Object.values(params)).join(' '),
+            has: () => false,
+            formatNumber: value => String(value)
+        },
+        bootstrap: { Toast: function() { this.show = () => {}; this.hide = () => {}; } },
+        ApiClient: { getCsrfToken: () => 'csrf-token' }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    ['app.js', 'file-field.js', 'submission-summary.js', 'form-handler.js', 'autocomplete-field.js', 'knowledge-base.js', 'form-renderer.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '../../public/assets/js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return context;
+}
+
+test('html escapes values and keeps markup made with html or trustedHtml', () => {
+    const { HelpDesk } = loadScripts();
+    const { html, trustedHtml, toHtml } = HelpDesk.Utils;
+
+    assert.strictEqual(String(html`<b title="${ATTACK}">${ATTACK}</b>`), `<b title="${ESCAPED}">${ESCAPED}</b>`);
+    assert.strictEqual(String(html`<ul>${['a&b', html`<li>${ATTACK}</li>`]}</ul>`), `<ul>a&amp;b<li>${ESCAPED}</li></ul>`);
+    assert.strictEqual(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+    assert.strictEqual(toHtml(trustedHtml('<hr>')), '<hr>');
+    assert.strictEqual(toHtml(ATTACK), ESCAPED);
+});
+
+test('toasts show the message as text', () => {
+    const container = new FakeElement();
+    const { HelpDesk } = loadScripts({ '.toast-container': container });
+
+    // e.g. the message of a failed request, as sent by the server
+    HelpDesk.Utils.showToast(ATTACK, 'error');
+
+    assert.ok(container.markup.includes(ESCAPED));
+    assert.ok(!container.markup.includes('<img'));
+});
+
+test('file items show the file name as text', () => {
+    const { FileField } = loadScripts();
+
+    const item = FileField.createItem({ name: `${ATTACK}.png`, size: 2048 }, 'attachments');
+
+    assert.ok(item.markup.includes(`${ESCAPED}.png`));
+    assert.ok(!item.markup.includes('<img'));
+});
+
+test('the submission summary shows answers and labels as text', () => {
+    const { FormHandler } = loadScripts();
+    const values = { subject: ATTACK, software: [ATTACK] };
+    const handler = {
+        config: {
+            requestType: 'software_request',
+            requestTypes: { software_request: ATTACK },
+            fields: [
+                { name: 'subject', label: ATTACK, type: 'text' },
+                { name: 'software', label: 'Software', type: 'checkbox_group' }
+            ]
+        },
+        steps: [],
+        getFieldValue: name => values[name]
+    };
+
+    const markup = String(FormHandler.generateSubmissionSummary.call(handler));
+
+    assert.strictEqual(markup.split(ESCAPED).length - 1, 4);
+    assert.ok(!markup.includes('<img'));
+});
+
+test('the field progress list shows labels as text', () => {
+    const progress = new FakeElement();
+    const container = new FakeElement();
+    container.children.label = new FakeElement({ textContent: `${ATTACK} *` });
+    container.children['input, select, textarea'] = new FakeElement({ type: 'text', value: '' });
+    const form = new FakeElement({ querySelectorAll: () => [container] });
+    const { HelpDesk } = loadScripts({ fieldProgress: progress, helpdeskForm: form });
+
+    HelpDesk.ProgressTracker.updateFieldProgressList();
+
+    assert.ok(progress.markup.includes(ESCAPED));
+    assert.ok(!progress.markup.includes('<img'));
+});
+
+test('rendered forms show configuration and default values as text', () => {
+    const container = new FakeElement();
+    const { FormRenderer } = loadScripts();
+
+    FormRenderer.render(container, 'hardware', {
+        fields: [
+            { name: 'summary', type: 'text', label: ATTACK, placeholder: ATTACK, default: ATTACK, required: true },
+            { name: 'device', type: 'select', label: 'Device', options: [ATTACK, { value: ATTACK, label: ATTACK }] },
+            { name: 'equipment', type: 'checkbox_group', label: 'Equipment', options: [ATTACK] },
+            { name: 'details', type: 'textarea', label: 'Details', default: ATTACK }
+        ],
+        steps: [{ id: 'step', title: ATTACK, description: ATTACK, fields: ['summary', 'device', 'equipment', 'details'] }]
+    }, [], { embedded: true });
+
+    assert.ok(container.markup.includes(`<input type="text" class="form-control" id="summary" name="summary" required placeholder="${ESCAPED}" value="${ESCAPED}">`));
+    assert.ok(container.markup.includes(`<option value="${ESCAPED}">${ESCAPED}</option>`));
+    assert.ok(container.markup.includes(`<textarea class="form-control" id="details" name="details" rows="4">${ESCAPED}</textarea>`));
+    assert.ok(container.markup.includes(`<input type="hidden" name="csrf_token" value="csrf-token">`));
+    assert.ok(!container.markup.includes('<img'));
+});
+
+test('directory suggestions show names and details as text', () => {
+    const menu = new FakeElement();
+    const { AutocompleteField, HelpDesk } = loadScripts();
+    HelpDesk.Utils.announce = () => {};
+    AutocompleteField.fields.manager = {
+        menu: menu,
+        input: new FakeElement({ removeAttribute() {} }),
+        results: [{ name: ATTACK, email: 'jane@example.com', title: ATTACK }]
+    };
+
+    AutocompleteField.render('manager');
+    assert.ok(menu.markup.includes(`<span class="fw-semibold">${ESCAPED}</span>`));
+    assert.ok(menu.markup.includes(`jane@example.com · ${ESCAPED}`));
+    assert.ok(!menu.markup.includes('<img'));
+
+    AutocompleteField.renderStatus('manager', ATTACK);
+    assert.ok(menu.markup.includes(ESCAPED));
+    assert.ok(!menu.markup.includes('<img'));
+});
+
+test('knowledge-base suggestions show articles as text', () => {
+    const { KnowledgeBase } = loadScripts();
+    KnowledgeBase.list = new FakeElement();
+
+    KnowledgeBase.render([{ id: ATTACK, url: `https://kb.example.com/?q=${ATTACK}`, title: ATTACK, summary: ATTACK }]);
+
+    assert.strictEqual(KnowledgeBase.list.markup.split(ESCAPED).length - 1, 4);
+    assert.ok(!KnowledgeBase.list.markup.includes('<img'));
+});